@@ -1,10 +1,11 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ^0.8.20;
 
 import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import { ERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract FakeDai is ERC20 {
-    constructor() ERC20('Test Dai', 'DAI') {}
+contract FakeDai is ERC20, ERC20Permit {
+    constructor() ERC20('Test Dai', 'DAI') ERC20Permit('Test Dai') {}
 
     function mint(address account, uint256 amount) external {
         _mint(account, amount);
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Mintable token that burns a fee, in basis points, on every transfer. Markets
+// can't use such tokens as collateral.
+contract FakeFeeToken is ERC20 {
+    uint public immutable transferFee;
+
+    constructor(uint _transferFee) ERC20('Test Fee Token', 'FEE') {
+        transferFee = _transferFee;
+    }
+
+    function mint(address account, uint256 amount) external {
+        _mint(account, amount);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            uint fee = value * transferFee / 10000;
+            super._update(from, address(0), fee);
+            value -= fee;
+        }
+        super._update(from, to, value);
+    }
+}
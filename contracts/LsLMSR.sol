@@ -10,10 +10,14 @@ import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./NewMath.sol";
 import "./FakeDai.sol";
 
+// Fees are expressed in basis points
+uint constant FEE_DENOMINATOR = 10000;
+
 /**
  * @title LsLMSR Market Maker
  * @notice This contract implements a Liquidity-Sensitive LMSR market maker that works with the
@@ -30,7 +34,7 @@ import "./FakeDai.sol";
  *    - Human-readable outcomes mapped to protocol indices
  *    - Example: "Chiefs" = 1, "Ravens" = 2, etc.
  * 
- * When users interact with buy(), they must use the protocol layer indices.
+ * When users interact with buy() or sell(), they must use the protocol layer indices.
  * For example:
  * - To bet on Chiefs (first outcome): market.buy(1, amount)  // 1 = 2^0
  * - To bet on Ravens (second outcome): market.buy(2, amount)  // 2 = 2^1
@@ -46,15 +50,22 @@ contract LsLMSR is IERC1155Receiver, Ownable {
   using SafeERC20 for IERC20;
   using NewMath for int128;
 
-  // State variables that CAN be immutable (known at construction)
-  address public immutable token;
-  ConditionalTokens public immutable conditionalTokens;
+  // Known at construction, or at initialize() for clones. Not immutable, as
+  // clones share the implementation's code.
+  address public token;
+  ConditionalTokens public conditionalTokens;
+
+  // The collection the market's positions are nested in: bytes32(0) for a
+  // market on the token itself, or the position of another market's outcome
+  // for a conditional market, which is then traded and paid out in that
+  // position instead of the token
+  bytes32 public parentCollectionId;
 
-  // State variables that CANNOT be immutable (set during setup)
+  // Set during setup
   uint public numOutcomes;
   bytes32 public condition;
   bytes32 public marketId;
-  bool public isResolved;
+  bytes32 public questionId;
   address public oracle;
 
   int128[] private q;
@@ -65,7 +76,77 @@ contract LsLMSR is IERC1155Receiver, Ownable {
 
   bool public init;
 
+  /**
+   * Lifecycle of a market: Open until closeTime, when trading halts, Closed
+   * until the oracle starts resolving it, Resolving until payouts are
+   * reported, Resolved, and Finalized once all liquidity is withdrawn.
+   * Markets without a close time can be resolved while Open.
+   */
+  enum Phase { Open, Closed, Resolving, Resolved, Finalized }
+
+  // The stored phase; Open turns into Closed at closeTime without a transaction
+  Phase private phase;
+
+  // Schedule, 0 when unset. If no payouts are reported before the resolution
+  // deadline anyone can resolve the market as invalid, unless the oracle
+  // started resolving it before then.
+  uint public closeTime;
+  uint public resolutionDeadline;
+  bool public isInvalid;
+
+  // Set by the owner to halt trading and adding liquidity in an emergency.
+  // Trading also halts while the owner, if it is a factory, is paused.
+  // Resolution, withdrawals and redemption go on.
+  bool public paused;
+
+  // Most quotes sharesForCollateral() takes, and the precision, in bits
+  // relative to its initial upper bound, it stops at
+  uint constant SOLVER_STEPS = 12;
+  uint constant SOLVER_PRECISION = 32;
+
+  // The supported domain. Inside it no intermediate 64.64 value overflows,
+  // so trades and views fail with one of the errors below instead.
+  uint constant MAX_OUTCOMES = 16;
+  // Subsidies from 1e-6 to 2^40 whole tokens, in 64.64
+  int128 constant MIN_SUBSIDY = 18446744073709;
+  int128 constant MAX_SUBSIDY = 1 << 104;
+  // A trade may buy or sell at most this many times b shares of an outcome
+  int128 constant MAX_TRADE_FACTOR = 1000;
+  // At most 2^48 whole shares in total, in 64.64
+  int128 constant MAX_TOTAL_SHARES = 1 << 112;
+
+  // Trading fee, in basis points of the collateral traded
+  uint public fee;
+  uint public protocolFeeShare;
+
+  // Fees collected but not yet claimed
+  uint public lpFees;
+  uint public protocolFees;
+
+  // Liquidity provider ledger. LP fees accrue per liquidity share, scaled by 1e18.
+  mapping(address => uint) public liquidityShares;
+  uint public totalLiquidityShares;
+  uint private feesPerShare;
+  mapping(address => uint) private feeDebt;
+  mapping(address => uint) private unclaimedFees;
+
   event MarketResolved(bytes32 indexed condition, uint[] payouts);
+  event FeeCharged(address indexed trader, uint lpFee, uint protocolFee);
+  event FeesClaimed(address indexed recipient, uint amount);
+  event LiquidityAdded(address indexed provider, uint amount, uint shares);
+  event LiquidityRemoved(address indexed provider, uint shares, uint amount);
+  // amount is negative for sells; cost is the collateral paid or received
+  // before the fee, and prices are the marginal prices after the trade
+  event Trade(address indexed trader, uint outcome, int128 amount, uint cost, int128[] prices);
+  event PhaseChanged(Phase phase);
+  event MarketInvalidated(bytes32 indexed condition);
+  event PausedSet(bool paused);
+
+  error OutcomeCountOutOfRange(uint numOutcomes, uint max);
+  // Amounts in 64.64
+  error SubsidyOutOfRange(int128 subsidy, int128 min, int128 max);
+  error TradeTooLarge(int128 amount, int128 max);
+  error MarketTooLarge(int128 max);
 
   /**
    * @notice Constructor function for the market maker
@@ -82,43 +163,140 @@ contract LsLMSR is IERC1155Receiver, Ownable {
     numOutcomes = 0; // This should be set in the setup function
     condition = bytes32(0); // This should be set in the setup function
     marketId = bytes32(0); // This should be set in the setup function
-    isResolved = false;
+  }
+
+  /**
+   * @notice Initializes an EIP-1167 clone of this contract in place of the
+      constructor, making the caller its owner. setup() then initializes the
+      market itself, as for a constructed market.
+   * @dev Only callable while conditionalTokens is unset, as on a fresh clone.
+      The implementation is constructed with it set, so it can't be taken
+      over.
+   */
+  function initialize(
+    address _ct,
+    address _token
+  ) external {
+    require(address(conditionalTokens) == address(0), 'Already init');
+    conditionalTokens = ConditionalTokens(_ct);
+    token = _token;
+    _transferOwnership(msg.sender);
+  }
+
+  /**
+   * @notice Sets the trading fee. Fees are fixed once the market is set up.
+   * @param _fee The fee charged on every trade, in basis points
+   * @param _protocolFeeShare The part of the fee, in basis points, that goes to
+      the protocol. The rest is shared out between the liquidity providers.
+   */
+  function setFees(
+    uint _fee,
+    uint _protocolFeeShare
+  ) public onlyOwner() {
+    require(init == false, 'Already init');
+    require(_fee <= FEE_DENOMINATOR && _protocolFeeShare <= FEE_DENOMINATOR, 'Invalid fee');
+    fee = _fee;
+    protocolFeeShare = _protocolFeeShare;
+  }
+
+  /**
+   * @notice Sets when trading closes and the deadline for resolving the
+      market. Fixed once the market is set up.
+   * @param _closeTime When trading halts, or 0 to trade until resolution
+   * @param _resolutionDeadline When the market can be resolved as invalid if
+      the oracle hasn't reported or started resolving, or 0 for no deadline.
+      Must be after _closeTime.
+   */
+  function setSchedule(
+    uint _closeTime,
+    uint _resolutionDeadline
+  ) public onlyOwner() {
+    require(init == false, 'Already init');
+    require(_closeTime == 0 || _closeTime > block.timestamp, 'Invalid close time');
+    require(_resolutionDeadline == 0 ||
+      (_resolutionDeadline > block.timestamp && _resolutionDeadline > _closeTime),
+      'Invalid resolution deadline');
+    closeTime = _closeTime;
+    resolutionDeadline = _resolutionDeadline;
+  }
+
+  /**
+   * @notice Halts or resumes trading and adding liquidity.
+   */
+  function setPaused(
+    bool _paused
+  ) public onlyOwner() {
+    paused = _paused;
+    emit PausedSet(_paused);
+  }
+
+  /**
+   * @notice Whether trading is halted, by this market's pause or its owner's.
+   */
+  function isPaused() public view returns (bool) {
+    if(paused) return true;
+    // An owner without a paused() view, such as an EOA, never pauses
+    (bool ok, bytes memory data) = owner().staticcall(abi.encodeWithSignature('paused()'));
+    return ok && data.length == 32 && abi.decode(data, (bool));
+  }
+
+  /**
+   * @notice Makes this a conditional market nested in _parentCollectionId.
+      Fixed once the market is set up.
+   * @dev The subsidy, trades, liquidity and fees are all in the parent
+      position, so traders approve the market on the conditional tokens
+      contract rather than the token.
+   */
+  function setParentCollection(
+    bytes32 _parentCollectionId
+  ) public onlyOwner() {
+    require(init == false, 'Already init');
+    parentCollectionId = _parentCollectionId;
   }
 
   /**
    * @notice Set up some of the variables for the market maker
    * @param _oracle The address for the EOA/contract which will act as the
-      oracle for this condition
+      oracle for this condition. The condition itself is prepared with this
+      contract as the reporter, so payouts reach the conditional tokens
+      contract through resolveMarket().
    * @param _questionId The question ID (needs to be unique)
    * @param _numOutcomes The number of different outcomes available
    * _subsidyToken Which ERC-20 token will be used to purchase and redeem
       outcome tokens for this condition
    * @param _subsidy How much initial funding is used to seed the market maker.
+   * @param _provider Who receives the liquidity shares for the subsidy
    */
   function setup(
     address _oracle,
     bytes32 _questionId,
     uint _numOutcomes,
-    uint _subsidy
+    uint _subsidy,
+    address _provider
   ) public onlyOwner() {
     require(init == false, 'Already init');
+    if(_numOutcomes < 2 || _numOutcomes > MAX_OUTCOMES)
+      revert OutcomeCountOutOfRange(_numOutcomes, MAX_OUTCOMES);
     
     // Verify we actually have the subsidy amount
     require(
-        IERC20(token).balanceOf(address(this)) >= _subsidy,
+        collateralBalance() >= _subsidy,
         "Insufficient subsidy balance"
     );
 
     // Prepare the condition
-    conditionalTokens.prepareCondition(_oracle, _questionId, _numOutcomes);
-    condition = conditionalTokens.getConditionId(_oracle, _questionId, _numOutcomes);
+    conditionalTokens.prepareCondition(address(this), _questionId, _numOutcomes);
+    condition = conditionalTokens.getConditionId(address(this), _questionId, _numOutcomes);
+    questionId = _questionId;
 
     // Initialize market parameters
     numOutcomes = _numOutcomes;
     int128 n = NewMath.fromUInt(_numOutcomes);
     int128 initial_subsidy = getTokenEth(token, _subsidy);
+    if(initial_subsidy < MIN_SUBSIDY || initial_subsidy > MAX_SUBSIDY)
+      revert SubsidyOutOfRange(initial_subsidy, MIN_SUBSIDY, MAX_SUBSIDY);
 
-    alpha = NewMath.div(1, NewMath.mul(n, NewMath.ln(n)));
+    alpha = NewMath.div(NewMath.ONE, NewMath.mul(n, NewMath.ln(n)));
     b = NewMath.mul(NewMath.mul(initial_subsidy, n), alpha);
 
     // Initialize outcome token quantities
@@ -127,9 +305,12 @@ contract LsLMSR is IERC1155Receiver, Ownable {
     }
 
     total_shares = NewMath.mul(initial_subsidy, n);
-    current_cost = cost();
     init = true;
+    current_cost = cost();
     oracle = _oracle;  // Store oracle address
+
+    setLiquidity(_provider, _subsidy);
+    emit LiquidityAdded(_provider, _subsidy, _subsidy);
   }
 
   /**
@@ -137,15 +318,182 @@ contract LsLMSR is IERC1155Receiver, Ownable {
    * @param _outcome The outcome(s) which a user is buying tokens for.
       Note: This is the integer representation for the bit array.
    * @param _amount This is the number of outcome tokens purchased
-   * @return _price The cost to purchase _amount number of tokens
+   * @return _price The cost to purchase _amount number of tokens, excluding
+      the trading fee
    */
   function buy(
     uint256 _outcome,
     int128 _amount
-  ) public onlyAfterInit() returns (int128 _price){
-    int128 sum_total;
+  ) public onlyAfterInit() notResolved() onlyOpen() returns (int128 _price){
     require(_outcome > 0);
-    require(conditionalTokens.payoutDenominator(condition) == 0, 'Market already resolved');
+
+    _price = updateMarket(_outcome, _amount);
+
+    uint token_cost = getTokenWeiUp(token, _price);
+    uint n_outcome_tokens = getTokenWei(token, _amount);
+    uint pos = getPositionId(_outcome);
+    uint token_fee = chargeFee(token_cost);
+
+    pullCollateral(token_cost + token_fee);
+
+    // The pool's single outcome tokens of a set are merged into the position
+    // first, and only what it is still short of is split from collateral
+    uint held = conditionalTokens.balanceOf(address(this), pos);
+    if(held < n_outcome_tokens && getOnes(_outcome) > 1) {
+      uint[] memory singletons = getSingletons(_outcome);
+      uint n_merge = heldOfEach(singletons, n_outcome_tokens - held);
+      if(n_merge > 0) {
+        conditionalTokens.mergePositions(IERC20(token), parentCollectionId, condition,
+          singletons, n_merge);
+        held += n_merge;
+      }
+    }
+    if(held < n_outcome_tokens) {
+      IERC20(token).approve(address(conditionalTokens), n_outcome_tokens - held);
+      conditionalTokens.splitPosition(IERC20(token), parentCollectionId, condition,
+        getPositionAndDustPositions(_outcome), n_outcome_tokens - held);
+    }
+    conditionalTokens.safeTransferFrom(address(this), msg.sender,
+      pos, n_outcome_tokens, '');
+
+    emit Trade(msg.sender, _outcome, _amount, token_cost, getMarginalPrices());
+  }
+
+  /**
+   * @notice This function is used to sell outcome tokens back to the market maker.
+   * @dev The seller has to approve this contract as an operator on the
+      conditional tokens contract first. The position is pulled back through
+      onERC1155Received and, as far as the market maker holds the matching
+      dust positions, merged back into collateral. A sell may not take the
+      quantity of any of its outcomes to zero.
+   * @param _outcome The outcome(s) which a user is selling tokens for.
+      Note: This is the integer representation for the bit array.
+   * @param _amount This is the number of outcome tokens sold. Only whole
+      token units change hands, so it is rounded down to them and the sale is
+      priced on what is left.
+   * @return _proceeds The collateral paid out for _amount number of tokens,
+      before the trading fee is deducted
+   */
+  function sell(
+    uint256 _outcome,
+    int128 _amount
+  ) public onlyAfterInit() notResolved() onlyOpen() returns (int128 _proceeds){
+    require(_outcome > 0);
+    require(_amount > 0, 'Invalid amount');
+    uint n_outcome_tokens = getTokenWei(token, _amount);
+    require(n_outcome_tokens > 0, 'Invalid amount');
+    _amount = getTokenEth(token, n_outcome_tokens);
+
+    _proceeds = NewMath.neg(updateMarket(_outcome, NewMath.neg(_amount)));
+
+    uint token_proceeds = getTokenWei(token, _proceeds);
+
+    conditionalTokens.safeTransferFrom(msg.sender, address(this),
+      getPositionId(_outcome), n_outcome_tokens, '');
+
+    // As much of the position as the pool holds the rest of the outcomes for
+    // is merged back into collateral
+    uint n_merge = heldOfEach(getSingletons(((1<<numOutcomes)-1) ^ _outcome), n_outcome_tokens);
+    if(n_merge > 0) {
+      conditionalTokens.mergePositions(IERC20(token), parentCollectionId, condition,
+        getPositionAndDustPositions(_outcome), n_merge);
+    }
+    // The rest stays in inventory, split into single outcome positions like
+    // the rest of the pool's outcome tokens
+    if(n_merge < n_outcome_tokens && getOnes(_outcome) > 1) {
+      conditionalTokens.splitPosition(IERC20(token), parentCollectionId, condition,
+        getSingletons(_outcome), n_outcome_tokens - n_merge);
+    }
+
+    pushCollateral(msg.sender, token_proceeds - chargeFee(token_proceeds));
+
+    emit Trade(msg.sender, _outcome, NewMath.neg(_amount), token_proceeds, getMarginalPrices());
+  }
+
+  /**
+   * @notice Same as buy() but reverts if the collateral charged is above
+      _maxCost or the transaction is mined after _deadline.
+   * @param _maxCost The most collateral (in token units) the trader will pay,
+      usually the value returned by buyQuote()
+   * @param _deadline Timestamp after which the trade is no longer valid
+   */
+  function buyWithMaxCost(
+    uint256 _outcome,
+    int128 _amount,
+    uint _maxCost,
+    uint _deadline
+  ) public returns (int128 _price) {
+    requireBefore(_deadline);
+    _price = buy(_outcome, _amount);
+    uint token_cost = getTokenWeiUp(token, _price);
+    require(token_cost + getFee(token_cost) <= _maxCost, 'Cost exceeds maximum');
+  }
+
+  /**
+   * @notice Same as buyWithMaxCost() but approves the market first with an
+      EIP-2612 permit for _maxCost that expires at _deadline, so the trade
+      takes a single transaction.
+   * @dev If the permit was already used, e.g. by someone who copied it from
+      the mempool, the trade still goes through on the allowance it left.
+   */
+  function buyWithPermit(
+    uint256 _outcome,
+    int128 _amount,
+    uint _maxCost,
+    uint _deadline,
+    uint8 _v,
+    bytes32 _r,
+    bytes32 _s
+  ) public returns (int128 _price) {
+    try IERC20Permit(token).permit(msg.sender, address(this), _maxCost, _deadline, _v, _r, _s) {} catch {}
+    _price = buyWithMaxCost(_outcome, _amount, _maxCost, _deadline);
+  }
+
+  /**
+   * @notice Same as sell() but reverts if the collateral paid out is below
+      _minProceeds or the transaction is mined after _deadline.
+   * @param _minProceeds The least collateral (in token units) the trader will
+      accept, usually the value returned by sellQuote()
+   * @param _deadline Timestamp after which the trade is no longer valid
+   */
+  function sellWithMinProceeds(
+    uint256 _outcome,
+    int128 _amount,
+    uint _minProceeds,
+    uint _deadline
+  ) public returns (int128 _proceeds) {
+    requireBefore(_deadline);
+    _proceeds = sell(_outcome, _amount);
+    uint token_proceeds = getTokenWei(token, _proceeds);
+    require(token_proceeds - getFee(token_proceeds) >= _minProceeds, 'Proceeds below minimum');
+  }
+
+  /**
+   * @notice Spends at most _collateralIn, fee included, on as many shares of
+      _outcome as it buys.
+   * @param _minSharesOut The fewest shares the trader will accept, usually
+      sharesForCollateral() less some slippage
+   * @return _shares The number of shares bought
+   */
+  function buyWithCollateral(
+    uint256 _outcome,
+    uint _collateralIn,
+    int128 _minSharesOut
+  ) public returns (int128 _shares) {
+    _shares = sharesForCollateral(_outcome, _collateralIn);
+    require(_shares > 0 && _shares >= _minSharesOut, 'Shares below minimum');
+    buy(_outcome, _shares);
+  }
+
+  /**
+   * @dev Applies a trade of _amount outcome tokens (negative when selling) to
+      the inventory, recomputes b and returns the change in the cost function.
+   */
+  function updateMarket(
+    uint256 _outcome,
+    int128 _amount
+  ) internal returns (int128 _price) {
+    int128 new_cost = cost_after_buy(_outcome, _amount);
 
     for(uint j=0; j<numOutcomes; j++) {
       if((_outcome & (1<<j)) != 0) {
@@ -155,44 +503,261 @@ contract LsLMSR is IERC1155Receiver, Ownable {
     }
 
     b = NewMath.mul(total_shares, alpha);
+    _price = NewMath.sub(new_cost,current_cost);
+    current_cost = new_cost;
+  }
+
+  /**
+   * @notice Adds liquidity to the market maker without moving prices.
+   * @dev The deposit grows the pool's collateral and outcome tokens in the same
+      proportion, and q and total_shares are scaled by that proportion.
+      Outcome tokens split off beyond the pool's proportions are sent to the
+      provider.
+   * @param _amount The collateral deposited
+   * @return _shares The liquidity shares minted
+   */
+  function addLiquidity(
+    uint _amount
+  ) public onlyAfterInit() notResolved() onlyOpen() returns (uint _shares) {
+    require(_amount > 0, 'Invalid amount');
 
-    for(uint i=0; i< numOutcomes; i++) {
-      sum_total = NewMath.add(sum_total,
-        NewMath.exp(
-          NewMath.div(q[i], b)
-          ));
+    uint[] memory ids = getSingletons((1<<numOutcomes)-1);
+    uint[] memory held = new uint[](numOutcomes);
+    uint max_held;
+    for(uint i=0; i<numOutcomes; i++) {
+      ids[i] = getPositionId(ids[i]);
+      held[i] = conditionalTokens.balanceOf(address(this), ids[i]);
+      if(held[i] > max_held) max_held = held[i];
     }
 
-    int128 new_cost = NewMath.mul(b,NewMath.ln(sum_total));
-    _price = NewMath.sub(new_cost,current_cost);
-    current_cost = new_cost;
+    // The pool is worth its collateral plus the full sets its outcome tokens
+    // could be merged into, rounded up to the largest position
+    uint value = getPoolBalance() + max_held;
+    _shares = totalLiquidityShares * _amount / value;
+    require(_shares > 0, 'Invalid amount');
 
-    uint token_cost = getTokenWei(token, _price);
-    uint n_outcome_tokens = getTokenWei(token, _amount);
-    uint pos = conditionalTokens.getPositionId(IERC20(token),
-      conditionalTokens.getCollectionId(bytes32(0), condition, _outcome));
+    pullCollateral(_amount);
+
+    uint n_split = max_held * _amount / value;
+    if(n_split > 0) {
+      IERC20(token).approve(address(conditionalTokens), n_split);
+      conditionalTokens.splitPosition(IERC20(token), parentCollectionId, condition,
+        getSingletons((1<<numOutcomes)-1), n_split);
+      for(uint i=0; i<numOutcomes; i++) {
+        held[i] = n_split - held[i] * _amount / value;
+      }
+      conditionalTokens.safeBatchTransferFrom(address(this), msg.sender, ids, held, '');
+    }
+
+    scaleMarket(NewMath.divu(value + _amount, value));
+    setLiquidity(msg.sender, liquidityShares[msg.sender] + _shares);
+    emit LiquidityAdded(msg.sender, _amount, _shares);
+  }
+
+  /**
+   * @notice Removes liquidity from the market maker.
+   * @dev Before resolution the provider receives their share of the pool's
+      collateral and outcome tokens, and q and total_shares shrink in the same
+      proportion so prices don't move. After resolution the pool's outcome
+      tokens are redeemed first and the share is paid in collateral.
+   * @param _shares The liquidity shares burned
+   * @return _amount The collateral paid out
+   */
+  function removeLiquidity(
+    uint _shares
+  ) public returns (uint) {
+    return removeLiquidityOf(msg.sender, _shares);
+  }
 
-    require(IERC20(token).transferFrom(msg.sender, address(this), token_cost),
-      'Error transferring tokens');
+  // Removes _shares of _provider's liquidity and pays it out to them
+  function removeLiquidityOf(
+    address _provider,
+    uint _shares
+  ) internal onlyAfterInit() returns (uint _amount) {
+    require(_shares > 0 && _shares <= liquidityShares[_provider], 'Insufficient liquidity');
 
-    if(conditionalTokens.balanceOf(address(this), pos) < n_outcome_tokens) {
-      IERC20(token).approve(address(conditionalTokens), getTokenWei(token, _amount));
-      conditionalTokens.splitPosition(IERC20(token), bytes32(0), condition,
-        getPositionAndDustPositions(_outcome), n_outcome_tokens);
+    uint[] memory ids = getSingletons((1<<numOutcomes)-1);
+    if(conditionalTokens.payoutDenominator(condition) != 0) {
+      conditionalTokens.redeemPositions(IERC20(token), parentCollectionId, condition, ids);
+    } else {
+      require(_shares < totalLiquidityShares, 'Cannot remove all liquidity');
+      uint[] memory amounts = new uint[](numOutcomes);
+      for(uint i=0; i<numOutcomes; i++) {
+        ids[i] = getPositionId(ids[i]);
+        amounts[i] = conditionalTokens.balanceOf(address(this), ids[i]) * _shares / totalLiquidityShares;
       }
-    conditionalTokens.safeTransferFrom(address(this), msg.sender,
-      pos, n_outcome_tokens, '');
+      conditionalTokens.safeBatchTransferFrom(address(this), _provider, ids, amounts, '');
+      scaleMarket(NewMath.divu(totalLiquidityShares - _shares, totalLiquidityShares));
+    }
+
+    _amount = getPoolBalance() * _shares / totalLiquidityShares;
+    setLiquidity(_provider, liquidityShares[_provider] - _shares);
+    pushCollateral(_provider, _amount);
+    emit LiquidityRemoved(_provider, _shares, _amount);
+
+    if(totalLiquidityShares == 0) {
+      setPhase(Phase.Finalized);
+    }
   }
 
-  function withdraw() public onlyAfterInit() onlyOwner() {
-    require(conditionalTokens.payoutDenominator(condition) != 0, 'Market needs to be resolved');
-    uint[] memory dust = new uint256[](numOutcomes);
-    uint p = 0;
-    for (uint i=0; i<numOutcomes; i++) {
-      dust[i] = 1<<i;
+  /**
+   * @dev Scales the inventory by _factor, which keeps prices where they are.
+   */
+  function scaleMarket(
+    int128 _factor
+  ) internal {
+    if((int256(total_shares) * _factor) >> 64 > MAX_TOTAL_SHARES) revert MarketTooLarge(MAX_TOTAL_SHARES);
+    for(uint i=0; i<numOutcomes; i++) {
+      q[i] = NewMath.mul(q[i], _factor);
+    }
+    total_shares = NewMath.mul(total_shares, _factor);
+    b = NewMath.mul(total_shares, alpha);
+    current_cost = cost();
+  }
+
+  /**
+   * @dev Sets the liquidity shares of _provider, settling the LP fees they
+      earned on their previous balance first. The fee debt rounds up so that
+      providers never have more to claim between them than lpFees.
+   */
+  function setLiquidity(
+    address _provider,
+    uint _shares
+  ) internal {
+    unclaimedFees[_provider] = claimableFees(_provider);
+    totalLiquidityShares = totalLiquidityShares - liquidityShares[_provider] + _shares;
+    liquidityShares[_provider] = _shares;
+    feeDebt[_provider] = (_shares * feesPerShare + 1e18 - 1) / 1e18;
+  }
+
+  /**
+   * @notice The collateral held by the pool, excluding unclaimed fees.
+   */
+  function getPoolBalance() public view returns (uint) {
+    return collateralBalance() - lpFees - protocolFees;
+  }
+
+  /**
+   * @dev The market's collateral: the token, or the parent position of a
+      conditional market.
+   */
+  function collateralBalance() internal view returns (uint) {
+    if(parentCollectionId == bytes32(0)) return IERC20(token).balanceOf(address(this));
+    return conditionalTokens.balanceOf(address(this), parentPositionId());
+  }
+
+  function parentPositionId() internal view returns (uint) {
+    return conditionalTokens.getPositionId(IERC20(token), parentCollectionId);
+  }
+
+  // Takes _amount collateral from the caller
+  function pullCollateral(
+    uint _amount
+  ) internal {
+    if(parentCollectionId == bytes32(0)) {
+      IERC20(token).safeTransferFrom(msg.sender, address(this), _amount);
+    } else {
+      conditionalTokens.safeTransferFrom(msg.sender, address(this), parentPositionId(), _amount, '');
+    }
+  }
+
+  // Pays _amount collateral out to _to
+  function pushCollateral(
+    address _to,
+    uint _amount
+  ) internal {
+    if(parentCollectionId == bytes32(0)) {
+      IERC20(token).safeTransfer(_to, _amount);
+    } else {
+      conditionalTokens.safeTransferFrom(address(this), _to, parentPositionId(), _amount, '');
     }
-    conditionalTokens.redeemPositions(IERC20(token), bytes32(0), condition, dust);
-    IERC20(token).safeTransfer(msg.sender, IERC20(token).balanceOf(address(this)));
+  }
+
+  /**
+   * @dev Books the fee on a trade of _amount collateral and splits it between
+      the liquidity providers and the protocol.
+   */
+  function chargeFee(
+    uint _amount
+  ) internal returns (uint _fee) {
+    _fee = getFee(_amount);
+    if(_fee > 0) {
+      uint protocol_fee = _fee * protocolFeeShare / FEE_DENOMINATOR;
+      uint lp_fee = _fee - protocol_fee;
+      protocolFees += protocol_fee;
+      lpFees += lp_fee;
+      feesPerShare += lp_fee * 1e18 / totalLiquidityShares;
+      emit FeeCharged(msg.sender, lp_fee, protocol_fee);
+    }
+  }
+
+  /**
+   * @notice The trading fee on _amount collateral, rounded up.
+   */
+  function getFee(
+    uint _amount
+  ) public view returns (uint) {
+    return (_amount * fee + FEE_DENOMINATOR - 1) / FEE_DENOMINATOR;
+  }
+
+  /**
+   * @notice The LP fees _provider can claim.
+   */
+  function claimableFees(
+    address _provider
+  ) public view returns (uint) {
+    uint accrued = liquidityShares[_provider] * feesPerShare / 1e18;
+    return unclaimedFees[_provider]
+      + (accrued > feeDebt[_provider] ? accrued - feeDebt[_provider] : 0);
+  }
+
+  /**
+   * @notice Pays the caller's share of the LP fees out to them.
+   */
+  function claimFees() public returns (uint amount) {
+    setLiquidity(msg.sender, liquidityShares[msg.sender]);
+    amount = unclaimedFees[msg.sender];
+    unclaimedFees[msg.sender] = 0;
+    lpFees -= amount;
+    pushCollateral(msg.sender, amount);
+    emit FeesClaimed(msg.sender, amount);
+  }
+
+  /**
+   * @notice Pays the unclaimed protocol fees out to _to.
+   */
+  function claimProtocolFees(
+    address _to
+  ) public onlyOwner() {
+    uint amount = protocolFees;
+    protocolFees = 0;
+    pushCollateral(_to, amount);
+    emit FeesClaimed(_to, amount);
+  }
+
+  /**
+   * @notice Withdraws all of the caller's liquidity once the market is
+      resolved. Unclaimed fees are left in the market and can still be claimed.
+   */
+  function withdraw() public returns (uint) {
+    return withdrawOf(msg.sender);
+  }
+
+  /**
+   * @notice Same as withdraw() for _provider, who is paid out. Lets the
+      factory reclaim a creator's leftover subsidy on their behalf.
+   */
+  function withdrawFor(
+    address _provider
+  ) public onlyOwner() returns (uint) {
+    return withdrawOf(_provider);
+  }
+
+  function withdrawOf(
+    address _provider
+  ) internal onlyAfterInit() returns (uint) {
+    require(conditionalTokens.payoutDenominator(condition) != 0, 'Market needs to be resolved');
+    return removeLiquidityOf(_provider, liquidityShares[_provider]);
   }
 
   function getOnes(uint n) internal pure returns (uint count) {
@@ -202,6 +767,44 @@ contract LsLMSR is IERC1155Receiver, Ownable {
     }
   }
 
+  function getPositionId(
+    uint _indexSet
+  ) internal view returns (uint) {
+    return conditionalTokens.getPositionId(IERC20(token),
+      conditionalTokens.getCollectionId(parentCollectionId, condition, _indexSet));
+  }
+
+  /**
+   * @dev The most of _amount that the pool holds of each of the positions
+      _indexSets.
+   */
+  function heldOfEach(
+    uint[] memory _indexSets,
+    uint _amount
+  ) internal view returns (uint) {
+    for(uint i=0; i<_indexSets.length; i++) {
+      uint held = conditionalTokens.balanceOf(address(this), getPositionId(_indexSets[i]));
+      if(held < _amount) _amount = held;
+    }
+    return _amount;
+  }
+
+  /**
+   * @dev Splits an index set into the single outcome index sets it contains.
+   */
+  function getSingletons(
+    uint _indexSet
+  ) internal view returns (uint256[] memory singletons) {
+    singletons = new uint256[](getOnes(_indexSet));
+    uint n = 0;
+    for(uint i=0; i<numOutcomes; i++) {
+      if((_indexSet & 1<<i) != 0) {
+        singletons[n] = 1<<i;
+        n++;
+      }
+    }
+  }
+
   function getPositionAndDustPositions(
     uint _outcome
   ) public view returns (uint256[] memory){
@@ -229,23 +832,22 @@ contract LsLMSR is IERC1155Receiver, Ownable {
   function cost() public view returns (int128) {
     // If not initialized, return 0
     if (!init) return 0;
-
-    int128 sum_total;
-    for(uint i=0; i< numOutcomes; i++) {
-        sum_total = NewMath.add(sum_total, NewMath.exp(NewMath.div(q[i], b)));
-    }
-    return NewMath.mul(b, NewMath.ln(sum_total));
+    return costOf(q, b);
   }
 
   /**
    *  This function will tell you the cost (similar to above) after a proposed
-      transaction.
+      transaction. It reverts if the trade leaves the supported domain: one of
+      more than MAX_TRADE_FACTOR times b shares, one that sells an outcome
+      down to zero, or one that takes the total shares past MAX_TOTAL_SHARES.
    */
   function cost_after_buy(
     uint256 _outcome,
     int128 _amount
   ) public view returns (int128) {
-    int128 sum_total;
+    int128 max_trade = b * MAX_TRADE_FACTOR;
+    if(_amount > max_trade || _amount < -max_trade) revert TradeTooLarge(_amount, max_trade);
+
     int128[] memory newq = new int128[](q.length);
     int128 TB = total_shares;
 
@@ -253,21 +855,60 @@ contract LsLMSR is IERC1155Receiver, Ownable {
       if((_outcome & (1<<j)) != 0) {
         newq[j] = NewMath.add(q[j], _amount);
         TB = NewMath.add(TB, _amount);
+        // Past this the pool pays out more than it holds, which selling back
+        // positions opened before liquidity was removed could otherwise do
+        require(newq[j] > 0, 'Sell exceeds market depth');
       } else {
         newq[j] = q[j];
       }
     }
+    if(TB > MAX_TOTAL_SHARES) revert MarketTooLarge(MAX_TOTAL_SHARES);
 
-    int128 _b = NewMath.mul(TB, alpha);
+    return costOf(newq, NewMath.mul(TB, alpha));
+  }
 
-    for(uint i=0; i< numOutcomes; i++) {
-      sum_total = NewMath.add(sum_total,
-        NewMath.exp(
-          NewMath.div(newq[i], _b)
-          ));
+  /**
+   * @dev C(q) = b ln(sum exp(q[i]/b)), computed as b (m + ln(sum exp(q[i]/b - m)))
+      with m the largest q[i]/b. Every exponent is then at most 0, so exp
+      cannot overflow however one-sided the market is.
+   */
+  function costOf(
+    int128[] memory _q,
+    int128 _b
+  ) internal pure returns (int128) {
+    (, int128 m, int128 sum_total) = shiftedExps(_q, _b);
+    return NewMath.mul(_b, NewMath.add(m, NewMath.ln(sum_total)));
+  }
+
+  /**
+   * @dev Returns exp(q[i]/b - m) for each outcome, m, the largest q[i]/b, and
+      the sum of the exponentials, which is between 1 and the number of
+      outcomes.
+   */
+  function shiftedExps(
+    int128[] memory _q,
+    int128 _b
+  ) internal pure returns (int128[] memory _exps, int128 m, int128 sum_total) {
+    _exps = new int128[](_q.length);
+    for(uint i=0; i<_q.length; i++) {
+      _exps[i] = NewMath.div(_q[i], _b);
+      if(i == 0 || _exps[i] > m) m = _exps[i];
+    }
+    for(uint i=0; i<_q.length; i++) {
+      _exps[i] = NewMath.exp(NewMath.sub(_exps[i], m));
+      sum_total = NewMath.add(sum_total, _exps[i]);
     }
+  }
 
-    return NewMath.mul(_b, NewMath.ln(sum_total));
+  /**
+   *  The counterpart of cost_after_buy for selling _amount outcome tokens back
+      to the market maker.
+   */
+  function cost_after_sell(
+    uint256 _outcome,
+    int128 _amount
+  ) public view returns (int128) {
+    return cost_after_buy(_outcome, NewMath.neg(_amount));
   }
 
   /**
@@ -282,39 +923,235 @@ contract LsLMSR is IERC1155Receiver, Ownable {
     return cost_after_buy(_outcome, _amount) - current_cost;
   }
 
+  /**
+   *  This function tells you how much collateral you will receive for selling
+      _amount outcome tokens, i.e. the drop in the cost function.
+   */
+  function sell_price(
+    uint256 _outcome,
+    int128 _amount
+  ) public view returns (int128) {
+    return current_cost - cost_after_sell(_outcome, _amount);
+  }
+
+  /**
+   *  The collateral, in token units, that buy() will charge for this trade,
+      including the trading fee.
+   */
+  function buyQuote(
+    uint256 _outcome,
+    int128 _amount
+  ) public view returns (uint) {
+    uint token_cost = getTokenWeiUp(token, price(_outcome, _amount));
+    return token_cost + getFee(token_cost);
+  }
+
+  /**
+   *  The collateral, in token units, that sell() will pay out for this trade,
+      after the trading fee. Like sell(), prices _amount rounded down to whole
+      token units.
+   */
+  function sellQuote(
+    uint256 _outcome,
+    int128 _amount
+  ) public view returns (uint) {
+    uint token_proceeds = getTokenWei(token, sell_price(_outcome, roundToTokenUnits(_amount)));
+    return token_proceeds - getFee(token_proceeds);
+  }
+
+  /**
+   * @notice The most shares of _outcome that _collateralIn buys, fee included, i.e.
+      the largest amount whose buyQuote() is at most _collateralIn.
+   * @dev Solved by the Illinois method, a regula falsi over buyQuote() that
+      keeps the solution bracketed. The cost function is convex, so the shares
+      _collateralIn buys at the current marginal price bound it from above.
+      The search stops once the bracket is within 2^-SOLVER_PRECISION of that
+      bound, or after SOLVER_STEPS quotes, and returns its lower end, which is
+      always affordable.
+   */
+  function sharesForCollateral(
+    uint256 _outcome,
+    uint _collateralIn
+  ) public view returns (int128 _shares) {
+    require(_outcome > 0);
+
+    int128[] memory prices = getMarginalPrices();
+    int128 marginal;
+    for(uint i=0; i<numOutcomes; i++) {
+      if((_outcome & (1<<i)) != 0) {
+        marginal = NewMath.add(marginal, prices[i]);
+      }
+    }
+
+    int128 upper = NewMath.div(getTokenEth(token, _collateralIn), marginal);
+    if(upper == 0) {
+      return 0;
+    }
+    (bool affordable, int256 excess_upper) = spendExcess(_outcome, upper, _collateralIn);
+    if(affordable) {
+      return upper;
+    }
+    int256 excess_lower = -int256(getTokenEth(token, _collateralIn)) * int256(FEE_DENOMINATOR);
+
+    // The end of the bracket kept by the last step: -1 lower, 1 upper
+    int side;
+    for(uint i=0; i<SOLVER_STEPS && upper - _shares > upper >> SOLVER_PRECISION; i++) {
+      int128 mid = int128(_shares + (upper - _shares) * -excess_lower / (excess_upper - excess_lower));
+      if(mid <= _shares) {
+        mid = _shares + 1;
+      } else if(mid >= upper) {
+        mid = upper - 1;
+      }
+
+      int256 excess;
+      (affordable, excess) = spendExcess(_outcome, mid, _collateralIn);
+      if(affordable) {
+        (_shares, excess_lower) = (mid, excess);
+        if(side == -1) {
+          excess_upper = (excess_upper + 1) / 2;
+        }
+        side = -1;
+      } else {
+        (upper, excess_upper) = (mid, excess);
+        if(side == 1) {
+          excess_lower /= 2;
+        }
+        side = 1;
+      }
+    }
+  }
+
+  /**
+   * @dev Whether buyQuote(_outcome, _amount) is within _collateralIn, and by
+      how much the unrounded cost, fee included, exceeds it in 64.64 fixed point
+      scaled by FEE_DENOMINATOR. The excess is clamped to agree with the
+      rounded quote, so sharesForCollateral() can interpolate on it.
+   */
+  function spendExcess(
+    uint256 _outcome,
+    int128 _amount,
+    uint _collateralIn
+  ) private view returns (bool _affordable, int256 _excess) {
+    int128 _price = price(_outcome, _amount);
+    uint token_cost = getTokenWeiUp(token, _price);
+    _affordable = token_cost + getFee(token_cost) <= _collateralIn;
+
+    _excess = int256(_price) * int256(FEE_DENOMINATOR + fee)
+      - int256(getTokenEth(token, _collateralIn)) * int256(FEE_DENOMINATOR);
+    if(_affordable && _excess > 0) {
+      _excess = 0;
+    } else if(!_affordable && _excess <= 0) {
+      _excess = 1;
+    }
+  }
+
+  /**
+   * @notice The instantaneous price of one share of each outcome, i.e. the
+      derivative of the cost function with respect to q[i]. The prices sum to
+      at least 1; the excess is the spread LS-LMSR charges.
+   * @dev With m = max(q[j]/b), S = sum(exp(q[j]/b - m)), Q = total_shares and
+      W = sum(q[j]exp(q[j]/b - m)):
+      p[i] = alpha (m + ln(S)) + (exp(q[i]/b - m) - W/Q) / S
+   */
+  function getMarginalPrices() public view onlyAfterInit() returns (int128[] memory _prices) {
+    int128[] memory _q = q;
+    (int128[] memory _exps, int128 m, int128 sum_total) = shiftedExps(_q, b);
+    int128 weighted_total;
+    for(uint i=0; i<numOutcomes; i++) {
+      weighted_total = NewMath.add(weighted_total, NewMath.mul(_q[i], _exps[i]));
+    }
+
+    int128 base = NewMath.mul(alpha, NewMath.add(m, NewMath.ln(sum_total)));
+    int128 weighted_avg = NewMath.div(weighted_total, total_shares);
+    _prices = _exps;
+    for(uint i=0; i<numOutcomes; i++) {
+      _prices[i] = NewMath.add(base,
+        NewMath.div(NewMath.sub(_exps[i], weighted_avg), sum_total));
+    }
+  }
+
+  function getMarketState() public view returns (
+    int128[] memory _q,
+    int128 _b,
+    int128 _alpha,
+    int128 _total_shares,
+    int128 _current_cost
+  ) {
+    return (q, b, alpha, total_shares, current_cost);
+  }
+
   function getTokenWei(
     address _token,
     int128 _amount
   ) public view returns (uint) {
-    uint d = ERC20(_token).decimals();
-    return NewMath.mulu(_amount, 10 ** d);
+    return NewMath.mulu(_amount, tokenUnit(_token));
+  }
+
+  /**
+   * @notice Same as getTokenWei but rounded up, for collateral owed to the
+      market maker. Buys are charged this way and sells paid out rounded down,
+      so rounding to the token's decimals never costs the pool.
+   */
+  function getTokenWeiUp(
+    address _token,
+    int128 _amount
+  ) public view returns (uint) {
+    uint unit = tokenUnit(_token);
+    uint amount = NewMath.mulu(_amount, unit);
+    return NewMath.divu(amount, unit) < _amount ? amount + 1 : amount;
   }
 
   function getTokenEth(
     address _token,
     uint _amount
   ) public view returns (int128) {
-    uint d = ERC20(_token).decimals();
-    return NewMath.divu(_amount, 10 ** d);
+    return NewMath.divu(_amount, tokenUnit(_token));
+  }
+
+  /**
+   * @dev _amount rounded down to what the whole token units it converts to
+      are worth, so that the pool never pays for more outcome tokens than it
+      receives.
+   */
+  function roundToTokenUnits(
+    int128 _amount
+  ) internal view returns (int128) {
+    return getTokenEth(token, getTokenWei(token, _amount));
+  }
+
+  // One whole token of _token, in token units
+  function tokenUnit(
+    address _token
+  ) internal view returns (uint) {
+    return 10 ** ERC20(_token).decimals();
   }
 
+  /**
+   * @dev Only positions pulled in by the market maker itself (splits and
+      sells) are accepted, and the subsidy of a conditional market, which the
+      factory moves in from its creator.
+   */
   function onERC1155Received(
-    address /* operator */,
+    address operator,
     address /* from */,
     uint256 /* id */,
     uint256 /* value */,
     bytes calldata /* data */
-  ) external pure override returns(bytes4) {
+  ) external view override returns(bytes4) {
+    require(msg.sender == address(conditionalTokens) && (operator == address(this) || operator == owner()),
+      'Unexpected position transfer');
     return this.onERC1155Received.selector;
   }
 
   function onERC1155BatchReceived(
     address operator,
-    address from,
-    uint256[] calldata ids,
-    uint256[] calldata values,
-    bytes calldata data
-  ) external override returns(bytes4) {
+    address /* from */,
+    uint256[] calldata /* ids */,
+    uint256[] calldata /* values */,
+    bytes calldata /* data */
+  ) external view override returns(bytes4) {
+    require(msg.sender == address(conditionalTokens) && operator == address(this),
+      'Unexpected position transfer');
     return this.onERC1155BatchReceived.selector;
   }
 
@@ -327,24 +1164,147 @@ contract LsLMSR is IERC1155Receiver, Ownable {
       _;
     }
 
-  function resolveMarket(uint[] calldata payouts) external {
-    require(msg.sender == owner(), "Only owner can resolve");
-    require(!isResolved, "Market already resolved");
+  /**
+   * @notice Reports the payouts for this market's condition. Can be called by
+      the oracle directly or forwarded by the factory on the oracle's behalf.
+      Markets with a close time can only be resolved once closed, and none
+      after the resolution deadline unless resolution started before it.
+   * @param payouts The payout numerators, one per outcome slot
+   */
+  function resolveMarket(uint[] calldata payouts) external onlyAfterInit() notResolved() {
+    requireOracle();
     require(payouts.length == numOutcomes, "Invalid payouts length");
-    
-    // Report payouts to ConditionalTokens contract
-    conditionalTokens.reportPayouts(condition, payouts);
-    
-    isResolved = true;
+    require(closeTime == 0 || block.timestamp >= closeTime, "Market not closed");
+    if(phase != Phase.Resolving) requireBeforeResolutionDeadline();
+
+    // The market prepared the condition, so it is the reporter the conditional
+    // tokens contract expects
+    conditionalTokens.reportPayouts(questionId, payouts);
+
     emit MarketResolved(condition, payouts);
+    setPhase(Phase.Resolved);
   }
 
-  // Optional: Prevent trading after resolution
+  /**
+   * @notice Marks the market as being resolved, which halts trading. Called by
+      the oracle when resolution takes more than one step, e.g. when a
+      proposal has to go unchallenged first. The oracle can then resolve the
+      market after the resolution deadline, and only it or the owner can
+      invalidate it.
+   */
+  function startResolution() external onlyAfterInit() {
+    requireOracle();
+    requireBeforeResolutionDeadline();
+    Phase current = getPhase();
+    require(current == Phase.Closed || (current == Phase.Open && closeTime == 0), "Market not closed");
+    setPhase(Phase.Resolving);
+  }
+
+  /**
+   * @notice Records that trading has closed. Trading halts at closeTime either
+      way; this only stores the phase and emits the event. Anyone can call it.
+   */
+  function close() external onlyAfterInit() {
+    require(phase == Phase.Open && getPhase() == Phase.Closed, "Market not closed");
+    setPhase(Phase.Closed);
+  }
+
+  /**
+   * @notice Resolves the market as invalid, e.g. when its question turns out to
+      be ambiguous, by reporting the same payout for every outcome. The oracle,
+      or the factory on behalf of its owner or the oracle, can do so at any
+      time before resolution; anyone can once the resolution deadline has
+      passed without the oracle reporting or starting to resolve it.
+   * @dev Every outcome token then redeems for 1/numOutcomes of a collateral
+      unit, so a position on an index set of k outcomes pays k/numOutcomes per
+      share. Liquidity providers withdraw as after any resolution: the pool's
+      outcome tokens are redeemed the same way and its collateral is shared out
+      by liquidity share.
+   */
+  function invalidate() external onlyAfterInit() notResolved() {
+    if(!isActiveOracle(msg.sender) && msg.sender != owner()) {
+      require(resolutionDeadline != 0 && block.timestamp >= resolutionDeadline,
+        "Resolution deadline not reached");
+      require(phase != Phase.Resolving, "Resolution in progress");
+    }
+
+    uint[] memory payouts = new uint[](numOutcomes);
+    for(uint i=0; i<numOutcomes; i++) {
+      payouts[i] = 1;
+    }
+    conditionalTokens.reportPayouts(questionId, payouts);
+    isInvalid = true;
+
+    emit MarketResolved(condition, payouts);
+    emit MarketInvalidated(condition);
+    setPhase(Phase.Resolved);
+  }
+
+  /**
+   * @notice The current phase of the market.
+   */
+  function getPhase() public view onlyAfterInit() returns (Phase) {
+    if(phase == Phase.Open && closeTime != 0 && block.timestamp >= closeTime) {
+      return Phase.Closed;
+    }
+    return phase;
+  }
+
+  function setPhase(Phase _phase) internal {
+    phase = _phase;
+    emit PhaseChanged(_phase);
+  }
+
+  /**
+   * @notice Whether payouts have been reported for this market's condition.
+   */
+  function isResolved() public view returns (bool) {
+    return init && conditionalTokens.payoutDenominator(condition) != 0;
+  }
+
+  // Prevent trading after resolution
   modifier notResolved() {
-    require(!isResolved, "Market is resolved");
+    requireNotResolved();
     _;
   }
 
+  // Prevent trading once the market has closed or is being resolved
+  modifier onlyOpen() {
+    requireOpen();
+    _;
+  }
+
+  function requireNotResolved() internal view {
+    require(!isResolved(), "Market already resolved");
+  }
+
+  // The oracle, or the factory forwarding for it
+  function requireOracle() internal view {
+    require(isActiveOracle(msg.sender) || msg.sender == owner(), "Only oracle can resolve");
+  }
+
+  // Whether _account is the oracle and, if the owner keeps a list of oracles
+  // like the factory does, still on it
+  function isActiveOracle(address _account) internal view returns (bool) {
+    if(_account != oracle) return false;
+    // An owner without an isOracle() view, such as an EOA, lists every oracle
+    (bool ok, bytes memory data) = owner().staticcall(abi.encodeWithSignature('isOracle(address)', _account));
+    return !ok || data.length != 32 || abi.decode(data, (bool));
+  }
+
+  function requireOpen() internal view {
+    require(getPhase() == Phase.Open, "Market closed");
+    require(!isPaused(), "Trading paused");
+  }
+
+  function requireBeforeResolutionDeadline() internal view {
+    require(resolutionDeadline == 0 || block.timestamp < resolutionDeadline, "Resolution deadline passed");
+  }
+
+  function requireBefore(uint _deadline) internal view {
+    require(block.timestamp <= _deadline, 'Trade expired');
+  }
+
   function isInitialized() public view returns (bool) {
     return init;
   }
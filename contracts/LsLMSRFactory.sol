@@ -1,39 +1,130 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlDefaultAdminRules.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "./ConditionalTokens.sol";
 import "./LsLMSR.sol";
 import "./NewMath.sol";
 
-contract LsLMSRFactory is Ownable {
+contract LsLMSRFactory is AccessControlDefaultAdminRules, Pausable {
     using SafeERC20 for IERC20;
+
+    // Roles the admin (DEFAULT_ADMIN_ROLE, also owner()) grants and revokes.
+    // A market's oracle can only resolve it while it holds the oracle role,
+    // and oracles settle disputed optimistic proposals. Pausers halt trading,
+    // and while the creator allowlist is on only market creators create
+    // markets.
+    bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant MARKET_CREATOR_ROLE = keccak256("MARKET_CREATOR_ROLE");
+
+    // Scalar markets' payouts add up to this, whatever their range
+    uint public constant SCALAR_PAYOUT_DENOMINATOR = 1e18;
     
     ConditionalTokens public immutable conditionalTokens;
+    // Markets are EIP-1167 clones of this LsLMSR
+    address public immutable marketImplementation;
     
     // Track all deployed markets
     LsLMSR[] public markets;
     
-    // Add oracle functionality
-    mapping(address => bool) public isOracle;
+    // Whether creating markets needs MARKET_CREATOR_ROLE
+    bool public creatorAllowlist;
+
+    // Fee policy, in basis points (see FEE_DENOMINATOR in LsLMSR.sol)
+    uint public maxFee;
+    uint public protocolFeeShare;
+    address public treasury;
+
+    // Collateral allowlist, with the least subsidy a market in each token
+    // needs, in token units
+    mapping(address => bool) public isCollateral;
+    mapping(address => uint) public minSubsidy;
+    address[] private collaterals;
     
     event MarketCreated(address market, address creator);
     event MarketSetup(address market, bytes32 questionId, uint numOutcomes);
+    event FeePolicyUpdated(uint maxFee, uint protocolFeeShare);
+    event TreasuryUpdated(address treasury);
+    event MarketInvalidated(address indexed market, address sender);
+    event CollateralUpdated(address indexed token, bool allowed, uint minSubsidy);
+    event ScalarMarketResolved(address indexed market, int value);
+    event CreatorAllowlistSet(bool enabled);
+    event MarketPausedSet(address indexed market, bool paused);
+
+    // Categorical markets pay out their outcomes as reported. Scalar markets
+    // have a Short and a Long outcome, paid out along a range by the value the
+    // oracle reports. Conditional markets are nested in an outcome of a parent
+    // market and only pay out if the parent resolves to it.
+    enum MarketType { Categorical, Scalar, Conditional }
     
+    // Registry record of a market
     struct MarketDetails {
+        address market;
+        address creator;
+        address collateralToken;
+        address oracle;
+        bytes32 questionId;
+        uint numOutcomes;
+        uint createdAt;
+        // When trading closes, 0 when the market has no close time
+        uint closeTime;
         string question;
         string[] outcomes;
-        address market;
+        string category;
+        string[] tags;
+        MarketType marketType;
+        // Scalar markets only: the range the value is reported in
+        int lowerBound;
+        int upperBound;
+        // Conditional markets only: the parent market and the index set of
+        // its outcomes the market is nested in
+        address parentMarket;
+        uint parentOutcome;
+        // Not stored, the views read it from the market
+        bool isResolved;
         bool exists;
     }
+
+    // Arguments of createMarket
+    struct MarketParams {
+        address collateralToken;
+        address oracle;
+        bytes32 questionId;
+        uint subsidy;
+        uint fee;
+        uint closeTime;
+        uint resolutionDeadline;
+        string question;
+        string[] outcomes;
+        string category;
+        string[] tags;
+    }
     
     // Map market address to its details
-    mapping(address => MarketDetails) public marketDetails;
+    mapping(address => MarketDetails) private marketDetails;
+
+    // Lookups, in creation order
+    mapping(address => address[]) private marketsByCreator;
+    mapping(address => address[]) private marketsByOracle;
+    mapping(address => address[]) private marketsByCollateral;
+    mapping(bytes32 => address[]) private marketsByQuestionId;
     
-    constructor(address _conditionalTokens) Ownable(msg.sender) {
+    // The deployer is the admin, with no delay on transferring the role, a
+    // pauser and an oracle
+    constructor(address _conditionalTokens, address _marketImplementation)
+        AccessControlDefaultAdminRules(0, msg.sender)
+    {
         conditionalTokens = ConditionalTokens(_conditionalTokens);
+        marketImplementation = _marketImplementation;
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(ORACLE_ROLE, msg.sender);
     }
     
     function createAndSetupMarket(
@@ -42,52 +133,183 @@ contract LsLMSRFactory is Ownable {
         bytes32 questionId,
         uint outcomeCount,
         uint subsidy,
+        uint fee,
         string memory question,
         string[] memory outcomes
     ) external returns (address) {
-        // First pull tokens from market creator
-        IERC20(collateralToken).safeTransferFrom(
-            msg.sender,    // from market creator
-            address(this), // to factory first
-            subsidy
+        require(outcomes.length == outcomeCount, "Outcome count mismatch");
+        return deployAndSetup(MarketType.Categorical, bytes32(0), MarketParams({
+            collateralToken: collateralToken,
+            oracle: oracle,
+            questionId: questionId,
+            subsidy: subsidy,
+            fee: fee,
+            closeTime: 0,
+            resolutionDeadline: 0,
+            question: question,
+            outcomes: outcomes,
+            category: "",
+            tags: new string[](0)
+        }));
+    }
+
+    // Same as createAndSetupMarket, with the market's close time and
+    // resolution deadline (see LsLMSR.setSchedule), and the registry's
+    // category and tags. The outcome count is the number of outcomes.
+    function createMarket(MarketParams memory params) external returns (address) {
+        return deployAndSetup(MarketType.Categorical, bytes32(0), params);
+    }
+
+    // Same as createMarket, for a scalar market on a value between lowerBound
+    // and upperBound. Its two outcomes are Short and Long, in that order, and
+    // resolveScalarMarket pays them out.
+    function createScalarMarket(
+        MarketParams memory params,
+        int lowerBound,
+        int upperBound
+    ) external returns (address market) {
+        require(params.outcomes.length == 2, "Scalar markets have two outcomes");
+        require(lowerBound < upperBound, "Invalid scalar bounds");
+        market = deployAndSetup(MarketType.Scalar, bytes32(0), params);
+        marketDetails[market].lowerBound = lowerBound;
+        marketDetails[market].upperBound = upperBound;
+    }
+
+    // Same as createMarket, for a market nested in the outcomes parentOutcome
+    // (an index set) of parentMarket. It is funded, traded and paid out in the
+    // parent's position on those outcomes instead of the collateral token, so
+    // the creator approves the factory on the conditional tokens contract for
+    // the subsidy rather than the token.
+    function createConditionalMarket(
+        MarketParams memory params,
+        address parentMarket,
+        uint parentOutcome
+    ) external returns (address market) {
+        require(marketDetails[parentMarket].exists, "Market not found");
+        LsLMSR parent = LsLMSR(parentMarket);
+        require(
+            parentOutcome > 0 && parentOutcome < (1 << parent.numOutcomes()) - 1,
+            "Invalid parent outcome"
         );
+        require(params.collateralToken == parent.token(), "Collateral mismatch");
 
-        // Create new market (factory is owner)
-        LsLMSR market = new LsLMSR(
-            address(conditionalTokens),
-            collateralToken
+        bytes32 parentCollectionId = conditionalTokens.getCollectionId(
+            parent.parentCollectionId(),
+            parent.condition(),
+            parentOutcome
         );
+        market = deployAndSetup(MarketType.Conditional, parentCollectionId, params);
+        marketDetails[market].parentMarket = parentMarket;
+        marketDetails[market].parentOutcome = parentOutcome;
+    }
+
+    function deployAndSetup(
+        MarketType marketType,
+        bytes32 parentCollectionId,
+        MarketParams memory params
+    ) internal whenNotPaused returns (address) {
+        if (creatorAllowlist) _checkRole(MARKET_CREATOR_ROLE);
+        require(params.fee <= maxFee, "Fee above maximum");
+        require(isCollateral[params.collateralToken], "Collateral not allowed");
+        require(params.subsidy >= minSubsidy[params.collateralToken], "Subsidy below minimum");
 
-        // Transfer tokens to market - NO NEED FOR APPROVE
-        IERC20(collateralToken).safeTransfer(
-            address(market),
-            subsidy
+        // First pull tokens from market creator. Markets account for every
+        // transfer at face value, so tokens that take a cut are turned away.
+        if (parentCollectionId == bytes32(0)) {
+            uint balance = IERC20(params.collateralToken).balanceOf(address(this));
+            IERC20(params.collateralToken).safeTransferFrom(
+                msg.sender,    // from market creator
+                address(this), // to factory first
+                params.subsidy
+            );
+            require(
+                IERC20(params.collateralToken).balanceOf(address(this)) == balance + params.subsidy,
+                "Fee-on-transfer collateral"
+            );
+        }
+
+        // Create new market as a clone (factory is owner), at the address
+        // predictMarketAddress returns
+        bytes32 salt = marketSalt(params.questionId, msg.sender);
+        require(
+            Clones.predictDeterministicAddress(marketImplementation, salt).code.length == 0,
+            "Market already exists"
         );
+        LsLMSR market = LsLMSR(Clones.cloneDeterministic(marketImplementation, salt));
+        market.initialize(address(conditionalTokens), params.collateralToken);
+
+        // Transfer tokens to market - NO NEED FOR APPROVE. A conditional
+        // market's subsidy goes straight from the creator's parent position.
+        if (parentCollectionId == bytes32(0)) {
+            IERC20(params.collateralToken).safeTransfer(
+                address(market),
+                params.subsidy
+            );
+        } else {
+            market.setParentCollection(parentCollectionId);
+            conditionalTokens.safeTransferFrom(
+                msg.sender,
+                address(market),
+                conditionalTokens.getPositionId(IERC20(params.collateralToken), parentCollectionId),
+                params.subsidy,
+                ""
+            );
+        }
+
+        // Fees and schedule are fixed before the market goes live
+        market.setFees(params.fee, protocolFeeShare);
+        market.setSchedule(params.closeTime, params.resolutionDeadline);
 
         // Setup market
         market.setup(
-            oracle,
-            questionId,
-            outcomeCount,
-            subsidy
+            params.oracle,
+            params.questionId,
+            params.outcomes.length,
+            params.subsidy,
+            msg.sender
         );
 
         markets.push(market);
         
         // Store human-readable details
-        marketDetails[address(market)] = MarketDetails({
-            question: question,
-            outcomes: outcomes,
-            market: address(market),
-            exists: true
-        });
+        MarketDetails storage details = marketDetails[address(market)];
+        details.market = address(market);
+        details.creator = msg.sender;
+        details.collateralToken = params.collateralToken;
+        details.oracle = params.oracle;
+        details.questionId = params.questionId;
+        details.numOutcomes = params.outcomes.length;
+        details.createdAt = block.timestamp;
+        details.closeTime = params.closeTime;
+        details.question = params.question;
+        details.outcomes = params.outcomes;
+        details.category = params.category;
+        details.tags = params.tags;
+        details.marketType = marketType;
+        details.exists = true;
+
+        marketsByCreator[msg.sender].push(address(market));
+        marketsByOracle[params.oracle].push(address(market));
+        marketsByCollateral[params.collateralToken].push(address(market));
+        marketsByQuestionId[params.questionId].push(address(market));
         
         emit MarketCreated(address(market), msg.sender);
-        emit MarketSetup(address(market), questionId, outcomeCount);
+        emit MarketSetup(address(market), params.questionId, params.outcomes.length);
         
         return address(market);
     }
     
+    // The address the market creator creates for questionId is deployed at,
+    // whether or not it exists yet
+    function predictMarketAddress(bytes32 questionId, address creator) external view returns (address) {
+        return Clones.predictDeterministicAddress(marketImplementation, marketSalt(questionId, creator));
+    }
+
+    // CREATE2 salt of a market: one market per question and creator
+    function marketSalt(bytes32 questionId, address creator) internal pure returns (bytes32) {
+        return keccak256(abi.encode(questionId, creator));
+    }
+
     function getMarket(uint index) external view returns (address) {
         return address(markets[index]);
     }
@@ -95,32 +317,270 @@ contract LsLMSRFactory is Ownable {
     function getMarketCount() external view returns (uint) {
         return markets.length;
     }
+
+    // Whether the factory created the market
+    function isMarket(address market) external view returns (bool) {
+        return marketDetails[market].exists;
+    }
     
-    function addOracle(address oracle) external onlyOwner {
-        isOracle[oracle] = true;
+    // Whether the account holds ORACLE_ROLE
+    function isOracle(address account) external view returns (bool) {
+        return hasRole(ORACLE_ROLE, account);
+    }
+
+    function addOracle(address oracle) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _grantRole(ORACLE_ROLE, oracle);
+    }
+
+    function removeOracle(address oracle) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _revokeRole(ORACLE_ROLE, oracle);
+    }
+
+    // Turns the market creator allowlist on or off
+    function setCreatorAllowlist(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        creatorAllowlist = enabled;
+        emit CreatorAllowlistSet(enabled);
+    }
+
+    // Halts trading and adding liquidity in every market of the factory, and
+    // creating markets, until unpaused. Resolution, liquidity withdrawals and
+    // redemption go on.
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    // Same as pause, for one market
+    function setMarketPaused(address market, bool _paused) external onlyRole(PAUSER_ROLE) {
+        require(marketDetails[market].exists, "Market not found");
+        LsLMSR(market).setPaused(_paused);
+        emit MarketPausedSet(market, _paused);
+    }
+
+    // Caps the fee markets can be created with and sets the protocol's cut of it.
+    // Only applies to markets created afterwards.
+    function setFeePolicy(uint _maxFee, uint _protocolFeeShare) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            _maxFee <= FEE_DENOMINATOR && _protocolFeeShare <= FEE_DENOMINATOR,
+            "Invalid fee policy"
+        );
+        maxFee = _maxFee;
+        protocolFeeShare = _protocolFeeShare;
+        emit FeePolicyUpdated(_maxFee, _protocolFeeShare);
+    }
+
+    // Allows or disallows a collateral token for new markets. Markets work in
+    // whole tokens of up to 18 decimals; existing markets are not affected.
+    function setCollateral(address token, bool allowed, uint _minSubsidy) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (allowed) {
+            require(IERC20Metadata(token).decimals() <= 18, "Unsupported decimals");
+        }
+        bool listed = false;
+        for (uint i = 0; i < collaterals.length; i++) {
+            if (collaterals[i] == token) listed = true;
+        }
+        if (!listed) collaterals.push(token);
+
+        isCollateral[token] = allowed;
+        minSubsidy[token] = _minSubsidy;
+        emit CollateralUpdated(token, allowed, _minSubsidy);
+    }
+
+    // Tokens currently allowed as collateral
+    function getCollaterals() external view returns (address[] memory allowed) {
+        uint count = 0;
+        for (uint i = 0; i < collaterals.length; i++) {
+            if (isCollateral[collaterals[i]]) count++;
+        }
+        allowed = new address[](count);
+        count = 0;
+        for (uint i = 0; i < collaterals.length; i++) {
+            if (isCollateral[collaterals[i]]) allowed[count++] = collaterals[i];
+        }
+    }
+
+    function setTreasury(address _treasury) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    // Sends a market's protocol fees to the treasury. Anyone can call this.
+    function collectProtocolFees(address market) external {
+        require(marketDetails[market].exists, "Market not found");
+        require(treasury != address(0), "Treasury not set");
+        LsLMSR(market).claimProtocolFees(treasury);
     }
     
+    // Forwards the payouts of the oracle the market was set up with, while it
+    // holds the oracle role
     function resolveMarket(
         address market,
         uint[] calldata payouts
     ) external {
-        require(isOracle[msg.sender], "Not authorized");
+        require(marketDetails[market].exists, "Market not found");
+        requireMarketOracle(market);
         LsLMSR(market).resolveMarket(payouts);
     }
+
+    // Resolves a scalar market on the value its oracle reports, clamped to the
+    // market's range: Long pays out (value - lowerBound) / (upperBound -
+    // lowerBound) of SCALAR_PAYOUT_DENOMINATOR, rounded down, and Short the
+    // rest. Scaling keeps the payouts small enough for ConditionalTokens to
+    // redeem, however wide the range.
+    function resolveScalarMarket(address market, int value) external {
+        MarketDetails storage details = marketDetails[market];
+        require(details.marketType == MarketType.Scalar, "Not a scalar market");
+        requireMarketOracle(market);
+
+        if (value < details.lowerBound) value = details.lowerBound;
+        if (value > details.upperBound) value = details.upperBound;
+        uint[] memory payouts = new uint[](2);
+        // The differences of two ints can exceed int256 but never uint256,
+        // and wrap around to the right value
+        unchecked {
+            payouts[1] = Math.mulDiv(
+                uint(value) - uint(details.lowerBound),
+                SCALAR_PAYOUT_DENOMINATOR,
+                uint(details.upperBound) - uint(details.lowerBound)
+            );
+        }
+        payouts[0] = SCALAR_PAYOUT_DENOMINATOR - payouts[1];
+        LsLMSR(market).resolveMarket(payouts);
+        emit ScalarMarketResolved(market, value);
+    }
+    
+    // Withdraws the sender's liquidity, such as what is left of the subsidy,
+    // from resolved markets they created, and returns the collateral paid out
+    function reclaimSubsidy(address[] calldata created) external returns (uint amount) {
+        for (uint i = 0; i < created.length; i++) {
+            require(marketDetails[created[i]].creator == msg.sender, "Not authorized");
+            amount += LsLMSR(created[i]).withdrawFor(msg.sender);
+        }
+    }
+
+    // Resolves a market as invalid, paying every outcome equally (see
+    // LsLMSR.invalidate). The factory owner can void any market, e.g. one whose
+    // question turned out ambiguous, and an oracle its own markets.
+    function invalidateMarket(address market) external {
+        require(marketDetails[market].exists, "Market not found");
+        if (!hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) requireMarketOracle(market);
+        LsLMSR(market).invalidate();
+        emit MarketInvalidated(market, msg.sender);
+    }
+
+    function requireMarketOracle(address market) internal view {
+        require(
+            msg.sender == LsLMSR(market).oracle() && hasRole(ORACLE_ROLE, msg.sender),
+            "Not authorized"
+        );
+    }
     
-    // Getter for market details
+    // Getter for market details. The bounds are 0 unless the market is
+    // scalar, and the parent market and outcome unless it is conditional.
     function getMarketDetails(address market) 
         external 
         view 
         returns (
             string memory question,
-            string[] memory outcomes
+            string[] memory outcomes,
+            MarketType marketType,
+            int lowerBound,
+            int upperBound,
+            address parentMarket,
+            uint parentOutcome
         ) 
     {
-        require(marketDetails[market].exists, "Market not found");
+        MarketDetails storage details = marketDetails[market];
+        require(details.exists, "Market not found");
         return (
-            marketDetails[market].question,
-            marketDetails[market].outcomes
+            details.question,
+            details.outcomes,
+            details.marketType,
+            details.lowerBound,
+            details.upperBound,
+            details.parentMarket,
+            details.parentOutcome
         );
     }
-} 
\ No newline at end of file
+
+    // Full registry record of a market, with its current status
+    function getMarketInfo(address market) public view returns (MarketDetails memory details) {
+        require(marketDetails[market].exists, "Market not found");
+        details = marketDetails[market];
+        details.isResolved = LsLMSR(market).isResolved();
+    }
+
+    // Registry records of up to limit markets from offset, in creation order
+    function getMarkets(uint offset, uint limit) external view returns (MarketDetails[] memory page) {
+        uint count = pageSize(markets.length, offset, limit);
+        page = new MarketDetails[](count);
+        for (uint i = 0; i < count; i++) {
+            page[i] = getMarketInfo(address(markets[offset + i]));
+        }
+    }
+
+    // The lookups below return a page of market addresses and the total
+    // number of matches
+    function getMarketsByCreator(address creator, uint offset, uint limit)
+        external view returns (address[] memory page, uint total)
+    {
+        return slice(marketsByCreator[creator], offset, limit);
+    }
+
+    function getMarketsByOracle(address oracle, uint offset, uint limit)
+        external view returns (address[] memory page, uint total)
+    {
+        return slice(marketsByOracle[oracle], offset, limit);
+    }
+
+    function getMarketsByCollateral(address collateralToken, uint offset, uint limit)
+        external view returns (address[] memory page, uint total)
+    {
+        return slice(marketsByCollateral[collateralToken], offset, limit);
+    }
+
+    function getMarketsByQuestionId(bytes32 questionId, uint offset, uint limit)
+        external view returns (address[] memory page, uint total)
+    {
+        return slice(marketsByQuestionId[questionId], offset, limit);
+    }
+
+    // Returns up to limit resolved, or still active, markets, scanning from
+    // index offset. Status lives in the markets, so this is a scan rather than
+    // a lookup: the next page starts at next, which is the market count once
+    // every market has been scanned.
+    function getMarketsByStatus(bool resolved, uint offset, uint limit)
+        external view returns (address[] memory page, uint next)
+    {
+        address[] memory found = new address[](pageSize(markets.length, offset, limit));
+        uint count = 0;
+        for (next = offset; next < markets.length && count < found.length; next++) {
+            if (markets[next].isResolved() == resolved) {
+                found[count++] = address(markets[next]);
+            }
+        }
+
+        page = new address[](count);
+        for (uint i = 0; i < count; i++) {
+            page[i] = found[i];
+        }
+    }
+
+    function slice(address[] storage list, uint offset, uint limit)
+        internal view returns (address[] memory page, uint total)
+    {
+        total = list.length;
+        page = new address[](pageSize(total, offset, limit));
+        for (uint i = 0; i < page.length; i++) {
+            page[i] = list[offset + i];
+        }
+    }
+
+    function pageSize(uint total, uint offset, uint limit) internal pure returns (uint) {
+        if (offset >= total) return 0;
+        return total - offset < limit ? total - offset : limit;
+    }
+}
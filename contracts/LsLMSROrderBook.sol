@@ -0,0 +1,218 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ConditionalTokens.sol";
+import "./LsLMSR.sol";
+import "./LsLMSRFactory.sol";
+import "./NewMath.sol";
+
+/**
+ * @title LsLMSR Order Book
+ * @notice Standing buy orders against the markets of a factory. A trader
+ * escrows the most an order can cost, fee included, and a tip, and anyone can
+ * fill the order once the market's price is within its limit, for the tip.
+ * The trader can cancel an open order, and anyone an expired one, which
+ * refunds the escrow and the tip.
+ *
+ * @dev The limit is on the average price per share of the whole order before
+ * the fee, LsLMSR.price(outcome, amount) / amount. It is above the marginal
+ * price, so an order with a limit of 0.2 fills a little after the marginal
+ * price drops below 0.2, the later the larger the order. Filled orders buy
+ * through the order book, so the markets' Trade events name it as the
+ * trader. Only markets on the collateral token itself are supported, as in
+ * the router.
+ */
+contract LsLMSROrderBook is IERC1155Receiver {
+    using SafeERC20 for IERC20;
+
+    enum Status { Open, Filled, Cancelled }
+
+    struct Order {
+        address trader;
+        LsLMSR market;
+        // Index set of the outcomes bought, as in LsLMSR.buy
+        uint outcome;
+        // 64.64 fixed point shares
+        int128 amount;
+        // Most the order pays per share before the fee, 64.64 fixed point
+        int128 limitPrice;
+        // Collateral held for the trade, fee included, and the tip of
+        // whoever fills the order, in token units
+        uint escrow;
+        uint tip;
+        // Last timestamp the order can be filled at
+        uint expiry;
+        Status status;
+    }
+
+    LsLMSRFactory public immutable factory;
+    ConditionalTokens public immutable conditionalTokens;
+
+    // Every order placed, by id
+    Order[] private orders;
+
+    // The market of the order being filled, the only sender of positions the
+    // order book accepts
+    address private activeMarket;
+
+    event OrderPlaced(
+        uint indexed orderId,
+        address indexed trader,
+        address indexed market,
+        uint outcome,
+        int128 amount,
+        int128 limitPrice,
+        uint escrow,
+        uint tip,
+        uint expiry
+    );
+    event OrderFilled(uint indexed orderId, address indexed keeper, uint cost);
+    event OrderCancelled(uint indexed orderId);
+
+    constructor(LsLMSRFactory _factory) {
+        factory = _factory;
+        conditionalTokens = _factory.conditionalTokens();
+    }
+
+    // Places an order for amount shares of outcome at an average price of at
+    // most limitPrice, which can be filled until expiry. Takes the most the
+    // trade can cost, fee included, and the tip from the sender.
+    function placeOrder(
+        LsLMSR market,
+        uint outcome,
+        int128 amount,
+        int128 limitPrice,
+        uint tip,
+        uint expiry
+    ) external returns (uint orderId) {
+        require(factory.isMarket(address(market)), "Market not found");
+        require(market.parentCollectionId() == bytes32(0), "Conditional markets not supported");
+        require(outcome > 0 && outcome < 1 << market.numOutcomes(), "Invalid outcome");
+        require(amount > 0 && limitPrice > 0, "Invalid amount");
+        require(expiry > block.timestamp, "Invalid expiry");
+
+        address token = market.token();
+        uint maxCost = market.getTokenWeiUp(token, NewMath.mul(limitPrice, amount));
+        uint escrow = maxCost + market.getFee(maxCost);
+        IERC20(token).safeTransferFrom(msg.sender, address(this), escrow + tip);
+
+        orderId = orders.length;
+        orders.push(Order({
+            trader: msg.sender,
+            market: market,
+            outcome: outcome,
+            amount: amount,
+            limitPrice: limitPrice,
+            escrow: escrow,
+            tip: tip,
+            expiry: expiry,
+            status: Status.Open
+        }));
+        emit OrderPlaced(orderId, msg.sender, address(market), outcome, amount, limitPrice, escrow, tip, expiry);
+    }
+
+    // Whether executeOrder would fill the order now
+    function canExecute(uint orderId) external view returns (bool) {
+        Order storage order = orders[orderId];
+        if (order.status != Status.Open || block.timestamp > order.expiry) return false;
+        if (order.market.getPhase() != LsLMSR.Phase.Open || order.market.isPaused()) return false;
+        try order.market.price(order.outcome, order.amount) returns (int128 cost) {
+            return cost <= NewMath.mul(order.limitPrice, order.amount);
+        } catch {
+            return false;
+        }
+    }
+
+    // Fills an open order whose limit the market's price is within, sending
+    // the shares and what is left of the escrow to the trader and the tip to
+    // the sender. Returns what the trade cost, fee included.
+    function executeOrder(uint orderId) external returns (uint cost) {
+        Order storage order = orders[orderId];
+        require(order.status == Status.Open, "Order not open");
+        require(block.timestamp <= order.expiry, "Order expired");
+        require(
+            order.market.price(order.outcome, order.amount) <= NewMath.mul(order.limitPrice, order.amount),
+            "Price above limit"
+        );
+        order.status = Status.Filled;
+
+        // Within the limit, the quote is at most the escrow
+        IERC20 token = IERC20(order.market.token());
+        cost = order.market.buyQuote(order.outcome, order.amount);
+        token.forceApprove(address(order.market), cost);
+
+        activeMarket = address(order.market);
+        order.market.buyWithMaxCost(order.outcome, order.amount, cost, block.timestamp);
+        activeMarket = address(0);
+
+        bytes32 collectionId = conditionalTokens.getCollectionId(bytes32(0), order.market.condition(), order.outcome);
+        conditionalTokens.safeTransferFrom(
+            address(this),
+            order.trader,
+            conditionalTokens.getPositionId(token, collectionId),
+            order.market.getTokenWei(address(token), order.amount),
+            ""
+        );
+        token.safeTransfer(order.trader, order.escrow - cost);
+        token.safeTransfer(msg.sender, order.tip);
+        emit OrderFilled(orderId, msg.sender, cost);
+    }
+
+    // Cancels an open order and refunds its escrow and tip to the trader. The
+    // trader can cancel at any time, anyone else once the order has expired.
+    function cancelOrder(uint orderId) external {
+        Order storage order = orders[orderId];
+        require(order.status == Status.Open, "Order not open");
+        require(msg.sender == order.trader || block.timestamp > order.expiry, "Not authorized");
+        order.status = Status.Cancelled;
+
+        IERC20(order.market.token()).safeTransfer(order.trader, order.escrow + order.tip);
+        emit OrderCancelled(orderId);
+    }
+
+    function getOrder(uint orderId) external view returns (Order memory) {
+        return orders[orderId];
+    }
+
+    function getOrderCount() external view returns (uint) {
+        return orders.length;
+    }
+
+    // Up to limit orders from offset, by id
+    function getOrders(uint offset, uint limit) external view returns (Order[] memory page) {
+        uint count = offset >= orders.length ? 0 : orders.length - offset;
+        if (count > limit) count = limit;
+        page = new Order[](count);
+        for (uint i = 0; i < count; i++) {
+            page[i] = orders[offset + i];
+        }
+    }
+
+    function onERC1155Received(
+        address operator,
+        address /* from */,
+        uint256 /* id */,
+        uint256 /* value */,
+        bytes calldata /* data */
+    ) external view override returns (bytes4) {
+        require(msg.sender == address(conditionalTokens) && operator == activeMarket, "Unexpected position transfer");
+        return this.onERC1155Received.selector;
+    }
+
+    function onERC1155BatchReceived(
+        address /* operator */,
+        address /* from */,
+        uint256[] calldata /* ids */,
+        uint256[] calldata /* values */,
+        bytes calldata /* data */
+    ) external pure override returns (bytes4) {
+        revert("Unexpected position transfer");
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure override returns (bool) {
+        return interfaceId == type(IERC1155Receiver).interfaceId;
+    }
+}
@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./ConditionalTokens.sol";
+import "./LsLMSR.sol";
+import "./LsLMSRFactory.sol";
+
+/**
+ * @title LsLMSR Router
+ * @notice Buys in several markets of a factory in one transaction. Each leg has
+ * its own maximum cost, and if any leg fails the whole batch reverts.
+ *
+ * @dev The router pulls the quoted cost of each leg from the trader, buys on
+ * their behalf and forwards the outcome tokens, so the markets' Trade events
+ * name the router as the trader. It holds nothing between transactions.
+ * Only markets on the collateral token itself can be bought in, not
+ * conditional markets.
+ */
+contract LsLMSRRouter is IERC1155Receiver {
+    using SafeERC20 for IERC20;
+
+    struct Leg {
+        LsLMSR market;
+        // Index set of the outcomes bought, as in LsLMSR.buy
+        uint outcome;
+        // 64.64 fixed point shares
+        int128 amount;
+        // Most collateral, fee included, the leg may cost
+        uint maxCost;
+    }
+
+    // EIP-2612 permit for the router to spend a collateral token
+    struct Permit {
+        address token;
+        uint value;
+        uint deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    LsLMSRFactory public immutable factory;
+    ConditionalTokens public immutable conditionalTokens;
+
+    // The market a leg is being bought in, the only sender of positions the
+    // router accepts
+    address private activeMarket;
+
+    event BatchBought(address indexed trader, uint legs);
+
+    constructor(LsLMSRFactory _factory) {
+        factory = _factory;
+        conditionalTokens = _factory.conditionalTokens();
+    }
+
+    // Buys every leg or none, before the deadline. Returns what each leg cost.
+    function buyBatch(Leg[] calldata legs, uint deadline) public returns (uint[] memory costs) {
+        require(block.timestamp <= deadline, "Trade expired");
+        costs = new uint[](legs.length);
+        for (uint i = 0; i < legs.length; i++) {
+            costs[i] = buyLeg(legs[i], deadline);
+        }
+        emit BatchBought(msg.sender, legs.length);
+    }
+
+    // Same as buyBatch, approving the router with permits first. As in
+    // LsLMSR.buyWithPermit, a permit that was already used is skipped.
+    function buyBatchWithPermits(
+        Leg[] calldata legs,
+        uint deadline,
+        Permit[] calldata permits
+    ) external returns (uint[] memory costs) {
+        for (uint i = 0; i < permits.length; i++) {
+            Permit calldata p = permits[i];
+            try IERC20Permit(p.token).permit(msg.sender, address(this), p.value, p.deadline, p.v, p.r, p.s) {} catch {}
+        }
+        return buyBatch(legs, deadline);
+    }
+
+    function buyLeg(Leg calldata leg, uint deadline) internal returns (uint cost) {
+        require(factory.isMarket(address(leg.market)), "Market not found");
+        // Conditional markets trade in a parent position, not the token
+        require(leg.market.parentCollectionId() == bytes32(0), "Conditional markets not supported");
+        IERC20 token = IERC20(leg.market.token());
+
+        cost = leg.market.buyQuote(leg.outcome, leg.amount);
+        require(cost <= leg.maxCost, "Cost exceeds maximum");
+        token.safeTransferFrom(msg.sender, address(this), cost);
+        token.forceApprove(address(leg.market), cost);
+
+        activeMarket = address(leg.market);
+        leg.market.buyWithMaxCost(leg.outcome, leg.amount, cost, deadline);
+        activeMarket = address(0);
+
+        bytes32 collectionId = conditionalTokens.getCollectionId(bytes32(0), leg.market.condition(), leg.outcome);
+        conditionalTokens.safeTransferFrom(
+            address(this),
+            msg.sender,
+            conditionalTokens.getPositionId(token, collectionId),
+            leg.market.getTokenWei(address(token), leg.amount),
+            ""
+        );
+    }
+
+    function onERC1155Received(
+        address operator,
+        address /* from */,
+        uint256 /* id */,
+        uint256 /* value */,
+        bytes calldata /* data */
+    ) external view override returns (bytes4) {
+        require(msg.sender == address(conditionalTokens) && operator == activeMarket, "Unexpected position transfer");
+        return this.onERC1155Received.selector;
+    }
+
+    function onERC1155BatchReceived(
+        address /* operator */,
+        address /* from */,
+        uint256[] calldata /* ids */,
+        uint256[] calldata /* values */,
+        bytes calldata /* data */
+    ) external pure override returns (bytes4) {
+        revert("Unexpected position transfer");
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure override returns (bool) {
+        return interfaceId == type(IERC1155Receiver).interfaceId;
+    }
+}
@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "./LsLMSR.sol";
+import "./LsLMSRFactory.sol";
+
+/**
+ * @title Market Lens
+ * @notice Read-only helper that batches the views a frontend needs to show a
+ * market into a single call.
+ *
+ * @dev Values come in two forms: the market maker's 64.64 fixed point numbers,
+ * and the same numbers in collateral token units (shares and prices scaled by
+ * 10^decimals, as getTokenWei does).
+ */
+contract MarketLens {
+    struct MarketSnapshot {
+        address market;
+        string question;
+        string[] outcomes;
+        uint numOutcomes;
+        bool isResolved;
+        address collateralToken;
+        uint8 decimals;
+        uint collateralBalance;
+        // 64.64 fixed point
+        int128[] q;
+        int128 b;
+        int128 alpha;
+        int128 totalShares;
+        int128 currentCost;
+        int128[] marginalPrices;
+        // Token units
+        uint[] qWei;
+        uint bWei;
+        uint alphaWei;
+        uint totalSharesWei;
+        uint currentCostWei;
+        uint[] marginalPricesWei;
+    }
+
+    /**
+     * @notice Returns the state, prices and metadata of a market created by
+     * factory.
+     */
+    function getMarketSnapshot(LsLMSRFactory factory, LsLMSR market)
+        public
+        view
+        returns (MarketSnapshot memory snapshot)
+    {
+        snapshot.market = address(market);
+        (snapshot.question, snapshot.outcomes, , , , , ) = factory.getMarketDetails(address(market));
+        snapshot.numOutcomes = market.numOutcomes();
+        snapshot.isResolved = market.isResolved();
+        snapshot.collateralToken = market.token();
+        snapshot.decimals = ERC20(snapshot.collateralToken).decimals();
+        snapshot.collateralBalance = collateralBalance(market, snapshot.collateralToken);
+
+        (
+            snapshot.q,
+            snapshot.b,
+            snapshot.alpha,
+            snapshot.totalShares,
+            snapshot.currentCost
+        ) = market.getMarketState();
+        snapshot.marginalPrices = market.getMarginalPrices();
+
+        uint unit = 10 ** snapshot.decimals;
+        snapshot.qWei = toTokenUnits(snapshot.q, unit);
+        snapshot.bWei = NewMath.mulu(snapshot.b, unit);
+        snapshot.alphaWei = NewMath.mulu(snapshot.alpha, unit);
+        snapshot.totalSharesWei = NewMath.mulu(snapshot.totalShares, unit);
+        snapshot.currentCostWei = NewMath.mulu(snapshot.currentCost, unit);
+        snapshot.marginalPricesWei = toTokenUnits(snapshot.marginalPrices, unit);
+    }
+
+    /**
+     * @notice Returns the snapshots of several markets of factory.
+     */
+    function getMarketSnapshots(LsLMSRFactory factory, LsLMSR[] calldata markets)
+        external
+        view
+        returns (MarketSnapshot[] memory snapshots)
+    {
+        snapshots = new MarketSnapshot[](markets.length);
+        for (uint i = 0; i < markets.length; i++) {
+            snapshots[i] = getMarketSnapshot(factory, markets[i]);
+        }
+    }
+
+    // What the market holds of its collateral: the token, or the parent
+    // position of a conditional market
+    function collateralBalance(LsLMSR market, address token) internal view returns (uint) {
+        bytes32 parentCollectionId = market.parentCollectionId();
+        if (parentCollectionId == bytes32(0)) return IERC20(token).balanceOf(address(market));
+        ConditionalTokens ct = market.conditionalTokens();
+        return ct.balanceOf(address(market), ct.getPositionId(IERC20(token), parentCollectionId));
+    }
+
+    function toTokenUnits(int128[] memory values, uint unit) internal pure returns (uint[] memory result) {
+        result = new uint[](values.length);
+        for (uint i = 0; i < values.length; i++) {
+            result[i] = NewMath.mulu(values[i], unit);
+        }
+    }
+}
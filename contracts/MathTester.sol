@@ -31,6 +31,14 @@ contract MathTester {
     function add(int128 x, int128 y) public pure returns (int128) {
         return NewMath.add(x, y);
     }
+
+    function sub(int128 x, int128 y) public pure returns (int128) {
+        return NewMath.sub(x, y);
+    }
+
+    function mul(int128 x, int128 y) public pure returns (int128) {
+        return NewMath.mul(x, y);
+    }
     
     function div(int128 x, int128 y) public pure returns (int128) {
         return NewMath.div(x, y);
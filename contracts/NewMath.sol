@@ -200,7 +200,8 @@ library NewMath {
 
     /**
      * @notice Computes 2^x where x is a 64.64 fixed point number
-     * @dev Optimized for LMSR price impact behavior
+     * @dev The integer part of x is applied as a bit shift and the fractional
+     *      part is evaluated as a Taylor series of e^(f·ln2).
      */
     function exp_2(int128 x) internal pure returns (int128) {
         // Handle x = 0 case early
@@ -219,7 +220,8 @@ library NewMath {
         // Calculate 2^n through bit shifting
         int128 result;
         if (n >= 0) {
-            require(uint256(uint128(n)) < 128, "exp_2: integer overflow");
+            // 2^63 is past the 64.64 range, and ONE << 63 would wrap negative
+            require(uint256(uint128(n)) < 63, "exp_2: integer overflow");
             result = int128(uint128(ONE) << uint128(n));
         } else {
             uint256 shift = uint256(uint128(-n));
@@ -227,17 +229,17 @@ library NewMath {
             result = int128(uint128(ONE) >> shift);
         }
 
-        // For fractional part, use coefficients optimized for LMSR behavior
-        int128 z = div(mul(f, LN2), ONE);
-        int128 z2 = div(mul(z, z), ONE);
-        int128 z3 = div(mul(z2, z), ONE);
-
-        // Diminishing series with carefully balanced terms
+        // For the fractional part z = f·ln2 lies in [0, ln2), so each term of
+        // the series is less than the previous one divided by its index and the
+        // loop ends once the terms drop below 64.64 precision.
+        int128 z = mul(f, LN2);
+        int128 term = ONE;
         int128 sum = ONE;
-        sum = add(sum, z);                                  // + z
-        sum = add(sum, div(z2, fromInt(2)));               // + z²/2
-        sum = add(sum, div(mul(z3, fromInt(7)), ONE * 6)); // + (7/6)z³
+        for (int128 i = 1; term != 0; i++) {
+            term = mul(term, z) / i;
+            sum = add(sum, term);
+        }
 
-        return div(mul(result, sum), ONE);
+        return mul(result, sum);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./LsLMSR.sol";
+import "./LsLMSRFactory.sol";
+
+/**
+ * @title Optimistic Oracle
+ * @notice Resolves LsLMSR markets optimistically. Markets that want to use it
+ * are created with this contract as their oracle, and the factory must list
+ * it as an oracle (ORACLE_ROLE) for it to settle them.
+ *
+ * @dev Resolution flow:
+ * 1. Anyone proposes a payout vector for a market and posts a bond. This
+ *    moves the market to its Resolving phase, which halts trading.
+ * 2. During the liveness window anyone can dispute it by posting the same bond.
+ * 3. An undisputed proposal is settled into the market after the window,
+ *    which reports the payouts to ConditionalTokens. The bond is returned.
+ * 4. A disputed proposal is escalated to the factory's oracles (isOracle),
+ *    who report the final payouts. Whoever the arbiter agrees with receives
+ *    both bonds; the other side is slashed.
+ * 5. If the market is resolved another way while a proposal is pending, e.g.
+ *    invalidated through the factory, settle or arbitrate returns the bonds
+ *    and drops the proposal.
+ */
+contract OptimisticOracle {
+    using SafeERC20 for IERC20;
+
+    LsLMSRFactory public immutable factory;
+    IERC20 public immutable bondToken;
+    uint public immutable bond;
+    uint public immutable liveness;
+
+    struct Proposal {
+        address proposer;
+        address disputer;
+        uint[] payouts;
+        uint expiresAt;
+    }
+
+    // Map market address to its pending proposal
+    mapping(address => Proposal) private proposals;
+
+    event ResolutionProposed(address indexed market, address indexed proposer, uint[] payouts, uint expiresAt);
+    event ResolutionDisputed(address indexed market, address indexed disputer);
+    event ResolutionSettled(address indexed market, uint[] payouts, address indexed bondRecipient);
+    event ResolutionCancelled(address indexed market);
+
+    /**
+     * @param _factory The factory whose oracles arbitrate disputes
+     * @param _bondToken The ERC-20 token bonds are posted in
+     * @param _bond The bond posted by proposers and disputers
+     * @param _liveness How long, in seconds, a proposal can be disputed
+     */
+    constructor(
+        address _factory,
+        address _bondToken,
+        uint _bond,
+        uint _liveness
+    ) {
+        require(_liveness > 0, "Invalid liveness");
+        factory = LsLMSRFactory(_factory);
+        bondToken = IERC20(_bondToken);
+        bond = _bond;
+        liveness = _liveness;
+    }
+
+    /**
+     * @notice Proposes the payouts for a market and posts the bond.
+     * @param market A market created with this contract as its oracle
+     * @param payouts The payout numerators, one per outcome slot
+     */
+    function propose(address market, uint[] calldata payouts) external {
+        require(LsLMSR(market).oracle() == address(this), "Not the market oracle");
+        require(!LsLMSR(market).isResolved(), "Market already resolved");
+        require(proposals[market].proposer == address(0), "Proposal pending");
+        require(payouts.length == LsLMSR(market).numOutcomes(), "Invalid payouts length");
+
+        uint den = 0;
+        for (uint i = 0; i < payouts.length; i++) {
+            den += payouts[i];
+        }
+        require(den > 0, "Payout is all zeroes");
+
+        bondToken.safeTransferFrom(msg.sender, address(this), bond);
+
+        Proposal storage proposal = proposals[market];
+        proposal.proposer = msg.sender;
+        proposal.payouts = payouts;
+        proposal.expiresAt = block.timestamp + liveness;
+        LsLMSR(market).startResolution();
+
+        emit ResolutionProposed(market, msg.sender, payouts, proposal.expiresAt);
+    }
+
+    /**
+     * @notice Disputes the pending proposal of a market and posts the bond.
+     */
+    function dispute(address market) external {
+        Proposal storage proposal = proposals[market];
+        require(proposal.proposer != address(0), "No proposal");
+        require(proposal.disputer == address(0), "Already disputed");
+        require(block.timestamp < proposal.expiresAt, "Liveness expired");
+
+        bondToken.safeTransferFrom(msg.sender, address(this), bond);
+        proposal.disputer = msg.sender;
+
+        emit ResolutionDisputed(market, msg.sender);
+    }
+
+    /**
+     * @notice Settles an undisputed proposal once its liveness has expired.
+     * Anyone can call this. If the market has been resolved another way, any
+     * pending proposal is dropped instead and the bonds are returned.
+     */
+    function settle(address market) external {
+        Proposal storage proposal = proposals[market];
+        require(proposal.proposer != address(0), "No proposal");
+        if (LsLMSR(market).isResolved()) {
+            cancel(market);
+            return;
+        }
+        require(proposal.disputer == address(0), "Proposal disputed");
+        require(block.timestamp >= proposal.expiresAt, "Liveness not expired");
+
+        address proposer = proposal.proposer;
+        uint[] memory payouts = proposal.payouts;
+        delete proposals[market];
+
+        LsLMSR(market).resolveMarket(payouts);
+        bondToken.safeTransfer(proposer, bond);
+
+        emit ResolutionSettled(market, payouts, proposer);
+    }
+
+    /**
+     * @notice Resolves a disputed market. Only the factory's oracles can call
+     * this. The proposer keeps both bonds if the arbiter agrees with the
+     * proposal, otherwise the disputer receives them. If the market has been
+     * resolved another way, both get their bond back instead.
+     * @param payouts The final payout numerators, one per outcome slot
+     */
+    function arbitrate(address market, uint[] calldata payouts) external {
+        require(factory.isOracle(msg.sender), "Not authorized");
+        Proposal storage proposal = proposals[market];
+        require(proposal.disputer != address(0), "Proposal not disputed");
+        if (LsLMSR(market).isResolved()) {
+            cancel(market);
+            return;
+        }
+
+        address recipient = keccak256(abi.encode(payouts)) == keccak256(abi.encode(proposal.payouts))
+            ? proposal.proposer
+            : proposal.disputer;
+        delete proposals[market];
+
+        LsLMSR(market).resolveMarket(payouts);
+        bondToken.safeTransfer(recipient, 2 * bond);
+
+        emit ResolutionSettled(market, payouts, recipient);
+    }
+
+    /**
+     * @dev Drops the proposal of a market resolved without it and returns the
+     * bonds posted on it.
+     */
+    function cancel(address market) internal {
+        address proposer = proposals[market].proposer;
+        address disputer = proposals[market].disputer;
+        delete proposals[market];
+
+        bondToken.safeTransfer(proposer, bond);
+        if (disputer != address(0)) {
+            bondToken.safeTransfer(disputer, bond);
+        }
+
+        emit ResolutionCancelled(market);
+    }
+
+    /**
+     * @notice Returns the pending proposal of a market.
+     */
+    function getProposal(address market)
+        external
+        view
+        returns (
+            address proposer,
+            address disputer,
+            uint[] memory payouts,
+            uint expiresAt
+        )
+    {
+        Proposal storage proposal = proposals[market];
+        return (proposal.proposer, proposal.disputer, proposal.payouts, proposal.expiresAt);
+    }
+}
@@ -0,0 +1,21 @@
+// Deploys the market infrastructure: ConditionalTokens, the LsLMSR the
+// factory clones markets from, the factory wired to both, the MarketLens read
+// helper, the batch trading router and the order book.
+//
+//   npx hardhat ignition deploy ./ignition/modules/Core.js --network <network>
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+module.exports = buildModule("CoreModule", (m) => {
+  const conditionalTokens = m.contract("ConditionalTokens");
+  // Every market is a clone of this one
+  const marketImplementation = m.contract("LsLMSR", [conditionalTokens, ZERO_ADDRESS], { id: "LsLMSRImplementation" });
+  const factory = m.contract("LsLMSRFactory", [conditionalTokens, marketImplementation]);
+  const marketLens = m.contract("MarketLens");
+  const router = m.contract("LsLMSRRouter", [factory]);
+  const orderBook = m.contract("LsLMSROrderBook", [factory]);
+
+  return { conditionalTokens, marketImplementation, factory, marketLens, router, orderBook };
+});
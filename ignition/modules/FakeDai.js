@@ -0,0 +1,9 @@
+// Deploys FakeDai, a freely mintable collateral token for local networks.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("FakeDaiModule", (m) => {
+  const fakeDai = m.contract("FakeDai");
+
+  return { fakeDai };
+});
@@ -0,0 +1,34 @@
+// Creates and seeds a market through an already deployed factory, e.g. the one
+// deploy-core recorded in deployments/<chainId>.json. The deploying account
+// pays the subsidy, so it needs that much collateral.
+//
+//   npx hardhat ignition deploy ./ignition/modules/Market.js --network <network> \
+//     --parameters ./ignition/parameters/market.example.json
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("MarketModule", (m) => {
+  const factory = m.contractAt("LsLMSRFactory", m.getParameter("factory"));
+
+  const collateral = m.contractAt("IERC20", m.getParameter("collateral"));
+  const question = m.getParameter("question");
+  const outcomes = m.getParameter("outcomes");
+  const questionId = m.getParameter("questionId");
+  const oracle = m.getParameter("oracle");
+  const subsidy = m.getParameter("subsidy");
+  const fee = m.getParameter("fee", 0);
+  const outcomeCount = m.getParameter("outcomeCount");
+
+  const approve = m.call(collateral, "approve", [factory, subsidy]);
+  const create = m.call(
+    factory,
+    "createAndSetupMarket",
+    [collateral, oracle, questionId, outcomeCount, subsidy, fee, question, outcomes],
+    { after: [approve] }
+  );
+
+  const marketAddress = m.readEventArgument(create, "MarketCreated", "market");
+  const market = m.contractAt("LsLMSR", marketAddress);
+
+  return { market };
+});
@@ -0,0 +1,195 @@
+// Human-readable ABIs of the contract functions the SDK uses
+
+const ERC20_ABI = [
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+// EIP-2612 and the EIP-5267 domain, which OpenZeppelin's ERC20Permit exposes
+const PERMIT_ABI = [
+    "function name() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)"
+];
+
+const CONDITIONAL_TOKENS_ABI = [
+    "event PositionSplit(address indexed stakeholder, address collateralToken, bytes32 indexed parentCollectionId, bytes32 indexed conditionId, uint256[] partition, uint256 amount)",
+    "event PositionsMerge(address indexed stakeholder, address collateralToken, bytes32 indexed parentCollectionId, bytes32 indexed conditionId, uint256[] partition, uint256 amount)",
+    "event PayoutRedemption(address indexed redeemer, address indexed collateralToken, bytes32 indexed parentCollectionId, bytes32 conditionId, uint256[] indexSets, uint256 payout)",
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+    "function balanceOf(address owner, uint256 id) view returns (uint256)",
+    "function getCollectionId(bytes32 parentCollectionId, bytes32 conditionId, uint256 indexSet) view returns (bytes32)",
+    "function getPositionId(address collateralToken, bytes32 collectionId) pure returns (uint256)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function setApprovalForAll(address operator, bool approved)",
+    "function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)"
+];
+
+const MARKET_DETAILS_TUPLE = "tuple(address market, address creator, address collateralToken, address oracle, "
+    + "bytes32 questionId, uint256 numOutcomes, uint256 createdAt, uint256 closeTime, string question, string[] outcomes, "
+    + "string category, string[] tags, uint8 marketType, int256 lowerBound, int256 upperBound, address parentMarket, "
+    + "uint256 parentOutcome, bool isResolved, bool exists)";
+
+const MARKET_PARAMS_TUPLE = "tuple(address collateralToken, address oracle, bytes32 questionId, uint256 subsidy, "
+    + "uint256 fee, uint256 closeTime, uint256 resolutionDeadline, string question, string[] outcomes, string category, string[] tags)";
+
+const FACTORY_ABI = [
+    "event MarketCreated(address market, address creator)",
+    "event MarketSetup(address market, bytes32 questionId, uint256 numOutcomes)",
+    "event MarketInvalidated(address indexed market, address sender)",
+    "event CollateralUpdated(address indexed token, bool allowed, uint256 minSubsidy)",
+    "event ScalarMarketResolved(address indexed market, int256 value)",
+    "event CreatorAllowlistSet(bool enabled)",
+    "event MarketPausedSet(address indexed market, bool paused)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error EnforcedPause()",
+    "error OutcomeCountOutOfRange(uint256 numOutcomes, uint256 max)",
+    "error SubsidyOutOfRange(int128 subsidy, int128 min, int128 max)",
+    "function conditionalTokens() view returns (address)",
+    "function marketImplementation() view returns (address)",
+    "function ORACLE_ROLE() view returns (bytes32)",
+    "function PAUSER_ROLE() view returns (bytes32)",
+    "function MARKET_CREATOR_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function grantRole(bytes32 role, address account)",
+    "function revokeRole(bytes32 role, address account)",
+    "function isOracle(address account) view returns (bool)",
+    "function addOracle(address oracle)",
+    "function removeOracle(address oracle)",
+    "function creatorAllowlist() view returns (bool)",
+    "function setCreatorAllowlist(bool enabled)",
+    "function paused() view returns (bool)",
+    "function pause()",
+    "function unpause()",
+    "function setMarketPaused(address market, bool paused)",
+    "function reclaimSubsidy(address[] markets) returns (uint256 amount)",
+    "function predictMarketAddress(bytes32 questionId, address creator) view returns (address)",
+    "function maxFee() view returns (uint256)",
+    "function isCollateral(address token) view returns (bool)",
+    "function minSubsidy(address token) view returns (uint256)",
+    "function getCollaterals() view returns (address[] allowed)",
+    "function setCollateral(address token, bool allowed, uint256 minSubsidy)",
+    "function createAndSetupMarket(address collateralToken, address oracle, bytes32 questionId, uint256 outcomeCount, uint256 subsidy, uint256 fee, string question, string[] outcomes) returns (address)",
+    `function createMarket(${MARKET_PARAMS_TUPLE} params) returns (address)`,
+    `function createScalarMarket(${MARKET_PARAMS_TUPLE} params, int256 lowerBound, int256 upperBound) returns (address)`,
+    `function createConditionalMarket(${MARKET_PARAMS_TUPLE} params, address parentMarket, uint256 parentOutcome) returns (address)`,
+    "function getMarket(uint256 index) view returns (address)",
+    "function getMarketCount() view returns (uint256)",
+    "function isMarket(address market) view returns (bool)",
+    "function getMarketDetails(address market) view returns (string question, string[] outcomes, uint8 marketType, int256 lowerBound, int256 upperBound, address parentMarket, uint256 parentOutcome)",
+    `function getMarketInfo(address market) view returns (${MARKET_DETAILS_TUPLE})`,
+    `function getMarkets(uint256 offset, uint256 limit) view returns (${MARKET_DETAILS_TUPLE}[])`,
+    "function getMarketsByCreator(address creator, uint256 offset, uint256 limit) view returns (address[] page, uint256 total)",
+    "function getMarketsByOracle(address oracle, uint256 offset, uint256 limit) view returns (address[] page, uint256 total)",
+    "function getMarketsByCollateral(address collateralToken, uint256 offset, uint256 limit) view returns (address[] page, uint256 total)",
+    "function getMarketsByQuestionId(bytes32 questionId, uint256 offset, uint256 limit) view returns (address[] page, uint256 total)",
+    "function getMarketsByStatus(bool resolved, uint256 offset, uint256 limit) view returns (address[] page, uint256 next)",
+    "function resolveMarket(address market, uint256[] payouts)",
+    "function resolveScalarMarket(address market, int256 value)",
+    "function invalidateMarket(address market)"
+];
+
+const MARKET_ABI = [
+    "event MarketResolved(bytes32 indexed condition, uint256[] payouts)",
+    "event FeeCharged(address indexed trader, uint256 lpFee, uint256 protocolFee)",
+    "event LiquidityAdded(address indexed provider, uint256 amount, uint256 shares)",
+    "event LiquidityRemoved(address indexed provider, uint256 shares, uint256 amount)",
+    "event Trade(address indexed trader, uint256 outcome, int128 amount, uint256 cost, int128[] prices)",
+    "event PhaseChanged(uint8 phase)",
+    "event MarketInvalidated(bytes32 indexed condition)",
+    "event PausedSet(bool paused)",
+    "error OwnableUnauthorizedAccount(address account)",
+    "error OutcomeCountOutOfRange(uint256 numOutcomes, uint256 max)",
+    "error SubsidyOutOfRange(int128 subsidy, int128 min, int128 max)",
+    "error TradeTooLarge(int128 amount, int128 max)",
+    "error MarketTooLarge(int128 max)",
+    "function token() view returns (address)",
+    "function conditionalTokens() view returns (address)",
+    "function parentCollectionId() view returns (bytes32)",
+    "function condition() view returns (bytes32)",
+    "function oracle() view returns (address)",
+    "function numOutcomes() view returns (uint256)",
+    "function fee() view returns (uint256)",
+    "function isResolved() view returns (bool)",
+    "function isInvalid() view returns (bool)",
+    "function isPaused() view returns (bool)",
+    "function closeTime() view returns (uint256)",
+    "function resolutionDeadline() view returns (uint256)",
+    "function getPhase() view returns (uint8)",
+    "function cost() view returns (int128)",
+    "function getMarketState() view returns (int128[] q, int128 b, int128 alpha, int128 totalShares, int128 currentCost)",
+    "function getMarginalPrices() view returns (int128[])",
+    "function buyQuote(uint256 outcome, int128 amount) view returns (uint256)",
+    "function getFee(uint256 amount) view returns (uint256)",
+    "function getTokenWeiUp(address token, int128 amount) view returns (uint256)",
+    "function sellQuote(uint256 outcome, int128 amount) view returns (uint256)",
+    "function sharesForCollateral(uint256 outcome, uint256 collateralIn) view returns (int128)",
+    "function buy(uint256 outcome, int128 amount) returns (int128)",
+    "function sell(uint256 outcome, int128 amount) returns (int128)",
+    "function buyWithMaxCost(uint256 outcome, int128 amount, uint256 maxCost, uint256 deadline) returns (int128)",
+    "function buyWithPermit(uint256 outcome, int128 amount, uint256 maxCost, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (int128)",
+    "function buyWithCollateral(uint256 outcome, uint256 collateralIn, int128 minSharesOut) returns (int128)",
+    "function sellWithMinProceeds(uint256 outcome, int128 amount, uint256 minProceeds, uint256 deadline) returns (int128)",
+    "function resolveMarket(uint256[] payouts)",
+    "function startResolution()",
+    "function close()",
+    "function invalidate()",
+    "function liquidityShares(address provider) view returns (uint256)",
+    "function claimableFees(address provider) view returns (uint256)",
+    "function claimFees() returns (uint256)",
+    "function withdraw() returns (uint256)"
+];
+
+const SNAPSHOT_TUPLE = "tuple(address market, string question, string[] outcomes, uint256 numOutcomes, bool isResolved, "
+    + "address collateralToken, uint8 decimals, uint256 collateralBalance, "
+    + "int128[] q, int128 b, int128 alpha, int128 totalShares, int128 currentCost, int128[] marginalPrices, "
+    + "uint256[] qWei, uint256 bWei, uint256 alphaWei, uint256 totalSharesWei, uint256 currentCostWei, uint256[] marginalPricesWei)";
+
+const LEG_TUPLE = "tuple(address market, uint256 outcome, int128 amount, uint256 maxCost)";
+const PERMIT_TUPLE = "tuple(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)";
+
+const ROUTER_ABI = [
+    "event BatchBought(address indexed trader, uint256 legs)",
+    "function factory() view returns (address)",
+    `function buyBatch(${LEG_TUPLE}[] legs, uint256 deadline) returns (uint256[] costs)`,
+    `function buyBatchWithPermits(${LEG_TUPLE}[] legs, uint256 deadline, ${PERMIT_TUPLE}[] permits) returns (uint256[] costs)`
+];
+
+const ORDER_TUPLE = "tuple(address trader, address market, uint256 outcome, int128 amount, int128 limitPrice, "
+    + "uint256 escrow, uint256 tip, uint256 expiry, uint8 status)";
+
+const ORDER_BOOK_ABI = [
+    "event OrderPlaced(uint256 indexed orderId, address indexed trader, address indexed market, uint256 outcome, int128 amount, int128 limitPrice, uint256 escrow, uint256 tip, uint256 expiry)",
+    "event OrderFilled(uint256 indexed orderId, address indexed keeper, uint256 cost)",
+    "event OrderCancelled(uint256 indexed orderId)",
+    "function factory() view returns (address)",
+    "function placeOrder(address market, uint256 outcome, int128 amount, int128 limitPrice, uint256 tip, uint256 expiry) returns (uint256 orderId)",
+    "function canExecute(uint256 orderId) view returns (bool)",
+    "function executeOrder(uint256 orderId) returns (uint256 cost)",
+    "function cancelOrder(uint256 orderId)",
+    `function getOrder(uint256 orderId) view returns (${ORDER_TUPLE})`,
+    "function getOrderCount() view returns (uint256)",
+    `function getOrders(uint256 offset, uint256 limit) view returns (${ORDER_TUPLE}[])`
+];
+
+const LENS_ABI = [
+    `function getMarketSnapshot(address factory, address market) view returns (${SNAPSHOT_TUPLE})`,
+    `function getMarketSnapshots(address factory, address[] markets) view returns (${SNAPSHOT_TUPLE}[])`
+];
+
+module.exports = {
+    ERC20_ABI,
+    PERMIT_ABI,
+    CONDITIONAL_TOKENS_ABI,
+    FACTORY_ABI,
+    MARKET_ABI,
+    ROUTER_ABI,
+    ORDER_BOOK_ABI,
+    LENS_ABI
+};
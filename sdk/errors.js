@@ -0,0 +1,146 @@
+/**
+ * Base class of the errors the SDK throws for reverted calls. reason is the
+ * revert reason string or custom error name, and cause the original error.
+ */
+class MarketError extends Error {
+    constructor(reason, cause) {
+        super(reason);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+
+// The price moved past the trader's limit
+class SlippageError extends MarketError {}
+
+// The trade's deadline passed before it was mined
+class DeadlineError extends MarketError {}
+
+// The market is resolved and no longer trades
+class MarketResolvedError extends MarketError {}
+
+// The call needs a resolved market
+class MarketNotResolvedError extends MarketError {}
+
+// The market has closed, or is being resolved, and no longer trades
+class MarketClosedError extends MarketError {}
+
+// Trading in the market, or in every market of its factory, is paused
+class MarketPausedError extends MarketError {}
+
+// The call is not allowed in the market's current phase
+class MarketPhaseError extends MarketError {}
+
+// The sender is not allowed to make the call
+class UnauthorizedError extends MarketError {}
+
+// The factory does not know the market
+class MarketNotFoundError extends MarketError {}
+
+// The sender does not have enough liquidity in the market
+class InsufficientLiquidityError extends MarketError {}
+
+// An argument was rejected by the contract
+class InvalidArgumentError extends MarketError {}
+
+// The factory does not accept the token as collateral
+class UnsupportedCollateralError extends MarketError {}
+
+// The market or trade is outside the range the market maker supports
+class MarketBoundsError extends MarketError {}
+
+const REASONS = {
+    "Cost exceeds maximum": SlippageError,
+    "Proceeds below minimum": SlippageError,
+    "Shares below minimum": SlippageError,
+    "Price above limit": SlippageError,
+    "Trade expired": DeadlineError,
+    "Order expired": DeadlineError,
+    "Market already resolved": MarketResolvedError,
+    "Market is resolved": MarketResolvedError,
+    "Market needs to be resolved": MarketNotResolvedError,
+    "Market closed": MarketClosedError,
+    "Trading paused": MarketPausedError,
+    "EnforcedPause": MarketPausedError,
+    "Market not closed": MarketPhaseError,
+    "Resolution deadline passed": MarketPhaseError,
+    "Resolution deadline not reached": MarketPhaseError,
+    "Resolution in progress": MarketPhaseError,
+    "Only oracle can resolve": UnauthorizedError,
+    "Not authorized": UnauthorizedError,
+    "Not the market oracle": UnauthorizedError,
+    "OwnableUnauthorizedAccount": UnauthorizedError,
+    "AccessControlUnauthorizedAccount": UnauthorizedError,
+    "Market not found": MarketNotFoundError,
+    "Insufficient liquidity": InsufficientLiquidityError,
+    "Cannot remove all liquidity": InsufficientLiquidityError,
+    "Sell exceeds market depth": InsufficientLiquidityError,
+    "Invalid amount": InvalidArgumentError,
+    "Invalid fee": InvalidArgumentError,
+    "Invalid fee policy": InvalidArgumentError,
+    "Fee above maximum": InvalidArgumentError,
+    "Outcome count mismatch": InvalidArgumentError,
+    "Market already exists": InvalidArgumentError,
+    "Invalid close time": InvalidArgumentError,
+    "Invalid resolution deadline": InvalidArgumentError,
+    "Invalid payouts length": InvalidArgumentError,
+    "Payout is all zeroes": InvalidArgumentError,
+    "Subsidy below minimum": InvalidArgumentError,
+    "Invalid outcome": InvalidArgumentError,
+    "Invalid expiry": InvalidArgumentError,
+    "Order not open": InvalidArgumentError,
+    "Conditional markets not supported": InvalidArgumentError,
+    "Collateral not allowed": UnsupportedCollateralError,
+    "Fee-on-transfer collateral": UnsupportedCollateralError,
+    "Unsupported decimals": UnsupportedCollateralError,
+    "OutcomeCountOutOfRange": MarketBoundsError,
+    "SubsidyOutOfRange": MarketBoundsError,
+    "TradeTooLarge": MarketBoundsError,
+    "MarketTooLarge": MarketBoundsError
+};
+
+/**
+ * Extracts the revert reason string or custom error name from an ethers error.
+ */
+function revertReason(error) {
+    if (!error) return null;
+    if (error.revert) {
+        return error.revert.name === "Error" ? error.revert.args[0] : error.revert.name;
+    }
+    if (error.reason) return error.reason;
+
+    const match = /reverted with (?:reason string|custom error) '([^'(]*)/.exec(error.message || "");
+    if (match) return match[1];
+    return revertReason(error.error || error.info?.error);
+}
+
+/**
+ * Turns an ethers error into a typed MarketError when its revert reason is
+ * known. Other errors, revert reasons included, are returned as is.
+ */
+function decodeError(error) {
+    if (error instanceof MarketError) return error;
+    const reason = revertReason(error);
+    const ErrorClass = REASONS[reason];
+    return ErrorClass ? new ErrorClass(reason, error) : error;
+}
+
+module.exports = {
+    MarketError,
+    SlippageError,
+    DeadlineError,
+    MarketResolvedError,
+    MarketNotResolvedError,
+    MarketClosedError,
+    MarketPausedError,
+    MarketPhaseError,
+    UnauthorizedError,
+    MarketNotFoundError,
+    InsufficientLiquidityError,
+    InvalidArgumentError,
+    UnsupportedCollateralError,
+    MarketBoundsError,
+    revertReason,
+    decodeError
+};
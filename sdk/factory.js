@@ -0,0 +1,392 @@
+const { ethers } = require("ethers");
+const { CONDITIONAL_TOKENS_ABI, ERC20_ABI, FACTORY_ABI, LENS_ABI } = require("./abi");
+const { MarketClient, send } = require("./market");
+const { Outcomes } = require("./outcomes");
+const { decodeError, InvalidArgumentError } = require("./errors");
+
+function toLimit(limit) {
+    return limit === Infinity ? ethers.MaxUint256 : limit;
+}
+
+// The factory's access control roles by name
+const ROLES = {
+    admin: ethers.ZeroHash,
+    oracle: ethers.id("ORACLE_ROLE"),
+    pauser: ethers.id("PAUSER_ROLE"),
+    marketCreator: ethers.id("MARKET_CREATOR_ROLE")
+};
+
+function roleId(role) {
+    if (!(role in ROLES)) throw new InvalidArgumentError(`Unknown role ${role}`);
+    return ROLES[role];
+}
+
+// LsLMSRFactory.MarketType, in order
+const MARKET_TYPES = ["categorical", "scalar", "conditional"];
+
+const DETAILS_FIELDS = [
+    "market", "creator", "collateralToken", "oracle", "questionId", "numOutcomes",
+    "createdAt", "closeTime", "question", "category", "lowerBound", "upperBound",
+    "parentMarket", "parentOutcome", "isResolved"
+];
+
+function toDetails(details) {
+    return {
+        ...Object.fromEntries(DETAILS_FIELDS.map(field => [field, details[field]])),
+        outcomes: [...details.outcomes],
+        tags: [...details.tags],
+        marketType: MARKET_TYPES[Number(details.marketType)]
+    };
+}
+
+// The MarketParams the factory's create functions take, from the options of
+// FactoryClient.createMarket, with the outcome names and the collateral
+async function marketParams(runner, {
+    collateral,
+    oracle,
+    question,
+    outcomes,
+    subsidy,
+    fee = 0,
+    questionId = ethers.hexlify(ethers.randomBytes(32)),
+    category = "",
+    tags = [],
+    closeTime = 0,
+    resolutionDeadline = 0
+}) {
+    const names = new Outcomes(outcomes).names;
+    const token = new ethers.Contract(collateral, ERC20_ABI, runner);
+    const amount = typeof subsidy === "bigint"
+        ? subsidy
+        : ethers.parseUnits(String(subsidy), await token.decimals());
+
+    const params = {
+        collateralToken: collateral,
+        oracle,
+        questionId,
+        subsidy: amount,
+        fee,
+        closeTime,
+        resolutionDeadline,
+        question,
+        outcomes: names,
+        category,
+        tags
+    };
+    return { params, names, token };
+}
+
+/**
+ * Client for an LsLMSRFactory.
+ */
+class FactoryClient {
+    /**
+     * @param address The factory address
+     * @param runner An ethers signer, or a provider for read-only use
+     * @param options.lens A MarketLens address, needed for snapshots
+     */
+    constructor(address, runner, { lens } = {}) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, FACTORY_ABI, runner);
+        this.lens = lens && new ethers.Contract(lens, LENS_ABI, runner);
+    }
+
+    connect(runner) {
+        return new FactoryClient(this.address, runner, { lens: this.lens && this.lens.target });
+    }
+
+    /**
+     * Creates and sets up a market, funding it with subsidy collateral from
+     * the signer, and returns a client for it.
+     * @param options.collateral The collateral token address
+     * @param options.oracle The address that resolves the market, which needs the
+         oracle role to do so
+     * @param options.question The question the market is on
+     * @param options.outcomes The outcome names, at least two
+     * @param options.subsidy The initial funding, a decimal amount of collateral
+         or a bigint in token units
+     * @param options.fee The trading fee in basis points
+     * @param options.questionId Defaults to a random id
+     * @param options.category The registry category, e.g. "sports"
+     * @param options.tags The registry tags
+     * @param options.closeTime When trading closes, in seconds since the
+         epoch, or 0 for none
+     * @param options.resolutionDeadline When the market can be resolved as
+         invalid if the oracle hasn't reported, or 0 for none
+     */
+    async createMarket(options) {
+        const { params, names, token } = await marketParams(this.runner, options);
+        await send(() => token.approve(this.address, params.subsidy));
+        return this.created(await send(() => this.contract.createMarket(params)), names);
+    }
+
+    /**
+     * Creates a scalar market on a value between lowerBound and upperBound,
+     * which resolveScalarMarket pays its two outcomes out along. Takes the
+     * options of createMarket, with outcomes defaulting to ["Short", "Long"].
+     * @param options.lowerBound The low end of the range, a bigint or integer
+     * @param options.upperBound The high end of the range
+     */
+    async createScalarMarket({ lowerBound, upperBound, outcomes = ["Short", "Long"], ...options }) {
+        const { params, names, token } = await marketParams(this.runner, { ...options, outcomes });
+        await send(() => token.approve(this.address, params.subsidy));
+        return this.created(
+            await send(() => this.contract.createScalarMarket(params, lowerBound, upperBound)),
+            names
+        );
+    }
+
+    /**
+     * Creates a market nested in an outcome of parentMarket, which only pays
+     * out if the parent resolves to it. It is funded and traded in the parent's
+     * position on that outcome, so the signer needs a subsidy's worth of that
+     * position, e.g. bought in the parent market. Takes the options of
+     * createMarket, with collateral defaulting to the parent's.
+     * @param options.parentMarket The parent market's address
+     * @param options.parentOutcome The parent's outcome name, or a list of names
+     */
+    async createConditionalMarket({ parentMarket, parentOutcome, ...options }) {
+        const parent = await this.getMarketInfo(parentMarket);
+        const parentIndexSet = new Outcomes(parent.outcomes).indexSet(parentOutcome);
+        const { params, names } = await marketParams(this.runner, {
+            collateral: parent.collateralToken,
+            ...options
+        });
+
+        const ct = new ethers.Contract(await this.contract.conditionalTokens(), CONDITIONAL_TOKENS_ABI, this.runner);
+        if (!await ct.isApprovedForAll(await this.runner.getAddress(), this.address)) {
+            await send(() => ct.setApprovalForAll(this.address, true));
+        }
+        return this.created(
+            await send(() => this.contract.createConditionalMarket(params, parentMarket, parentIndexSet)),
+            names
+        );
+    }
+
+    // A client for the market a create transaction made
+    created(receipt, names) {
+        const event = receipt.logs
+            .map(log => this.contract.interface.parseLog(log))
+            .find(log => log && log.name === "MarketCreated");
+        return new MarketClient(event.args.market, this.runner, names);
+    }
+
+    /**
+     * Returns the address createMarket deploys the market for questionId at,
+     * before it exists. Each creator gets one market per question id.
+     * @param creator Defaults to the signer
+     */
+    async predictMarketAddress(questionId, creator) {
+        return this.contract.predictMarketAddress(questionId, creator || await this.runner.getAddress());
+    }
+
+    /**
+     * Returns the tokens markets can be created with, and the least subsidy,
+     * in token units, each needs.
+     */
+    async getCollaterals() {
+        const tokens = await this.contract.getCollaterals();
+        return Promise.all(tokens.map(async token => ({
+            token,
+            minSubsidy: await this.contract.minSubsidy(token)
+        })));
+    }
+
+    /**
+     * Allows or disallows a collateral token for new markets. The signer must
+     * be the factory owner.
+     * @param options.minSubsidy The least subsidy, a decimal amount of the
+         token or a bigint in token units
+     */
+    async setCollateral(collateral, { allowed = true, minSubsidy = 0n } = {}) {
+        const amount = typeof minSubsidy === "bigint"
+            ? minSubsidy
+            : ethers.parseUnits(String(minSubsidy), await new ethers.Contract(collateral, ERC20_ABI, this.runner).decimals());
+        return send(() => this.contract.setCollateral(collateral, allowed, amount));
+    }
+
+    async getMarketCount() {
+        return Number(await this.contract.getMarketCount());
+    }
+
+    /**
+     * Lists market addresses in creation order.
+     */
+    async listMarkets({ offset = 0, limit = Infinity } = {}) {
+        return (await this.getMarkets({ offset, limit })).map(details => details.market);
+    }
+
+    /**
+     * Returns the registry records of markets in creation order: creator,
+     * collateral, oracle, questionId, creation and close time, question,
+     * outcomes, category, tags and whether the market is resolved.
+     */
+    async getMarkets({ offset = 0, limit = Infinity } = {}) {
+        const markets = await this.contract.getMarkets(offset, toLimit(limit));
+        return markets.map(toDetails);
+    }
+
+    async getMarketInfo(market) {
+        try {
+            return toDetails(await this.contract.getMarketInfo(market));
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+
+    /**
+     * Looks markets up by one of creator, oracle, collateral, questionId or
+     * status ("active" or "resolved"). Returns a page of addresses with the
+     * total number of matches, or for status the offset the next page starts
+     * at, which is the market count once every market has been scanned.
+     */
+    async findMarkets({ creator, oracle, collateral, questionId, status, offset = 0, limit = 100 }) {
+        const filters = { creator, oracle, collateral, questionId, status };
+        const given = Object.keys(filters).filter(name => filters[name] !== undefined);
+        if (given.length !== 1) {
+            throw new InvalidArgumentError(`Expected one filter, got ${given.join(", ") || "none"}`);
+        }
+
+        if (status !== undefined) {
+            if (status !== "active" && status !== "resolved") {
+                throw new InvalidArgumentError(`Unknown status ${status}`);
+            }
+            const [page, next] = await this.contract.getMarketsByStatus(status === "resolved", offset, toLimit(limit));
+            return { markets: [...page], next: Number(next) };
+        }
+
+        const lookup = {
+            creator: "getMarketsByCreator",
+            oracle: "getMarketsByOracle",
+            collateral: "getMarketsByCollateral",
+            questionId: "getMarketsByQuestionId"
+        }[given[0]];
+        const [page, total] = await this.contract[lookup](filters[given[0]], offset, toLimit(limit));
+        return { markets: [...page], total: Number(total) };
+    }
+
+    /**
+     * Returns a market's question and outcome names, and its type, one of
+     * MARKET_TYPES, with the range of a scalar market and the parent market
+     * and outcome index set of a conditional one.
+     */
+    async getMarketDetails(market) {
+        try {
+            const [question, outcomes, marketType, lowerBound, upperBound, parentMarket, parentOutcome] =
+                await this.contract.getMarketDetails(market);
+            return {
+                question,
+                outcomes: [...outcomes],
+                marketType: MARKET_TYPES[Number(marketType)],
+                lowerBound,
+                upperBound,
+                parentMarket,
+                parentOutcome
+            };
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+
+    /**
+     * Returns the state, prices and metadata of markets in one call. Takes a
+     * market address or a list of them.
+     */
+    async getMarketSnapshot(markets) {
+        if (!this.lens) throw new Error("No MarketLens configured");
+        try {
+            if (Array.isArray(markets)) {
+                const snapshots = await this.lens.getMarketSnapshots(this.address, markets);
+                return snapshots.map(snapshot => snapshot.toObject(true));
+            }
+            return (await this.lens.getMarketSnapshot(this.address, markets)).toObject(true);
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+
+    /**
+     * Resolves a scalar market on a value, which is clamped to its range. The
+     * signer must be the market's oracle and hold the oracle role.
+     */
+    resolveScalarMarket(market, value) {
+        return send(() => this.contract.resolveScalarMarket(market, value));
+    }
+
+    /**
+     * Whether account holds a role, one of the names in ROLES.
+     */
+    hasRole(role, account) {
+        return this.contract.hasRole(roleId(role), account);
+    }
+
+    /**
+     * Grants a role, one of the names in ROLES but admin, to account. The
+     * signer must be the admin.
+     */
+    grantRole(role, account) {
+        return send(() => this.contract.grantRole(roleId(role), account));
+    }
+
+    revokeRole(role, account) {
+        return send(() => this.contract.revokeRole(roleId(role), account));
+    }
+
+    /**
+     * Turns the market creator allowlist on or off. While it is on only
+     * accounts with the marketCreator role create markets. The signer must be
+     * the admin.
+     */
+    setCreatorAllowlist(enabled) {
+        return send(() => this.contract.setCreatorAllowlist(enabled));
+    }
+
+    /**
+     * Halts trading in every market of the factory, and creating markets,
+     * until unpaused. Resolution, withdrawals and redemption go on. The signer
+     * must have the pauser role.
+     */
+    pause() {
+        return send(() => this.contract.pause());
+    }
+
+    unpause() {
+        return send(() => this.contract.unpause());
+    }
+
+    /**
+     * Halts or resumes trading in one market. The signer must have the pauser
+     * role.
+     */
+    setMarketPaused(market, paused = true) {
+        return send(() => this.contract.setMarketPaused(market, paused));
+    }
+
+    /**
+     * Withdraws the signer's liquidity, such as what is left of the subsidy,
+     * from resolved markets they created. Takes a market address or a list of
+     * them.
+     */
+    reclaimSubsidy(markets) {
+        return send(() => this.contract.reclaimSubsidy(Array.isArray(markets) ? markets : [markets]));
+    }
+
+    /**
+     * Resolves a market as invalid, paying every outcome equally. The signer
+     * must be the factory owner or the market's oracle, holding the oracle role.
+     */
+    invalidateMarket(market) {
+        return send(() => this.contract.invalidateMarket(market));
+    }
+
+    /**
+     * Returns a client for a market of this factory, with its outcome names.
+     */
+    async getMarket(market) {
+        const { outcomes } = await this.getMarketDetails(market);
+        return new MarketClient(market, this.runner, outcomes);
+    }
+}
+
+module.exports = { ROLES, MARKET_TYPES, FactoryClient };
@@ -0,0 +1,56 @@
+const { ethers } = require("ethers");
+
+// Share amounts and the cost function use signed 64.64 fixed point numbers
+const ONE = 1n << 64n;
+
+const WAD = 10n ** 18n;
+
+/**
+ * Converts a decimal amount ("1.5", 1.5) to a 64.64 fixed point bigint.
+ * Bigints are taken to be 64.64 values already and are returned as is.
+ */
+function toFixed(value) {
+    if (typeof value === "bigint") return value;
+    return ethers.parseUnits(String(value), 18) * ONE / WAD;
+}
+
+/**
+ * Converts a 64.64 fixed point value to a decimal string.
+ */
+function fromFixed(value) {
+    return ethers.formatUnits(BigInt(value) * WAD / ONE, 18);
+}
+
+/**
+ * Converts a 64.64 value to token units, rounding down like
+ * LsLMSR.getTokenWei.
+ */
+function toTokenAmount(value, decimals = 18) {
+    return (BigInt(value) * 10n ** BigInt(decimals)) >> 64n;
+}
+
+/**
+ * Converts a 64.64 value to token units, rounding up like
+ * LsLMSR.getTokenWeiUp, which buys are charged with.
+ */
+function toTokenAmountUp(value, decimals = 18) {
+    const scaled = BigInt(value) * 10n ** BigInt(decimals);
+    return (scaled >> 64n) + (scaled % ONE === 0n ? 0n : 1n);
+}
+
+/**
+ * Converts token units to a 64.64 value, rounding down like
+ * LsLMSR.getTokenEth.
+ */
+function fromTokenAmount(amount, decimals = 18) {
+    return (BigInt(amount) << 64n) / 10n ** BigInt(decimals);
+}
+
+module.exports = {
+    ONE,
+    toFixed,
+    fromFixed,
+    toTokenAmount,
+    toTokenAmountUp,
+    fromTokenAmount
+};
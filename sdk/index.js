@@ -0,0 +1,48 @@
+/**
+ * JavaScript SDK for LsLMSR prediction markets.
+ *
+ * const { FactoryClient } = require("v4-prediction-market");
+ * const factory = new FactoryClient(factoryAddress, signer);
+ * const market = await factory.createMarket({ collateral, oracle, question,
+ *     outcomes: ["Chiefs", "Ravens"], subsidy: "100" });
+ * await market.approveCollateral();
+ * await market.buy("Chiefs", "10", { maxCost: await market.quoteBuy("Chiefs", "10") });
+ */
+const abi = require("./abi");
+const fixedPoint = require("./fixedPoint");
+const errors = require("./errors");
+const { Outcomes } = require("./outcomes");
+const { PHASES, MarketClient } = require("./market");
+const { ROLES, MARKET_TYPES, FactoryClient } = require("./factory");
+const { RouterClient } = require("./router");
+const { ORDER_STATUSES, OrderBookClient } = require("./orderBook");
+const { Keeper } = require("./keeper");
+const { PERMIT_TYPES, signPermit } = require("./permit");
+const NewMath = require("./math/newMath");
+const lslmsr = require("./math/lslmsr");
+const reference = require("./math/reference");
+const { Indexer } = require("./indexer/indexer");
+const { JsonStore } = require("./indexer/store");
+
+module.exports = {
+    ...abi,
+    ...fixedPoint,
+    ...errors,
+    Outcomes,
+    PHASES,
+    MarketClient,
+    ROLES,
+    MARKET_TYPES,
+    FactoryClient,
+    RouterClient,
+    ORDER_STATUSES,
+    OrderBookClient,
+    Keeper,
+    PERMIT_TYPES,
+    signPermit,
+    NewMath,
+    lslmsr,
+    reference,
+    Indexer,
+    JsonStore
+};
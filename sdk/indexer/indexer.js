@@ -0,0 +1,406 @@
+const { ethers } = require("ethers");
+const { CONDITIONAL_TOKENS_ABI, ERC20_ABI, FACTORY_ABI, MARKET_ABI } = require("../abi");
+const { ONE } = require("../fixedPoint");
+const { Outcomes } = require("../outcomes");
+const { JsonStore } = require("./store");
+
+/**
+ * Follows the markets of a factory and records their history in a store:
+ * MarketCreated and MarketSetup from the factory, Trade, with the fee of its
+ * FeeCharged, and MarketResolved from each market, and from ConditionalTokens
+ * PayoutRedemption for the markets' conditions, the splits and merges of
+ * accounts other than the markets, and the transfers of the markets' outcome
+ * tokens between accounts.
+ *
+ * Syncing resumes from the last indexed block. Before it does, the block
+ * hashes recorded along the way are checked against the chain, and anything
+ * indexed after the newest block still on it is rolled back, so a reorg never
+ * leaves orphaned events in the store.
+ *
+ * const indexer = new Indexer(factoryAddress, provider, { store: new JsonStore("history.json") });
+ * await indexer.sync();
+ * indexer.store.getPriceHistory(market);
+ */
+class Indexer {
+    /**
+     * @param factory The factory address
+     * @param provider An ethers provider
+     * @param options.store Where history is kept, defaults to an in-memory JsonStore
+     * @param options.fromBlock The block to start from on an empty store,
+         usually the factory's deployment block
+     * @param options.confirmations How many blocks behind the head to stay
+     * @param options.batchSize How many blocks to fetch logs for per request
+     */
+    constructor(factory, provider, { store = new JsonStore(), fromBlock = 0, confirmations = 0, batchSize = 2000 } = {}) {
+        this.provider = provider;
+        this.store = store;
+        this.fromBlock = fromBlock;
+        this.confirmations = confirmations;
+        this.batchSize = batchSize;
+        this.factory = new ethers.Contract(factory, FACTORY_ABI, provider);
+        this.marketInterface = new ethers.Interface(MARKET_ABI);
+        this.ctInterface = new ethers.Interface(CONDITIONAL_TOKENS_ABI);
+        // Position ids by market and outcome index set
+        this.positionIds = new Map();
+        // Fees charged in a transaction, until its Trade is recorded
+        this.pendingFees = new Map();
+    }
+
+    /**
+     * Indexes up to the head of the chain, less the confirmations, and saves
+     * the store. Returns the last indexed block and the number of events
+     * recorded.
+     */
+    async sync() {
+        const { chainId } = await this.provider.getNetwork();
+        this.store.init(Number(chainId), this.factory.target);
+        if (!this.conditionalTokens) {
+            this.conditionalTokens = await this.factory.conditionalTokens();
+        }
+
+        const reorged = await this.handleReorg();
+        const head = await this.provider.getBlockNumber() - this.confirmations;
+        let events = 0;
+
+        let from = this.store.lastBlock === null ? this.fromBlock : this.store.lastBlock + 1;
+        while (from <= head) {
+            const to = Math.min(from + this.batchSize - 1, head);
+            events += await this.indexRange(from, to);
+            from = to + 1;
+        }
+
+        this.store.save();
+        return { lastBlock: this.store.lastBlock, events, reorged };
+    }
+
+    /**
+     * Polls for new blocks until the returned function is called.
+     */
+    watch({ interval = 2000, onSync = () => {}, onError = console.error } = {}) {
+        let stopped = false;
+        let timer;
+        const poll = async () => {
+            try {
+                onSync(await this.sync());
+            } catch (error) {
+                onError(error);
+            }
+            if (!stopped) timer = setTimeout(poll, interval);
+        };
+        poll();
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }
+
+    /**
+     * Syncs, then returns a user's holdings across the factory's markets,
+     * see JsonStore.getHoldings, marked to market. Tokens of an open market
+     * are valued at the sum of the current marginal prices of their outcomes,
+     * at most 1 per token, and those of a resolved market at their payout.
+     * Totals are per collateral token, in token units.
+     */
+    async portfolio(user) {
+        await this.sync();
+
+        const prices = new Map();
+        const positions = [];
+        for (const holding of this.store.getHoldings(user)) {
+            const market = this.store.getMarket(holding.market);
+            if (!prices.has(market.address)) {
+                prices.set(market.address, await this.markPrices(market));
+            }
+            const outcomePrices = prices.get(market.address);
+            const sum = outcomePrices.reduce((total, price, i) => holding.outcome & (1 << i) ? total + price : total, 0n);
+            const price = sum < ONE ? sum : ONE;
+            const value = holding.balance * price / ONE;
+            positions.push({
+                ...holding,
+                outcomes: new Outcomes(market.outcomes).namesOf(holding.outcome),
+                collateral: market.collateral,
+                price,
+                value,
+                unrealizedPnl: value - holding.costBasis
+            });
+        }
+
+        const totals = new Map();
+        for (const position of positions) {
+            const id = position.collateral.toLowerCase();
+            if (!totals.has(id)) {
+                totals.set(id, {
+                    collateral: position.collateral,
+                    spent: 0n, received: 0n, payout: 0n, costBasis: 0n, value: 0n, realizedPnl: 0n, unrealizedPnl: 0n
+                });
+            }
+            const total = totals.get(id);
+            for (const field of ["spent", "received", "payout", "costBasis", "value", "realizedPnl", "unrealizedPnl"]) {
+                total[field] += position[field];
+            }
+        }
+        return { user, positions, totals: [...totals.values()] };
+    }
+
+    /**
+     * Returns what a token of each outcome of a market is worth, in 64.64
+     * fixed point: its payout share once resolved, its marginal price before.
+     */
+    async markPrices(market) {
+        if (market.resolution) {
+            const { payouts } = market.resolution;
+            const total = payouts.reduce((sum, payout) => sum + payout, 0n);
+            return payouts.map(payout => payout * ONE / total);
+        }
+        const contract = new ethers.Contract(market.address, MARKET_ABI, this.provider);
+        return [...await contract.getMarginalPrices()];
+    }
+
+    /**
+     * Rolls the store back to the newest checkpoint that is still on the
+     * chain. Returns the block it rolled back to, or null if nothing changed.
+     */
+    async handleReorg() {
+        const checkpoints = this.store.getCheckpoints();
+        for (const [i, checkpoint] of checkpoints.entries()) {
+            const block = await this.provider.getBlock(checkpoint.number);
+            if (block && block.hash === checkpoint.hash) {
+                if (i === 0 && checkpoint.number === this.store.lastBlock) return null;
+                this.store.rollback(checkpoint.number);
+                return checkpoint.number;
+            }
+        }
+        if (this.store.lastBlock === null) return null;
+
+        this.store.reset();
+        this.positionIds.clear();
+        return this.fromBlock - 1;
+    }
+
+    /**
+     * Indexes one range of blocks. The range is fetched again if the head of
+     * the range changes while its logs are read.
+     */
+    async indexRange(from, to) {
+        for (;;) {
+            const { hash } = await this.provider.getBlock(to);
+            const logs = await this.fetchLogs(from, to);
+            const after = await this.provider.getBlock(to);
+            if (after.hash !== hash) continue;
+
+            const timestamps = new Map([[to, after.timestamp]]);
+            for (const log of logs) {
+                if (!timestamps.has(log.blockNumber)) {
+                    timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockHash)).timestamp);
+                }
+                this.store.addCheckpoint(log.blockNumber, log.blockHash);
+            }
+            let recorded = 0;
+            for (const log of logs) {
+                if (await this.handleLog(log, timestamps.get(log.blockNumber))) recorded++;
+            }
+
+            this.store.addCheckpoint(to, hash);
+            this.store.lastBlock = to;
+            return recorded;
+        }
+    }
+
+    /**
+     * Returns the logs of a range in chain order. Markets created in the range
+     * are registered first so their own events in it are picked up.
+     */
+    async fetchLogs(from, to) {
+        const factoryLogs = await this.provider.getLogs({
+            address: this.factory.target,
+            topics: [[
+                this.factory.interface.getEvent("MarketCreated").topicHash,
+                this.factory.interface.getEvent("MarketSetup").topicHash
+            ]],
+            fromBlock: from,
+            toBlock: to
+        });
+
+        const markets = [
+            ...this.store.getMarkets().map(market => market.address),
+            ...factoryLogs
+                .map(log => this.factory.interface.parseLog(log))
+                .filter(event => event.name === "MarketCreated")
+                .map(event => event.args.market)
+        ];
+
+        const marketLogs = markets.length === 0 ? [] : await this.provider.getLogs({
+            address: markets,
+            topics: [[
+                this.marketInterface.getEvent("Trade").topicHash,
+                this.marketInterface.getEvent("FeeCharged").topicHash,
+                this.marketInterface.getEvent("MarketResolved").topicHash
+            ]],
+            fromBlock: from,
+            toBlock: to
+        });
+
+        const ctLogs = markets.length === 0 ? [] : await this.provider.getLogs({
+            address: this.conditionalTokens,
+            topics: [["PayoutRedemption", "PositionSplit", "PositionsMerge", "TransferSingle", "TransferBatch"]
+                .map(name => this.ctInterface.getEvent(name).topicHash)],
+            fromBlock: from,
+            toBlock: to
+        });
+
+        return [...factoryLogs, ...marketLogs, ...ctLogs]
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    }
+
+    /**
+     * Records a log, returning whether it was recorded: ConditionalTokens
+     * logs of other markets and accounts, and FeeCharged, which is recorded
+     * with its Trade, are not.
+     */
+    async handleLog(log, timestamp) {
+        const base = {
+            block: log.blockNumber,
+            logIndex: log.index,
+            transactionHash: log.transactionHash,
+            timestamp
+        };
+
+        if (log.address.toLowerCase() === this.factory.target.toLowerCase()) {
+            const event = this.factory.interface.parseLog(log);
+            if (event.name === "MarketCreated") {
+                await this.addMarket(event.args.market, event.args.creator, base);
+            } else {
+                // MarketSetup follows MarketCreated in the same transaction
+                const market = this.store.getMarket(event.args.market);
+                market.questionId = event.args.questionId;
+                market.numOutcomes = Number(event.args.numOutcomes);
+            }
+        } else if (log.address.toLowerCase() === this.conditionalTokens.toLowerCase()) {
+            return this.handleConditionalTokensLog(log, base);
+        } else {
+            const event = this.marketInterface.parseLog(log);
+            const pending = `${log.transactionHash}:${log.address.toLowerCase()}`;
+            if (event.name === "FeeCharged") {
+                // FeeCharged comes right before the Trade it is charged on
+                this.pendingFees.set(pending, event.args.lpFee + event.args.protocolFee);
+                return false;
+            } else if (event.name === "Trade") {
+                const outcome = Number(event.args.outcome);
+                await this.addPosition(log.address, outcome);
+                this.store.addTrade({
+                    ...base,
+                    market: log.address,
+                    trader: event.args.trader,
+                    outcome,
+                    amount: event.args.amount,
+                    cost: event.args.cost,
+                    fee: this.pendingFees.get(pending) ?? 0n,
+                    prices: [...event.args.prices]
+                });
+                this.pendingFees.delete(pending);
+            } else {
+                this.store.setResolution(log.address, { ...base, payouts: [...event.args.payouts] });
+            }
+        }
+        return true;
+    }
+
+    async handleConditionalTokensLog(log, base) {
+        const event = this.ctInterface.parseLog(log);
+        if (event.name === "TransferSingle" || event.name === "TransferBatch") {
+            const { from, to } = event.args;
+            const transfers = event.name === "TransferSingle"
+                ? [[event.args.id, event.args.value]]
+                // args.values would be Array.prototype.values
+                : event.args.ids.map((id, i) => [id, event.args[4][i]]);
+
+            // Mints and burns are recorded as their splits, merges and
+            // redemptions, and the markets' own transfers as their trades
+            let recorded = false;
+            for (const [id, amount] of transfers) {
+                const position = this.store.getPosition(id);
+                if (!position || from === ethers.ZeroAddress || to === ethers.ZeroAddress) continue;
+                if ([from, to].some(account => account.toLowerCase() === position.market.toLowerCase())) continue;
+                this.store.addTransfer({ ...base, market: position.market, outcome: position.outcome, from, to, amount });
+                recorded = true;
+            }
+            return recorded;
+        }
+
+        const market = this.store.getMarketByCondition(event.args.conditionId);
+        if (!market) return false;
+        if (event.name === "PayoutRedemption") {
+            this.store.addRedemption({
+                ...base,
+                market: market.address,
+                redeemer: event.args.redeemer,
+                indexSets: event.args.indexSets.map(Number),
+                payout: event.args.payout
+            });
+            return true;
+        }
+
+        // Splits and merges by the markets are part of their trades
+        const { stakeholder, parentCollectionId } = event.args;
+        if (this.store.getMarket(stakeholder) || parentCollectionId !== market.parentCollectionId) return false;
+        const partition = event.args.partition.map(Number);
+        for (const indexSet of [...partition, partition.reduce((all, indexSet) => all | indexSet, 0)]) {
+            await this.addPosition(market.address, indexSet);
+        }
+        this.store.addSplit({
+            ...base,
+            market: market.address,
+            stakeholder,
+            partition,
+            amount: event.args.amount,
+            merge: event.name === "PositionsMerge"
+        });
+        return true;
+    }
+
+    /**
+     * Records the position id of a market's outcome index set, so transfers
+     * of its tokens can be followed.
+     */
+    async addPosition(address, outcome) {
+        const cacheKey = `${address.toLowerCase()}:${outcome}`;
+        if (this.positionIds.has(cacheKey)) return;
+
+        const market = this.store.getMarket(address);
+        const ct = new ethers.Contract(this.conditionalTokens, CONDITIONAL_TOKENS_ABI, this.provider);
+        const collectionId = await ct.getCollectionId(market.parentCollectionId, market.condition, outcome);
+        const id = await ct.getPositionId(market.collateral, collectionId);
+        this.store.addPosition(id, market.address, outcome);
+        this.positionIds.set(cacheKey, id);
+    }
+
+    /**
+     * Records a new market with its metadata, read at the block it was
+     * created in.
+     */
+    async addMarket(address, creator, base) {
+        const market = new ethers.Contract(address, MARKET_ABI, this.provider);
+        const blockTag = base.block;
+        const [question, outcomes] = await this.factory.getMarketDetails(address, { blockTag });
+        const collateral = await market.token({ blockTag });
+
+        this.store.addMarket({
+            ...base,
+            address,
+            creator,
+            question,
+            outcomes: [...outcomes],
+            questionId: null,
+            numOutcomes: outcomes.length,
+            collateral,
+            decimals: Number(await new ethers.Contract(collateral, ERC20_ABI, this.provider).decimals({ blockTag })),
+            parentCollectionId: await market.parentCollectionId({ blockTag }),
+            condition: await market.condition({ blockTag }),
+            oracle: await market.oracle({ blockTag }),
+            fee: await market.fee({ blockTag }),
+            initialPrices: [...await market.getMarginalPrices({ blockTag })]
+        });
+    }
+}
+
+module.exports = { Indexer };
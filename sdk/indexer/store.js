@@ -0,0 +1,423 @@
+const fs = require("fs");
+const path = require("path");
+const { toTokenAmount, toTokenAmountUp } = require("../fixedPoint");
+
+const VERSION = 2;
+
+// How many block hashes are kept to find where a reorg forked off
+const MAX_CHECKPOINTS = 128;
+
+// Bigints are written as "123n" strings, like Ignition parameter files
+function replacer(_, value) {
+    return typeof value === "bigint" ? `${value}n` : value;
+}
+
+function reviver(_, value) {
+    return typeof value === "string" && /^-?\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value;
+}
+
+function emptyState() {
+    return {
+        version: VERSION,
+        chainId: null,
+        factory: null,
+        lastBlock: null,
+        checkpoints: [],
+        markets: {},
+        trades: [],
+        redemptions: [],
+        transfers: [],
+        splits: [],
+        positions: {}
+    };
+}
+
+const key = address => address.toLowerCase();
+
+// Number of outcomes in an index set
+function countOutcomes(indexSet) {
+    let count = 0;
+    for (let set = indexSet; set > 0; set >>= 1) count += set & 1;
+    return count;
+}
+
+// Splits an amount in proportion to weights, the rounding going to the last
+function allocate(amount, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0n);
+    if (total === 0n) return allocate(amount, weights.map(() => 1n));
+    const shares = weights.map(weight => amount * weight / total);
+    shares[shares.length - 1] += amount - shares.reduce((sum, share) => sum + share, 0n);
+    return shares;
+}
+
+/**
+ * Market history store kept in memory and, given a path, persisted to a JSON
+ * file after every sync.
+ *
+ * Records keep the block they were logged in so a reorg can roll them back.
+ * Share amounts and prices are 64.64 fixed point bigints, collateral amounts
+ * bigints in token units.
+ */
+class JsonStore {
+    /**
+     * @param file The JSON file to persist to, or nothing for an in-memory store
+     */
+    constructor(file) {
+        this.file = file;
+        this.state = emptyState();
+        if (file && fs.existsSync(file)) {
+            this.state = JSON.parse(fs.readFileSync(file, "utf8"), reviver);
+            if (this.state.version !== VERSION) {
+                throw new Error(`Unsupported store version ${this.state.version} in ${file}`);
+            }
+        }
+    }
+
+    save() {
+        if (!this.file) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        // Write then rename, so an interrupted save leaves the previous store
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.state, replacer, 2));
+        fs.renameSync(tmp, this.file);
+    }
+
+    /**
+     * Binds an empty store to a chain and factory, and checks a loaded one
+     * belongs to them.
+     */
+    init(chainId, factory) {
+        const { state } = this;
+        if (state.chainId === null) {
+            state.chainId = chainId;
+            state.factory = factory;
+        } else if (state.chainId !== chainId || key(state.factory) !== key(factory)) {
+            throw new Error(`Store belongs to factory ${state.factory} on chain ${state.chainId}`);
+        }
+    }
+
+    get lastBlock() {
+        return this.state.lastBlock;
+    }
+
+    set lastBlock(number) {
+        this.state.lastBlock = number;
+    }
+
+    /**
+     * Known block hashes, newest first.
+     */
+    getCheckpoints() {
+        return [...this.state.checkpoints].sort((a, b) => b.number - a.number);
+    }
+
+    addCheckpoint(number, hash) {
+        const checkpoints = this.state.checkpoints.filter(checkpoint => checkpoint.number !== number);
+        checkpoints.push({ number, hash });
+        checkpoints.sort((a, b) => a.number - b.number);
+        this.state.checkpoints = checkpoints.slice(-MAX_CHECKPOINTS);
+    }
+
+    /**
+     * Drops everything recorded after a block.
+     */
+    rollback(number) {
+        const { state } = this;
+        const keep = record => record.block <= number;
+
+        state.checkpoints = state.checkpoints.filter(checkpoint => checkpoint.number <= number);
+        state.trades = state.trades.filter(keep);
+        state.redemptions = state.redemptions.filter(keep);
+        state.transfers = state.transfers.filter(keep);
+        state.splits = state.splits.filter(keep);
+        for (const [address, market] of Object.entries(state.markets)) {
+            if (!keep(market)) {
+                delete state.markets[address];
+            } else if (market.resolution && !keep(market.resolution)) {
+                market.resolution = null;
+            }
+        }
+        state.lastBlock = state.lastBlock === null ? null : Math.min(state.lastBlock, number);
+    }
+
+    /**
+     * Drops everything, e.g. when a reorg forked off before every checkpoint.
+     */
+    reset() {
+        const { chainId, factory } = this.state;
+        this.state = { ...emptyState(), chainId, factory };
+    }
+
+    addMarket(market) {
+        this.state.markets[key(market.address)] = { ...market, resolution: null };
+    }
+
+    setResolution(address, resolution) {
+        this.state.markets[key(address)].resolution = resolution;
+    }
+
+    addTrade(trade) {
+        this.state.trades.push(trade);
+    }
+
+    addRedemption(redemption) {
+        this.state.redemptions.push(redemption);
+    }
+
+    addTransfer(transfer) {
+        this.state.transfers.push(transfer);
+    }
+
+    addSplit(split) {
+        this.state.splits.push(split);
+    }
+
+    /**
+     * Records which market and outcome index set an ERC-1155 position id is.
+     * Position ids only depend on the market, so they are kept on rollback.
+     */
+    addPosition(id, market, outcome) {
+        this.state.positions[id.toString()] = { market, outcome };
+    }
+
+    getPosition(id) {
+        return this.state.positions[id.toString()];
+    }
+
+    getMarket(address) {
+        return this.state.markets[key(address)];
+    }
+
+    getMarkets() {
+        return Object.values(this.state.markets).sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+    }
+
+    /**
+     * Returns the market whose condition an id is, if it is indexed.
+     */
+    getMarketByCondition(condition) {
+        return Object.values(this.state.markets).find(market => market.condition === condition);
+    }
+
+    /**
+     * Returns trades in chain order, optionally those of a market or trader.
+     */
+    getTrades({ market, trader } = {}) {
+        return this.state.trades.filter(trade =>
+            (!market || key(trade.market) === key(market)) && (!trader || key(trade.trader) === key(trader))
+        );
+    }
+
+    /**
+     * Returns the marginal prices of a market after each trade, starting with
+     * its prices at creation.
+     */
+    getPriceHistory(address) {
+        const market = this.getMarket(address);
+        if (!market) return [];
+        return [
+            { block: market.block, timestamp: market.timestamp, prices: market.initialPrices },
+            ...this.getTrades({ market: address }).map(({ block, timestamp, transactionHash, prices }) =>
+                ({ block, timestamp, transactionHash, prices })
+            )
+        ];
+    }
+
+    /**
+     * Returns the number of trades and the collateral traded in a market,
+     * optionally within a block range. Volume counts buys and sells alike,
+     * before fees.
+     */
+    getVolume(address, { fromBlock = 0, toBlock = Infinity } = {}) {
+        const trades = this.getTrades({ market: address })
+            .filter(trade => trade.block >= fromBlock && trade.block <= toBlock);
+        return {
+            trades: trades.length,
+            volume: trades.reduce((sum, trade) => sum + trade.cost, 0n),
+            bought: trades.filter(trade => trade.amount > 0n).reduce((sum, trade) => sum + trade.cost, 0n),
+            sold: trades.filter(trade => trade.amount < 0n).reduce((sum, trade) => sum + trade.cost, 0n)
+        };
+    }
+
+    /**
+     * Returns transfers of outcome tokens between accounts in chain order,
+     * optionally those of a market or to or from an account.
+     */
+    getTransfers({ market, account } = {}) {
+        return this.state.transfers.filter(transfer =>
+            (!market || key(transfer.market) === key(market))
+                && (!account || key(transfer.from) === key(account) || key(transfer.to) === key(account))
+        );
+    }
+
+    /**
+     * Returns redemptions in chain order, optionally those of a market or
+     * redeemer.
+     */
+    getRedemptions({ market, redeemer } = {}) {
+        return this.state.redemptions.filter(redemption =>
+            (!market || key(redemption.market) === key(market))
+                && (!redeemer || key(redemption.redeemer) === key(redeemer))
+        );
+    }
+
+    /**
+     * Returns a user's positions built from their trades, one per market and
+     * outcome index set. Shares are 64.64 values; cost is the collateral
+     * spent less the collateral received, before fees. Redeeming a position
+     * zeroes its shares, see getRedemptions for the payouts. Outcome tokens
+     * moved outside the markets are not followed.
+     */
+    getPositions(user) {
+        const positions = new Map();
+        const position = (market, outcome) => {
+            const id = `${key(market)}:${outcome}`;
+            if (!positions.has(id)) {
+                positions.set(id, { market, outcome, shares: 0n, cost: 0n, redeemed: false });
+            }
+            return positions.get(id);
+        };
+
+        const events = [...this.getTrades({ trader: user }), ...this.getRedemptions({ redeemer: user })]
+            .sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+
+        for (const event of events) {
+            if (event.indexSets) {
+                for (const indexSet of event.indexSets) {
+                    const entry = position(event.market, indexSet);
+                    entry.shares = 0n;
+                    entry.redeemed = true;
+                }
+            } else {
+                const entry = position(event.market, event.outcome);
+                entry.shares += event.amount;
+                entry.cost += event.amount > 0n ? event.cost : -event.cost;
+            }
+        }
+
+        return [...positions.values()].filter(entry => entry.shares !== 0n || entry.cost !== 0n);
+    }
+
+    /**
+     * Returns a user's holdings, one per market and outcome index set, with
+     * their accounting at average cost. Unlike getPositions, outcome tokens
+     * are followed wherever they move: trades, transfers between accounts,
+     * which carry their share of the cost basis so that fills through the
+     * order book or the router land with the trader, splits and merges of
+     * collateral and redemptions. Balances are ERC-1155 amounts, collateral
+     * amounts are in token units:
+     *
+     * - balance: the outcome tokens held
+     * - costBasis: what the tokens held cost, fees included
+     * - spent: the collateral paid for the position, fees included, and the
+     *   cost basis of tokens received from other accounts
+     * - received: the collateral from sells, after fees, and merges
+     * - payout: the collateral from redemptions
+     * - realizedPnl: received and payout less the cost basis of the tokens
+     *   sold, merged or redeemed
+     *
+     * Splitting collateral counts as buying each position of the partition
+     * for a part of the amount by how many outcomes it covers, and merging
+     * as selling them the same way. Conditional markets are accounted in the
+     * parent position they trade in.
+     */
+    getHoldings(user) {
+        return [...this.replayLedgers().values()]
+            .filter(entry => key(entry.holder) === key(user))
+            .filter(entry => entry.balance !== 0n || entry.spent !== 0n || entry.received !== 0n || entry.payout !== 0n)
+            .map(({ holder, ...entry }) => entry);
+    }
+
+    // Replays every recorded movement of outcome tokens into one ledger per
+    // holder, market and outcome index set
+    replayLedgers() {
+        const ledgers = new Map();
+        const ledger = (holder, market, outcome) => {
+            const id = `${key(holder)}:${key(market)}:${outcome}`;
+            if (!ledgers.has(id)) {
+                ledgers.set(id, {
+                    holder, market, outcome,
+                    balance: 0n, costBasis: 0n, spent: 0n, received: 0n, payout: 0n, realizedPnl: 0n, redeemed: false
+                });
+            }
+            return ledgers.get(id);
+        };
+        // Takes tokens out of a ledger and returns their share of its cost basis
+        const take = (entry, amount) => {
+            const all = amount >= entry.balance;
+            const basis = all ? entry.costBasis : entry.costBasis * amount / entry.balance;
+            entry.balance = all ? 0n : entry.balance - amount;
+            entry.costBasis -= basis;
+            return basis;
+        };
+        const give = (entry, amount, basis, spent = basis) => {
+            entry.balance += amount;
+            entry.costBasis += basis;
+            entry.spent += spent;
+        };
+        const close = (entry, amount, proceeds) => {
+            const basis = take(entry, amount);
+            entry.received += proceeds;
+            entry.realizedPnl += proceeds - basis;
+        };
+
+        const events = [
+            ...this.state.trades.map(event => ({ ...event, type: "trade" })),
+            ...this.state.transfers.map(event => ({ ...event, type: "transfer" })),
+            ...this.state.splits.map(event => ({ ...event, type: event.merge ? "merge" : "split" })),
+            ...this.state.redemptions.map(event => ({ ...event, type: "redemption" }))
+        ].sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+
+        for (const event of events) {
+            const market = this.getMarket(event.market);
+            if (event.type === "trade") {
+                const entry = ledger(event.trader, event.market, event.outcome);
+                if (event.amount > 0n) {
+                    give(entry, toTokenAmount(event.amount, market.decimals), event.cost + event.fee);
+                } else {
+                    close(entry, toTokenAmountUp(-event.amount, market.decimals), event.cost - event.fee);
+                }
+            } else if (event.type === "transfer") {
+                const basis = take(ledger(event.from, event.market, event.outcome), event.amount);
+                give(ledger(event.to, event.market, event.outcome), event.amount, basis);
+            } else if (event.type === "redemption") {
+                const payouts = market.resolution ? market.resolution.payouts : [];
+                const weights = event.indexSets.map(indexSet =>
+                    payouts.reduce((sum, payout, i) => indexSet & (1 << i) ? sum + payout : sum, 0n)
+                );
+                const portions = allocate(event.payout, weights);
+                event.indexSets.forEach((indexSet, i) => {
+                    const entry = ledger(event.redeemer, event.market, indexSet);
+                    const basis = take(entry, entry.balance);
+                    entry.payout += portions[i];
+                    entry.realizedPnl += portions[i] - basis;
+                    entry.redeemed = true;
+                });
+            } else {
+                const union = event.partition.reduce((all, indexSet) => all | indexSet, 0);
+                const full = union === (1 << market.numOutcomes) - 1;
+                const weights = event.partition.map(indexSet => BigInt(countOutcomes(indexSet)));
+                if (event.type === "split") {
+                    // Splitting a position instead of collateral moves its cost basis
+                    const basis = full ? event.amount : take(ledger(event.stakeholder, event.market, union), event.amount);
+                    const portions = allocate(basis, weights);
+                    event.partition.forEach((indexSet, i) => {
+                        give(ledger(event.stakeholder, event.market, indexSet), event.amount, portions[i], full ? portions[i] : 0n);
+                    });
+                } else if (full) {
+                    const portions = allocate(event.amount, weights);
+                    event.partition.forEach((indexSet, i) => {
+                        close(ledger(event.stakeholder, event.market, indexSet), event.amount, portions[i]);
+                    });
+                } else {
+                    const basis = event.partition.reduce((sum, indexSet) =>
+                        sum + take(ledger(event.stakeholder, event.market, indexSet), event.amount), 0n);
+                    give(ledger(event.stakeholder, event.market, union), event.amount, basis, 0n);
+                }
+            }
+        }
+        return ledgers;
+    }
+}
+
+module.exports = { JsonStore };
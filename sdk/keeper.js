@@ -0,0 +1,99 @@
+/**
+ * Fills the orders of an LsLMSROrderBook whose limit the market has reached,
+ * earning their tips.
+ *
+ * Each run reads the open, unexpired orders, checks which can be filled with
+ * canExecute and fills them one by one. Orders that stop being fillable in
+ * between, e.g. because another keeper filled them first, are reported as
+ * failed and tried again on the next run if still open.
+ *
+ * const keeper = new Keeper(new OrderBookClient(orderBookAddress, signer));
+ * const { filled } = await keeper.run();
+ */
+class Keeper {
+    /**
+     * @param orderBook An OrderBookClient with a signer
+     * @param options.pageSize How many orders to read per call
+     */
+    constructor(orderBook, { pageSize = 100 } = {}) {
+        this.orderBook = orderBook;
+        this.pageSize = pageSize;
+        // Every order below this id is filled or cancelled, so later runs
+        // start reading there
+        this.firstOpen = 0n;
+    }
+
+    /**
+     * Returns the open orders that have not expired by the latest block.
+     */
+    async openOrders() {
+        const block = await this.orderBook.runner.provider.getBlock("latest");
+        const count = await this.orderBook.getOrderCount();
+        const open = [];
+        let settled = true;
+        for (let offset = this.firstOpen; offset < count; offset += BigInt(this.pageSize)) {
+            for (const order of await this.orderBook.getOrders({ offset, limit: this.pageSize })) {
+                if (order.status !== "open") {
+                    if (settled) this.firstOpen = order.id + 1n;
+                    continue;
+                }
+                settled = false;
+                if (order.expiry >= block.timestamp) open.push(order);
+            }
+        }
+        return open;
+    }
+
+    /**
+     * Returns the open orders executeOrder would fill now.
+     */
+    async fillable() {
+        const orders = await this.openOrders();
+        const executable = await Promise.all(orders.map(order => this.orderBook.canExecute(order.id)));
+        return orders.filter((order, i) => executable[i]);
+    }
+
+    /**
+     * Fills every fillable order. Returns the orders filled, with what each
+     * cost, and those that failed, with the error.
+     */
+    async run() {
+        const filled = [];
+        const failed = [];
+        for (const order of await this.fillable()) {
+            try {
+                const receipt = await this.orderBook.executeOrder(order.id);
+                const event = receipt.logs
+                    .map(log => this.orderBook.contract.interface.parseLog(log))
+                    .find(log => log && log.name === "OrderFilled");
+                filled.push({ ...order, cost: event.args.cost, transactionHash: receipt.hash });
+            } catch (error) {
+                failed.push({ ...order, error });
+            }
+        }
+        return { filled, failed };
+    }
+
+    /**
+     * Runs every interval milliseconds until the returned function is called.
+     */
+    watch({ interval = 2000, onRun = () => {}, onError = console.error } = {}) {
+        let stopped = false;
+        let timer;
+        const poll = async () => {
+            try {
+                onRun(await this.run());
+            } catch (error) {
+                onError(error);
+            }
+            if (!stopped) timer = setTimeout(poll, interval);
+        };
+        poll();
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }
+}
+
+module.exports = { Keeper };
@@ -0,0 +1,311 @@
+const { ethers } = require("ethers");
+const { CONDITIONAL_TOKENS_ABI, ERC20_ABI, MARKET_ABI } = require("./abi");
+const { toFixed } = require("./fixedPoint");
+const { signPermit } = require("./permit");
+const { Outcomes } = require("./outcomes");
+const { decodeError } = require("./errors");
+
+// LsLMSR.Phase, in order
+const PHASES = ["Open", "Closed", "Resolving", "Resolved", "Finalized"];
+
+/**
+ * Sends a transaction and waits for it to be mined, turning reverts into
+ * typed errors.
+ */
+async function send(transaction) {
+    try {
+        const tx = await transaction();
+        return await tx.wait();
+    } catch (error) {
+        throw decodeError(error);
+    }
+}
+
+/**
+ * Makes a read-only call, turning reverts into typed errors.
+ */
+async function call(read) {
+    try {
+        return await read();
+    } catch (error) {
+        throw decodeError(error);
+    }
+}
+
+/**
+ * Client for an LsLMSR market.
+ *
+ * Outcomes are given by name, or as a list of names for a position on several
+ * outcomes. Share amounts are decimal strings or numbers ("2.5"), or bigints
+ * that are already 64.64 fixed point values. Collateral amounts, quotes and
+ * limits are bigints in token units.
+ */
+class MarketClient {
+    /**
+     * @param address The market address
+     * @param runner An ethers signer, or a provider for read-only use
+     * @param outcomes The outcome names, in slot order
+     */
+    constructor(address, runner, outcomes) {
+        this.address = address;
+        this.runner = runner;
+        this.outcomes = outcomes instanceof Outcomes ? outcomes : new Outcomes(outcomes);
+        this.contract = new ethers.Contract(address, MARKET_ABI, runner);
+    }
+
+    /**
+     * Returns a client for the same market that sends transactions from
+     * another signer.
+     */
+    connect(runner) {
+        return new MarketClient(this.address, runner, this.outcomes);
+    }
+
+    async collateral() {
+        if (!this._collateral) {
+            this._collateral = new ethers.Contract(await this.contract.token(), ERC20_ABI, this.runner);
+        }
+        return this._collateral;
+    }
+
+    async conditionalTokens() {
+        if (!this._conditionalTokens) {
+            this._conditionalTokens = new ethers.Contract(
+                await this.contract.conditionalTokens(), CONDITIONAL_TOKENS_ABI, this.runner
+            );
+        }
+        return this._conditionalTokens;
+    }
+
+    /**
+     * Returns the collection the market's positions are nested in: the zero
+     * hash, or for a conditional market the parent market's position, which
+     * it then trades in instead of the collateral token.
+     */
+    async parentCollectionId() {
+        if (!this._parentCollectionId) {
+            this._parentCollectionId = await this.contract.parentCollectionId();
+        }
+        return this._parentCollectionId;
+    }
+
+    isResolved() {
+        return this.contract.isResolved();
+    }
+
+    /**
+     * Whether trading is paused, in the market or its whole factory.
+     */
+    isPaused() {
+        return this.contract.isPaused();
+    }
+
+    /**
+     * Returns the market's lifecycle phase by name, see PHASES.
+     */
+    async getPhase() {
+        return PHASES[Number(await this.contract.getPhase())];
+    }
+
+    /**
+     * Returns the close time and resolution deadline in seconds since the
+     * epoch, 0 when unset.
+     */
+    async getSchedule() {
+        const [closeTime, resolutionDeadline] = await Promise.all([
+            this.contract.closeTime(), this.contract.resolutionDeadline()
+        ]);
+        return { closeTime: Number(closeTime), resolutionDeadline: Number(resolutionDeadline) };
+    }
+
+    /**
+     * Returns the market maker's state in 64.64 fixed point, in the form the
+     * lslmsr math module takes, so trades can be quoted without further calls.
+     */
+    async getState() {
+        const [q, b, alpha, totalShares, currentCost] = await this.contract.getMarketState();
+        return { q: [...q], b, alpha, totalShares, currentCost };
+    }
+
+    /**
+     * Returns the marginal price of each outcome by name, in 64.64 fixed point.
+     */
+    async getMarginalPrices() {
+        const prices = await this.contract.getMarginalPrices();
+        return Object.fromEntries(this.outcomes.names.map((name, i) => [name, prices[i]]));
+    }
+
+    /**
+     * Returns the ERC-1155 position id of an outcome or list of outcomes.
+     */
+    async positionId(outcome) {
+        const ct = await this.conditionalTokens();
+        const collectionId = await ct.getCollectionId(
+            await this.parentCollectionId(), await this.contract.condition(), this.outcomes.indexSet(outcome)
+        );
+        return ct.getPositionId(await this.contract.token(), collectionId);
+    }
+
+    /**
+     * Returns how many outcome tokens of a position account holds.
+     */
+    async balanceOf(account, outcome) {
+        const ct = await this.conditionalTokens();
+        return ct.balanceOf(account, await this.positionId(outcome));
+    }
+
+    /**
+     * Returns what buying shares costs, fee included.
+     */
+    quoteBuy(outcome, shares) {
+        return call(() => this.contract.buyQuote(this.outcomes.indexSet(outcome), toFixed(shares)));
+    }
+
+    /**
+     * Returns what selling shares pays out, net of the fee.
+     */
+    quoteSell(outcome, shares) {
+        return call(() => this.contract.sellQuote(this.outcomes.indexSet(outcome), toFixed(shares)));
+    }
+
+    /**
+     * Returns how many shares spending collateral buys, fee included, as a
+     * 64.64 bigint. collateral is in token units.
+     */
+    quoteSpend(outcome, collateral) {
+        return call(() => this.contract.sharesForCollateral(this.outcomes.indexSet(outcome), collateral));
+    }
+
+    /**
+     * Approves the market to spend the signer's collateral. A conditional
+     * market takes the parent position instead, which needs the same approval
+     * on the conditional tokens contract as selling, whatever the amount.
+     */
+    async approveCollateral(amount = ethers.MaxUint256) {
+        if (await this.parentCollectionId() !== ethers.ZeroHash) {
+            return this.approvePositions();
+        }
+        const collateral = await this.collateral();
+        return send(() => collateral.approve(this.address, amount));
+    }
+
+    /**
+     * Approves the market to pull the signer's outcome tokens, which selling
+     * needs.
+     */
+    async approvePositions() {
+        const ct = await this.conditionalTokens();
+        return send(() => ct.setApprovalForAll(this.address, true));
+    }
+
+    /**
+     * Buys shares of an outcome. With maxCost or deadline set the trade goes
+     * through buyWithMaxCost; a missing limit defaults to none.
+     */
+    buy(outcome, shares, { maxCost, deadline } = {}) {
+        const indexSet = this.outcomes.indexSet(outcome);
+        const amount = toFixed(shares);
+        if (maxCost === undefined && deadline === undefined) {
+            return send(() => this.contract.buy(indexSet, amount));
+        }
+        return send(() => this.contract.buyWithMaxCost(
+            indexSet, amount, maxCost ?? ethers.MaxUint256, deadline ?? ethers.MaxUint256
+        ));
+    }
+
+    /**
+     * Buys shares of an outcome in one transaction, approving the market with
+     * a permit signed for maxCost instead of a separate approve. maxCost
+     * defaults to the current quote and deadline to none. The collateral must
+     * support EIP-2612.
+     */
+    async buyWithPermit(outcome, shares, { maxCost, deadline = ethers.MaxUint256 } = {}) {
+        const indexSet = this.outcomes.indexSet(outcome);
+        const amount = toFixed(shares);
+        const limit = maxCost ?? await this.contract.buyQuote(indexSet, amount);
+        const { v, r, s } = await signPermit(this.runner, await this.contract.token(), this.address, limit, deadline);
+        return send(() => this.contract.buyWithPermit(indexSet, amount, limit, deadline, v, r, s));
+    }
+
+    /**
+     * Spends collateral, in token units and fee included, on as many shares of
+     * an outcome as it buys. minShares defaults to the current quoteSpend.
+     */
+    async buyWithCollateral(outcome, collateral, { minShares } = {}) {
+        const indexSet = this.outcomes.indexSet(outcome);
+        const minimum = minShares === undefined
+            ? await this.contract.sharesForCollateral(indexSet, collateral)
+            : toFixed(minShares);
+        return send(() => this.contract.buyWithCollateral(indexSet, collateral, minimum));
+    }
+
+    /**
+     * Sells shares of an outcome back to the market. With minProceeds or
+     * deadline set the trade goes through sellWithMinProceeds.
+     */
+    sell(outcome, shares, { minProceeds, deadline } = {}) {
+        const indexSet = this.outcomes.indexSet(outcome);
+        const amount = toFixed(shares);
+        if (minProceeds === undefined && deadline === undefined) {
+            return send(() => this.contract.sell(indexSet, amount));
+        }
+        return send(() => this.contract.sellWithMinProceeds(
+            indexSet, amount, minProceeds ?? 0n, deadline ?? ethers.MaxUint256
+        ));
+    }
+
+    /**
+     * Resolves the market. Takes the winning outcome name or names, which
+     * share the payout equally, or a full payout vector.
+     */
+    resolve(result) {
+        const payouts = Array.isArray(result) && result.every(p => typeof p !== "string")
+            ? result
+            : this.outcomes.payouts(result);
+        return send(() => this.contract.resolveMarket(payouts));
+    }
+
+    /**
+     * Records that trading has closed once the close time has passed.
+     */
+    close() {
+        return send(() => this.contract.close());
+    }
+
+    /**
+     * Resolves the market as invalid, paying every outcome equally. The oracle
+     * can do so at any time, anyone once the resolution deadline has passed
+     * without the oracle reporting.
+     */
+    invalidate() {
+        return send(() => this.contract.invalidate());
+    }
+
+    /**
+     * Redeems the signer's outcome tokens of a resolved market for collateral,
+     * or for the parent position of a conditional market.
+     */
+    async redeem() {
+        const ct = await this.conditionalTokens();
+        const token = await this.contract.token();
+        const condition = await this.contract.condition();
+        const parentCollectionId = await this.parentCollectionId();
+        return send(() => ct.redeemPositions(token, parentCollectionId, condition, this.outcomes.singletons()));
+    }
+
+    /**
+     * Withdraws the signer's liquidity from a resolved market.
+     */
+    withdraw() {
+        return send(() => this.contract.withdraw());
+    }
+
+    /**
+     * Claims the signer's share of the LP fees.
+     */
+    claimFees() {
+        return send(() => this.contract.claimFees());
+    }
+}
+
+module.exports = { PHASES, MarketClient, send, call };
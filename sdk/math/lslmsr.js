@@ -0,0 +1,135 @@
+/**
+ * The LsLMSR market maker's math, computed with the NewMath emulation so
+ * results match the contract's views to the last bit. A market state is
+ * { alpha, b, q, totalShares, currentCost } in 64.64 fixed point, mirroring
+ * the contract's storage. Functions that trade return a new state.
+ */
+const NewMath = require("./newMath");
+
+// The domain the contract supports, amounts in 64.64; trades and markets
+// outside it revert with LsLMSR's custom errors
+const BOUNDS = {
+    maxOutcomes: 16,
+    minSubsidy: 18446744073709n,
+    maxSubsidy: 1n << 104n,
+    // Times b, per trade
+    maxTradeFactor: 1000n,
+    maxTotalShares: 1n << 112n
+};
+
+/**
+ * alpha = 1 / (n ln n), as derived in LsLMSR.setup.
+ */
+function alpha(numOutcomes) {
+    const n = NewMath.fromUInt(numOutcomes);
+    return NewMath.div(NewMath.ONE, NewMath.mul(n, NewMath.ln(n)));
+}
+
+/**
+ * Returns the state of a market set up with a subsidy, in 64.64, per outcome.
+ */
+function setupMarket(numOutcomes, subsidy) {
+    const n = NewMath.fromUInt(numOutcomes);
+    const a = alpha(numOutcomes);
+    const state = {
+        alpha: a,
+        b: NewMath.mul(NewMath.mul(subsidy, n), a),
+        q: new Array(numOutcomes).fill(subsidy),
+        totalShares: NewMath.mul(subsidy, n)
+    };
+    state.currentCost = cost(state);
+    return state;
+}
+
+// Like LsLMSR.costOf: b (m + ln(sum exp(q_i / b - m))) with m the largest q_i / b
+function costOf(q, b) {
+    const ratios = q.map(qi => NewMath.div(qi, b));
+    const m = ratios.reduce((max, r) => r > max ? r : max);
+    let sum = 0n;
+    for (const r of ratios) {
+        sum = NewMath.add(sum, NewMath.exp(NewMath.sub(r, m)));
+    }
+    return NewMath.mul(b, NewMath.add(m, NewMath.ln(sum)));
+}
+
+/**
+ * C(q) = b ln(sum exp(q_i / b)), like LsLMSR.cost.
+ */
+function cost(state) {
+    return costOf(state.q, state.b);
+}
+
+/**
+ * Adds amount (negative when selling) to the outcomes in indexSet, like the
+ * contract's cost_after_buy and updateMarket.
+ */
+function trade(state, indexSet, amount) {
+    const q = [...state.q];
+    let totalShares = state.totalShares;
+    for (let j = 0; j < q.length; j++) {
+        if ((BigInt(indexSet) & (1n << BigInt(j))) !== 0n) {
+            q[j] = NewMath.add(q[j], amount);
+            totalShares = NewMath.add(totalShares, amount);
+        }
+    }
+    return { q, totalShares, b: NewMath.mul(totalShares, state.alpha) };
+}
+
+function costAfterBuy(state, indexSet, amount) {
+    const { q, b } = trade(state, indexSet, amount);
+    return costOf(q, b);
+}
+
+function costAfterSell(state, indexSet, amount) {
+    return costAfterBuy(state, indexSet, NewMath.neg(amount));
+}
+
+/**
+ * The cost of buying amount of the outcomes in indexSet, like LsLMSR.price.
+ */
+function price(state, indexSet, amount) {
+    return costAfterBuy(state, indexSet, amount) - state.currentCost;
+}
+
+/**
+ * The proceeds of selling, like LsLMSR.sell_price.
+ */
+function sellPrice(state, indexSet, amount) {
+    return state.currentCost - costAfterSell(state, indexSet, amount);
+}
+
+/**
+ * Applies a buy (or a sell, with a negative amount) and returns the new state
+ * with the change in the cost function, like LsLMSR.updateMarket.
+ */
+function applyTrade(state, indexSet, amount) {
+    const { q, totalShares, b } = trade(state, indexSet, amount);
+    const newCost = costOf(q, b);
+    return {
+        state: { alpha: state.alpha, b, q, totalShares, currentCost: newCost },
+        price: NewMath.sub(newCost, state.currentCost)
+    };
+}
+
+/**
+ * Scales the inventory by factor, like adding or removing liquidity.
+ */
+function scaleMarket(state, factor) {
+    const q = state.q.map(qi => NewMath.mul(qi, factor));
+    const totalShares = NewMath.mul(state.totalShares, factor);
+    const b = NewMath.mul(totalShares, state.alpha);
+    return { alpha: state.alpha, b, q, totalShares, currentCost: costOf(q, b) };
+}
+
+module.exports = {
+    BOUNDS,
+    alpha,
+    setupMarket,
+    cost,
+    costAfterBuy,
+    costAfterSell,
+    price,
+    sellPrice,
+    applyTrade,
+    scaleMarket
+};
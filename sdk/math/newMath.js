@@ -0,0 +1,182 @@
+/**
+ * Bit-exact emulation of contracts/NewMath.sol on signed 64.64 fixed point
+ * bigints. Every function rounds, wraps and reverts where the library does,
+ * so results can be compared with the contracts' to the last bit. Reverts are
+ * thrown as Errors whose reason is the library's revert reason, or "arithmetic
+ * overflow" where Solidity's checked arithmetic would panic.
+ */
+
+const ONE = 1n << 64n;
+const MIN_64x64 = -(1n << 127n);
+const MAX_64x64 = (1n << 127n) - 1n;
+const LN2 = 0xB17217F7D1CF79ABn;
+
+class MathRevertError extends Error {
+    constructor(reason) {
+        super(reason);
+        this.name = "MathRevertError";
+        this.reason = reason;
+    }
+}
+
+function require(condition, reason) {
+    if (!condition) throw new MathRevertError(reason);
+}
+
+// Solidity 0.8 checked arithmetic on int128
+function checked(x) {
+    require(x >= MIN_64x64 && x <= MAX_64x64, "arithmetic overflow");
+    return x;
+}
+
+function fromInt(x) {
+    x = BigInt(x);
+    require(x >= -0x8000000000000000n && x <= 0x7FFFFFFFFFFFFFFFn, "fromInt overflow");
+    return x << 64n;
+}
+
+function toInt(x) {
+    return x >> 64n;
+}
+
+function fromUInt(x) {
+    x = BigInt(x);
+    require(x <= 0x7FFFFFFFFFFFFFFFn, "fromUInt overflow");
+    return x << 64n;
+}
+
+function toUInt(x) {
+    require(x >= 0n, "toUInt underflow");
+    return x >> 64n;
+}
+
+function add(x, y) {
+    return checked(x + y);
+}
+
+function sub(x, y) {
+    return checked(x - y);
+}
+
+function mul(x, y) {
+    // int128(prod >> 64) truncates rather than reverts
+    return BigInt.asIntN(128, (x * y) >> 64n);
+}
+
+function div(x, y) {
+    require(y !== 0n, "div by zero");
+    const result = (x << 64n) / y;
+    require(result >= MIN_64x64 && result <= MAX_64x64, "div overflow");
+    return result;
+}
+
+function neg(x) {
+    require(x !== MIN_64x64, "neg overflow");
+    return -x;
+}
+
+function abs(x) {
+    return x >= 0n ? x : neg(x);
+}
+
+function divu(x, y) {
+    x = BigInt(x);
+    y = BigInt(y);
+    require(y !== 0n, "divu: division by zero");
+    const result = BigInt.asUintN(256, x << 64n) / y;
+    require(result <= MAX_64x64, "divu overflow");
+    return result;
+}
+
+function mulu(x, y) {
+    y = BigInt(y);
+    require(x >= 0n, "mulu: negative x not allowed");
+    const prod = x * y;
+    require(prod < 1n << 256n, "arithmetic overflow");
+    return prod >> 64n;
+}
+
+function ln(x) {
+    require(x > 0n, "ln: x must be positive");
+    return mul(log_2(x), LN2);
+}
+
+function log_2(x) {
+    require(x > 0n, "log_2: x must be positive");
+    let result = 0n;
+
+    while (x < ONE) {
+        x = BigInt.asIntN(128, x << 1n);
+        result = sub(result, ONE);
+    }
+    while (x >= ONE << 1n) {
+        x = x >> 1n;
+        result = add(result, ONE);
+    }
+    for (let i = 0n; i < 64n; i++) {
+        x = mul(x, x);
+        if (x >= ONE << 1n) {
+            x = x >> 1n;
+            result = add(result, ONE >> (i + 1n));
+        }
+    }
+    return result;
+}
+
+function exp(x) {
+    return exp_2(div(x, LN2));
+}
+
+function exp_2(x) {
+    if (x === 0n) return ONE;
+
+    let n = x / ONE;
+    let f = x % ONE;
+    if (f < 0n) {
+        f += ONE;
+        n -= 1n;
+    }
+
+    let result;
+    if (n >= 0n) {
+        require(n < 63n, "exp_2: integer overflow");
+        result = BigInt.asIntN(128, BigInt.asUintN(128, ONE << n));
+    } else {
+        require(-n < 128n, "exp_2: integer underflow");
+        result = ONE >> -n;
+    }
+
+    const z = mul(f, LN2);
+    let term = ONE;
+    let sum = ONE;
+    for (let i = 1n; term !== 0n; i++) {
+        term = mul(term, z) / i;
+        sum = add(sum, term);
+    }
+
+    return mul(result, sum);
+}
+
+module.exports = {
+    ONE,
+    MIN_64x64,
+    MAX_64x64,
+    LN2,
+    MathRevertError,
+    fromInt,
+    toInt,
+    fromUInt,
+    toUInt,
+    add,
+    sub,
+    mul,
+    div,
+    neg,
+    abs,
+    divu,
+    mulu,
+    ln,
+    log_2,
+    exp,
+    exp_2
+};
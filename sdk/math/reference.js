@@ -0,0 +1,162 @@
+/**
+ * High precision reference implementation of the LS-LMSR math, for measuring
+ * the error of the contracts' 64.64 arithmetic. Values are bigints scaled by
+ * SCALE (40 decimals); fromX64 and toX64 convert from and to 64.64 fixed point.
+ *
+ * C(q) = b ln(sum exp(q_i / b)) with b = alpha * sum q and
+ * alpha = 1 / (n ln n).
+ */
+
+const SCALE = 10n ** 40n;
+const X64 = 1n << 64n;
+
+function fromX64(x) {
+    return BigInt(x) * SCALE / X64;
+}
+
+function toX64(x) {
+    return x * X64 / SCALE;
+}
+
+function fromInteger(x) {
+    return BigInt(x) * SCALE;
+}
+
+/**
+ * Formats a scaled value as a decimal string with the given number of digits.
+ */
+function toDecimal(x, digits = 18) {
+    const negative = x < 0n;
+    const abs = negative ? -x : x;
+    const whole = abs / SCALE;
+    const fraction = (abs % SCALE).toString().padStart(40, "0").slice(0, digits);
+    return `${negative ? "-" : ""}${whole}.${fraction}`;
+}
+
+function mul(x, y) {
+    return x * y / SCALE;
+}
+
+function div(x, y) {
+    return x * SCALE / y;
+}
+
+// 2 atanh(y) = ln((1 + y) / (1 - y)) for |y| < 1
+function atanh2(y) {
+    const y2 = mul(y, y);
+    let power = y;
+    let sum = 0n;
+    for (let k = 1n; power !== 0n; k += 2n) {
+        sum += power / k;
+        power = mul(power, y2);
+    }
+    return 2n * sum;
+}
+
+const LN2 = atanh2(SCALE / 3n);
+
+function exp(x) {
+    // e^x = 2^k e^r with |r| <= ln2 / 2
+    let k = x / LN2;
+    let r = x - k * LN2;
+    if (2n * r > LN2) {
+        r -= LN2;
+        k += 1n;
+    } else if (2n * r < -LN2) {
+        r += LN2;
+        k -= 1n;
+    }
+
+    let term = SCALE;
+    let sum = SCALE;
+    for (let i = 1n; term !== 0n; i++) {
+        term = mul(term, r) / i;
+        sum += term;
+    }
+    return k >= 0n ? sum << k : sum >> -k;
+}
+
+function ln(x) {
+    if (x <= 0n) throw new RangeError("ln of a non-positive number");
+
+    // x = 2^k m with m in [1, 2)
+    let k = BigInt(x.toString(2).length - SCALE.toString(2).length);
+    let m = k >= 0n ? x >> k : x << -k;
+    while (m >= 2n * SCALE) {
+        m >>= 1n;
+        k += 1n;
+    }
+    while (m < SCALE) {
+        m <<= 1n;
+        k -= 1n;
+    }
+    return k * LN2 + atanh2(div(m - SCALE, m + SCALE));
+}
+
+function alpha(numOutcomes) {
+    const n = fromInteger(numOutcomes);
+    return div(SCALE, mul(n, ln(n)));
+}
+
+/**
+ * The liquidity parameter b = alpha * sum q.
+ */
+function liquidity(q) {
+    return mul(alpha(q.length), q.reduce((a, b) => a + b, 0n));
+}
+
+function cost(q) {
+    const b = liquidity(q);
+    return mul(b, ln(q.reduce((sum, qi) => sum + exp(div(qi, b)), 0n)));
+}
+
+function traded(q, indexSet, amount) {
+    return q.map((qi, i) => (BigInt(indexSet) & (1n << BigInt(i))) !== 0n ? qi + amount : qi);
+}
+
+function costAfterBuy(q, indexSet, amount) {
+    return cost(traded(q, indexSet, amount));
+}
+
+function price(q, indexSet, amount) {
+    return costAfterBuy(q, indexSet, amount) - cost(q);
+}
+
+function sellPrice(q, indexSet, amount) {
+    return cost(q) - costAfterBuy(q, indexSet, -amount);
+}
+
+/**
+ * The marginal prices dC/dq_i:
+ * alpha ln(S) + (Q exp(q_i / b) - sum q_j exp(q_j / b)) / (Q S)
+ * with S = sum exp(q_j / b) and Q = sum q_j. They sum to more than 1; the
+ * excess is the market maker's spread.
+ */
+function marginalPrices(q) {
+    const b = liquidity(q);
+    const Q = q.reduce((a, c) => a + c, 0n);
+    const exps = q.map(qi => exp(div(qi, b)));
+    const S = exps.reduce((a, c) => a + c, 0n);
+    const weighted = q.reduce((sum, qi, i) => sum + mul(qi, exps[i]), 0n);
+    const base = mul(alpha(q.length), ln(S));
+    return exps.map(e => base + div(mul(Q, e) - weighted, mul(Q, S)));
+}
+
+module.exports = {
+    SCALE,
+    fromX64,
+    toX64,
+    fromInteger,
+    toDecimal,
+    mul,
+    div,
+    exp,
+    ln,
+    alpha,
+    liquidity,
+    cost,
+    costAfterBuy,
+    price,
+    sellPrice,
+    marginalPrices
+};
@@ -0,0 +1,135 @@
+const { ethers } = require("ethers");
+const { ERC20_ABI, ORDER_BOOK_ABI } = require("./abi");
+const { toFixed } = require("./fixedPoint");
+const NewMath = require("./math/newMath");
+const { send, call } = require("./market");
+
+// LsLMSROrderBook.Status, in order
+const ORDER_STATUSES = ["open", "filled", "cancelled"];
+
+// Orders expire a day after they are placed unless given an expiry
+const DEFAULT_ORDER_LIFETIME = 24 * 60 * 60;
+
+/**
+ * Client for an LsLMSROrderBook, which holds standing buy orders that anyone
+ * can fill for a tip once the market's price is within their limit.
+ *
+ * Orders are placed on a MarketClient with outcomes by name, as for
+ * MarketClient.buy. Limit prices are decimal strings or numbers per share
+ * ("0.2"), or bigints that are already 64.64 values, and apply to the average
+ * price of the whole order before the fee. Escrows and tips are bigints in
+ * token units.
+ */
+class OrderBookClient {
+    /**
+     * @param address The order book address
+     * @param runner An ethers signer, or a provider for read-only use
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, ORDER_BOOK_ABI, runner);
+    }
+
+    connect(runner) {
+        return new OrderBookClient(this.address, runner);
+    }
+
+    /**
+     * Approves the order book to spend the signer's tokens of a collateral.
+     */
+    approveCollateral(collateral, amount = ethers.MaxUint256) {
+        const token = new ethers.Contract(collateral, ERC20_ABI, this.runner);
+        return send(() => token.approve(this.address, amount));
+    }
+
+    /**
+     * Returns what placing an order escrows, in token units: its most
+     * expensive fill with the fee, not counting the tip.
+     */
+    async quoteEscrow(market, shares, limitPrice) {
+        const maxCost = await market.contract.getTokenWeiUp(
+            await market.contract.token(), NewMath.mul(toFixed(limitPrice), toFixed(shares))
+        );
+        return maxCost + await market.contract.getFee(maxCost);
+    }
+
+    /**
+     * Places an order for shares of an outcome at an average price of at most
+     * limitPrice, escrowing its most expensive fill and the tip. expiry is in
+     * seconds since the epoch and defaults to a day after the latest block.
+     * Returns the order id.
+     */
+    async placeOrder(market, outcome, shares, { limitPrice, tip = 0n, expiry } = {}) {
+        if (expiry === undefined) {
+            const block = await this.runner.provider.getBlock("latest");
+            expiry = block.timestamp + DEFAULT_ORDER_LIFETIME;
+        }
+        const receipt = await send(() => this.contract.placeOrder(
+            market.address, market.outcomes.indexSet(outcome), toFixed(shares), toFixed(limitPrice), tip, expiry
+        ));
+        const event = receipt.logs
+            .map(log => this.contract.interface.parseLog(log))
+            .find(log => log && log.name === "OrderPlaced");
+        return event.args.orderId;
+    }
+
+    /**
+     * Returns an order with its status by name, see ORDER_STATUSES. The
+     * outcome is the index set the order buys.
+     */
+    async getOrder(orderId) {
+        return formatOrder(BigInt(orderId), await call(() => this.contract.getOrder(orderId)));
+    }
+
+    async getOrderCount() {
+        return this.contract.getOrderCount();
+    }
+
+    /**
+     * Returns up to limit orders from offset, by id.
+     */
+    async getOrders({ offset = 0, limit = 100 } = {}) {
+        const page = await this.contract.getOrders(offset, limit);
+        return page.map((order, i) => formatOrder(BigInt(offset) + BigInt(i), order));
+    }
+
+    /**
+     * Whether executeOrder would fill the order now.
+     */
+    canExecute(orderId) {
+        return this.contract.canExecute(orderId);
+    }
+
+    /**
+     * Fills an order for its tip, sending the shares to its trader.
+     */
+    executeOrder(orderId) {
+        return send(() => this.contract.executeOrder(orderId));
+    }
+
+    /**
+     * Cancels an order and refunds its escrow and tip to the trader, who can
+     * cancel at any time; anyone can once the order has expired.
+     */
+    cancelOrder(orderId) {
+        return send(() => this.contract.cancelOrder(orderId));
+    }
+}
+
+function formatOrder(id, order) {
+    return {
+        id,
+        trader: order.trader,
+        market: order.market,
+        outcome: order.outcome,
+        amount: order.amount,
+        limitPrice: order.limitPrice,
+        escrow: order.escrow,
+        tip: order.tip,
+        expiry: Number(order.expiry),
+        status: ORDER_STATUSES[Number(order.status)]
+    };
+}
+
+module.exports = { ORDER_STATUSES, OrderBookClient };
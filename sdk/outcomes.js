@@ -0,0 +1,72 @@
+/**
+ * Maps outcome names to the index sets (bitmasks) ConditionalTokens and
+ * LsLMSR use. Outcome i is the bit 1 << i, so with
+ * ["Chiefs", "Ravens", "Buccaneers", "Other"] Chiefs is 1 and Ravens is 2.
+ */
+class Outcomes {
+    constructor(names) {
+        if (!Array.isArray(names) || names.length < 2) {
+            throw new Error("A market needs at least two outcomes");
+        }
+        this.names = [...names];
+    }
+
+    get count() {
+        return this.names.length;
+    }
+
+    /**
+     * Returns the slot of an outcome name. Names are matched without regard to
+     * case.
+     */
+    indexOf(name) {
+        const i = this.names.findIndex(n => n.toLowerCase() === String(name).toLowerCase());
+        if (i === -1) {
+            throw new Error(`Unknown outcome "${name}"`);
+        }
+        return i;
+    }
+
+    /**
+     * Returns the index set of an outcome name or a list of names. Numbers are
+     * taken to be index sets already.
+     */
+    indexSet(outcome) {
+        if (typeof outcome === "number" || typeof outcome === "bigint") {
+            const indexSet = Number(outcome);
+            if (indexSet <= 0 || indexSet >= 1 << this.count) {
+                throw new Error(`Invalid index set ${indexSet}`);
+            }
+            return indexSet;
+        }
+        if (Array.isArray(outcome)) {
+            return outcome.reduce((set, name) => set | this.indexSet(name), 0);
+        }
+        return 1 << this.indexOf(outcome);
+    }
+
+    /**
+     * Returns the names in an index set.
+     */
+    namesOf(indexSet) {
+        return this.names.filter((_, i) => (Number(indexSet) & (1 << i)) !== 0);
+    }
+
+    /**
+     * Returns the single outcome index sets, one per slot.
+     */
+    singletons() {
+        return this.names.map((_, i) => 1 << i);
+    }
+
+    /**
+     * Returns a payout vector that pays out the given outcome or outcomes
+     * equally.
+     */
+    payouts(winners) {
+        const indexSet = this.indexSet(winners);
+        return this.names.map((_, i) => (indexSet & (1 << i)) !== 0 ? 1 : 0);
+    }
+}
+
+module.exports = { Outcomes };
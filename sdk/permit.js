@@ -0,0 +1,46 @@
+const { ethers } = require("ethers");
+const { PERMIT_ABI } = require("./abi");
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * Returns a token's EIP-712 domain. Tokens without EIP-5267 are assumed to
+ * use their name and version "1", as OpenZeppelin's ERC20Permit does.
+ */
+async function permitDomain(token) {
+    try {
+        const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+        return { name, version, chainId, verifyingContract };
+    } catch {
+        const { chainId } = await token.runner.provider.getNetwork();
+        return { name: await token.name(), version: "1", chainId, verifyingContract: token.target };
+    }
+}
+
+/**
+ * Signs an EIP-2612 permit for spender to spend value of the signer's tokens
+ * until deadline, in seconds since the epoch. Returns the permit with its
+ * signature split into v, r and s, in the form LsLMSR.buyWithPermit and
+ * LsLMSRRouter.buyBatchWithPermits take.
+ */
+async function signPermit(signer, token, spender, value, deadline = ethers.MaxUint256) {
+    const contract = new ethers.Contract(token, PERMIT_ABI, signer);
+    const owner = await signer.getAddress();
+    const domain = await permitDomain(contract);
+    const nonce = await contract.nonces(owner);
+
+    const signature = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, {
+        owner, spender, value, nonce, deadline
+    }));
+    return { token, value, deadline, v: signature.v, r: signature.r, s: signature.s };
+}
+
+module.exports = { PERMIT_TYPES, signPermit };
@@ -0,0 +1,70 @@
+const { ethers } = require("ethers");
+const { ERC20_ABI, ROUTER_ABI } = require("./abi");
+const { toFixed } = require("./fixedPoint");
+const { send } = require("./market");
+const { signPermit } = require("./permit");
+
+/**
+ * Client for an LsLMSRRouter, which buys in several markets in one
+ * transaction, all or nothing.
+ *
+ * Legs name a MarketClient, an outcome of it and a share amount, as for
+ * MarketClient.buy. A leg's maxCost defaults to its current quote, which only
+ * holds for the first leg in each market: later legs in the same market cost
+ * more and need their own limit.
+ */
+class RouterClient {
+    /**
+     * @param address The router address
+     * @param runner An ethers signer, or a provider for read-only use
+     */
+    constructor(address, runner) {
+        this.address = address;
+        this.runner = runner;
+        this.contract = new ethers.Contract(address, ROUTER_ABI, runner);
+    }
+
+    connect(runner) {
+        return new RouterClient(this.address, runner);
+    }
+
+    /**
+     * Approves the router to spend the signer's tokens of a collateral.
+     */
+    approveCollateral(collateral, amount = ethers.MaxUint256) {
+        const token = new ethers.Contract(collateral, ERC20_ABI, this.runner);
+        return send(() => token.approve(this.address, amount));
+    }
+
+    /**
+     * Buys every leg or none. With permit set the router is approved with a
+     * permit per collateral, signed for the sum of its legs' maxCost, instead
+     * of an earlier approveCollateral.
+     */
+    async buyBatch(legs, { deadline = ethers.MaxUint256, permit = false } = {}) {
+        const batch = await Promise.all(legs.map(async ({ market, outcome, shares, maxCost }) => ({
+            market: market.address,
+            outcome: market.outcomes.indexSet(outcome),
+            amount: toFixed(shares),
+            maxCost: maxCost ?? await market.quoteBuy(outcome, shares),
+            collateral: await market.contract.token()
+        })));
+
+        const calldata = batch.map(({ market, outcome, amount, maxCost }) => ({ market, outcome, amount, maxCost }));
+        if (!permit) {
+            return send(() => this.contract.buyBatch(calldata, deadline));
+        }
+
+        const totals = new Map();
+        for (const leg of batch) {
+            totals.set(leg.collateral, (totals.get(leg.collateral) ?? 0n) + leg.maxCost);
+        }
+        const permits = [];
+        for (const [collateral, total] of totals) {
+            permits.push(await signPermit(this.runner, collateral, this.address, total, deadline));
+        }
+        return send(() => this.contract.buyBatchWithPermits(calldata, deadline, permits));
+    }
+}
+
+module.exports = { RouterClient };
@@ -0,0 +1,78 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deployed contract addresses are kept in deployments/<chainId>.json so tasks,
+ * scripts and tests can find them across runs. ADDRESS_BOOK_DIR overrides the
+ * directory. Contracts deployed with the Ignition modules are picked up from
+ * Ignition's own records of the chain as well.
+ */
+
+// Ignition modules whose contracts go into the address book
+const IGNITION_MODULES = ["CoreModule", "FakeDaiModule"];
+function addressBookDir(hre) {
+    return process.env.ADDRESS_BOOK_DIR || path.join(hre.config.paths.root, "deployments");
+}
+
+async function addressBookPath(hre) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    return path.join(addressBookDir(hre), `${chainId}.json`);
+}
+
+function readJson(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+/**
+ * Returns the addresses Ignition deployed on the current chain, keyed by
+ * contract name.
+ */
+async function loadIgnitionAddresses(hre) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const deployed = readJson(path.join(
+        hre.config.paths.ignition, "deployments", `chain-${chainId}`, "deployed_addresses.json"
+    ));
+
+    const addresses = {};
+    for (const [futureId, address] of Object.entries(deployed)) {
+        const [moduleId, name] = futureId.split("#");
+        if (IGNITION_MODULES.includes(moduleId)) addresses[name] = address;
+    }
+    return addresses;
+}
+
+async function loadAddresses(hre) {
+    return { ...(await loadIgnitionAddresses(hre)), ...readJson(await addressBookPath(hre)) };
+}
+
+/**
+ * Merges addresses into the address book of the current chain.
+ */
+async function saveAddresses(hre, addresses) {
+    const file = await addressBookPath(hre);
+    const book = { ...readJson(file), ...addresses };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(book, null, 2) + "\n");
+    return book;
+}
+
+/**
+ * Returns a recorded address, checking that a contract is deployed there. The
+ * in-process hardhat network starts empty on every run, so its entries go
+ * stale.
+ */
+async function getAddress(hre, name) {
+    const address = (await loadAddresses(hre))[name];
+    if (!address || (await hre.ethers.provider.getCode(address)) === "0x") {
+        throw new Error(`No ${name} deployed on this network, run deploy-core first`);
+    }
+    return address;
+}
+
+module.exports = {
+    addressBookPath,
+    loadIgnitionAddresses,
+    loadAddresses,
+    saveAddresses,
+    getAddress
+};
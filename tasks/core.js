@@ -0,0 +1,61 @@
+const { task, types } = require("hardhat/config");
+const { saveAddresses, getAddress } = require("./addressBook");
+const { output, getSigner } = require("./utils");
+const CoreModule = require("../ignition/modules/Core");
+const FakeDaiModule = require("../ignition/modules/FakeDai");
+
+// Chains FakeDai is deployed to without --fake-dai
+const LOCAL_CHAINS = [31337n, 1337n];
+
+task("deploy-core", "Deploys ConditionalTokens, the market factory, MarketLens, the router and the order book with Ignition")
+    .addFlag("fakeDai", "Also deploy FakeDai (the default on local chains)")
+    .addOptionalParam("account", "Index of the deploying account", 0, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const deployer = await getSigner(hre, args.account);
+        const { conditionalTokens, marketImplementation, factory, marketLens, router, orderBook } = await hre.ignition.deploy(CoreModule, {
+            defaultSender: deployer.address
+        });
+
+        const addresses = {
+            ConditionalTokens: await conditionalTokens.getAddress(),
+            LsLMSRImplementation: await marketImplementation.getAddress(),
+            LsLMSRFactory: await factory.getAddress(),
+            MarketLens: await marketLens.getAddress(),
+            LsLMSRRouter: await router.getAddress(),
+            LsLMSROrderBook: await orderBook.getAddress()
+        };
+
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        if (args.fakeDai || LOCAL_CHAINS.includes(chainId)) {
+            const { fakeDai } = await hre.ignition.deploy(FakeDaiModule, { defaultSender: deployer.address });
+            addresses.FakeDai = await fakeDai.getAddress();
+            if (!await factory.isCollateral(addresses.FakeDai)) {
+                await (await factory.connect(deployer).setCollateral(addresses.FakeDai, true, 0)).wait();
+            }
+        }
+
+        await saveAddresses(hre, addresses);
+        return output(args, { chainId: Number(chainId), ...addresses }, result =>
+            Object.entries(addresses).map(([name, address]) => `${name.padEnd(20)} ${address}`)
+                .concat(`Saved to the address book of chain ${result.chainId}`)
+        );
+    });
+
+task("mint-fakedai", "Mints FakeDai for local testing")
+    .addOptionalParam("to", "Recipient, defaults to the first account")
+    .addOptionalParam("amount", "Amount in DAI", "1000")
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const dai = await hre.ethers.getContractAt("FakeDai", await getAddress(hre, "FakeDai"));
+        const to = args.to || (await getSigner(hre, 0)).address;
+        const amount = hre.ethers.parseEther(args.amount);
+
+        await (await dai.mint(to, amount)).wait();
+        const balance = await dai.balanceOf(to);
+
+        return output(args, { to, amount, balance }, () => [
+            `Minted ${args.amount} DAI to ${to}`,
+            `Balance: ${hre.ethers.formatEther(balance)} DAI`
+        ]);
+    });
@@ -0,0 +1,135 @@
+const { task, types } = require("hardhat/config");
+const { addressBookPath, getAddress } = require("./addressBook");
+const { output, getSigner } = require("./utils");
+
+// The history of a chain's markets is kept next to its address book
+async function historyPath(hre) {
+    return (await addressBookPath(hre)).replace(/\.json$/, ".history.json");
+}
+
+async function openIndexer(hre, args) {
+    const { Indexer, JsonStore } = require("..");
+    const store = new JsonStore(args.store || await historyPath(hre));
+    return new Indexer(await getAddress(hre, "LsLMSRFactory"), hre.ethers.provider, {
+        store,
+        fromBlock: args.fromBlock,
+        confirmations: args.confirmations
+    });
+}
+
+// Options shared by the tasks that sync the history store first
+function withStoreParams(definition) {
+    return definition
+        .addOptionalParam("store", "History file, defaults to deployments/<chainId>.history.json")
+        .addOptionalParam("fromBlock", "Block to start indexing from on an empty store", 0, types.int)
+        .addOptionalParam("confirmations", "Blocks to stay behind the head", 0, types.int)
+        .addFlag("json", "Print JSON");
+}
+
+withStoreParams(task("index-markets", "Indexes the factory's markets into the history store"))
+    .addFlag("watch", "Keep indexing new blocks until interrupted")
+    .addOptionalParam("interval", "Polling interval in milliseconds with --watch", 2000, types.int)
+    .setAction(async (args, hre) => {
+        const indexer = await openIndexer(hre, args);
+        const format = result => [
+            ...(result.reorged !== null ? [`Reorg: rolled back to block ${result.reorged}`] : []),
+            `Indexed ${result.events} events up to block ${result.lastBlock}`
+        ];
+
+        if (!args.watch) {
+            return output(args, await indexer.sync(), format);
+        }
+
+        await new Promise(resolve => {
+            const stop = indexer.watch({
+                interval: args.interval,
+                onSync: result => result.events > 0 || result.reorged !== null ? output(args, result, format) : undefined
+            });
+            process.once("SIGINT", () => {
+                stop();
+                resolve();
+            });
+        });
+    });
+
+withStoreParams(task("market-history", "Prints a market's price history and volume"))
+    .addParam("market", "Market address")
+    .setAction(async (args, hre) => {
+        const { fromFixed, ERC20_ABI } = require("..");
+        const indexer = await openIndexer(hre, args);
+        await indexer.sync();
+
+        const market = indexer.store.getMarket(args.market);
+        if (!market) throw new Error(`Market ${args.market} not found in the history`);
+        const result = {
+            market: market.address,
+            question: market.question,
+            outcomes: market.outcomes,
+            resolution: market.resolution,
+            volume: indexer.store.getVolume(args.market),
+            prices: indexer.store.getPriceHistory(args.market)
+        };
+
+        const collateral = new hre.ethers.Contract(market.collateral, ERC20_ABI, hre.ethers.provider);
+        const decimals = Number(await collateral.decimals());
+        return output(args, result, () => [
+            `${result.market}  ${result.question}${result.resolution ? " (resolved)" : ""}`,
+            `Trades: ${result.volume.trades}, volume ${hre.ethers.formatUnits(result.volume.volume, decimals)}`,
+            `${"Block".padEnd(8)} ${result.outcomes.map(name => name.padEnd(12)).join(" ")}`,
+            ...result.prices.map(point =>
+                `${String(point.block).padEnd(8)} ${point.prices.map(price =>
+                    `${(Number(fromFixed(price)) * 100).toFixed(2)}%`.padEnd(12)).join(" ")}`
+            )
+        ]);
+    });
+
+withStoreParams(task("positions", "Prints an account's positions from the history store"))
+    .addOptionalParam("user", "Account address, defaults to the first account")
+    .setAction(async (args, hre) => {
+        const { fromFixed, Outcomes } = require("..");
+        const indexer = await openIndexer(hre, args);
+        await indexer.sync();
+
+        const user = args.user || (await getSigner(hre, 0)).address;
+        const positions = indexer.store.getPositions(user).map(position => {
+            const market = indexer.store.getMarket(position.market);
+            return { ...position, outcomes: new Outcomes(market.outcomes).namesOf(position.outcome) };
+        });
+
+        return output(args, positions, () => positions.length === 0 ? [`No positions for ${user}`] : positions.map(position =>
+            `${position.market}  ${position.outcomes.join(", ").padEnd(24)} ${fromFixed(position.shares)} shares`
+                + `${position.redeemed ? " (redeemed)" : ""}`
+        ));
+    });
+
+withStoreParams(task("portfolio", "Prints an account's holdings, marked to market, and its profit and loss"))
+    .addOptionalParam("user", "Account address, defaults to the first account")
+    .setAction(async (args, hre) => {
+        const { ERC20_ABI } = require("..");
+        const indexer = await openIndexer(hre, args);
+        const user = args.user || (await getSigner(hre, 0)).address;
+        const portfolio = await indexer.portfolio(user);
+
+        const decimals = new Map();
+        for (const { collateral } of portfolio.totals) {
+            const token = new hre.ethers.Contract(collateral, ERC20_ABI, hre.ethers.provider);
+            decimals.set(collateral, Number(await token.decimals()));
+        }
+        const format = (amount, collateral) => hre.ethers.formatUnits(amount, decimals.get(collateral));
+
+        return output(args, portfolio, () => portfolio.positions.length === 0 ? [`No positions for ${user}`] : [
+            ...portfolio.positions.map(position =>
+                `${position.market}  ${position.outcomes.join(", ").padEnd(24)} `
+                    + `${hre.ethers.formatUnits(position.balance, decimals.get(position.collateral))} shares, `
+                    + `value ${format(position.value, position.collateral)}, `
+                    + `realized ${format(position.realizedPnl, position.collateral)}, `
+                    + `unrealized ${format(position.unrealizedPnl, position.collateral)}`
+            ),
+            ...portfolio.totals.map(total =>
+                `Total in ${total.collateral}: spent ${format(total.spent, total.collateral)}, `
+                    + `value ${format(total.value, total.collateral)}, `
+                    + `realized ${format(total.realizedPnl, total.collateral)}, `
+                    + `unrealized ${format(total.unrealizedPnl, total.collateral)}`
+            )
+        ]);
+    });
@@ -0,0 +1,5 @@
+// Hardhat tasks for operating markets, see `npx hardhat help`
+require("./core");
+require("./markets");
+require("./history");
+require("./orders");
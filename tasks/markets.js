@@ -0,0 +1,199 @@
+const { task, types } = require("hardhat/config");
+const { getAddress } = require("./addressBook");
+const { output, getSigner, splitList } = require("./utils");
+
+async function getFactory(hre, signer) {
+    const { FactoryClient } = require("..");
+    const lens = await getAddress(hre, "MarketLens").catch(() => undefined);
+    return new FactoryClient(await getAddress(hre, "LsLMSRFactory"), signer, { lens });
+}
+
+async function getMarket(hre, address, account) {
+    const factory = await getFactory(hre, await getSigner(hre, account));
+    return factory.getMarket(address);
+}
+
+async function collateralDecimals(market) {
+    return Number(await (await market.collateral()).decimals());
+}
+
+// An outcome or a comma-separated list of outcomes
+function parseOutcome(outcome) {
+    const outcomes = splitList(outcome);
+    return outcomes.length === 1 ? outcomes[0] : outcomes;
+}
+
+task("set-collateral", "Allows or disallows a collateral token; the account must own the factory")
+    .addOptionalParam("token", "Token address, defaults to FakeDai")
+    .addOptionalParam("minSubsidy", "Least subsidy of a market, in the token", "0")
+    .addFlag("disallow", "Disallow the token for new markets")
+    .addOptionalParam("account", "Index of the factory owner account", 0, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const factory = await getFactory(hre, await getSigner(hre, args.account));
+        const token = args.token || await getAddress(hre, "FakeDai");
+        const receipt = await factory.setCollateral(token, { allowed: !args.disallow, minSubsidy: args.minSubsidy });
+
+        const result = { token, allowed: !args.disallow, collaterals: await factory.getCollaterals(), transaction: receipt.hash };
+        return output(args, result, () => [
+            `${result.allowed ? "Allowed" : "Disallowed"} ${token}`,
+            ...result.collaterals.map(collateral => `Collateral: ${collateral.token} (min subsidy ${collateral.minSubsidy})`)
+        ]);
+    });
+
+task("create-market", "Creates and funds a market through the factory")
+    .addParam("question", "The question the market is on")
+    .addParam("outcomes", "Comma-separated outcome names")
+    .addParam("subsidy", "Initial funding, in collateral")
+    .addOptionalParam("oracle", "Address that resolves the market, defaults to the creator")
+    .addOptionalParam("fee", "Trading fee in basis points", 0, types.int)
+    .addOptionalParam("collateral", "Collateral token, defaults to FakeDai")
+    .addOptionalParam("account", "Index of the creating account", 0, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(hre, args.account);
+        const factory = await getFactory(hre, signer);
+        const market = await factory.createMarket({
+            collateral: args.collateral || await getAddress(hre, "FakeDai"),
+            oracle: args.oracle || signer.address,
+            question: args.question,
+            outcomes: splitList(args.outcomes),
+            subsidy: args.subsidy,
+            fee: args.fee
+        });
+
+        const result = {
+            market: market.address,
+            question: args.question,
+            outcomes: market.outcomes.names,
+            oracle: await market.contract.oracle()
+        };
+        return output(args, result, () => [
+            `Created market ${result.market}`,
+            `Question: ${result.question}`,
+            `Outcomes: ${result.outcomes.join(", ")}`,
+            `Oracle:   ${result.oracle}`
+        ]);
+    });
+
+task("list-markets", "Lists the factory's markets with their current prices")
+    .addOptionalParam("offset", "Index of the first market", 0, types.int)
+    .addOptionalParam("limit", "How many markets to list", 100, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const { fromFixed } = require("..");
+        const factory = await getFactory(hre, hre.ethers.provider);
+        const addresses = await factory.listMarkets({ offset: args.offset, limit: args.limit });
+        const snapshots = addresses.length > 0 ? await factory.getMarketSnapshot(addresses) : [];
+
+        const markets = snapshots.map(snapshot => ({
+            market: snapshot.market,
+            question: snapshot.question,
+            resolved: snapshot.isResolved,
+            collateral: snapshot.collateralBalance,
+            decimals: Number(snapshot.decimals),
+            prices: Object.fromEntries(snapshot.outcomes.map((name, i) => [name, fromFixed(snapshot.marginalPrices[i])]))
+        }));
+        return output(args, markets, () => markets.length === 0 ? ["No markets"] : markets.flatMap(market => [
+            `${market.market}  ${market.question}${market.resolved ? " (resolved)" : ""}`,
+            ...Object.entries(market.prices).map(([name, price]) => `    ${name.padEnd(20)} ${(Number(price) * 100).toFixed(2)}%`)
+        ]));
+    });
+
+task("quote", "Quotes buying or selling shares of an outcome")
+    .addParam("market", "Market address")
+    .addParam("outcome", "Outcome name, or comma-separated names")
+    .addParam("shares", "Number of shares")
+    .addFlag("sell", "Quote a sell instead of a buy")
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const market = await getMarket(hre, args.market, 0);
+        const outcome = parseOutcome(args.outcome);
+        const amount = args.sell
+            ? await market.quoteSell(outcome, args.shares)
+            : await market.quoteBuy(outcome, args.shares);
+        const decimals = await collateralDecimals(market);
+
+        const result = { side: args.sell ? "sell" : "buy", outcome, shares: args.shares, amount };
+        return output(args, result, () => [
+            `${args.sell ? "Selling" : "Buying"} ${args.shares} shares of ${args.outcome} `
+                + `${args.sell ? "pays" : "costs"} ${hre.ethers.formatUnits(amount, decimals)}`
+        ]);
+    });
+
+task("buy", "Buys shares of an outcome")
+    .addParam("market", "Market address")
+    .addParam("outcome", "Outcome name, or comma-separated names")
+    .addParam("shares", "Number of shares")
+    .addOptionalParam("slippage", "Allowed cost increase over the quote, in basis points", 50, types.int)
+    .addOptionalParam("account", "Index of the buying account", 0, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const market = await getMarket(hre, args.market, args.account);
+        const outcome = parseOutcome(args.outcome);
+        const quote = await market.quoteBuy(outcome, args.shares);
+        const maxCost = quote * BigInt(10000 + args.slippage) / 10000n;
+
+        const collateral = await market.collateral();
+        const trader = await market.runner.getAddress();
+        if (await collateral.allowance(trader, market.address) < maxCost) {
+            await market.approveCollateral(maxCost);
+        }
+
+        const balanceBefore = await collateral.balanceOf(trader);
+        const receipt = await market.buy(outcome, args.shares, { maxCost });
+        const cost = balanceBefore - await collateral.balanceOf(trader);
+        const decimals = await collateralDecimals(market);
+
+        const result = { trader, outcome, shares: args.shares, cost, transaction: receipt.hash };
+        return output(args, result, () => [
+            `Bought ${args.shares} shares of ${args.outcome} for ${hre.ethers.formatUnits(cost, decimals)}`,
+            `Transaction: ${receipt.hash}`
+        ]);
+    });
+
+task("resolve", "Resolves a market; the account must be its oracle")
+    .addParam("market", "Market address")
+    .addParam("outcome", "Winning outcome name, or comma-separated names that split the payout")
+    .addOptionalParam("account", "Index of the oracle account", 0, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const market = await getMarket(hre, args.market, args.account);
+        const outcome = parseOutcome(args.outcome);
+        const payouts = market.outcomes.payouts(outcome);
+        const receipt = await market.resolve(payouts);
+
+        const result = { market: market.address, payouts, transaction: receipt.hash };
+        return output(args, result, () => [
+            `Resolved ${market.address}: ${market.outcomes.namesOf(market.outcomes.indexSet(outcome)).join(", ")}`,
+            `Transaction: ${receipt.hash}`
+        ]);
+    });
+
+task("redeem", "Redeems the account's positions in a resolved market")
+    .addParam("market", "Market address")
+    .addOptionalParam("account", "Index of the redeeming account", 0, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const market = await getMarket(hre, args.market, args.account);
+        const collateral = await market.collateral();
+        const holder = await market.runner.getAddress();
+
+        const balanceBefore = await collateral.balanceOf(holder);
+        const receipt = await market.redeem();
+        const payout = await collateral.balanceOf(holder) - balanceBefore;
+        const decimals = await collateralDecimals(market);
+
+        const result = { holder, payout, transaction: receipt.hash };
+        return output(args, result, () => [
+            `Redeemed ${hre.ethers.formatUnits(payout, decimals)} for ${holder}`,
+            `Transaction: ${receipt.hash}`
+        ]);
+    });
+
+module.exports = {
+    getFactory,
+    getMarket,
+    collateralDecimals,
+    parseOutcome
+};
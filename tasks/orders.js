@@ -0,0 +1,89 @@
+const { task, types } = require("hardhat/config");
+const { getAddress } = require("./addressBook");
+const { getMarket, collateralDecimals, parseOutcome } = require("./markets");
+const { output, getSigner } = require("./utils");
+
+async function getOrderBook(hre, account) {
+    const { OrderBookClient } = require("..");
+    return new OrderBookClient(await getAddress(hre, "LsLMSROrderBook"), await getSigner(hre, account));
+}
+
+task("place-order", "Places a standing buy order, filled once the price is within its limit")
+    .addParam("market", "Market address")
+    .addParam("outcome", "Outcome name, or comma-separated names")
+    .addParam("shares", "Number of shares")
+    .addParam("limit", "Most to pay per share before the fee, e.g. 0.2")
+    .addOptionalParam("tip", "Tip for the keeper that fills the order, in the collateral", "0")
+    .addOptionalParam("expiry", "Seconds until the order expires", 24 * 60 * 60, types.int)
+    .addOptionalParam("account", "Index of the trading account", 0, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const market = await getMarket(hre, args.market, args.account);
+        const orderBook = await getOrderBook(hre, args.account);
+        const decimals = await collateralDecimals(market);
+        const tip = hre.ethers.parseUnits(args.tip, decimals);
+        const expiry = (await hre.ethers.provider.getBlock("latest")).timestamp + args.expiry;
+
+        const collateral = await market.collateral();
+        const trader = await orderBook.runner.getAddress();
+        const required = await orderBook.quoteEscrow(market, args.shares, args.limit) + tip;
+        if (await collateral.allowance(trader, orderBook.address) < required) {
+            await orderBook.approveCollateral(collateral.target, required);
+        }
+
+        const orderId = await orderBook.placeOrder(market, parseOutcome(args.outcome), args.shares, {
+            limitPrice: args.limit, tip, expiry
+        });
+        const order = await orderBook.getOrder(orderId);
+        return output(args, order, () => [
+            `Order ${orderId}: ${args.shares} shares of ${args.outcome} at up to ${args.limit}`,
+            `Escrowed ${hre.ethers.formatUnits(order.escrow + order.tip, decimals)}, expires at ${order.expiry}`
+        ]);
+    });
+
+task("cancel-order", "Cancels an order and refunds its escrow; others' orders once expired")
+    .addParam("order", "Order id", undefined, types.int)
+    .addOptionalParam("account", "Index of the cancelling account", 0, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const orderBook = await getOrderBook(hre, args.account);
+        const receipt = await orderBook.cancelOrder(args.order);
+
+        const result = { order: args.order, transaction: receipt.hash };
+        return output(args, result, () => [`Cancelled order ${args.order}`, `Transaction: ${receipt.hash}`]);
+    });
+
+task("keeper", "Fills the orders of the order book whose limit the market has reached")
+    .addFlag("watch", "Keep filling orders until interrupted")
+    .addOptionalParam("interval", "Polling interval in milliseconds with --watch", 2000, types.int)
+    .addOptionalParam("account", "Index of the keeper account", 0, types.int)
+    .addFlag("json", "Print JSON")
+    .setAction(async (args, hre) => {
+        const { Keeper } = require("..");
+        const keeper = new Keeper(await getOrderBook(hre, args.account));
+        const format = result => [
+            ...result.filled.map(order => `Filled order ${order.id} for ${order.cost}: ${order.transactionHash}`),
+            ...result.failed.map(order => `Failed to fill order ${order.id}: ${order.error.message}`),
+            ...(result.filled.length === 0 && result.failed.length === 0 ? ["No fillable orders"] : [])
+        ];
+        const summary = result => ({
+            filled: result.filled,
+            failed: result.failed.map(({ error, ...order }) => ({ ...order, error: error.message }))
+        });
+
+        if (!args.watch) {
+            return output(args, summary(await keeper.run()), format);
+        }
+
+        await new Promise(resolve => {
+            const stop = keeper.watch({
+                interval: args.interval,
+                onRun: result => result.filled.length > 0 || result.failed.length > 0
+                    ? output(args, summary(result), format) : undefined
+            });
+            process.once("SIGINT", () => {
+                stop();
+                resolve();
+            });
+        });
+    });
@@ -0,0 +1,31 @@
+/**
+ * Prints a task result, as JSON with --json or as the human-readable lines
+ * format returns otherwise. Bigints are printed as strings in JSON.
+ */
+function output(args, result, format) {
+    if (args.json) {
+        console.log(JSON.stringify(result, (_, value) => typeof value === "bigint" ? value.toString() : value, 2));
+    } else {
+        console.log(format(result).join("\n"));
+    }
+    return result;
+}
+
+/**
+ * Returns the signer at index --account of the configured accounts.
+ */
+async function getSigner(hre, account) {
+    const signers = await hre.ethers.getSigners();
+    if (!signers[account]) throw new Error(`No account at index ${account}`);
+    return signers[account];
+}
+
+function splitList(list) {
+    return list.split(",").map(item => item.trim()).filter(item => item !== "");
+}
+
+module.exports = {
+    output,
+    getSigner,
+    splitList
+};
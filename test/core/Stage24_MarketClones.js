@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, OUTCOMES, deployCore, createMarket } = require("../shared/fixtures");
+const { FactoryClient, InvalidArgumentError } = require("../../sdk");
+
+describe("Stage 24: Market Clones", () => {
+    let ct, dai, factory, implementation;
+    let userA, mrResolver, alice;
+
+    // EIP-1167 minimal proxy runtime code around the implementation address
+    const proxyCode = target =>
+        "0x363d3d373d3d3d363d73" + target.slice(2).toLowerCase() + "5af43d82803e903d91602b57fd5bf3";
+
+    // The factory's CREATE2 address for a market, computed off-chain
+    const expectedAddress = (questionId, creator) => {
+        const salt = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [questionId, creator]));
+        const initCode = "0x3d602d80600a3d3981f3" + proxyCode(implementation.target).slice(2);
+        return ethers.getCreate2Address(factory.target, salt, ethers.keccak256(initCode));
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 24 Setup', [
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ userA, mrResolver, alice } = globalState.signers);
+
+        ({ ct, dai, factory } = await deployCore());
+        implementation = await ethers.getContractAt("LsLMSR", await factory.marketImplementation());
+    });
+
+    describe("24.1 Clones", () => {
+        it("Should deploy markets as minimal proxies of one implementation", async () => {
+            const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+
+            expect(await ethers.provider.getCode(market.target)).to.equal(proxyCode(implementation.target));
+            expect(await market.owner()).to.equal(factory.target);
+            expect(await market.token()).to.equal(dai.target);
+            expect(await market.conditionalTokens()).to.equal(ct.target);
+            expect(await market.numOutcomes()).to.equal(4n);
+        });
+
+        it("Should predict market addresses from the question id and creator", async () => {
+            const questionId = ethers.hexlify(ethers.randomBytes(32));
+            const predicted = await factory.predictMarketAddress(questionId, userA.address);
+            expect(predicted).to.equal(expectedAddress(questionId, userA.address));
+            expect(await factory.predictMarketAddress(questionId, alice.address)).to.not.equal(predicted);
+            expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+
+            const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, questionId });
+            expect(market.target).to.equal(predicted);
+        });
+
+        it("Should create one market per question id and creator", async () => {
+            const questionId = ethers.hexlify(ethers.randomBytes(32));
+            await createMarket({ factory, dai, creator: userA, oracle: mrResolver, questionId });
+
+            await expect(
+                createMarket({ factory, dai, creator: userA, oracle: mrResolver, questionId })
+            ).to.be.revertedWith("Market already exists");
+            const { market } = await createMarket({ factory, dai, creator: alice, oracle: mrResolver, questionId });
+            expect(market.target).to.equal(expectedAddress(questionId, alice.address));
+        });
+
+        it("Should not initialize a market twice, nor the implementation", async () => {
+            const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+            await expect(market.connect(alice).initialize(ct.target, alice.address)).to.be.revertedWith("Already init");
+            await expect(implementation.connect(alice).initialize(ct.target, dai.target)).to.be.revertedWith("Already init");
+            await expect(
+                implementation.connect(alice).setup(alice.address, ethers.ZeroHash, 2, 0, alice.address)
+            ).to.be.revertedWithCustomError(implementation, "OwnableUnauthorizedAccount");
+        });
+
+        it("Should trade like a constructed market", async () => {
+            const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+            await dai.mint(alice.address, ethers.parseEther("100"));
+            await (await dai.connect(alice).approve(market.target, ethers.MaxUint256)).wait();
+
+            const quote = await market.buyQuote(OUTCOME_INDICES.CHIEFS, 10n * ONE);
+            await expect(
+                market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 10n * ONE)
+            ).to.changeTokenBalance(dai, alice, -quote);
+            await (await market.connect(mrResolver).resolveMarket([1, 0, 0, 0])).wait();
+            expect(await market.isResolved()).to.equal(true);
+        });
+    });
+
+    describe("24.2 Creation Gas", () => {
+        it("Should create markets for far less gas than deploying the contract", async () => {
+            const LsLMSR = await ethers.getContractFactory("LsLMSR");
+            const deployed = await LsLMSR.deploy(ct.target, dai.target);
+            const deployGas = (await deployed.deploymentTransaction().wait()).gasUsed;
+
+            const subsidy = ethers.parseEther("100");
+            await dai.mint(userA.address, subsidy);
+            await (await dai.connect(userA).approve(factory.target, subsidy)).wait();
+            const receipt = await (await factory.connect(userA).createAndSetupMarket(
+                dai.target, mrResolver.address, ethers.hexlify(ethers.randomBytes(32)), OUTCOMES.length,
+                subsidy, 0, "Who will win the Superbowl", OUTCOMES
+            )).wait();
+
+            // Creating a market used to deploy the contract and then do what
+            // createAndSetupMarket does apart from the clone
+            console.log(`      Deploying LsLMSR: ${deployGas} gas`);
+            console.log(`      createAndSetupMarket with a clone: ${receipt.gasUsed} gas`);
+            expect(receipt.gasUsed).to.be.lessThan(deployGas / 2n);
+        });
+    });
+
+    describe("24.3 SDK", () => {
+        it("Should predict the address of the next market through the factory client", async () => {
+            const client = new FactoryClient(factory.target, alice);
+            const questionId = ethers.hexlify(ethers.randomBytes(32));
+            const predicted = await client.predictMarketAddress(questionId);
+
+            await dai.mint(alice.address, ethers.parseEther("200"));
+            const market = await client.createMarket({
+                collateral: dai.target, oracle: mrResolver.address, question: "Who will win the Superbowl",
+                outcomes: OUTCOMES, subsidy: "100", questionId
+            });
+            expect(market.address).to.equal(predicted);
+
+            await expect(client.createMarket({
+                collateral: dai.target, oracle: mrResolver.address, question: "Who will win the Superbowl",
+                outcomes: OUTCOMES, subsidy: "100", questionId
+            })).to.be.rejectedWith(InvalidArgumentError);
+        });
+    });
+});
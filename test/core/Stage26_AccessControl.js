@@ -0,0 +1,256 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { FactoryClient, MarketPausedError, UnauthorizedError, ROLES } = require("../../sdk");
+
+describe("Stage 26: Access Control and Pausing", () => {
+    let ct, dai, factory;
+    let admin, userA, mrResolver, alice, bob;
+    let ORACLE_ROLE, PAUSER_ROLE, MARKET_CREATOR_ROLE;
+
+    // A market alice can trade and sell in
+    const tradableMarket = async () => {
+        const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+        await (await dai.connect(alice).approve(market.target, ethers.MaxUint256)).wait();
+        await (await ct.connect(alice).setApprovalForAll(market.target, true)).wait();
+        return market;
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 26 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+        bob = globalState.signers.otherUsers[1];
+
+        ({ ct, dai, factory } = await deployCore());
+        ORACLE_ROLE = await factory.ORACLE_ROLE();
+        PAUSER_ROLE = await factory.PAUSER_ROLE();
+        MARKET_CREATOR_ROLE = await factory.MARKET_CREATOR_ROLE();
+        await dai.mint(alice.address, ethers.parseEther("1000"));
+    });
+
+    describe("26.1 Roles", () => {
+        it("Should make the deployer admin, pauser and oracle", async () => {
+            expect(await factory.owner()).to.equal(admin.address);
+            expect(await factory.defaultAdmin()).to.equal(admin.address);
+            expect(await factory.hasRole(await factory.DEFAULT_ADMIN_ROLE(), admin.address)).to.equal(true);
+            expect(await factory.hasRole(PAUSER_ROLE, admin.address)).to.equal(true);
+            expect(await factory.hasRole(PAUSER_ROLE, alice.address)).to.equal(false);
+            expect(await factory.isOracle(admin.address)).to.equal(true);
+        });
+
+        it("Should keep admin functions to the admin", async () => {
+            await expect(
+                factory.connect(alice).setFeePolicy(100, 0)
+            ).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+                .withArgs(alice.address, ethers.ZeroHash);
+            await expect(
+                factory.connect(alice).grantRole(PAUSER_ROLE, alice.address)
+            ).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should add and revoke oracles", async () => {
+            await (await factory.connect(admin).addOracle(bob.address)).wait();
+            expect(await factory.isOracle(bob.address)).to.equal(true);
+            expect(await factory.hasRole(ORACLE_ROLE, bob.address)).to.equal(true);
+
+            await (await factory.connect(admin).removeOracle(bob.address)).wait();
+            expect(await factory.isOracle(bob.address)).to.equal(false);
+
+            await (await factory.connect(admin).grantRole(ORACLE_ROLE, bob.address)).wait();
+            expect(await factory.isOracle(bob.address)).to.equal(true);
+            await (await factory.connect(admin).revokeRole(ORACLE_ROLE, bob.address)).wait();
+            expect(await factory.isOracle(bob.address)).to.equal(false);
+
+            await expect(
+                factory.connect(alice).addOracle(alice.address)
+            ).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await expect(
+                factory.connect(alice).removeOracle(mrResolver.address)
+            ).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should not let a revoked oracle resolve its markets", async () => {
+            const { market } = await createMarket({ factory, dai, creator: userA, oracle: bob });
+            await (await factory.connect(admin).removeOracle(bob.address)).wait();
+
+            await expect(
+                market.connect(bob).resolveMarket([1, 0, 0, 0])
+            ).to.be.revertedWith("Only oracle can resolve");
+            await expect(
+                factory.connect(bob).resolveMarket(market.target, [1, 0, 0, 0])
+            ).to.be.revertedWith("Not authorized");
+            await expect(
+                factory.connect(bob).invalidateMarket(market.target)
+            ).to.be.revertedWith("Not authorized");
+
+            await (await factory.connect(admin).addOracle(bob.address)).wait();
+            await (await factory.connect(bob).resolveMarket(market.target, [1, 0, 0, 0])).wait();
+            expect(await market.isResolved()).to.equal(true);
+        });
+
+        it("Should only let market creators create markets while the allowlist is on", async () => {
+            await expect(factory.connect(admin).setCreatorAllowlist(true))
+                .to.emit(factory, "CreatorAllowlistSet").withArgs(true);
+
+            await expect(
+                createMarket({ factory, dai, creator: alice, oracle: mrResolver })
+            ).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+                .withArgs(alice.address, MARKET_CREATOR_ROLE);
+
+            await (await factory.connect(admin).grantRole(MARKET_CREATOR_ROLE, alice.address)).wait();
+            const { market } = await createMarket({ factory, dai, creator: alice, oracle: mrResolver });
+            expect(await factory.isMarket(market.target)).to.equal(true);
+
+            await (await factory.connect(admin).setCreatorAllowlist(false)).wait();
+            await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+        });
+    });
+
+    describe("26.2 Pausing", () => {
+        it("Should pause trading in one market", async () => {
+            const market = await tradableMarket();
+            const other = await tradableMarket();
+            await (await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 10n * ONE)).wait();
+
+            await expect(factory.connect(admin).setMarketPaused(market.target, true))
+                .to.emit(market, "PausedSet").withArgs(true);
+            expect(await market.isPaused()).to.equal(true);
+            expect(await other.isPaused()).to.equal(false);
+
+            await expect(market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, ONE)).to.be.revertedWith("Trading paused");
+            await expect(market.connect(alice).sell(OUTCOME_INDICES.CHIEFS, ONE)).to.be.revertedWith("Trading paused");
+            await expect(market.connect(alice).addLiquidity(ethers.parseEther("1"))).to.be.revertedWith("Trading paused");
+            await (await other.connect(alice).buy(OUTCOME_INDICES.CHIEFS, ONE)).wait();
+
+            await (await factory.connect(admin).setMarketPaused(market.target, false)).wait();
+            await (await market.connect(alice).sell(OUTCOME_INDICES.CHIEFS, ONE)).wait();
+        });
+
+        it("Should keep pausing to pausers", async () => {
+            const market = await tradableMarket();
+            await expect(
+                factory.connect(alice).setMarketPaused(market.target, true)
+            ).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+                .withArgs(alice.address, PAUSER_ROLE);
+            await expect(factory.connect(alice).pause()).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+            await expect(market.connect(alice).setPaused(true)).to.be.revertedWithCustomError(market, "OwnableUnauthorizedAccount");
+
+            await (await factory.connect(admin).grantRole(PAUSER_ROLE, bob.address)).wait();
+            await (await factory.connect(bob).setMarketPaused(market.target, true)).wait();
+            expect(await market.isPaused()).to.equal(true);
+        });
+
+        it("Should pause every market and market creation at once", async () => {
+            const market = await tradableMarket();
+            const other = await tradableMarket();
+
+            await expect(factory.connect(admin).pause()).to.emit(factory, "Paused").withArgs(admin.address);
+            expect(await market.isPaused()).to.equal(true);
+            expect(await market.paused()).to.equal(false);
+            for (const m of [market, other]) {
+                await expect(m.connect(alice).buy(OUTCOME_INDICES.CHIEFS, ONE)).to.be.revertedWith("Trading paused");
+            }
+            await expect(
+                createMarket({ factory, dai, creator: userA, oracle: mrResolver })
+            ).to.be.revertedWithCustomError(factory, "EnforcedPause");
+
+            await (await factory.connect(admin).unpause()).wait();
+            await (await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, ONE)).wait();
+        });
+
+        it("Should never block resolution, withdrawals or redemption", async () => {
+            const market = await tradableMarket();
+            await (await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 10n * ONE)).wait();
+
+            await (await factory.connect(admin).setMarketPaused(market.target, true)).wait();
+            await (await factory.connect(admin).pause()).wait();
+
+            await (await market.connect(mrResolver).resolveMarket([1, 0, 0, 0])).wait();
+            await expect(
+                ct.connect(alice).redeemPositions(dai.target, ethers.ZeroHash, await market.condition(), [1, 2, 4, 8])
+            ).to.changeTokenBalance(dai, alice, ethers.parseEther("10"));
+            await expect(market.connect(userA).withdraw()).to.emit(market, "LiquidityRemoved");
+
+            await (await factory.connect(admin).unpause()).wait();
+        });
+
+        it("Should not pause markets whose owner can't be paused", async () => {
+            // The implementation is owned by its deployer
+            const implementation = await ethers.getContractAt("LsLMSR", await factory.marketImplementation());
+            expect(await implementation.owner()).to.equal(admin.address);
+            expect(await implementation.isPaused()).to.equal(false);
+        });
+    });
+
+    describe("26.3 Reclaiming Subsidies", () => {
+        it("Should let creators reclaim what is left of their subsidies through the factory", async () => {
+            const market = await tradableMarket();
+            const other = await tradableMarket();
+            await (await market.connect(alice).buy(OUTCOME_INDICES.RAVENS, 10n * ONE)).wait();
+            for (const m of [market, other]) {
+                await (await m.connect(mrResolver).resolveMarket([1, 0, 0, 0])).wait();
+            }
+
+            const expected = await market.connect(userA).withdraw.staticCall()
+                + await other.connect(userA).withdraw.staticCall();
+            await expect(
+                factory.connect(alice).reclaimSubsidy([market.target])
+            ).to.be.revertedWith("Not authorized");
+
+            const tx = factory.connect(userA).reclaimSubsidy([market.target, other.target]);
+            await expect(tx).to.changeTokenBalance(dai, userA, expected);
+            await expect(tx).to.emit(market, "LiquidityRemoved");
+            expect(await market.liquidityShares(userA.address)).to.equal(0n);
+            expect(await other.liquidityShares(userA.address)).to.equal(0n);
+            expect(await ct.balanceOf(market.target, await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS))).to.equal(0n);
+        });
+
+        it("Should only reclaim from resolved markets", async () => {
+            const market = await tradableMarket();
+            await expect(
+                factory.connect(userA).reclaimSubsidy([market.target])
+            ).to.be.revertedWith("Market needs to be resolved");
+            await expect(
+                market.connect(userA).withdrawFor(userA.address)
+            ).to.be.revertedWithCustomError(market, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("26.4 SDK", () => {
+        it("Should manage roles and pauses and throw MarketPausedError", async () => {
+            const client = new FactoryClient(factory.target, admin);
+            expect(await client.hasRole("pauser", admin.address)).to.equal(true);
+            await client.grantRole("oracle", bob.address);
+            expect(await client.hasRole("oracle", bob.address)).to.equal(true);
+            expect(ROLES.oracle).to.equal(ORACLE_ROLE);
+            await client.revokeRole("oracle", bob.address);
+            expect(await client.hasRole("oracle", bob.address)).to.equal(false);
+
+            const market = await tradableMarket();
+            const trader = (await client.getMarket(market.target)).connect(alice);
+            await client.setMarketPaused(market.target);
+            expect(await trader.isPaused()).to.equal(true);
+            await expect(trader.buy("Chiefs", "1")).to.be.rejectedWith(MarketPausedError);
+
+            await client.setMarketPaused(market.target, false);
+            await client.pause();
+            await expect(trader.buy("Chiefs", "1")).to.be.rejectedWith(MarketPausedError);
+            await expect(client.connect(alice).unpause()).to.be.rejectedWith(UnauthorizedError);
+            await client.unpause();
+            await trader.buy("Chiefs", "1");
+
+            await (await market.connect(mrResolver).resolveMarket([1, 0, 0, 0])).wait();
+            const before = await dai.balanceOf(userA.address);
+            await client.connect(userA).reclaimSubsidy(market.target);
+            expect(await dai.balanceOf(userA.address)).to.be.greaterThan(before);
+        });
+    });
+});
@@ -41,8 +41,12 @@ describe("Stage 2: Factory Setup", () => {
         });
 
         it("Admin should deploy LsLMSRFactory last", async () => {
+            const LsLMSR = await ethers.getContractFactory("LsLMSR");
+            const implementation = await LsLMSR.deploy(await ct.getAddress(), ethers.ZeroAddress);
+            await implementation.waitForDeployment();
+
             const Factory = await ethers.getContractFactory("LsLMSRFactory");
-            factory = await Factory.deploy(await ct.getAddress());
+            factory = await Factory.deploy(await ct.getAddress(), await implementation.getAddress());
             await factory.waitForDeployment();
             expect(await factory.getAddress()).to.be.properAddress;
             console.log("3. LsLMSRFactory deployed\n");
@@ -55,12 +55,17 @@ describe("Stage 3: Market Creation", () => {
             globalState.conditionalTokensAddress = ctAddress;
             console.log(`Deployed ConditionalTokens: ${ctAddress}`);
             
+            const LsLMSR = await ethers.getContractFactory("LsLMSR");
+            const implementation = await LsLMSR.deploy(ctAddress, ethers.ZeroAddress);
+            await implementation.waitForDeployment();
+
             const Factory = await ethers.getContractFactory("LsLMSRFactory");
-            factory = await Factory.deploy(ctAddress);
+            factory = await Factory.deploy(ctAddress, await implementation.getAddress());
             await factory.waitForDeployment();
             const factoryAddress = await factory.getAddress();
             globalState.factoryAddress = factoryAddress;
             console.log(`Deployed Factory: ${factoryAddress}`);
+            await (await factory.connect(admin).setCollateral(globalState.fakeDaiAddress, true, 0)).wait();
 
             // Store market parameters in global state
             Object.assign(globalState, {
@@ -168,6 +173,7 @@ describe("Stage 3: Market Creation", () => {
                     globalState.questionId,
                     OUTCOME_SLOTS,
                     globalState.subsidy,
+                    0, // no trading fee
                     globalState.question,
                     outcomes
                 );
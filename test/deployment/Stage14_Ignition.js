@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const globalState = require("../shared/testState");
+const CoreModule = require("../../ignition/modules/Core");
+const FakeDaiModule = require("../../ignition/modules/FakeDai");
+const MarketModule = require("../../ignition/modules/Market");
+const { loadIgnitionAddresses } = require("../../tasks/addressBook");
+
+describe("Stage 14: Ignition Modules", () => {
+    const { ethers, ignition } = hre;
+    let admin, mrResolver;
+    let dai, factory;
+
+    const SUBSIDY = ethers.parseEther("100");
+    const OUTCOMES = ["Chiefs", "Ravens", "Buccaneers", "Other"];
+
+    const marketParameters = (overrides = {}) => ({
+        MarketModule: {
+            question: "Who will win the Superbowl",
+            outcomes: OUTCOMES,
+            outcomeCount: OUTCOMES.length,
+            questionId: ethers.hexlify(ethers.randomBytes(32)),
+            oracle: mrResolver.address,
+            subsidy: SUBSIDY,
+            factory: factory.target,
+            ...overrides
+        }
+    });
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 14 Setup', [
+            'signers.admin',
+            'signers.mrResolver'
+        ]);
+
+        ({ admin, mrResolver } = globalState.signers);
+    });
+
+    describe("14.1 Core Deployment", () => {
+        it("Should deploy the factory wired to ConditionalTokens", async () => {
+            let conditionalTokens, marketImplementation, marketLens;
+            ({ conditionalTokens, marketImplementation, factory, marketLens } = await ignition.deploy(CoreModule));
+
+            expect(await factory.conditionalTokens()).to.equal(await conditionalTokens.getAddress());
+            expect(await factory.marketImplementation()).to.equal(await marketImplementation.getAddress());
+            expect(await factory.owner()).to.equal(admin.address);
+            expect(await marketLens.getAddress()).to.be.properAddress;
+        });
+
+        it("Should deploy FakeDai for local networks", async () => {
+            ({ fakeDai: dai } = await ignition.deploy(FakeDaiModule));
+            expect(await dai.symbol()).to.equal("DAI");
+            await (await factory.setCollateral(await dai.getAddress(), true, 0)).wait();
+        });
+    });
+
+    describe("14.2 Market Module", () => {
+        it("Should create and seed a market from parameters", async () => {
+            await (await dai.mint(admin.address, SUBSIDY)).wait();
+
+            const { market } = await ignition.deploy(MarketModule, {
+                parameters: marketParameters({ collateral: await dai.getAddress() })
+            });
+
+            expect(await market.isInitialized()).to.equal(true);
+            expect(await market.oracle()).to.equal(mrResolver.address);
+            expect(await market.numOutcomes()).to.equal(4n);
+            expect(await market.liquidityShares(admin.address)).to.equal(SUBSIDY);
+            expect(await dai.balanceOf(await market.getAddress())).to.equal(SUBSIDY);
+
+            expect(await market.owner()).to.equal(factory.target);
+            const [question, outcomes] = await factory.getMarketDetails(await market.getAddress());
+            expect(question).to.equal("Who will win the Superbowl");
+            expect(outcomes).to.deep.equal(OUTCOMES);
+        });
+
+        it("Should reject an outcome count that does not match the outcomes", async () => {
+            await (await dai.mint(admin.address, SUBSIDY)).wait();
+
+            await expect(ignition.deploy(MarketModule, {
+                parameters: marketParameters({ collateral: await dai.getAddress(), outcomeCount: 3 })
+            })).to.be.rejectedWith("Outcome count mismatch");
+        });
+    });
+
+    describe("14.3 Recorded Addresses", () => {
+        let ignitionPath;
+
+        before(() => {
+            ignitionPath = hre.config.paths.ignition;
+            hre.config.paths.ignition = fs.mkdtempSync(path.join(os.tmpdir(), "ignition-"));
+        });
+
+        after(() => {
+            fs.rmSync(hre.config.paths.ignition, { recursive: true, force: true });
+            hre.config.paths.ignition = ignitionPath;
+        });
+
+        it("Should read the addresses Ignition recorded for the chain", async () => {
+            const dir = path.join(hre.config.paths.ignition, "deployments", "chain-31337");
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, "deployed_addresses.json"), JSON.stringify({
+                "CoreModule#LsLMSRFactory": admin.address,
+                "FakeDaiModule#FakeDai": mrResolver.address,
+                "MarketModule#LsLMSR": ethers.ZeroAddress
+            }));
+
+            expect(await loadIgnitionAddresses(hre)).to.deep.equal({
+                LsLMSRFactory: admin.address,
+                FakeDai: mrResolver.address
+            });
+        });
+    });
+});
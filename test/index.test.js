@@ -5,6 +5,10 @@ const globalState = require("./shared/testState");
 // Check environment flags
 const VALIDATION = process.env.VALIDATION === 'true';
 const TRADING = process.env.TRADING === 'true';
+const RESOLUTION = process.env.RESOLUTION === 'true';
+const SDK = process.env.SDK === 'true';
+const TASKS = process.env.TASKS === 'true';
+const INVARIANTS = process.env.INVARIANTS === 'true';
 
 describe("LSLMSR Market Test Suite", () => {
     before(async () => {
@@ -13,7 +17,11 @@ describe("LSLMSR Market Test Suite", () => {
         // Log test configuration
         console.log("Test Configuration:");
         console.log(`  Validation Tests: ${VALIDATION ? 'Enabled' : 'Disabled'}`);
-        console.log(`  Trading Tests: ${TRADING ? 'Enabled' : 'Disabled'}\n`);
+        console.log(`  Trading Tests: ${TRADING ? 'Enabled' : 'Disabled'}`);
+        console.log(`  Resolution Tests: ${RESOLUTION ? 'Enabled' : 'Disabled'}`);
+        console.log(`  SDK Tests: ${SDK ? 'Enabled' : 'Disabled'}`);
+        console.log(`  Task Tests: ${TASKS ? 'Enabled' : 'Disabled'}`);
+        console.log(`  Invariant Tests: ${INVARIANTS ? 'Enabled' : 'Disabled'}\n`);
     });
 
     // Add state validation between stages
@@ -41,6 +49,9 @@ describe("LSLMSR Market Test Suite", () => {
         
         describe("Stage 2: Market Creation", () => require("./core/Stage2_MarketCreation.js"));
         describe("Stage 3: Market Setup", () => require("./core/Stage3_MarketSetup.js"));
+        describe("Stage 16: Market Registry", () => require("./registry/Stage16_MarketRegistry.js"));
+        describe("Stage 24: Market Clones", () => require("./core/Stage24_MarketClones.js"));
+        describe("Stage 26: Access Control and Pausing", () => require("./core/Stage26_AccessControl.js"));
         after(() => {
             globalState.validate('After Core Setup', [
                 'marketAddress',
@@ -54,6 +65,7 @@ describe("LSLMSR Market Test Suite", () => {
     if (VALIDATION) {
         describe("Validation Tests", () => {
             describe("Pure Math Validation", () => require("./validation/PureMathValidation.js"));
+            describe("Reference Math Validation", () => require("./validation/ReferenceMathValidation.js"));
         });
     }
 
@@ -61,6 +73,51 @@ describe("LSLMSR Market Test Suite", () => {
     if (TRADING) {
         describe("Trading Tests", () => {
             describe("Stage 4: Trading", () => require("./trading/Stage4_Trading.js"));
+            describe("Stage 5: Selling", () => require("./trading/Stage5_Selling.js"));
+            describe("Stage 6: Slippage Protection", () => require("./trading/Stage6_Slippage.js"));
+            describe("Stage 9: Trading Fees", () => require("./trading/Stage9_Fees.js"));
+            describe("Stage 10: Liquidity Provision", () => require("./trading/Stage10_Liquidity.js"));
+            describe("Stage 12: Market State Views", () => require("./trading/Stage12_MarketViews.js"));
+            describe("Stage 19: Collateral Tokens", () => require("./trading/Stage19_Collateral.js"));
+            describe("Stage 20: Permits and Batched Trades", () => require("./trading/Stage20_Permit.js"));
+            describe("Stage 21: Buying by Collateral Amount", () => require("./trading/Stage21_CollateralBuys.js"));
+            describe("Stage 23: Market Domain Bounds", () => require("./trading/Stage23_Bounds.js"));
+            describe("Stage 27: Order Book", () => require("./trading/Stage27_OrderBook.js"));
+        });
+    }
+
+    // Resolution tests - only if RESOLUTION=true
+    if (RESOLUTION) {
+        describe("Resolution Tests", () => {
+            describe("Stage 7: Market Resolution", () => require("./resolution/Stage7_Resolution.js"));
+            describe("Stage 8: Optimistic Oracle", () => require("./resolution/Stage8_OptimisticOracle.js"));
+            describe("Stage 17: Market Lifecycle", () => require("./resolution/Stage17_Lifecycle.js"));
+            describe("Stage 18: Invalid Markets", () => require("./resolution/Stage18_InvalidMarkets.js"));
+            describe("Stage 25: Scalar and Conditional Markets", () => require("./resolution/Stage25_MarketTypes.js"));
+        });
+    }
+
+    // SDK tests - only if SDK=true
+    if (SDK) {
+        describe("SDK Tests", () => {
+            describe("Stage 11: JavaScript SDK", () => require("./sdk/Stage11_SDK.js"));
+            describe("Stage 15: Event Indexer", () => require("./sdk/Stage15_Indexer.js"));
+            describe("Stage 28: Positions and PnL", () => require("./sdk/Stage28_Portfolio.js"));
+        });
+    }
+
+    // Task and deployment tests - only if TASKS=true
+    if (TASKS) {
+        describe("Task Tests", () => {
+            describe("Stage 13: Hardhat Tasks", () => require("./tasks/Stage13_Tasks.js"));
+            describe("Stage 14: Ignition Modules", () => require("./deployment/Stage14_Ignition.js"));
+        });
+    }
+
+    // Invariant and fuzz tests - only if INVARIANTS=true
+    if (INVARIANTS) {
+        describe("Invariant Tests", () => {
+            describe("Stage 22: Market Invariants", () => require("./invariants/Stage22_Invariants.js"));
         });
     }
 
@@ -0,0 +1,374 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+const { ONE, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { random, checkProperty } = require("../shared/fuzz");
+const { fromFixed, fromTokenAmount, toFixed, toTokenAmount } = require("../../sdk");
+
+// FUZZ_SEED, FUZZ_RUNS and FUZZ_STEPS override how much is explored; a failure
+// prints the seed that repeats it
+const SEED = Number(process.env.FUZZ_SEED ?? 1);
+const RUNS = Number(process.env.FUZZ_RUNS ?? 4);
+const STEPS = Number(process.env.FUZZ_STEPS ?? 30);
+
+// The limits sequences stay within, where no NewMath operation may overflow:
+// up to 8 outcomes, each buy at most twice the subsidy in shares, and no sell
+// past the market's depth
+const MAX_OUTCOMES = 8;
+const SUBSIDIES = [10, 100, 10000];
+const FEES = [0, 30, 500];
+
+// Reverts raised by NewMath
+const NEWMATH_ERRORS = /overflow|underflow|div by zero|division by zero|must be positive/;
+
+// Rounding the price bounds allow
+const PRICE_TOLERANCE = ONE >> 40n;
+
+function revertReason(error) {
+    const match = /reverted with (?:reason string |custom error |panic code )?(.*)/.exec(error.message);
+    return match ? match[1] : error.message.split("\n")[0];
+}
+
+function describeAction(action) {
+    const { type, actor, ...args } = action;
+    if (args.amount !== undefined && type !== "addLiquidity") args.amount = fromFixed(args.amount);
+    if (args.outcome !== undefined) args.outcome = `0b${args.outcome.toString(2)}`;
+    return `${type} by actor ${actor} ${JSON.stringify(args)}`;
+}
+
+describe("Stage 22: Market Invariants", () => {
+    let ct, dai, usdc, factory;
+    let admin, userA, actors;
+    let baseline, env;
+
+    // Creates the market of a case on a fresh chain state and funds the actors,
+    // once per case: shrinking reruns it from a snapshot
+    const prepare = async config => {
+        if (env && env.config === config) {
+            await env.snapshot.restore();
+            return env;
+        }
+        await baseline.restore();
+
+        const token = config.decimals === 6 ? usdc : dai;
+        const { market } = await createMarket({
+            factory,
+            dai: token,
+            creator: userA,
+            oracle: userA,
+            subsidy: ethers.parseUnits(String(config.subsidy), config.decimals),
+            fee: config.fee,
+            outcomes: Array.from({ length: config.outcomes }, (_, i) => `Outcome ${i}`)
+        });
+        for (const actor of actors) {
+            await (await token.mint(actor.address, ethers.parseUnits("1000000000", config.decimals))).wait();
+            await (await token.connect(actor).approve(market.target, ethers.MaxUint256)).wait();
+            await (await ct.connect(actor).setApprovalForAll(market.target, true)).wait();
+        }
+
+        const positionIds = new Map();
+        env = {
+            config,
+            market,
+            token,
+            holders: [market.target, ...actors.map(actor => actor.address)],
+            initialCost: toTokenAmount(await market.cost(), config.decimals),
+            positionId: async indexSet => {
+                if (!positionIds.has(indexSet)) positionIds.set(indexSet, await positionIdFor(ct, market, indexSet));
+                return positionIds.get(indexSet);
+            },
+            snapshot: await takeSnapshot()
+        };
+        return env;
+    };
+
+    const tradeCost = (receipt, market) => receipt.logs
+        .map(log => { try { return market.interface.parseLog(log); } catch { return null; } })
+        .find(event => event && event.name === "Trade").args.cost;
+
+    // Applies an action, updating the model of what cost() should be and by
+    // how many token units rounding may have moved it. Sells
+    // and liquidity removals take a fraction of what the actor holds, so they
+    // stay valid when shrinking drops earlier actions, and are skipped when
+    // there is nothing to take.
+    const execute = async (action, model) => {
+        const { market, config } = env;
+        const actor = actors[action.actor];
+
+        if (action.type === "buy") {
+            const receipt = await (await market.connect(actor).buy(action.outcome, action.amount)).wait();
+            model.expectedCost += tradeCost(receipt, market);
+            model.slack++;
+            model.positions.add(action.outcome);
+        } else if (action.type === "sell") {
+            const held = await ct.balanceOf(actor.address, await env.positionId(action.outcome));
+            const amount = fromTokenAmount(held * BigInt(action.fraction) / 10000n, config.decimals);
+            // Sells may not take an outcome's quantity to zero, see LsLMSR.updateMarket
+            const [q] = await market.getMarketState();
+            if (amount === 0n || q.some((quantity, i) => (action.outcome & (1 << i)) !== 0 && quantity <= amount)) return;
+            const receipt = await (await market.connect(actor).sell(action.outcome, amount)).wait();
+            model.expectedCost -= tradeCost(receipt, market);
+            model.slack++;
+        } else if (action.type === "addLiquidity") {
+            const amount = ethers.parseUnits(String(action.amount), config.decimals);
+            const held = await Promise.all(singletons(config.outcomes).map(async indexSet =>
+                ct.balanceOf(market.target, await env.positionId(indexSet))
+            ));
+            const value = await market.getPoolBalance() + held.reduce((a, b) => a > b ? a : b);
+            await (await market.connect(actor).addLiquidity(amount)).wait();
+            scale(model, value + amount, value);
+        } else if (action.type === "removeLiquidity") {
+            const total = await market.totalLiquidityShares();
+            const shares = await market.liquidityShares(actor.address) * BigInt(action.fraction) / 10000n;
+            if (shares === 0n || shares >= total) return;
+            await (await market.connect(actor).removeLiquidity(shares)).wait();
+            scale(model, total - shares, total);
+        } else {
+            await (await market.connect(actor).claimFees()).wait();
+        }
+    };
+
+    // Liquidity changes scale cost() by the ratio of the pool's value, and
+    // with it the rounding so far. The market rounds the ratio to 64.64.
+    const scale = (model, numerator, denominator) => {
+        model.expectedCost = model.expectedCost * numerator / denominator;
+        model.slack = model.slack * numerator / denominator + 2n + (model.expectedCost >> 60n);
+    };
+
+    const singletons = n => Array.from({ length: n }, (_, i) => 1 << i);
+
+    // Returns the first invariant the market breaks, or null
+    const checkInvariants = async model => {
+        const { market, token, config, holders } = env;
+        const positions = [...model.positions];
+        const ids = await Promise.all(positions.map(env.positionId));
+        const [pool, backing, protocolFees, lpFees, cost, prices, balances, claimable] = await Promise.all([
+            token.balanceOf(market.target),
+            token.balanceOf(ct.target),
+            market.protocolFees(),
+            market.lpFees(),
+            market.cost(),
+            market.getMarginalPrices(),
+            ct.balanceOfBatch(
+                holders.flatMap(holder => ids.map(() => holder)),
+                holders.flatMap(() => ids)
+            ),
+            Promise.all(actors.map(actor => market.claimableFees(actor.address)))
+        ]);
+        const balance = (h, p) => balances[h * ids.length + p];
+
+        for (let i = 0; i < config.outcomes; i++) {
+            let total = 0n;
+            let marketHeld = 0n;
+            positions.forEach((indexSet, p) => {
+                if ((indexSet & (1 << i)) === 0) return;
+                marketHeld += balance(0, p);
+                for (let h = 0; h < holders.length; h++) total += balance(h, p);
+            });
+            // Every outcome token is redeemable for collateral held by ConditionalTokens
+            if (total !== backing) {
+                return `outcome ${i} tokens (${total}) are not backed by the collateral split (${backing})`;
+            }
+            // Whichever outcome wins, the pool still covers the fees it owes
+            if (pool + marketHeld < protocolFees + lpFees) {
+                return `if outcome ${i} wins the pool (${pool} + ${marketHeld} outcome tokens) ` +
+                    `cannot pay its fees (${protocolFees + lpFees})`;
+            }
+        }
+
+        const owed = claimable.reduce((a, b) => a + b, 0n);
+        if (owed > lpFees) {
+            return `liquidity providers can claim ${owed} but only ${lpFees} of fees were kept`;
+        }
+
+        // cost() moves by exactly the collateral traded, and scales with liquidity
+        const actual = toTokenAmount(cost, config.decimals);
+        const drift = actual > model.expectedCost ? actual - model.expectedCost : model.expectedCost - actual;
+        if (drift > model.slack) {
+            return `cost() is ${actual} but the collateral traded implies ${model.expectedCost}`;
+        }
+
+        // Prices are positive and sum to between 1 and 1 + alpha n ln(n) = 2
+        const sum = prices.reduce((a, b) => a + b, 0n);
+        if (prices.some(price => price <= 0n) || sum < ONE - PRICE_TOLERANCE || sum > 2n * ONE + PRICE_TOLERANCE) {
+            return `marginal prices [${prices.map(fromFixed).join(", ")}] are out of bounds`;
+        }
+        return null;
+    };
+
+    // Runs a case's actions, checking the invariants after each
+    const run = async ({ config, actions }) => {
+        await prepare(config);
+        const model = {
+            expectedCost: env.initialCost,
+            slack: 1n,
+            positions: new Set(singletons(config.outcomes))
+        };
+
+        for (let step = 0; step < actions.length; step++) {
+            const where = `step ${step + 1} (${describeAction(actions[step])})`;
+            try {
+                await execute(actions[step], model);
+            } catch (error) {
+                const reason = revertReason(error);
+                return NEWMATH_ERRORS.test(reason)
+                    ? `${where} overflowed in NewMath: ${reason}`
+                    : `${where} reverted: ${reason}`;
+            }
+            const failure = await checkInvariants(model);
+            if (failure) return `${where} broke an invariant: ${failure}`;
+        }
+        return null;
+    };
+
+    const randomAction = (rng, config) => {
+        const actor = rng.int(0, actors.length);
+        // Any outcome or set of outcomes short of all of them
+        const outcome = rng.int(1, (1 << config.outcomes) - 1);
+        const kind = rng();
+        if (kind < 0.45) {
+            return { type: "buy", actor, outcome, amount: rng.bigint(ONE / 100n, 2n * BigInt(config.subsidy) * ONE) };
+        } else if (kind < 0.75) {
+            return { type: "sell", actor, outcome, fraction: rng.int(1, 10001) };
+        } else if (kind < 0.87) {
+            return { type: "addLiquidity", actor, amount: rng.int(1, 2 * config.subsidy) };
+        } else if (kind < 0.95) {
+            return { type: "removeLiquidity", actor, fraction: rng.int(1, 10001) };
+        }
+        return { type: "claimFees", actor };
+    };
+
+    const generate = rng => {
+        const config = {
+            outcomes: rng.int(2, MAX_OUTCOMES + 1),
+            decimals: rng.pick([18, 6]),
+            subsidy: rng.pick(SUBSIDIES),
+            fee: rng.pick(FEES)
+        };
+        return { config, actions: Array.from({ length: STEPS }, () => randomAction(rng, config)) };
+    };
+
+    // Smaller amounts and single outcomes
+    const simplify = action => {
+        const simpler = [];
+        if (action.outcome !== undefined && (action.outcome & (action.outcome - 1)) !== 0) {
+            simpler.push({ ...action, outcome: action.outcome & -action.outcome });
+        }
+        if (action.type === "buy" && action.amount > ONE / 100n) {
+            simpler.push({ ...action, amount: action.amount / 2n });
+        }
+        if (action.type === "addLiquidity" && action.amount > 1) {
+            simpler.push({ ...action, amount: Math.floor(action.amount / 2) });
+        }
+        return simpler;
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 22 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.otherUsers'
+        ]);
+
+        ({ admin, userA } = globalState.signers);
+        actors = [userA, ...globalState.signers.otherUsers.slice(0, 4)];
+
+        ({ ct, dai, factory } = await deployCore());
+        await (await factory.connect(admin).setFeePolicy(500, 2000)).wait();
+        const FakeToken = await ethers.getContractFactory("FakeToken");
+        usdc = await FakeToken.deploy("Test USD Coin", "USDC", 6);
+        await usdc.waitForDeployment();
+        await (await factory.connect(admin).setCollateral(usdc.target, true, 0)).wait();
+
+        baseline = await takeSnapshot();
+    });
+
+    describe("22.1 Harness", () => {
+        // Fails on any number of at least 50, so the smallest failing sequence is [50]
+        const property = seed => checkProperty({
+            seed,
+            runs: 10,
+            generate: rng => ({ actions: Array.from({ length: 20 }, () => rng.int(0, 100)) }),
+            run: async ({ actions }) => actions.some(x => x >= 50) ? `${Math.max(...actions)} is too large` : null,
+            simplify: x => x > 0 ? [Math.floor(x / 2), x - 1] : []
+        });
+
+        it("Should generate the same sequence from the same seed", () => {
+            const sequence = seed => Array.from({ length: 10 }, random(seed));
+            expect(sequence(7)).to.deep.equal(sequence(7));
+            expect(sequence(7)).to.not.deep.equal(sequence(8));
+        });
+
+        it("Should shrink a failing sequence and name its seed", async () => {
+            await expect(property(3)).to.be.rejectedWith(/^50 is too large\n.*seed 3: reproduce with FUZZ_SEED=3 FUZZ_RUNS=1\n.*shrunk from 20 to 1 actions:\n\s+50$/);
+        });
+
+        it("Should generate cases within the documented limits", () => {
+            const rng = random(SEED);
+            for (let i = 0; i < 50; i++) {
+                const { config, actions } = generate(rng);
+                expect(config.outcomes).to.be.within(2, MAX_OUTCOMES);
+                for (const action of actions) {
+                    if (action.type === "buy") expect(action.amount).to.be.at.most(2n * BigInt(config.subsidy) * ONE);
+                    if (action.outcome !== undefined) expect(action.outcome).to.be.below((1 << config.outcomes) - 1);
+                }
+            }
+        });
+    });
+
+    describe("22.2 Invariants", () => {
+        it(`Should hold the invariants over ${RUNS} random sequences of ${STEPS} actions`, async function() {
+            this.timeout(0);
+            await checkProperty({ seed: SEED, runs: RUNS, generate, run, simplify, format: describeAction });
+        });
+    });
+
+    describe("22.3 Regressions", () => {
+        // Shrunk sequences the harness found, in the market their seed generates
+        const regression = (seed, actions) => async () => {
+            const { config } = generate(random(seed));
+            const failure = await run({
+                config,
+                actions: actions.map(action => action.type === "buy" ? { ...action, amount: toFixed(action.amount) } : action)
+            });
+            expect(failure).to.equal(null);
+        };
+
+        it("Should buy with the pool's own outcome tokens before splitting collateral", regression(5, [
+            { type: "buy", actor: 1, outcome: 0b10, amount: "1.216331424676294866" },
+            { type: "buy", actor: 3, outcome: 0b1, amount: "2.389583680098920108" },
+            { type: "buy", actor: 1, outcome: 0b100, amount: "16.755720249021971292" }
+        ]));
+
+        it("Should merge single outcome tokens into a set before splitting collateral", regression(57, [
+            { type: "buy", actor: 2, outcome: 0b1, amount: "15.376328667860324848" },
+            { type: "buy", actor: 2, outcome: 0b10010, amount: "6.885232349846566775" }
+        ]));
+
+        it("Should not buy back positions past the market's depth", async () => {
+            const { config } = generate(random(9));
+            const trader = actors[4];
+            expect(await run({ config, actions: [
+                { type: "buy", actor: 4, outcome: 0b11, amount: toFixed("4.769317913181610038") },
+                { type: "removeLiquidity", actor: 0, fraction: 8766 }
+            ] })).to.equal(null);
+
+            // Most of the liquidity behind the position is gone, so buying all
+            // of it back would pay out collateral the pool no longer has
+            const held = await ct.balanceOf(trader.address, await env.positionId(0b11));
+            await expect(
+                env.market.connect(trader).sell(0b11, fromTokenAmount(held, config.decimals))
+            ).to.be.revertedWith("Sell exceeds market depth");
+        });
+
+        it("Should never owe liquidity providers more fees than it kept", regression(28, [
+            { type: "buy", actor: 1, outcome: 0b100, amount: "18910.041258062227705187" },
+            { type: "buy", actor: 4, outcome: 0b1101, amount: "15845.592126510392670414" },
+            { type: "addLiquidity", actor: 4, amount: 12154 },
+            { type: "addLiquidity", actor: 0, amount: 17945 },
+            { type: "buy", actor: 3, outcome: 0b11, amount: "12408.901130651435757496" }
+        ]));
+    });
+});
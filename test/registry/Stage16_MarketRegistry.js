@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+const { OUTCOMES, deployCore, createMarket } = require("../shared/fixtures");
+const { FactoryClient, InvalidArgumentError, MarketNotFoundError } = require("../../sdk");
+
+describe("Stage 16: Market Registry", () => {
+    let dai, otherDai, factory, client;
+    let userA, mrResolver, alice;
+    let markets;
+
+    const SUBSIDY = ethers.parseEther("100");
+    const QUESTION_ID = ethers.id("Superbowl LX");
+
+    const params = (overrides = {}) => ({
+        collateralToken: dai.target,
+        oracle: mrResolver.address,
+        questionId: ethers.hexlify(ethers.randomBytes(32)),
+        subsidy: SUBSIDY,
+        fee: 0,
+        closeTime: 0,
+        resolutionDeadline: 0,
+        question: "Who will win the Superbowl",
+        outcomes: OUTCOMES,
+        category: "",
+        tags: [],
+        ...overrides
+    });
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 16 Setup', [
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ userA, mrResolver, alice } = globalState.signers);
+
+        ({ dai, factory } = await deployCore());
+        const FakeDai = await ethers.getContractFactory("FakeDai");
+        otherDai = await FakeDai.deploy();
+        await otherDai.waitForDeployment();
+
+        await (await factory.setCollateral(otherDai.target, true, 0)).wait();
+        for (const token of [dai, otherDai]) {
+            await token.mint(alice.address, ethers.parseEther("1000"));
+            await token.connect(alice).approve(factory.target, ethers.MaxUint256);
+        }
+
+        client = new FactoryClient(factory.target, alice);
+    });
+
+    describe("16.1 Market Records", () => {
+        it("Should record the market's creator, collateral, oracle and metadata", async () => {
+            const closeTime = (await time.latest()) + 7 * 24 * 60 * 60;
+            const tx = await factory.connect(alice).createMarket(params({
+                questionId: QUESTION_ID,
+                closeTime,
+                category: "sports",
+                tags: ["nfl", "superbowl"]
+            }));
+            await expect(tx).to.emit(factory, "MarketCreated");
+            const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+
+            const market = await factory.getMarket((await factory.getMarketCount()) - 1n);
+            const info = await factory.getMarketInfo(market);
+            expect(info.market).to.equal(market);
+            expect(info.creator).to.equal(alice.address);
+            expect(info.collateralToken).to.equal(dai.target);
+            expect(info.oracle).to.equal(mrResolver.address);
+            expect(info.questionId).to.equal(QUESTION_ID);
+            expect(info.numOutcomes).to.equal(4n);
+            expect(info.createdAt).to.equal(timestamp);
+            expect(info.closeTime).to.equal(closeTime);
+            expect(info.question).to.equal("Who will win the Superbowl");
+            expect(info.outcomes).to.deep.equal(OUTCOMES);
+            expect(info.category).to.equal("sports");
+            expect(info.tags).to.deep.equal(["nfl", "superbowl"]);
+            expect(info.isResolved).to.equal(false);
+        });
+
+        it("Should reject a close time in the past", async () => {
+            await expect(
+                factory.connect(alice).createMarket(params({ closeTime: await time.latest() }))
+            ).to.be.revertedWith("Invalid close time");
+        });
+
+        it("Should record markets created the old way without the new metadata", async () => {
+            const { market } = await createMarket({ factory, dai, creator: userA, oracle: alice, questionId: QUESTION_ID });
+            const info = await factory.getMarketInfo(await market.getAddress());
+            expect(info.creator).to.equal(userA.address);
+            expect(info.closeTime).to.equal(0n);
+            expect(info.category).to.equal("");
+            expect(info.tags).to.deep.equal([]);
+        });
+
+        it("Should reject unknown markets", async () => {
+            await expect(factory.getMarketInfo(alice.address)).to.be.revertedWith("Market not found");
+        });
+    });
+
+    describe("16.2 Pagination and Lookups", () => {
+        before(async () => {
+            await (await factory.connect(alice).createMarket(params({ collateralToken: otherDai.target, category: "politics" }))).wait();
+            await (await factory.connect(alice).createMarket(params({ oracle: alice.address }))).wait();
+
+            markets = [];
+            for (let i = 0; i < await factory.getMarketCount(); i++) {
+                markets.push(await factory.getMarket(i));
+            }
+            expect(markets).to.have.lengthOf(4);
+        });
+
+        it("Should page through the market records", async () => {
+            const page = await factory.getMarkets(1, 2);
+            expect(page.map(info => info.market)).to.deep.equal(markets.slice(1, 3));
+            expect(page[1].category).to.equal("politics");
+
+            expect(await factory.getMarkets(3, 10)).to.have.lengthOf(1);
+            expect(await factory.getMarkets(4, 10)).to.have.lengthOf(0);
+            expect(await factory.getMarkets(0, ethers.MaxUint256)).to.have.lengthOf(4);
+        });
+
+        it("Should look markets up by creator, oracle, collateral and questionId", async () => {
+            const [byCreator, creatorTotal] = await factory.getMarketsByCreator(alice.address, 0, 10);
+            expect(byCreator).to.deep.equal([markets[0], markets[2], markets[3]]);
+            expect(creatorTotal).to.equal(3n);
+
+            const [page, total] = await factory.getMarketsByCreator(alice.address, 1, 1);
+            expect(page).to.deep.equal([markets[2]]);
+            expect(total).to.equal(3n);
+
+            expect((await factory.getMarketsByOracle(alice.address, 0, 10))[0]).to.deep.equal([markets[1], markets[3]]);
+            expect((await factory.getMarketsByCollateral(otherDai.target, 0, 10))[0]).to.deep.equal([markets[2]]);
+            expect((await factory.getMarketsByQuestionId(QUESTION_ID, 0, 10))[0]).to.deep.equal([markets[0], markets[1]]);
+            expect((await factory.getMarketsByCreator(mrResolver.address, 0, 10))[1]).to.equal(0n);
+        });
+
+        it("Should filter markets by status", async () => {
+            const market = await ethers.getContractAt("LsLMSR", markets[1]);
+            await (await market.connect(alice).resolveMarket([1, 0, 0, 0])).wait();
+
+            expect((await factory.getMarketsByStatus(true, 0, 10))[0]).to.deep.equal([markets[1]]);
+            expect((await factory.getMarketInfo(markets[1])).isResolved).to.equal(true);
+
+            // Pages of two active markets
+            const [first, next] = await factory.getMarketsByStatus(false, 0, 2);
+            expect(first).to.deep.equal([markets[0], markets[2]]);
+            expect(next).to.equal(3n);
+
+            const [second, end] = await factory.getMarketsByStatus(false, next, 2);
+            expect(second).to.deep.equal([markets[3]]);
+            expect(end).to.equal(4n);
+        });
+    });
+
+    describe("16.3 SDK", () => {
+        it("Should create markets with registry metadata", async () => {
+            const market = await client.createMarket({
+                collateral: dai.target,
+                oracle: mrResolver.address,
+                question: "Will it rain tomorrow",
+                outcomes: ["Yes", "No"],
+                subsidy: "10",
+                category: "weather",
+                tags: ["rain"]
+            });
+
+            const info = await client.getMarketInfo(market.address);
+            expect(info.category).to.equal("weather");
+            expect(info.tags).to.deep.equal(["rain"]);
+            expect(info.outcomes).to.deep.equal(["Yes", "No"]);
+            expect(info).to.not.have.property("exists");
+            markets.push(market.address);
+        });
+
+        it("Should list and find markets", async () => {
+            expect(await client.listMarkets({ offset: 3 })).to.deep.equal(markets.slice(3));
+            expect((await client.getMarkets({ limit: 2 })).map(info => info.creator)).to.deep.equal([alice.address, userA.address]);
+
+            expect(await client.findMarkets({ collateral: otherDai.target })).to.deep.equal({ markets: [markets[2]], total: 1 });
+            expect(await client.findMarkets({ status: "resolved" })).to.deep.equal({ markets: [markets[1]], next: 5 });
+            expect((await client.findMarkets({ creator: alice.address, offset: 2, limit: 5 })).markets)
+                .to.deep.equal([markets[3], markets[4]]);
+        });
+
+        it("Should reject ambiguous lookups and unknown markets", async () => {
+            await expect(client.findMarkets({})).to.be.rejectedWith(InvalidArgumentError);
+            await expect(client.findMarkets({ creator: alice.address, oracle: alice.address })).to.be.rejectedWith(InvalidArgumentError);
+            await expect(client.findMarkets({ status: "closed" })).to.be.rejectedWith(InvalidArgumentError);
+            await expect(client.getMarketInfo(alice.address)).to.be.rejectedWith(MarketNotFoundError);
+        });
+    });
+});
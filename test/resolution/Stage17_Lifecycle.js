@@ -0,0 +1,274 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, OUTCOMES, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { FactoryClient, MarketClosedError, MarketPhaseError } = require("../../sdk");
+
+// LsLMSR.Phase
+const PHASE = { OPEN: 0, CLOSED: 1, RESOLVING: 2, RESOLVED: 3, FINALIZED: 4 };
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+describe("Stage 17: Market Lifecycle", () => {
+    let ct, dai, factory;
+    let userA, mrResolver, alice;
+
+    const SUBSIDY = ethers.parseEther("100");
+
+    // Creates a market closing in a day, with a resolution deadline a week later
+    const scheduledMarket = async ({ closeIn = DAY, deadlineIn = 8 * DAY, oracle = mrResolver.address } = {}) => {
+        const now = await time.latest();
+        const closeTime = closeIn ? now + closeIn : 0;
+        const resolutionDeadline = deadlineIn ? now + deadlineIn : 0;
+
+        await (await dai.mint(userA.address, SUBSIDY)).wait();
+        await (await dai.connect(userA).approve(factory.target, SUBSIDY)).wait();
+        const receipt = await (await factory.connect(userA).createMarket({
+            collateralToken: dai.target,
+            oracle,
+            questionId: ethers.hexlify(ethers.randomBytes(32)),
+            subsidy: SUBSIDY,
+            fee: 0,
+            closeTime,
+            resolutionDeadline,
+            question: "Who will win the Superbowl",
+            outcomes: OUTCOMES,
+            category: "",
+            tags: []
+        })).wait();
+
+        const event = receipt.logs.map(log => factory.interface.parseLog(log)).find(log => log && log.name === "MarketCreated");
+        const market = await ethers.getContractAt("LsLMSR", event.args.market);
+        await (await dai.connect(alice).approve(market.target, ethers.MaxUint256)).wait();
+        await (await ct.connect(alice).setApprovalForAll(market.target, true)).wait();
+        return { market, closeTime, resolutionDeadline };
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 17 Setup', [
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ userA, mrResolver, alice } = globalState.signers);
+
+        ({ ct, dai, factory } = await deployCore());
+        await (await factory.addOracle(mrResolver.address)).wait();
+        await dai.mint(alice.address, ethers.parseEther("1000"));
+    });
+
+    describe("17.1 Closing", () => {
+        let market, closeTime;
+
+        before(async () => {
+            ({ market, closeTime } = await scheduledMarket());
+        });
+
+        it("Should trade while open", async () => {
+            expect(await market.closeTime()).to.equal(closeTime);
+            expect(await market.getPhase()).to.equal(PHASE.OPEN);
+
+            await (await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 10n * ONE)).wait();
+            await (await market.connect(alice).sell(OUTCOME_INDICES.CHIEFS, 2n * ONE)).wait();
+        });
+
+        it("Should not resolve before the close time", async () => {
+            await expect(
+                market.connect(mrResolver).resolveMarket([1, 0, 0, 0])
+            ).to.be.revertedWith("Market not closed");
+            await expect(
+                market.connect(mrResolver).startResolution()
+            ).to.be.revertedWith("Market not closed");
+            await expect(market.close()).to.be.revertedWith("Market not closed");
+        });
+
+        it("Should halt trading at the close time", async () => {
+            await time.increaseTo(closeTime);
+            expect(await market.getPhase()).to.equal(PHASE.CLOSED);
+
+            await expect(
+                market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, ONE)
+            ).to.be.revertedWith("Market closed");
+            await expect(
+                market.connect(alice).sell(OUTCOME_INDICES.CHIEFS, ONE)
+            ).to.be.revertedWith("Market closed");
+            await expect(
+                market.connect(alice).addLiquidity(ethers.parseEther("10"))
+            ).to.be.revertedWith("Market closed");
+        });
+
+        it("Should let anyone record the close", async () => {
+            await expect(market.connect(alice).close())
+                .to.emit(market, "PhaseChanged")
+                .withArgs(PHASE.CLOSED);
+            await expect(market.close()).to.be.revertedWith("Market not closed");
+        });
+
+        it("Should move through resolving and resolved to finalized", async () => {
+            await expect(
+                market.connect(alice).startResolution()
+            ).to.be.revertedWith("Only oracle can resolve");
+
+            await expect(market.connect(mrResolver).startResolution())
+                .to.emit(market, "PhaseChanged")
+                .withArgs(PHASE.RESOLVING);
+            expect(await market.getPhase()).to.equal(PHASE.RESOLVING);
+
+            await expect(market.connect(mrResolver).resolveMarket([1, 0, 0, 0]))
+                .to.emit(market, "PhaseChanged")
+                .withArgs(PHASE.RESOLVED);
+            expect(await market.getPhase()).to.equal(PHASE.RESOLVED);
+
+            await expect(market.connect(userA).withdraw())
+                .to.emit(market, "PhaseChanged")
+                .withArgs(PHASE.FINALIZED);
+            expect(await market.getPhase()).to.equal(PHASE.FINALIZED);
+        });
+    });
+
+    describe("17.2 Invalidation", () => {
+        let market, resolutionDeadline;
+
+        before(async () => {
+            ({ market, resolutionDeadline } = await scheduledMarket());
+            await (await market.connect(alice).buy(OUTCOME_INDICES.RAVENS, 8n * ONE)).wait();
+        });
+
+        it("Should not invalidate before the resolution deadline", async () => {
+            await time.increaseTo(resolutionDeadline - 10);
+            await expect(market.invalidate()).to.be.revertedWith("Resolution deadline not reached");
+        });
+
+        it("Should stop the oracle from resolving after the deadline", async () => {
+            await time.increaseTo(resolutionDeadline);
+            await expect(
+                market.connect(mrResolver).resolveMarket([0, 1, 0, 0])
+            ).to.be.revertedWith("Resolution deadline passed");
+        });
+
+        it("Should let anyone resolve the market as invalid", async () => {
+            const tx = await market.connect(alice).invalidate();
+            await expect(tx).to.emit(market, "MarketInvalidated").withArgs(await market.condition());
+            await expect(tx).to.emit(market, "MarketResolved").withArgs(await market.condition(), [1, 1, 1, 1]);
+            await expect(tx).to.emit(market, "PhaseChanged").withArgs(PHASE.RESOLVED);
+
+            expect(await market.isInvalid()).to.equal(true);
+            expect(await market.isResolved()).to.equal(true);
+            await expect(market.invalidate()).to.be.revertedWith("Market already resolved");
+        });
+
+        it("Should pay every outcome equally", async () => {
+            const shares = await ct.balanceOf(alice.address, await positionIdFor(ct, market, OUTCOME_INDICES.RAVENS));
+            await expect(
+                ct.connect(alice).redeemPositions(dai.target, ethers.ZeroHash, await market.condition(), [OUTCOME_INDICES.RAVENS])
+            ).to.changeTokenBalance(dai, alice, shares / 4n);
+        });
+
+        it("Should not invalidate markets without a deadline", async () => {
+            const { market: undated } = await scheduledMarket({ closeIn: 0, deadlineIn: 0 });
+            await time.increase(365 * DAY);
+            await expect(undated.invalidate()).to.be.revertedWith("Resolution deadline not reached");
+            expect(await undated.getPhase()).to.equal(PHASE.OPEN);
+        });
+    });
+
+    describe("17.3 Schedule", () => {
+        it("Should reject schedules in the past or out of order", async () => {
+            await expect(scheduledMarket({ closeIn: -1 })).to.be.revertedWith("Invalid close time");
+            await expect(scheduledMarket({ closeIn: DAY, deadlineIn: DAY })).to.be.revertedWith("Invalid resolution deadline");
+        });
+
+        it("Should fix the schedule once the market is set up", async () => {
+            const LsLMSR = await ethers.getContractFactory("LsLMSR");
+            const market = await LsLMSR.deploy(ct.target, dai.target);
+            await market.waitForDeployment();
+            await dai.mint(market.target, SUBSIDY);
+            await market.setup(mrResolver.address, ethers.hexlify(ethers.randomBytes(32)), 4, SUBSIDY, userA.address);
+
+            await expect(market.setSchedule(0, 0)).to.be.revertedWith("Already init");
+        });
+
+        it("Should keep markets without a close time resolvable at any time", async () => {
+            const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+            expect(await market.closeTime()).to.equal(0n);
+            await expect(market.connect(mrResolver).resolveMarket([0, 0, 1, 0]))
+                .to.emit(market, "PhaseChanged")
+                .withArgs(PHASE.RESOLVED);
+        });
+    });
+
+    describe("17.4 Optimistic Oracle", () => {
+        let optimisticOracle;
+
+        before(async () => {
+            const OptimisticOracle = await ethers.getContractFactory("OptimisticOracle");
+            optimisticOracle = await OptimisticOracle.deploy(factory.target, dai.target, ethers.parseEther("10"), 2 * HOUR);
+            await optimisticOracle.waitForDeployment();
+            await (await factory.addOracle(optimisticOracle.target)).wait();
+            await dai.connect(alice).approve(optimisticOracle.target, ethers.MaxUint256);
+        });
+
+        it("Should halt trading once a resolution is proposed", async () => {
+            const { market } = await scheduledMarket({ oracle: optimisticOracle.target });
+            await expect(
+                optimisticOracle.connect(alice).propose(market.target, [1, 0, 0, 0])
+            ).to.be.revertedWith("Market not closed");
+
+            await time.increase(DAY);
+            await expect(optimisticOracle.connect(alice).propose(market.target, [1, 0, 0, 0]))
+                .to.emit(market, "PhaseChanged")
+                .withArgs(PHASE.RESOLVING);
+
+            await time.increase(2 * HOUR);
+            await (await optimisticOracle.settle(market.target)).wait();
+            expect(await market.getPhase()).to.equal(PHASE.RESOLVED);
+        });
+
+        it("Should settle a proposal made before the resolution deadline after it", async () => {
+            const { market, resolutionDeadline } = await scheduledMarket({ oracle: optimisticOracle.target });
+            await time.increaseTo(resolutionDeadline - HOUR);
+            await (await optimisticOracle.connect(alice).propose(market.target, [0, 1, 0, 0])).wait();
+
+            // Past the deadline, nobody but the oracle and the owner can void it
+            await time.increaseTo(resolutionDeadline);
+            await expect(market.invalidate()).to.be.revertedWith("Resolution in progress");
+
+            await time.increase(2 * HOUR);
+            await expect(optimisticOracle.settle(market.target))
+                .to.changeTokenBalance(dai, alice, ethers.parseEther("10"));
+            expect(await market.getPhase()).to.equal(PHASE.RESOLVED);
+            expect(await market.isInvalid()).to.equal(false);
+            expect(await ct.payoutNumerators(await market.condition(), 1)).to.equal(1n);
+        });
+
+        it("Should not start resolving after the resolution deadline", async () => {
+            const { market, resolutionDeadline } = await scheduledMarket({ oracle: optimisticOracle.target });
+            await time.increaseTo(resolutionDeadline);
+            await expect(
+                optimisticOracle.connect(alice).propose(market.target, [0, 1, 0, 0])
+            ).to.be.revertedWith("Resolution deadline passed");
+            await (await market.invalidate()).wait();
+        });
+    });
+
+    describe("17.5 SDK", () => {
+        it("Should report phases by name and throw typed errors", async () => {
+            const { market } = await scheduledMarket();
+            const client = await new FactoryClient(factory.target, alice).getMarket(market.target);
+
+            expect(await client.getPhase()).to.equal("Open");
+            const { closeTime } = await client.getSchedule();
+            expect(closeTime).to.equal(Number(await market.closeTime()));
+
+            await time.increaseTo(closeTime);
+            expect(await client.getPhase()).to.equal("Closed");
+            await expect(client.buy("Chiefs", "1")).to.be.rejectedWith(MarketClosedError);
+            await expect(client.invalidate()).to.be.rejectedWith(MarketPhaseError);
+            await client.close();
+        });
+    });
+});
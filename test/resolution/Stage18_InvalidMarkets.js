@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { FactoryClient, UnauthorizedError } = require("../../sdk");
+
+// LsLMSR.Phase.Resolved
+const RESOLVED = 3;
+
+describe("Stage 18: Invalid Markets", () => {
+    let ct, dai, factory;
+    let admin, userA, mrResolver, alice, bob;
+
+    // Sums the market's own outcome token balances, each redeeming for a quarter
+    const poolValue = async market => {
+        let value = await market.getPoolBalance();
+        for (const indexSet of Object.values(OUTCOME_INDICES)) {
+            value += await ct.balanceOf(market.target, await positionIdFor(ct, market, indexSet)) / 4n;
+        }
+        return value;
+    };
+
+    const tradedMarket = async (fee = 0) => {
+        const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee });
+        for (const user of [alice, bob]) {
+            await (await dai.connect(user).approve(market.target, ethers.MaxUint256)).wait();
+            await (await ct.connect(user).setApprovalForAll(market.target, true)).wait();
+        }
+        await (await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 20n * ONE)).wait();
+        await (await market.connect(alice).sell(OUTCOME_INDICES.CHIEFS, 5n * ONE)).wait();
+        await (await market.connect(bob).buy(OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.BUCS, 12n * ONE)).wait();
+        return market;
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 18 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+        bob = globalState.signers.otherUsers[1];
+
+        ({ ct, dai, factory } = await deployCore());
+        await (await factory.setFeePolicy(500, 2000)).wait();
+        for (const user of [alice, bob]) {
+            await dai.mint(user.address, ethers.parseEther("1000"));
+        }
+    });
+
+    describe("18.1 Triggers", () => {
+        it("Should let the oracle void an open market", async () => {
+            const market = await tradedMarket();
+            const condition = await market.condition();
+
+            const tx = await market.connect(mrResolver).invalidate();
+            await expect(tx).to.emit(market, "MarketResolved").withArgs(condition, [1, 1, 1, 1]);
+            await expect(tx).to.emit(market, "MarketInvalidated").withArgs(condition);
+            await expect(tx).to.emit(market, "PhaseChanged").withArgs(RESOLVED);
+            expect(await market.isInvalid()).to.equal(true);
+
+            await expect(
+                market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, ONE)
+            ).to.be.revertedWith("Market already resolved");
+        });
+
+        it("Should not let anyone else void a market before its deadline", async () => {
+            const market = await tradedMarket();
+            await expect(
+                market.connect(alice).invalidate()
+            ).to.be.revertedWith("Resolution deadline not reached");
+        });
+
+        it("Should let the factory owner and the oracle void markets through the factory", async () => {
+            const byOwner = await tradedMarket();
+            await expect(factory.connect(admin).invalidateMarket(byOwner.target))
+                .to.emit(factory, "MarketInvalidated")
+                .withArgs(byOwner.target, admin.address);
+            expect(await byOwner.isInvalid()).to.equal(true);
+
+            const byOracle = await tradedMarket();
+            await expect(factory.connect(mrResolver).invalidateMarket(byOracle.target))
+                .to.emit(byOracle, "MarketInvalidated");
+            await expect(
+                factory.connect(mrResolver).invalidateMarket(byOracle.target)
+            ).to.be.revertedWith("Market already resolved");
+        });
+
+        it("Should reject other callers and unknown markets", async () => {
+            const market = await tradedMarket();
+            await expect(
+                factory.connect(alice).invalidateMarket(market.target)
+            ).to.be.revertedWith("Not authorized");
+            await expect(
+                factory.connect(admin).invalidateMarket(alice.address)
+            ).to.be.revertedWith("Market not found");
+        });
+
+        it("Should not void a resolved market", async () => {
+            const market = await tradedMarket();
+            await (await market.connect(mrResolver).resolveMarket([1, 0, 0, 0])).wait();
+            await expect(
+                factory.connect(admin).invalidateMarket(market.target)
+            ).to.be.revertedWith("Market already resolved");
+            expect(await market.isInvalid()).to.equal(false);
+        });
+    });
+
+    describe("18.2 Refunds", () => {
+        let market;
+
+        before(async () => {
+            market = await tradedMarket(200);
+            await (await factory.connect(admin).invalidateMarket(market.target)).wait();
+        });
+
+        it("Should pay a quarter per share of each outcome", async () => {
+            const chiefs = await ct.balanceOf(alice.address, await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS));
+            expect(chiefs).to.equal(await market.getTokenWei(dai.target, 15n * ONE));
+
+            await expect(
+                ct.connect(alice).redeemPositions(dai.target, ethers.ZeroHash, await market.condition(), [OUTCOME_INDICES.CHIEFS])
+            ).to.changeTokenBalance(dai, alice, chiefs / 4n);
+        });
+
+        it("Should pay positions on several outcomes for each of them", async () => {
+            const indexSet = OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.BUCS;
+            const shares = await ct.balanceOf(bob.address, await positionIdFor(ct, market, indexSet));
+
+            await expect(
+                ct.connect(bob).redeemPositions(dai.target, ethers.ZeroHash, await market.condition(), [indexSet])
+            ).to.changeTokenBalance(dai, bob, shares * 2n / 4n);
+        });
+
+        it("Should pay the subsidy provider the pool, with its outcome tokens redeemed", async () => {
+            const expected = await poolValue(market);
+            const fees = await market.claimableFees(userA.address);
+            expect(fees).to.be.gt(0n);
+
+            await expect(market.connect(userA).withdraw()).to.changeTokenBalance(dai, userA, expected);
+            await expect(market.connect(userA).claimFees()).to.changeTokenBalance(dai, userA, fees);
+        });
+
+        it("Should leave only the fees in the market", async () => {
+            // LP fees keep the rounding dust of the per-share accounting
+            expect(await market.getPoolBalance()).to.equal(0n);
+            expect(await market.lpFees()).to.be.lt(1000n);
+            expect(await dai.balanceOf(market.target)).to.equal(await market.protocolFees() + await market.lpFees());
+        });
+    });
+
+    describe("18.3 SDK", () => {
+        it("Should void markets through the factory client", async () => {
+            const market = await tradedMarket();
+            const client = new FactoryClient(factory.target, admin);
+
+            await expect(
+                new FactoryClient(factory.target, alice).invalidateMarket(market.target)
+            ).to.be.rejectedWith(UnauthorizedError);
+            await client.invalidateMarket(market.target);
+            expect((await client.getMarketInfo(market.target)).isResolved).to.equal(true);
+        });
+    });
+});
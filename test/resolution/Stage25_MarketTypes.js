@@ -0,0 +1,356 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { FactoryClient } = require("../../sdk");
+
+// LsLMSRFactory.MarketType
+const SCALAR = 1n;
+const CONDITIONAL = 2n;
+
+// Scalar outcomes, as index sets
+const SHORT = 1;
+const LONG = 2;
+
+// LsLMSRFactory.SCALAR_PAYOUT_DENOMINATOR
+const PAYOUT = 10n ** 18n;
+
+describe("Stage 25: Scalar and Conditional Markets", () => {
+    let ct, dai, factory, router;
+    let userA, mrResolver, alice, bob;
+
+    const SUBSIDY = ethers.parseEther("100");
+
+    const params = (overrides = {}) => ({
+        collateralToken: dai.target,
+        oracle: mrResolver.address,
+        questionId: ethers.hexlify(ethers.randomBytes(32)),
+        subsidy: SUBSIDY,
+        fee: 0,
+        closeTime: 0,
+        resolutionDeadline: 0,
+        question: "What will ETH close the year at",
+        outcomes: ["Short", "Long"],
+        category: "",
+        tags: [],
+        ...overrides
+    });
+
+    // Creates a market with factory.<method>(params, ...args) and returns it
+    const created = async (method, args, creator = userA) => {
+        const receipt = await (await factory.connect(creator)[method](...args)).wait();
+        const event = receipt.logs.find(log => log.fragment && log.fragment.name === "MarketCreated");
+        return ethers.getContractAt("LsLMSR", event.args.market);
+    };
+
+    const scalarMarket = async (lowerBound, upperBound) => {
+        await dai.mint(userA.address, SUBSIDY);
+        await (await dai.connect(userA).approve(factory.target, SUBSIDY)).wait();
+        return created("createScalarMarket", [params(), lowerBound, upperBound]);
+    };
+
+    // Splits user's collateral into positions on indexSet and the rest of the
+    // parent's outcomes
+    const splitParent = async (user, parent, indexSet, amount) => {
+        await dai.mint(user.address, amount);
+        await (await dai.connect(user).approve(ct.target, amount)).wait();
+        const complement = (1 << Number(await parent.numOutcomes())) - 1 - indexSet;
+        await (await ct.connect(user).splitPosition(
+            dai.target, ethers.ZeroHash, await parent.condition(), [indexSet, complement], amount
+        )).wait();
+    };
+
+    // A market on who will be MVP, nested in the Chiefs winning the parent
+    const conditionalMarket = async parent => {
+        await splitParent(userA, parent, OUTCOME_INDICES.CHIEFS, SUBSIDY);
+        await (await ct.connect(userA).setApprovalForAll(factory.target, true)).wait();
+        return created("createConditionalMarket", [
+            params({ question: "Will Mahomes be MVP", outcomes: ["Yes", "No"] }),
+            parent.target,
+            OUTCOME_INDICES.CHIEFS
+        ]);
+    };
+
+    const redeem = (user, market, parentCollectionId = ethers.ZeroHash) =>
+        market.condition().then(condition =>
+            ct.connect(user).redeemPositions(dai.target, parentCollectionId, condition, [1, 2]));
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 25 Setup', [
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ userA, mrResolver, alice } = globalState.signers);
+        bob = globalState.signers.otherUsers[1];
+
+        ({ ct, dai, factory, router } = await deployCore());
+        await (await factory.addOracle(mrResolver.address)).wait();
+        for (const user of [alice, bob]) {
+            await dai.mint(user.address, ethers.parseEther("1000"));
+        }
+    });
+
+    describe("25.1 Scalar Markets", () => {
+        it("Should record the range of a scalar market", async () => {
+            const market = await scalarMarket(2000n, 4000n);
+
+            const details = await factory.getMarketDetails(market.target);
+            expect(details.outcomes).to.deep.equal(["Short", "Long"]);
+            expect(details.marketType).to.equal(SCALAR);
+            expect(details.lowerBound).to.equal(2000n);
+            expect(details.upperBound).to.equal(4000n);
+            expect(details.parentMarket).to.equal(ethers.ZeroAddress);
+
+            const info = await factory.getMarketInfo(market.target);
+            expect(info.marketType).to.equal(SCALAR);
+            expect(info.lowerBound).to.equal(2000n);
+            expect(await market.parentCollectionId()).to.equal(ethers.ZeroHash);
+        });
+
+        it("Should reject scalar markets without two outcomes or a range", async () => {
+            await dai.mint(userA.address, SUBSIDY);
+            await (await dai.connect(userA).approve(factory.target, SUBSIDY)).wait();
+
+            await expect(
+                factory.connect(userA).createScalarMarket(params({ outcomes: ["Low", "Mid", "High"] }), 0, 100)
+            ).to.be.revertedWith("Scalar markets have two outcomes");
+            await expect(
+                factory.connect(userA).createScalarMarket(params(), 100, 100)
+            ).to.be.revertedWith("Invalid scalar bounds");
+        });
+
+        it("Should pay Short and Long out along the range", async () => {
+            const market = await scalarMarket(-1000n, 1000n);
+            for (const user of [alice, bob]) {
+                await (await dai.connect(user).approve(market.target, ethers.MaxUint256)).wait();
+            }
+            await (await market.connect(alice).buy(LONG, 10n * ONE)).wait();
+            await (await market.connect(bob).buy(SHORT, 10n * ONE)).wait();
+
+            const tx = await factory.connect(mrResolver).resolveScalarMarket(market.target, 500);
+            await expect(tx).to.emit(factory, "ScalarMarketResolved").withArgs(market.target, 500);
+            await expect(tx).to.emit(market, "MarketResolved").withArgs(await market.condition(), [PAYOUT / 4n, 3n * PAYOUT / 4n]);
+
+            // Long pays 1500 / 2000 of a token per share, Short the rest
+            await expect(redeem(alice, market)).to.changeTokenBalance(dai, alice, ethers.parseEther("7.5"));
+            await expect(redeem(bob, market)).to.changeTokenBalance(dai, bob, ethers.parseEther("2.5"));
+            await expect(market.connect(userA).withdraw()).to.emit(market, "LiquidityRemoved");
+        });
+
+        it("Should clamp values outside the range", async () => {
+            const above = await scalarMarket(0n, 100n);
+            await expect(
+                factory.connect(mrResolver).resolveScalarMarket(above.target, 250)
+            ).to.emit(above, "MarketResolved").withArgs(await above.condition(), [0, PAYOUT]);
+
+            const below = await scalarMarket(0n, 100n);
+            await expect(
+                factory.connect(mrResolver).resolveScalarMarket(below.target, -5)
+            ).to.emit(factory, "ScalarMarketResolved").withArgs(below.target, 0);
+        });
+
+        it("Should pay out ranges as wide as int256", async () => {
+            const market = await scalarMarket(ethers.MinInt256, ethers.MaxInt256);
+            for (const user of [alice, bob]) {
+                await (await dai.connect(user).approve(market.target, ethers.MaxUint256)).wait();
+            }
+            await (await market.connect(alice).buy(LONG, 10n * ONE)).wait();
+            await (await market.connect(bob).buy(SHORT, 10n * ONE)).wait();
+
+            // Halfway up the range
+            await expect(
+                factory.connect(mrResolver).resolveScalarMarket(market.target, 0)
+            ).to.emit(market, "MarketResolved").withArgs(await market.condition(), [PAYOUT / 2n, PAYOUT / 2n]);
+
+            await expect(redeem(alice, market)).to.changeTokenBalance(dai, alice, ethers.parseEther("5"));
+            await expect(redeem(bob, market)).to.changeTokenBalance(dai, bob, ethers.parseEther("5"));
+        });
+
+        it("Should only let the oracle resolve scalar markets", async () => {
+            const market = await scalarMarket(0n, 100n);
+            await expect(
+                factory.connect(alice).resolveScalarMarket(market.target, 50)
+            ).to.be.revertedWith("Not authorized");
+
+            const { market: categorical } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+            await expect(
+                factory.connect(mrResolver).resolveScalarMarket(categorical.target, 50)
+            ).to.be.revertedWith("Not a scalar market");
+        });
+    });
+
+    describe("25.2 Conditional Markets", () => {
+        let parent, child, parentPosition;
+
+        before(async () => {
+            ({ market: parent } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver }));
+            child = await conditionalMarket(parent);
+
+            const collectionId = await ct.getCollectionId(ethers.ZeroHash, await parent.condition(), OUTCOME_INDICES.CHIEFS);
+            parentPosition = await ct.getPositionId(dai.target, collectionId);
+        });
+
+        it("Should record the parent of a conditional market", async () => {
+            const details = await factory.getMarketDetails(child.target);
+            expect(details.question).to.equal("Will Mahomes be MVP");
+            expect(details.marketType).to.equal(CONDITIONAL);
+            expect(details.parentMarket).to.equal(parent.target);
+            expect(details.parentOutcome).to.equal(BigInt(OUTCOME_INDICES.CHIEFS));
+            expect(details.lowerBound).to.equal(0n);
+
+            // Funded with the creator's position on the Chiefs
+            expect(await child.parentCollectionId()).to.equal(
+                await ct.getCollectionId(ethers.ZeroHash, await parent.condition(), OUTCOME_INDICES.CHIEFS)
+            );
+            expect(await ct.balanceOf(child.target, parentPosition)).to.equal(SUBSIDY);
+            expect(await ct.balanceOf(userA.address, parentPosition)).to.equal(0n);
+            expect(await child.getPoolBalance()).to.equal(SUBSIDY);
+            expect(await dai.balanceOf(child.target)).to.equal(0n);
+        });
+
+        it("Should reject parents it can't be nested in", async () => {
+            const create = (parentMarket, parentOutcome, overrides) =>
+                factory.connect(userA).createConditionalMarket(params(overrides), parentMarket, parentOutcome);
+
+            await expect(create(alice.address, 1)).to.be.revertedWith("Market not found");
+            await expect(create(parent.target, 0)).to.be.revertedWith("Invalid parent outcome");
+            await expect(create(parent.target, 15)).to.be.revertedWith("Invalid parent outcome");
+
+            const FakeDai = await ethers.getContractFactory("FakeDai");
+            const otherDai = await FakeDai.deploy();
+            await (await factory.setCollateral(otherDai.target, true, 0)).wait();
+            await expect(
+                create(parent.target, 1, { collateralToken: otherDai.target })
+            ).to.be.revertedWith("Collateral mismatch");
+        });
+
+        it("Should trade in the parent position", async () => {
+            await splitParent(alice, parent, OUTCOME_INDICES.CHIEFS, ethers.parseEther("100"));
+            await (await ct.connect(alice).setApprovalForAll(child.target, true)).wait();
+            const daiBefore = await dai.balanceOf(alice.address);
+
+            const cost = await child.buyQuote(1, 10n * ONE);
+            const before = await ct.balanceOf(alice.address, parentPosition);
+            await (await child.connect(alice).buy(1, 10n * ONE)).wait();
+            expect(await ct.balanceOf(alice.address, parentPosition)).to.equal(before - cost);
+            expect(await ct.balanceOf(alice.address, await positionIdFor(ct, child, 1))).to.equal(ethers.parseEther("10"));
+
+            const proceeds = await child.sellQuote(1, 4n * ONE);
+            await (await child.connect(alice).sell(1, 4n * ONE)).wait();
+            expect(await ct.balanceOf(alice.address, parentPosition)).to.equal(before - cost + proceeds);
+            expect(await dai.balanceOf(alice.address)).to.equal(daiBefore);
+        });
+
+        it("Should pay out in collateral only if both markets resolve to the position", async () => {
+            await (await child.connect(mrResolver).resolveMarket([1, 0])).wait();
+            await (await parent.connect(mrResolver).resolveMarket([1, 0, 0, 0])).wait();
+
+            // The child's Yes tokens redeem for the parent's Chiefs position...
+            const before = await ct.balanceOf(alice.address, parentPosition);
+            await (await redeem(alice, child, await child.parentCollectionId())).wait();
+            const position = await ct.balanceOf(alice.address, parentPosition);
+            expect(position).to.equal(before + ethers.parseEther("6"));
+
+            // ...which redeems for collateral
+            await expect(
+                ct.connect(alice).redeemPositions(dai.target, ethers.ZeroHash, await parent.condition(), [1, 14])
+            ).to.changeTokenBalance(dai, alice, position);
+
+            await (await child.connect(userA).withdraw()).wait();
+            expect(await ct.balanceOf(userA.address, parentPosition)).to.be.greaterThan(0n);
+            expect(await ct.balanceOf(child.target, parentPosition)).to.equal(0n);
+        });
+
+        it("Should be worthless if the parent resolves to another outcome", async () => {
+            const { market: other } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+            const nested = await conditionalMarket(other);
+            await splitParent(bob, other, OUTCOME_INDICES.CHIEFS, ethers.parseEther("10"));
+            await (await ct.connect(bob).setApprovalForAll(nested.target, true)).wait();
+            await (await nested.connect(bob).buy(1, 5n * ONE)).wait();
+
+            await (await nested.connect(mrResolver).resolveMarket([1, 0])).wait();
+            await (await other.connect(mrResolver).resolveMarket([0, 1, 0, 0])).wait();
+            await (await redeem(bob, nested, await nested.parentCollectionId())).wait();
+            expect(await ct.balanceOf(bob.address, await positionIdFor(ct, nested, 1))).to.equal(0n);
+            await expect(
+                ct.connect(bob).redeemPositions(dai.target, ethers.ZeroHash, await other.condition(), [OUTCOME_INDICES.CHIEFS])
+            ).to.changeTokenBalance(dai, bob, 0n);
+        });
+
+        it("Should not be bought through the router", async () => {
+            const { market: other } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+            const nested = await conditionalMarket(other);
+            const deadline = ethers.MaxUint256;
+            await expect(router.connect(bob).buyBatch(
+                [{ market: nested.target, outcome: 1, amount: ONE, maxCost: ethers.MaxUint256 }], deadline
+            )).to.be.revertedWith("Conditional markets not supported");
+        });
+    });
+
+    describe("25.3 SDK", () => {
+        it("Should create and resolve scalar markets", async () => {
+            const client = new FactoryClient(factory.target, userA);
+            await dai.mint(userA.address, SUBSIDY);
+            const market = await client.createScalarMarket({
+                collateral: dai.target,
+                oracle: mrResolver.address,
+                question: "How many points will the Chiefs score",
+                subsidy: "100",
+                lowerBound: 0n,
+                upperBound: 60n
+            });
+            expect(market.outcomes.names).to.deep.equal(["Short", "Long"]);
+
+            const details = await client.getMarketDetails(market.address);
+            expect(details).to.include({ marketType: "scalar", lowerBound: 0n, upperBound: 60n });
+            expect((await client.getMarketInfo(market.address)).marketType).to.equal("scalar");
+
+            const trader = market.connect(alice);
+            await trader.approveCollateral();
+            await trader.buy("Long", "6");
+
+            await client.connect(mrResolver).resolveScalarMarket(market.address, 45);
+            const before = await dai.balanceOf(alice.address);
+            await trader.redeem();
+            expect(await dai.balanceOf(alice.address)).to.equal(before + ethers.parseEther("4.5"));
+        });
+
+        it("Should create conditional markets on a parent outcome by name", async () => {
+            const client = new FactoryClient(factory.target, userA);
+            await dai.mint(userA.address, ethers.parseEther("300"));
+            const parent = await client.createMarket({
+                collateral: dai.target,
+                oracle: mrResolver.address,
+                question: "Who will win the Superbowl",
+                outcomes: ["Chiefs", "Ravens", "Other"],
+                subsidy: "100"
+            });
+            await parent.approveCollateral();
+            await parent.buy("Chiefs", "150");
+
+            const child = await client.createConditionalMarket({
+                parentMarket: parent.address,
+                parentOutcome: "Chiefs",
+                oracle: mrResolver.address,
+                question: "Will Mahomes be MVP",
+                outcomes: ["Yes", "No"],
+                subsidy: "100"
+            });
+            const details = await client.getMarketDetails(child.address);
+            expect(details).to.include({ marketType: "conditional", parentMarket: parent.address, parentOutcome: 1n });
+            expect(await parent.balanceOf(userA.address, "Chiefs")).to.equal(ethers.parseEther("50"));
+
+            await child.approveCollateral();
+            await child.buy("Yes", "5");
+            expect(await child.balanceOf(userA.address, "Yes")).to.equal(ethers.parseEther("5"));
+
+            await child.connect(mrResolver).resolve("Yes");
+            const before = await parent.balanceOf(userA.address, "Chiefs");
+            await child.redeem();
+            expect(await parent.balanceOf(userA.address, "Chiefs")).to.equal(before + ethers.parseEther("5"));
+        });
+    });
+});
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const {
+    ONE,
+    OUTCOME_INDICES,
+    deployCore,
+    createMarket,
+    positionIdFor
+} = require("../shared/fixtures");
+
+describe("Stage 7: Market Resolution", () => {
+    let ct, dai, factory;
+    let admin, userA, mrResolver, alice, bob;
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 7 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+        bob = globalState.signers.otherUsers[1];
+
+        // Resolution is final, so this stage works on its own markets
+        ({ ct, dai, factory } = await deployCore());
+        await dai.mint(alice.address, ethers.parseEther("1000"));
+        await dai.mint(bob.address, ethers.parseEther("1000"));
+    });
+
+    describe("7.1 End-to-End Flow", () => {
+        let market;
+        const subsidy = ethers.parseEther("100");
+
+        it("Admin should create and set up a market it owns", async () => {
+            const LsLMSR = await ethers.getContractFactory("LsLMSR");
+            market = await LsLMSR.deploy(await ct.getAddress(), await dai.getAddress());
+            await market.waitForDeployment();
+
+            await dai.mint(await market.getAddress(), subsidy);
+            await market.setup(mrResolver.address, ethers.hexlify(ethers.randomBytes(32)), 4, subsidy, admin.address);
+
+            expect(await market.oracle()).to.equal(mrResolver.address);
+            expect(await market.isResolved()).to.equal(false);
+        });
+
+        it("Traders should buy positions", async () => {
+            await dai.connect(alice).approve(await market.getAddress(), ethers.MaxUint256);
+            await dai.connect(bob).approve(await market.getAddress(), ethers.MaxUint256);
+
+            await (await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 10n * ONE)).wait();
+            await (await market.connect(bob).buy(OUTCOME_INDICES.RAVENS, 5n * ONE)).wait();
+        });
+
+        it("Only the configured oracle should resolve the market", async () => {
+            await expect(
+                market.connect(alice).resolveMarket([1, 0, 0, 0])
+            ).to.be.revertedWith("Only oracle can resolve");
+
+            await expect(
+                market.connect(mrResolver).resolveMarket([1, 0])
+            ).to.be.revertedWith("Invalid payouts length");
+        });
+
+        it("Oracle should resolve the market through the prepared condition", async () => {
+            const condition = await market.condition();
+
+            await expect(market.connect(mrResolver).resolveMarket([1, 0, 0, 0]))
+                .to.emit(market, "MarketResolved")
+                .withArgs(condition, [1, 0, 0, 0])
+                .and.to.emit(ct, "ConditionResolution");
+
+            expect(await ct.payoutDenominator(condition)).to.equal(1n);
+            expect(await market.isResolved()).to.equal(true);
+        });
+
+        it("Should not trade or resolve again after resolution", async () => {
+            await expect(
+                market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, ONE)
+            ).to.be.revertedWith("Market already resolved");
+
+            await expect(
+                market.connect(mrResolver).resolveMarket([0, 1, 0, 0])
+            ).to.be.revertedWith("Market already resolved");
+        });
+
+        it("Traders should redeem their positions", async () => {
+            const condition = await market.condition();
+
+            await expect(
+                ct.connect(alice).redeemPositions(await dai.getAddress(), ethers.ZeroHash, condition, [OUTCOME_INDICES.CHIEFS])
+            ).to.changeTokenBalance(dai, alice, await market.getTokenWei(await dai.getAddress(), 10n * ONE));
+
+            await expect(
+                ct.connect(bob).redeemPositions(await dai.getAddress(), ethers.ZeroHash, condition, [OUTCOME_INDICES.RAVENS])
+            ).to.changeTokenBalance(dai, bob, 0n);
+
+            expect(await ct.balanceOf(alice.address, await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS))).to.equal(0n);
+        });
+
+        it("Liquidity provider should withdraw the remaining collateral", async () => {
+            const marketAddress = await market.getAddress();
+
+            await expect(market.connect(alice).withdraw()).to.be.reverted;
+
+            const balanceBefore = await dai.balanceOf(admin.address);
+            await (await market.connect(admin).withdraw()).wait();
+            const withdrawn = (await dai.balanceOf(admin.address)) - balanceBefore;
+
+            expect(await dai.balanceOf(marketAddress)).to.equal(0n);
+            for (const indexSet of Object.values(OUTCOME_INDICES)) {
+                expect(await ct.balanceOf(marketAddress, await positionIdFor(ct, market, indexSet))).to.equal(0n);
+            }
+            console.log(`Liquidity provider withdrew ${ethers.formatEther(withdrawn)} DAI`);
+        });
+    });
+
+    describe("7.2 Resolution Through the Factory", () => {
+        let market;
+
+        before(async () => {
+            ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver }));
+        });
+
+        it("Should reject factory oracles that are not the market's oracle", async () => {
+            await (await factory.connect(admin).addOracle(bob.address)).wait();
+
+            await expect(
+                factory.connect(bob).resolveMarket(await market.getAddress(), [0, 1, 0, 0])
+            ).to.be.revertedWith("Not authorized");
+        });
+
+        it("Should reject unknown markets", async () => {
+            await expect(
+                factory.connect(mrResolver).resolveMarket(alice.address, [0, 1, 0, 0])
+            ).to.be.revertedWith("Market not found");
+        });
+
+        it("Market's oracle should resolve through the factory", async () => {
+            await expect(factory.connect(mrResolver).resolveMarket(await market.getAddress(), [0, 1, 0, 0]))
+                .to.emit(market, "MarketResolved");
+
+            expect(await market.isResolved()).to.equal(true);
+            expect(await ct.payoutNumerators(await market.condition(), 1)).to.equal(1n);
+        });
+    });
+});
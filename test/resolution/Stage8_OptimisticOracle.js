@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+const { deployCore, createMarket } = require("../shared/fixtures");
+
+describe("Stage 8: Optimistic Oracle", () => {
+    let ct, dai, factory, optimisticOracle;
+    let admin, userA, mrResolver, alice, bob;
+
+    const BOND = ethers.parseEther("10");
+    const LIVENESS = 2 * 60 * 60; // 2 hours
+
+    const newMarket = async () => {
+        const { market } = await createMarket({ factory, dai, creator: userA, oracle: await optimisticOracle.getAddress() });
+        return market;
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 8 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+        bob = globalState.signers.otherUsers[1];
+
+        ({ ct, dai, factory } = await deployCore());
+
+        const OptimisticOracle = await ethers.getContractFactory("OptimisticOracle");
+        optimisticOracle = await OptimisticOracle.deploy(
+            await factory.getAddress(),
+            await dai.getAddress(),
+            BOND,
+            LIVENESS
+        );
+        await optimisticOracle.waitForDeployment();
+
+        // The optimistic oracle resolves its markets, mrResolver arbitrates disputes
+        await (await factory.connect(admin).addOracle(optimisticOracle.target)).wait();
+        await (await factory.connect(admin).addOracle(mrResolver.address)).wait();
+
+        for (const user of [alice, bob]) {
+            await dai.mint(user.address, ethers.parseEther("1000"));
+            await dai.connect(user).approve(await optimisticOracle.getAddress(), ethers.MaxUint256);
+        }
+    });
+
+    describe("8.1 Undisputed Proposals", () => {
+        let market;
+
+        before(async () => {
+            market = await newMarket();
+        });
+
+        it("Should take a bond from the proposer", async () => {
+            await expect(
+                optimisticOracle.connect(alice).propose(await market.getAddress(), [1, 0, 0, 0])
+            ).to.changeTokenBalance(dai, alice, -BOND);
+
+            const [proposer, disputer, payouts] = await optimisticOracle.getProposal(await market.getAddress());
+            expect(proposer).to.equal(alice.address);
+            expect(disputer).to.equal(ethers.ZeroAddress);
+            expect(payouts).to.deep.equal([1n, 0n, 0n, 0n]);
+        });
+
+        it("Should not accept a second proposal while one is pending", async () => {
+            await expect(
+                optimisticOracle.connect(bob).propose(await market.getAddress(), [0, 1, 0, 0])
+            ).to.be.revertedWith("Proposal pending");
+        });
+
+        it("Should not settle before the liveness window ends", async () => {
+            await expect(
+                optimisticOracle.settle(await market.getAddress())
+            ).to.be.revertedWith("Liveness not expired");
+        });
+
+        it("Should finalize the payouts and return the bond after the window", async () => {
+            await time.increase(LIVENESS);
+
+            const tx = await optimisticOracle.connect(bob).settle(await market.getAddress());
+            await expect(tx).to.emit(market, "MarketResolved");
+            await expect(tx).to.emit(optimisticOracle, "ResolutionSettled")
+                .withArgs(await market.getAddress(), [1, 0, 0, 0], alice.address);
+            await expect(tx).to.changeTokenBalance(dai, alice, BOND);
+
+            expect(await market.isResolved()).to.equal(true);
+            expect(await ct.payoutNumerators(await market.condition(), 0)).to.equal(1n);
+        });
+
+        it("Should not dispute once the window has ended", async () => {
+            const other = await newMarket();
+            await (await optimisticOracle.connect(alice).propose(await other.getAddress(), [1, 0, 0, 0])).wait();
+            await time.increase(LIVENESS);
+
+            await expect(
+                optimisticOracle.connect(bob).dispute(await other.getAddress())
+            ).to.be.revertedWith("Liveness expired");
+        });
+    });
+
+    describe("8.2 Disputed Proposals", () => {
+        let market;
+
+        before(async () => {
+            market = await newMarket();
+            await (await optimisticOracle.connect(alice).propose(await market.getAddress(), [1, 0, 0, 0])).wait();
+        });
+
+        it("Should take a counter-bond from the disputer", async () => {
+            const tx = await optimisticOracle.connect(bob).dispute(await market.getAddress());
+            await expect(tx).to.emit(optimisticOracle, "ResolutionDisputed")
+                .withArgs(await market.getAddress(), bob.address);
+            await expect(tx).to.changeTokenBalance(dai, bob, -BOND);
+
+            await expect(
+                optimisticOracle.connect(bob).dispute(await market.getAddress())
+            ).to.be.revertedWith("Already disputed");
+        });
+
+        it("Should not settle a disputed proposal optimistically", async () => {
+            await time.increase(LIVENESS);
+            await expect(
+                optimisticOracle.settle(await market.getAddress())
+            ).to.be.revertedWith("Proposal disputed");
+        });
+
+        it("Should only let the factory's oracles arbitrate", async () => {
+            await expect(
+                optimisticOracle.connect(alice).arbitrate(await market.getAddress(), [1, 0, 0, 0])
+            ).to.be.revertedWith("Not authorized");
+        });
+
+        it("Should slash the proposer when the arbiter sides with the disputer", async () => {
+            const tx = await optimisticOracle.connect(mrResolver).arbitrate(await market.getAddress(), [0, 1, 0, 0]);
+            await expect(tx).to.emit(market, "MarketResolved");
+            await expect(tx).to.changeTokenBalances(dai, [alice, bob], [0, 2n * BOND]);
+
+            expect(await ct.payoutNumerators(await market.condition(), 1)).to.equal(1n);
+        });
+
+        it("Should slash the disputer when the arbiter sides with the proposer", async () => {
+            const other = await newMarket();
+            await (await optimisticOracle.connect(alice).propose(await other.getAddress(), [0, 0, 1, 0])).wait();
+            await (await optimisticOracle.connect(bob).dispute(await other.getAddress())).wait();
+
+            await expect(
+                optimisticOracle.connect(mrResolver).arbitrate(await other.getAddress(), [0, 0, 1, 0])
+            ).to.changeTokenBalances(dai, [alice, bob], [2n * BOND, 0]);
+
+            expect(await other.isResolved()).to.equal(true);
+        });
+
+        it("Should not arbitrate proposals that were not disputed", async () => {
+            const other = await newMarket();
+            await (await optimisticOracle.connect(alice).propose(await other.getAddress(), [0, 0, 1, 0])).wait();
+
+            await expect(
+                optimisticOracle.connect(mrResolver).arbitrate(await other.getAddress(), [0, 1, 0, 0])
+            ).to.be.revertedWith("Proposal not disputed");
+        });
+    });
+
+    describe("8.3 Proposal Validation", () => {
+        it("Should reject markets that use another oracle", async () => {
+            const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+            await expect(
+                optimisticOracle.connect(alice).propose(await market.getAddress(), [1, 0, 0, 0])
+            ).to.be.revertedWith("Not the market oracle");
+        });
+
+        it("Should reject malformed payout vectors", async () => {
+            const market = await newMarket();
+            await expect(
+                optimisticOracle.connect(alice).propose(await market.getAddress(), [1, 0])
+            ).to.be.revertedWith("Invalid payouts length");
+            await expect(
+                optimisticOracle.connect(alice).propose(await market.getAddress(), [0, 0, 0, 0])
+            ).to.be.revertedWith("Payout is all zeroes");
+        });
+    });
+
+    describe("8.4 Markets Resolved Another Way", () => {
+        it("Should return both bonds of a disputed proposal on an invalidated market", async () => {
+            const market = await newMarket();
+            await (await optimisticOracle.connect(alice).propose(market.target, [1, 0, 0, 0])).wait();
+            await (await optimisticOracle.connect(bob).dispute(market.target)).wait();
+            await (await factory.connect(admin).invalidateMarket(market.target)).wait();
+
+            const tx = optimisticOracle.connect(mrResolver).arbitrate(market.target, [1, 0, 0, 0]);
+            await expect(tx).to.changeTokenBalances(dai, [alice, bob, optimisticOracle], [BOND, BOND, -2n * BOND]);
+            await expect(tx).to.emit(optimisticOracle, "ResolutionCancelled").withArgs(market.target);
+            await expect(tx).not.to.emit(market, "MarketResolved");
+
+            const [proposer] = await optimisticOracle.getProposal(market.target);
+            expect(proposer).to.equal(ethers.ZeroAddress);
+            expect(await market.isInvalid()).to.equal(true);
+        });
+
+        it("Should return the proposer's bond once the market is invalidated, before the window ends", async () => {
+            const market = await newMarket();
+            await (await optimisticOracle.connect(alice).propose(market.target, [1, 0, 0, 0])).wait();
+            await (await factory.connect(admin).invalidateMarket(market.target)).wait();
+
+            const tx = optimisticOracle.settle(market.target);
+            await expect(tx).to.changeTokenBalance(dai, alice, BOND);
+            await expect(tx).to.emit(optimisticOracle, "ResolutionCancelled").withArgs(market.target);
+
+            // The market can't be proposed on again
+            await expect(
+                optimisticOracle.connect(alice).propose(market.target, [1, 0, 0, 0])
+            ).to.be.revertedWith("Market already resolved");
+        });
+    });
+});
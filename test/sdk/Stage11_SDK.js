@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+const { OUTCOMES, deployCore } = require("../shared/fixtures");
+const {
+    ONE,
+    toFixed,
+    fromFixed,
+    toTokenAmount,
+    fromTokenAmount,
+    Outcomes,
+    FactoryClient,
+    MarketError,
+    SlippageError,
+    DeadlineError,
+    MarketResolvedError,
+    MarketNotFoundError,
+    UnauthorizedError
+} = require("../../sdk");
+
+describe("Stage 11: JavaScript SDK", () => {
+    let ct, dai, factory, client, market;
+    let userA, mrResolver, alice;
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 11 Setup', [
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ userA, mrResolver, alice } = globalState.signers);
+
+        ({ ct, dai, factory } = await deployCore());
+        await (await factory.addOracle(mrResolver.address)).wait();
+        await dai.mint(userA.address, ethers.parseEther("100"));
+        await dai.mint(alice.address, ethers.parseEther("1000"));
+
+        client = new FactoryClient(await factory.getAddress(), userA);
+    });
+
+    describe("11.1 Conversions", () => {
+        it("Should convert between decimals and 64.64 values", () => {
+            expect(toFixed("1")).to.equal(ONE);
+            expect(toFixed(2.5)).to.equal(5n * ONE / 2n);
+            expect(toFixed(-3)).to.equal(-3n * ONE);
+            expect(toFixed(7n)).to.equal(7n);
+            expect(fromFixed(3n * ONE / 4n)).to.equal("0.75");
+        });
+
+        it("Should convert like the market's token helpers", async () => {
+            const fixed = toFixed("12.345");
+            expect(toTokenAmount(fixed)).to.equal(ethers.parseEther("12.345") - 1n);
+            expect(toTokenAmount(fixed, 6)).to.equal(12344999n);
+            expect(fromTokenAmount(ethers.parseEther("1.5"))).to.equal(3n * ONE / 2n);
+        });
+
+        it("Should map outcome names to index sets", () => {
+            const outcomes = new Outcomes(OUTCOMES);
+            expect(outcomes.indexSet("Chiefs")).to.equal(1);
+            expect(outcomes.indexSet("ravens")).to.equal(2);
+            expect(outcomes.indexSet(["Buccaneers", "Other"])).to.equal(12);
+            expect(outcomes.namesOf(5)).to.deep.equal(["Chiefs", "Buccaneers"]);
+            expect(outcomes.payouts("Other")).to.deep.equal([0, 0, 0, 1]);
+            expect(() => outcomes.indexSet("Packers")).to.throw('Unknown outcome "Packers"');
+        });
+    });
+
+    describe("11.2 Factory", () => {
+        it("Should create a market by outcome names", async () => {
+            market = await client.createMarket({
+                collateral: await dai.getAddress(),
+                oracle: mrResolver.address,
+                question: "Who will win the Superbowl",
+                outcomes: OUTCOMES,
+                subsidy: "100"
+            });
+
+            expect(await market.contract.numOutcomes()).to.equal(4n);
+            expect(await dai.balanceOf(market.address)).to.equal(ethers.parseEther("100"));
+        });
+
+        it("Should list markets and read their details", async () => {
+            expect(await client.getMarketCount()).to.equal(1);
+            expect(await client.listMarkets()).to.deep.equal([market.address]);
+            expect(await client.listMarkets({ offset: 1 })).to.deep.equal([]);
+
+            const details = await client.getMarketDetails(market.address);
+            expect(details).to.deep.equal({
+                question: "Who will win the Superbowl",
+                outcomes: OUTCOMES,
+                marketType: "categorical",
+                lowerBound: 0n,
+                upperBound: 0n,
+                parentMarket: ethers.ZeroAddress,
+                parentOutcome: 0n
+            });
+
+            const loaded = await client.getMarket(market.address);
+            expect(loaded.outcomes.names).to.deep.equal(OUTCOMES);
+        });
+
+        it("Should throw typed errors for unknown markets", async () => {
+            const error = await client.getMarketDetails(alice.address).catch(e => e);
+            expect(error).to.be.instanceOf(MarketNotFoundError);
+            expect(error).to.be.instanceOf(MarketError);
+            expect(error.reason).to.equal("Market not found");
+        });
+    });
+
+    describe("11.3 Trading", () => {
+        let aliceMarket;
+
+        before(async () => {
+            aliceMarket = market.connect(alice);
+            await aliceMarket.approveCollateral();
+        });
+
+        it("Should buy at the quoted cost", async () => {
+            const quote = await aliceMarket.quoteBuy("Chiefs", "10");
+            const balanceBefore = await dai.balanceOf(alice.address);
+
+            await aliceMarket.buy("Chiefs", "10", { maxCost: quote });
+
+            expect(balanceBefore - await dai.balanceOf(alice.address)).to.equal(quote);
+            expect(await aliceMarket.balanceOf(alice.address, "Chiefs")).to.equal(ethers.parseEther("10"));
+        });
+
+        it("Should throw a SlippageError when the cost exceeds the limit", async () => {
+            const quote = await aliceMarket.quoteBuy("Ravens", "5");
+            const error = await aliceMarket.buy("Ravens", "5", { maxCost: quote - 1n }).catch(e => e);
+            expect(error).to.be.instanceOf(SlippageError);
+            expect(error.reason).to.equal("Cost exceeds maximum");
+        });
+
+        it("Should throw a DeadlineError for expired trades", async () => {
+            const error = await aliceMarket.buy("Ravens", "5", { deadline: (await time.latest()) - 1 }).catch(e => e);
+            expect(error).to.be.instanceOf(DeadlineError);
+        });
+
+        it("Should sell at the quoted proceeds", async () => {
+            await aliceMarket.approvePositions();
+            const quote = await aliceMarket.quoteSell("Chiefs", "4");
+            const balanceBefore = await dai.balanceOf(alice.address);
+
+            await aliceMarket.sell("Chiefs", "4", { minProceeds: quote });
+
+            expect(await dai.balanceOf(alice.address) - balanceBefore).to.equal(quote);
+            expect(await aliceMarket.balanceOf(alice.address, "Chiefs")).to.equal(ethers.parseEther("6"));
+        });
+    });
+
+    describe("11.4 Resolution", () => {
+        it("Should only let the oracle resolve", async () => {
+            const error = await market.connect(alice).resolve("Chiefs").catch(e => e);
+            expect(error).to.be.instanceOf(UnauthorizedError);
+        });
+
+        it("Should resolve by outcome name", async () => {
+            await market.connect(mrResolver).resolve("Chiefs");
+
+            expect(await market.isResolved()).to.equal(true);
+            expect(await ct.payoutNumerators(await market.contract.condition(), 0)).to.equal(1n);
+
+            const error = await market.connect(alice).buy("Chiefs", "1").catch(e => e);
+            expect(error).to.be.instanceOf(MarketResolvedError);
+        });
+
+        it("Should redeem winning positions and withdraw liquidity", async () => {
+            const aliceBefore = await dai.balanceOf(alice.address);
+            await market.connect(alice).redeem();
+            expect(await dai.balanceOf(alice.address) - aliceBefore).to.equal(ethers.parseEther("6"));
+
+            await market.withdraw();
+            expect(await dai.balanceOf(market.address)).to.equal(0n);
+        });
+    });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket } = require("../shared/fixtures");
+const { Indexer, JsonStore, toTokenAmount } = require("../../sdk");
+
+describe("Stage 15: Event Indexer", () => {
+    let ct, dai, factory, market, indexer;
+    let userA, mrResolver, alice, bob;
+    let startBlock;
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 15 Setup', [
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ userA, mrResolver, alice } = globalState.signers);
+        bob = globalState.signers.otherUsers[1];
+
+        startBlock = await ethers.provider.getBlockNumber();
+        ({ ct, dai, factory } = await deployCore());
+        ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver }));
+
+        for (const user of [alice, bob]) {
+            await dai.mint(user.address, ethers.parseEther("1000"));
+            await dai.connect(user).approve(await market.getAddress(), ethers.MaxUint256);
+            await ct.connect(user).setApprovalForAll(await market.getAddress(), true);
+        }
+
+        indexer = new Indexer(await factory.getAddress(), ethers.provider, { fromBlock: startBlock });
+    });
+
+    describe("15.1 Trade Events", () => {
+        it("Should emit the trade with the prices after it", async () => {
+            const shares = 10n * ONE;
+            const cost = await market.getTokenWeiUp(await dai.getAddress(), await market.price(OUTCOME_INDICES.CHIEFS, shares));
+
+            const tx = await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, shares);
+            await expect(tx).to.emit(market, "Trade")
+                .withArgs(alice.address, OUTCOME_INDICES.CHIEFS, shares, cost, await market.getMarginalPrices());
+        });
+
+        it("Should emit sells with a negative amount", async () => {
+            const shares = 4n * ONE;
+            const proceeds = await market.getTokenWei(await dai.getAddress(), await market.sell_price(OUTCOME_INDICES.CHIEFS, shares));
+
+            const tx = await market.connect(alice).sell(OUTCOME_INDICES.CHIEFS, shares);
+            await expect(tx).to.emit(market, "Trade")
+                .withArgs(alice.address, OUTCOME_INDICES.CHIEFS, -shares, proceeds, await market.getMarginalPrices());
+        });
+    });
+
+    describe("15.2 Indexing", () => {
+        it("Should index the factory's markets and their trades", async () => {
+            await (await market.connect(bob).buy(OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.BUCS, 5n * ONE)).wait();
+
+            const { events, reorged } = await indexer.sync();
+            expect(reorged).to.equal(null);
+            expect(events).to.equal(5); // MarketCreated, MarketSetup and three trades
+
+            const [indexed] = indexer.store.getMarkets();
+            expect(indexed.address).to.equal(await market.getAddress());
+            expect(indexed.creator).to.equal(userA.address);
+            expect(indexed.question).to.equal("Who will win the Superbowl");
+            expect(indexed.numOutcomes).to.equal(4);
+            expect(indexed.questionId).to.equal(await market.questionId());
+            expect(indexed.condition).to.equal(await market.condition());
+
+            const trades = indexer.store.getTrades({ market: indexed.address });
+            expect(trades.map(trade => trade.trader)).to.deep.equal([alice.address, alice.address, bob.address]);
+            expect(trades.map(trade => trade.amount)).to.deep.equal([10n * ONE, -4n * ONE, 5n * ONE]);
+        });
+
+        it("Should resume from the last indexed block", async () => {
+            expect((await indexer.sync()).events).to.equal(0);
+
+            await (await market.connect(alice).buy(OUTCOME_INDICES.OTHER, ONE)).wait();
+            const { events, lastBlock } = await indexer.sync();
+            expect(events).to.equal(1);
+            expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(indexer.store.getTrades()).to.have.lengthOf(4);
+        });
+
+        it("Should stay behind the head by the confirmations", async () => {
+            const lagging = new Indexer(await factory.getAddress(), ethers.provider, { fromBlock: startBlock, confirmations: 3 });
+            const { lastBlock } = await lagging.sync();
+            expect(lastBlock).to.equal(await ethers.provider.getBlockNumber() - 3);
+        });
+    });
+
+    describe("15.3 Queries", () => {
+        it("Should return the price history, starting at creation", async () => {
+            const history = indexer.store.getPriceHistory(await market.getAddress());
+            expect(history).to.have.lengthOf(5);
+
+            const equal = history[0].prices[0];
+            expect(history[0].prices).to.deep.equal([equal, equal, equal, equal]);
+            expect(history[1].prices[0]).to.be.gt(equal);
+            expect(history[4].prices).to.deep.equal([...await market.getMarginalPrices()]);
+            for (let i = 1; i < history.length; i++) {
+                expect(history[i].timestamp).to.be.gte(history[i - 1].timestamp);
+            }
+        });
+
+        it("Should sum the volume of buys and sells", async () => {
+            const trades = indexer.store.getTrades({ market: await market.getAddress() });
+            const volume = indexer.store.getVolume(await market.getAddress());
+
+            expect(volume.trades).to.equal(4);
+            expect(volume.sold).to.equal(trades[1].cost);
+            expect(volume.volume).to.equal(volume.bought + volume.sold);
+
+            const later = indexer.store.getVolume(await market.getAddress(), { fromBlock: trades[2].block });
+            expect(later.trades).to.equal(2);
+        });
+
+        it("Should build positions from a user's trades", async () => {
+            const positions = indexer.store.getPositions(alice.address);
+            expect(positions.map(p => [p.outcome, p.shares])).to.deep.equal([
+                [OUTCOME_INDICES.CHIEFS, 6n * ONE],
+                [OUTCOME_INDICES.OTHER, ONE]
+            ]);
+
+            const [trade] = indexer.store.getTrades({ trader: bob.address });
+            expect(indexer.store.getPositions(bob.address)).to.deep.equal([{
+                market: await market.getAddress(),
+                outcome: OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.BUCS,
+                shares: 5n * ONE,
+                cost: trade.cost,
+                redeemed: false
+            }]);
+        });
+    });
+
+    describe("15.4 Resolution and Redemption", () => {
+        it("Should record the resolution and redemptions", async () => {
+            await (await market.connect(mrResolver).resolveMarket([1, 0, 0, 0])).wait();
+            await (await ct.connect(alice).redeemPositions(
+                await dai.getAddress(), ethers.ZeroHash, await market.condition(), [OUTCOME_INDICES.CHIEFS, OUTCOME_INDICES.OTHER]
+            )).wait();
+
+            expect((await indexer.sync()).events).to.equal(2);
+            expect(indexer.store.getMarket(await market.getAddress()).resolution.payouts).to.deep.equal([1n, 0n, 0n, 0n]);
+
+            const [redemption] = indexer.store.getRedemptions({ redeemer: alice.address });
+            expect(redemption.payout).to.equal(toTokenAmount(6n * ONE));
+            expect(indexer.store.getPositions(alice.address).every(p => p.redeemed && p.shares === 0n)).to.equal(true);
+        });
+    });
+
+    describe("15.5 Reorgs and Persistence", () => {
+        let file;
+
+        before(() => {
+            file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "history.json");
+        });
+
+        after(() => {
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        });
+
+        it("Should persist the store and resume from the file", async () => {
+            const first = new Indexer(await factory.getAddress(), ethers.provider, { store: new JsonStore(file), fromBlock: startBlock });
+            await first.sync();
+
+            const resumed = new Indexer(await factory.getAddress(), ethers.provider, { store: new JsonStore(file), fromBlock: startBlock });
+            expect(resumed.store.getTrades()).to.deep.equal(first.store.getTrades());
+            expect((await resumed.sync()).events).to.equal(0);
+
+            const other = new Indexer(alice.address, ethers.provider, { store: new JsonStore(file) });
+            await expect(other.sync()).to.be.rejectedWith("Store belongs to factory");
+        });
+
+        it("Should roll back events that a reorg removed", async () => {
+            const indexed = new Indexer(await factory.getAddress(), ethers.provider, { store: new JsonStore(file), fromBlock: startBlock });
+            const { market: orphaned } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver });
+            const forkBlock = await ethers.provider.getBlockNumber();
+
+            // Index a market creation on a branch that is then dropped
+            const snapshot = await network.provider.send("evm_snapshot");
+            await (await dai.connect(bob).approve(await orphaned.getAddress(), ethers.MaxUint256)).wait();
+            await (await orphaned.connect(bob).buy(OUTCOME_INDICES.CHIEFS, ONE)).wait();
+            await indexed.sync();
+            expect(indexed.store.getTrades({ market: await orphaned.getAddress() })).to.have.lengthOf(1);
+
+            await network.provider.send("evm_revert", [snapshot]);
+            await network.provider.send("hardhat_mine", ["0x5"]);
+
+            const { reorged } = await indexed.sync();
+            expect(reorged).to.equal(forkBlock);
+            expect(indexed.store.getTrades({ market: await orphaned.getAddress() })).to.have.lengthOf(0);
+            expect(indexed.store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(indexed.store.getMarket(await orphaned.getAddress())).to.not.equal(undefined);
+        });
+    });
+});
@@ -0,0 +1,255 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { Indexer } = require("../../sdk");
+
+describe("Stage 28: Positions and PnL", () => {
+    let ct, dai, factory, orderBook, market, indexer;
+    let admin, userA, mrResolver, alice, bob, keeper;
+    let startBlock;
+
+    const SHARE = ethers.parseEther("1");
+    const ALL = [OUTCOME_INDICES.CHIEFS, OUTCOME_INDICES.RAVENS, OUTCOME_INDICES.BUCS, OUTCOME_INDICES.OTHER];
+    const REST = OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.BUCS | OUTCOME_INDICES.OTHER;
+
+    // A user's holding of an outcome index set after syncing
+    const holding = async (user, outcome) => {
+        await indexer.sync();
+        return indexer.store.getHoldings(user.address).find(entry => entry.outcome === outcome);
+    };
+
+    // The collateral a transaction moved out of a user's balance
+    const paid = async (user, send) => {
+        const before = await dai.balanceOf(user.address);
+        await (await send()).wait();
+        return before - await dai.balanceOf(user.address);
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 28 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+        [, bob, keeper] = globalState.signers.otherUsers;
+
+        startBlock = await ethers.provider.getBlockNumber();
+        ({ ct, dai, factory, orderBook } = await deployCore());
+        await (await factory.connect(admin).setFeePolicy(100, 0)).wait();
+        ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee: 100 }));
+
+        for (const user of [alice, bob]) {
+            await dai.mint(user.address, ethers.parseEther("1000"));
+            for (const spender of [market.target, orderBook.target, ct.target]) {
+                await (await dai.connect(user).approve(spender, ethers.MaxUint256)).wait();
+            }
+            await (await ct.connect(user).setApprovalForAll(market.target, true)).wait();
+        }
+
+        indexer = new Indexer(factory.target, ethers.provider, { fromBlock: startBlock });
+    });
+
+    describe("28.1 Trades", () => {
+        let spent;
+
+        it("Should book buys at their cost and fee", async () => {
+            spent = await paid(alice, () => market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 10n * ONE));
+
+            expect(await holding(alice, OUTCOME_INDICES.CHIEFS)).to.deep.equal({
+                market: market.target,
+                outcome: OUTCOME_INDICES.CHIEFS,
+                balance: 10n * SHARE,
+                costBasis: spent,
+                spent,
+                received: 0n,
+                payout: 0n,
+                realizedPnl: 0n,
+                redeemed: false
+            });
+            const [trade] = indexer.store.getTrades({ trader: alice.address });
+            expect(trade.fee).to.equal(await market.getFee(trade.cost));
+            expect(trade.cost + trade.fee).to.equal(spent);
+        });
+
+        it("Should realize sells against the average cost", async () => {
+            const received = -await paid(alice, () => market.connect(alice).sell(OUTCOME_INDICES.CHIEFS, 4n * ONE));
+            const soldBasis = spent * 4n / 10n;
+
+            const chiefs = await holding(alice, OUTCOME_INDICES.CHIEFS);
+            expect(chiefs.balance).to.equal(6n * SHARE);
+            expect(chiefs.costBasis).to.equal(spent - soldBasis);
+            expect(chiefs.received).to.equal(received);
+            expect(chiefs.realizedPnl).to.equal(received - soldBasis);
+            expect(chiefs.realizedPnl).to.be.lessThan(0n);
+        });
+    });
+
+    describe("28.2 Transfers", () => {
+        it("Should move the cost basis with transferred tokens", async () => {
+            const before = await holding(alice, OUTCOME_INDICES.CHIEFS);
+            await (await ct.connect(alice).safeTransferFrom(
+                alice.address, bob.address, await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS), 2n * SHARE, "0x"
+            )).wait();
+
+            const basis = before.costBasis * 2n / 6n;
+            const chiefs = await holding(alice, OUTCOME_INDICES.CHIEFS);
+            expect(chiefs.balance).to.equal(4n * SHARE);
+            expect(chiefs.costBasis).to.equal(before.costBasis - basis);
+            expect(chiefs.realizedPnl).to.equal(before.realizedPnl);
+
+            const received = await holding(bob, OUTCOME_INDICES.CHIEFS);
+            expect(received.balance).to.equal(2n * SHARE);
+            expect(received.costBasis).to.equal(basis);
+            expect(received.spent).to.equal(basis);
+            expect(indexer.store.getTransfers({ account: bob.address })).to.have.lengthOf(1);
+        });
+
+        it("Should credit order book fills to the trader", async () => {
+            const expiry = (await time.latest()) + 60 * 60;
+            await (await orderBook.connect(alice).placeOrder(
+                market.target, OUTCOME_INDICES.RAVENS, 5n * ONE, ONE, 0, expiry
+            )).wait();
+            const receipt = await (await orderBook.connect(keeper).executeOrder(0)).wait();
+            const [, , cost] = receipt.logs.find(log => log.fragment && log.fragment.name === "OrderFilled").args;
+
+            const ravens = await holding(alice, OUTCOME_INDICES.RAVENS);
+            expect(ravens.balance).to.equal(5n * SHARE);
+            expect(ravens.costBasis).to.equal(cost);
+            expect(ravens.spent).to.equal(cost);
+            const book = indexer.store.getHoldings(orderBook.target);
+            expect(book.map(entry => [entry.balance, entry.costBasis])).to.deep.equal([[0n, 0n]]);
+        });
+    });
+
+    describe("28.3 Splits and Merges", () => {
+        it("Should book collateral split into outcome tokens as bought", async () => {
+            const chiefs = await holding(bob, OUTCOME_INDICES.CHIEFS);
+            await (await ct.connect(bob).splitPosition(dai.target, ethers.ZeroHash, await market.condition(), ALL, 4n * SHARE)).wait();
+
+            const ravens = await holding(bob, OUTCOME_INDICES.RAVENS);
+            expect(ravens.balance).to.equal(4n * SHARE);
+            expect(ravens.costBasis).to.equal(SHARE);
+            expect(ravens.spent).to.equal(SHARE);
+            expect((await holding(bob, OUTCOME_INDICES.CHIEFS)).costBasis).to.equal(chiefs.costBasis + SHARE);
+        });
+
+        it("Should move the cost basis through merges into positions and realize merges into collateral", async () => {
+            const condition = await market.condition();
+            await (await ct.connect(bob).mergePositions(
+                dai.target, ethers.ZeroHash, condition, [OUTCOME_INDICES.RAVENS, OUTCOME_INDICES.BUCS, OUTCOME_INDICES.OTHER], SHARE
+            )).wait();
+
+            const rest = await holding(bob, REST);
+            expect(rest.balance).to.equal(SHARE);
+            expect(rest.costBasis).to.equal(3n * SHARE / 4n);
+            expect(rest.spent).to.equal(0n);
+            expect((await holding(bob, OUTCOME_INDICES.RAVENS)).costBasis).to.equal(3n * SHARE / 4n);
+
+            const chiefs = await holding(bob, OUTCOME_INDICES.CHIEFS);
+            const received = -await paid(bob, () =>
+                ct.connect(bob).mergePositions(dai.target, ethers.ZeroHash, condition, [OUTCOME_INDICES.CHIEFS, REST], SHARE)
+            );
+            expect(received).to.equal(SHARE);
+
+            const merged = await holding(bob, REST);
+            expect(merged.balance).to.equal(0n);
+            expect(merged.received).to.equal(3n * SHARE / 4n);
+            expect(merged.realizedPnl).to.equal(0n);
+            const after = await holding(bob, OUTCOME_INDICES.CHIEFS);
+            expect(after.balance).to.equal(chiefs.balance - SHARE);
+            expect(after.received).to.equal(SHARE / 4n);
+            expect(after.realizedPnl).to.equal(SHARE / 4n - chiefs.costBasis / 6n);
+        });
+    });
+
+    describe("28.4 Portfolio", () => {
+        it("Should mark open positions to the marginal prices", async () => {
+            const { user, positions, totals } = await indexer.portfolio(alice.address);
+            const prices = await market.getMarginalPrices();
+            expect(user).to.equal(alice.address);
+            expect(positions.map(position => position.outcomes)).to.deep.equal([["Chiefs"], ["Ravens"]]);
+
+            for (const position of positions) {
+                const price = prices[Math.log2(position.outcome)];
+                expect(position.price).to.equal(price < ONE ? price : ONE);
+                expect(position.value).to.equal(position.balance * position.price / ONE);
+                expect(position.unrealizedPnl).to.equal(position.value - position.costBasis);
+            }
+
+            expect(totals).to.have.lengthOf(1);
+            expect(totals[0].collateral).to.equal(dai.target);
+            expect(totals[0].value).to.equal(positions[0].value + positions[1].value);
+            expect(totals[0].spent).to.equal(positions[0].spent + positions[1].spent);
+            expect(totals[0].unrealizedPnl).to.equal(positions[0].unrealizedPnl + positions[1].unrealizedPnl);
+        });
+
+        it("Should value resolved positions at their payout and realize redemptions", async () => {
+            await (await market.connect(mrResolver).resolveMarket([1, 0, 0, 0])).wait();
+            const open = await indexer.portfolio(alice.address);
+            const [chiefs, ravens] = open.positions;
+            expect(chiefs.price).to.equal(ONE);
+            expect(chiefs.value).to.equal(4n * SHARE);
+            expect(ravens.value).to.equal(0n);
+            expect(ravens.unrealizedPnl).to.equal(-ravens.costBasis);
+
+            const condition = await market.condition();
+            const payout = -await paid(alice, () => ct.connect(alice).redeemPositions(
+                dai.target, ethers.ZeroHash, condition, [OUTCOME_INDICES.CHIEFS, OUTCOME_INDICES.RAVENS]
+            ));
+            expect(payout).to.equal(4n * SHARE);
+
+            const { positions, totals } = await indexer.portfolio(alice.address);
+            expect(positions[0].payout).to.equal(payout);
+            expect(positions[0].realizedPnl).to.equal(chiefs.realizedPnl + payout - chiefs.costBasis);
+            expect(positions[1].realizedPnl).to.equal(-ravens.costBasis);
+            for (const position of positions) {
+                expect(position.redeemed).to.equal(true);
+                expect(position.balance).to.equal(0n);
+                expect(position.unrealizedPnl).to.equal(0n);
+            }
+            expect(totals[0].realizedPnl).to.equal(positions[0].realizedPnl + positions[1].realizedPnl);
+        });
+    });
+
+    describe("28.5 Reorgs", () => {
+        it("Should follow transfers after a reorg below every checkpoint", async () => {
+            const questionId = ethers.id("28.5");
+            const snapshot = await network.provider.send("evm_snapshot");
+            const forkBlock = await ethers.provider.getBlockNumber();
+            const indexed = new Indexer(factory.target, ethers.provider, { fromBlock: forkBlock + 1 });
+
+            // Buys a share in a market created after the fork
+            const tradeShare = async () => {
+                const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, questionId });
+                await (await dai.connect(bob).approve(market.target, ethers.MaxUint256)).wait();
+                await (await market.connect(bob).buy(OUTCOME_INDICES.CHIEFS, ONE)).wait();
+                return market;
+            };
+
+            // Index the market on a branch that is then dropped, which the
+            // extra mint keeps from matching the branch that replaces it
+            await (await dai.mint(keeper.address, 1n)).wait();
+            const orphaned = await tradeShare();
+            await indexed.sync();
+
+            await network.provider.send("evm_revert", [snapshot]);
+            const market = await tradeShare();
+            expect(market.target).to.equal(orphaned.target);
+            await (await ct.connect(bob).safeTransferFrom(
+                bob.address, keeper.address, await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS), SHARE, "0x"
+            )).wait();
+
+            const { reorged } = await indexed.sync();
+            expect(reorged).to.equal(forkBlock);
+            const { positions } = await indexed.portfolio(keeper.address);
+            expect(positions.map(position => [position.outcomes, position.balance])).to.deep.equal([[["Chiefs"], SHARE]]);
+        });
+    });
+
+});
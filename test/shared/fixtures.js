@@ -0,0 +1,90 @@
+const { ethers, ignition } = require("hardhat");
+const CoreModule = require("../../ignition/modules/Core");
+const FakeDaiModule = require("../../ignition/modules/FakeDai");
+
+// Share amounts are int128 64.64 fixed point numbers
+const { ONE } = require("../../sdk");
+
+// Binary representation for position splitting, see Stage 3
+const OUTCOME_INDICES = {
+    CHIEFS: 1,    // 0001
+    RAVENS: 2,    // 0010
+    BUCS: 4,      // 0100
+    OTHER: 8      // 1000
+};
+
+const OUTCOMES = ["Chiefs", "Ravens", "Buccaneers", "Other"];
+
+/**
+ * Deploys a fresh ConditionalTokens, FakeDai, LsLMSRFactory, router and order book with the
+ * Ignition modules so a stage can work on its own markets without touching the
+ * shared Stage 3 market. FakeDai is allowed as collateral.
+ */
+async function deployCore() {
+    const { conditionalTokens: ct, factory, router, orderBook } = await ignition.deploy(CoreModule);
+    const { fakeDai: dai } = await ignition.deploy(FakeDaiModule);
+    await (await factory.setCollateral(await dai.getAddress(), true, 0)).wait();
+
+    return { ct, dai, factory, router, orderBook };
+}
+
+/**
+ * Mints the subsidy to the creator and creates a market through the factory.
+ * The oracle can be a signer or a contract address, and is given the oracle
+ * role it needs to resolve the market by the factory's runner, its admin.
+ */
+async function createMarket({
+    factory,
+    dai,
+    creator,
+    oracle,
+    subsidy = ethers.parseEther("100"),
+    fee = 0,
+    question = "Who will win the Superbowl",
+    outcomes = OUTCOMES,
+    questionId = ethers.hexlify(ethers.randomBytes(32))
+}) {
+    const oracleAddress = typeof oracle === 'string' ? oracle : oracle.address;
+    if (!await factory.isOracle(oracleAddress)) {
+        await (await factory.addOracle(oracleAddress)).wait();
+    }
+
+    await dai.mint(creator.address, subsidy);
+    await dai.connect(creator).approve(await factory.getAddress(), subsidy);
+
+    const tx = await factory.connect(creator).createAndSetupMarket(
+        await dai.getAddress(),
+        oracleAddress,
+        questionId,
+        outcomes.length,
+        subsidy,
+        fee,
+        question,
+        outcomes
+    );
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(log =>
+        log.fragment && log.fragment.name === 'MarketCreated'
+    );
+    const market = await ethers.getContractAt("LsLMSR", event.args[0]);
+
+    return { market, questionId };
+}
+
+/**
+ * Returns the ERC-1155 position id of an outcome collection in a market,
+ * nested in the parent collection of a conditional market.
+ */
+async function positionIdFor(ct, market, indexSet) {
+    const collectionId = await ct.getCollectionId(await market.parentCollectionId(), await market.condition(), indexSet);
+    return ct.getPositionId(await market.token(), collectionId);
+}
+
+module.exports = {
+    ONE,
+    OUTCOME_INDICES,
+    OUTCOMES,
+    deployCore,
+    createMarket,
+    positionIdFor
+};
@@ -0,0 +1,103 @@
+// Seeded random sequences and shrinking for property-based tests
+
+/**
+ * Returns a seeded random number generator, mulberry32, so failures can be
+ * reproduced. next() is a uniform number in [0, 1).
+ */
+function random(seed) {
+    let state = seed;
+    const next = () => {
+        // mulberry32
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // A uniform integer in [lo, hi)
+    next.int = (lo, hi) => lo + Math.floor(next() * (hi - lo));
+    // A uniform bigint in [lo, hi)
+    next.bigint = (lo, hi) => {
+        let r = 0n;
+        for (let i = 0; i < 8; i++) r = (r << 32n) | BigInt(Math.floor(next() * 4294967296));
+        return lo + r % (hi - lo);
+    };
+    // A uniformly chosen element of items
+    next.pick = items => items[Math.floor(next() * items.length)];
+    return next;
+}
+
+/**
+ * Shrinks a failing sequence of actions to a smaller one that still fails.
+ * Drops ever smaller chunks of actions, then replaces single actions with the
+ * simpler variants simplify(action) returns, and repeats while that helps. fails(actions) runs a
+ * sequence and resolves to its failure, or to null when it passes. Gives up
+ * after maxAttempts runs and returns the smallest failing sequence found
+ * with its failure.
+ */
+async function shrink(actions, failure, fails, { simplify = () => [], maxAttempts = 200 } = {}) {
+    let attempts = 0;
+    const attempt = async candidate => {
+        attempts++;
+        const result = await fails(candidate);
+        if (result) {
+            actions = candidate;
+            failure = result;
+        }
+        return result;
+    };
+
+    let size;
+    do {
+        size = actions.length;
+        for (let chunk = Math.ceil(actions.length / 2); chunk >= 1 && attempts < maxAttempts; chunk = Math.floor(chunk / 2)) {
+            for (let i = 0; i < actions.length && attempts < maxAttempts;) {
+                const candidate = [...actions.slice(0, i), ...actions.slice(i + chunk)];
+                if (!await attempt(candidate)) i += chunk;
+            }
+        }
+
+        for (let i = 0; i < actions.length && attempts < maxAttempts; i++) {
+            for (let simpler = simplify(actions[i]); simpler.length > 0 && attempts < maxAttempts;) {
+                const candidate = [...actions.slice(0, i), simpler.shift(), ...actions.slice(i + 1)];
+                if (await attempt(candidate)) simpler = simplify(actions[i]);
+            }
+        }
+    } while (actions.length < size && attempts < maxAttempts);
+
+    return { actions, failure };
+}
+
+// JSON with bigints as strings
+function formatAction(action) {
+    return JSON.stringify(action, (key, value) => typeof value === "bigint" ? value.toString() : value);
+}
+
+/**
+ * Checks a property over runs random cases. Run r uses seed + r, so a failing
+ * run can be repeated on its own with that seed and runs = 1. generate(rng)
+ * builds a case, an object with a sequence of actions and whatever else run
+ * needs, and run(testCase) executes it, resolving to its failure or null. The
+ * actions of a failing case are shrunk and thrown as an error that names its
+ * seed.
+ */
+async function checkProperty({ seed, runs, generate, run, simplify, format = formatAction }) {
+    for (let r = 0; r < runs; r++) {
+        const testCase = generate(random(seed + r));
+        const failure = await run(testCase);
+        if (!failure) continue;
+
+        const shrunk = await shrink(testCase.actions, failure, actions => run({ ...testCase, actions }), { simplify });
+        throw new Error(
+            `${shrunk.failure}\n` +
+            `    seed ${seed + r}: reproduce with FUZZ_SEED=${seed + r} FUZZ_RUNS=1\n` +
+            `    shrunk from ${testCase.actions.length} to ${shrunk.actions.length} actions:\n` +
+            shrunk.actions.map(action => `      ${format(action)}`).join("\n")
+        );
+    }
+}
+
+module.exports = {
+    random,
+    shrink,
+    checkProperty
+};
@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const globalState = require("../shared/testState");
+
+describe("Stage 13: Hardhat Tasks", () => {
+    const { ethers } = hre;
+    let addressBookDir, addresses, market;
+    let admin, alice;
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 13 Setup', [
+            'signers.admin',
+            'signers.alice'
+        ]);
+
+        ({ admin, alice } = globalState.signers);
+
+        // Keep the test network's address book out of the repo
+        addressBookDir = fs.mkdtempSync(path.join(os.tmpdir(), "address-book-"));
+        process.env.ADDRESS_BOOK_DIR = addressBookDir;
+    });
+
+    after(() => {
+        delete process.env.ADDRESS_BOOK_DIR;
+        fs.rmSync(addressBookDir, { recursive: true, force: true });
+    });
+
+    describe("13.1 Deployment", () => {
+        it("Should fail clearly before deploy-core", async () => {
+            await expect(hre.run("list-markets")).to.be.rejectedWith("No LsLMSRFactory deployed on this network");
+        });
+
+        it("Should deploy the core contracts and record them", async () => {
+            addresses = await hre.run("deploy-core", { json: true });
+
+            const book = JSON.parse(fs.readFileSync(path.join(addressBookDir, "31337.json"), "utf8"));
+            for (const name of ["ConditionalTokens", "LsLMSRImplementation", "LsLMSRFactory", "MarketLens", "LsLMSRRouter", "LsLMSROrderBook", "FakeDai"]) {
+                expect(book[name]).to.equal(addresses[name]);
+            }
+
+            const factory = await ethers.getContractAt("LsLMSRFactory", addresses.LsLMSRFactory);
+            expect(await factory.conditionalTokens()).to.equal(addresses.ConditionalTokens);
+        });
+
+        it("Should allow FakeDai as collateral and update its minimum subsidy", async () => {
+            const factory = await ethers.getContractAt("LsLMSRFactory", addresses.LsLMSRFactory);
+            expect(await factory.isCollateral(addresses.FakeDai)).to.equal(true);
+
+            const result = await hre.run("set-collateral", { minSubsidy: "50", json: true });
+            expect(result.collaterals).to.deep.equal([{ token: addresses.FakeDai, minSubsidy: ethers.parseEther("50") }]);
+            await expect(hre.run("create-market", {
+                question: "Too small", outcomes: "Yes, No", subsidy: "10", json: true
+            })).to.be.rejectedWith("Subsidy below minimum");
+        });
+
+        it("Should mint FakeDai from the address book", async () => {
+            const result = await hre.run("mint-fakedai", { to: alice.address, amount: "250", json: true });
+            expect(result.balance).to.equal(ethers.parseEther("250"));
+            await hre.run("mint-fakedai", { amount: "100", json: true });
+        });
+    });
+
+    describe("13.2 Market Operations", () => {
+        it("Should create a market", async () => {
+            const result = await hre.run("create-market", {
+                question: "Who will win the Superbowl",
+                outcomes: "Chiefs, Ravens, Other",
+                subsidy: "100",
+                json: true
+            });
+
+            market = result.market;
+            expect(result.outcomes).to.deep.equal(["Chiefs", "Ravens", "Other"]);
+            expect(result.oracle).to.equal(admin.address);
+        });
+
+        it("Should list markets with their prices", async () => {
+            const markets = await hre.run("list-markets", { json: true });
+            expect(markets.length).to.equal(1);
+            expect(markets[0].market).to.equal(market);
+            expect(Object.keys(markets[0].prices)).to.deep.equal(["Chiefs", "Ravens", "Other"]);
+        });
+
+        it("Should buy at the quoted cost", async () => {
+            const quote = await hre.run("quote", { market, outcome: "Ravens", shares: "10", json: true });
+            const aliceIndex = (await ethers.getSigners()).findIndex(s => s.address === alice.address);
+
+            const result = await hre.run("buy", { market, outcome: "Ravens", shares: "10", account: aliceIndex, json: true });
+            expect(result.trader).to.equal(alice.address);
+            expect(result.cost).to.equal(quote.amount);
+
+            const [listed] = await hre.run("list-markets", { json: true });
+            expect(Number(listed.prices.Ravens)).to.be.gt(Number(listed.prices.Chiefs));
+        });
+
+        it("Should resolve and redeem", async () => {
+            const aliceIndex = (await ethers.getSigners()).findIndex(s => s.address === alice.address);
+            await expect(
+                hre.run("resolve", { market, outcome: "Ravens", account: aliceIndex, json: true })
+            ).to.be.rejectedWith("Only oracle can resolve");
+
+            const resolved = await hre.run("resolve", { market, outcome: "Ravens", json: true });
+            expect(resolved.payouts).to.deep.equal([0, 1, 0]);
+
+            const redeemed = await hre.run("redeem", { market, account: aliceIndex, json: true });
+            expect(redeemed.payout).to.equal(ethers.parseEther("10"));
+        });
+    });
+
+    describe("13.3 Market History", () => {
+        it("Should index the markets into the history file", async () => {
+            const result = await hre.run("index-markets", { json: true });
+            expect(result.events).to.equal(5); // creation, setup, buy, resolution, redemption
+            expect(result.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(fs.existsSync(path.join(addressBookDir, "31337.history.json"))).to.equal(true);
+        });
+
+        it("Should print a market's price history and volume", async () => {
+            const history = await hre.run("market-history", { market, json: true });
+            expect(history.outcomes).to.deep.equal(["Chiefs", "Ravens", "Other"]);
+            expect(history.volume.trades).to.equal(1);
+            expect(history.prices).to.have.lengthOf(2);
+            expect(history.resolution.payouts).to.deep.equal([0n, 1n, 0n]);
+        });
+
+        it("Should print an account's positions", async () => {
+            const [position] = await hre.run("positions", { user: alice.address, json: true });
+            expect(position.outcomes).to.deep.equal(["Ravens"]);
+            expect(position.redeemed).to.equal(true);
+        });
+
+        it("Should print an account's portfolio with its profit and loss", async () => {
+            const { positions, totals } = await hre.run("portfolio", { user: alice.address, json: true });
+            expect(positions.map(position => position.outcomes)).to.deep.equal([["Ravens"]]);
+            expect(positions[0].payout).to.equal(ethers.parseEther("10"));
+            expect(positions[0].realizedPnl).to.equal(positions[0].payout - positions[0].spent);
+            expect(totals[0].value).to.equal(0n);
+        });
+    });
+
+    describe("13.4 Orders", () => {
+        it("Should place an order and fill it with the keeper", async () => {
+            const aliceIndex = (await ethers.getSigners()).findIndex(s => s.address === alice.address);
+            await hre.run("mint-fakedai", { amount: "100", json: true });
+            const { market: orderMarket } = await hre.run("create-market", {
+                question: "Who will win the World Series", outcomes: "Yankees, Dodgers", subsidy: "100", json: true
+            });
+
+            const high = await hre.run("place-order", {
+                market: orderMarket, outcome: "Yankees", shares: "5", limit: "1.1", tip: "0.1", account: aliceIndex, json: true
+            });
+            const low = await hre.run("place-order", {
+                market: orderMarket, outcome: "Dodgers", shares: "5", limit: "0.1", account: aliceIndex, json: true
+            });
+            expect(high.trader).to.equal(alice.address);
+            expect(high.status).to.equal("open");
+
+            const { filled, failed } = await hre.run("keeper", { json: true });
+            expect(filled.map(order => order.id)).to.deep.equal([high.id]);
+            expect(failed).to.deep.equal([]);
+            expect((await hre.run("keeper", { json: true })).filled).to.deep.equal([]);
+
+            await hre.run("cancel-order", { order: Number(low.id), account: aliceIndex, json: true });
+            await expect(
+                hre.run("cancel-order", { order: Number(low.id), account: aliceIndex, json: true })
+            ).to.be.rejectedWith("Order not open");
+        });
+    });
+});
@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const {
+    ONE,
+    OUTCOME_INDICES,
+    deployCore,
+    createMarket,
+    positionIdFor
+} = require("../shared/fixtures");
+
+describe("Stage 10: Liquidity Provision", () => {
+    let ct, dai, factory;
+    let admin, userA, mrResolver, alice, bob;
+
+    const SUBSIDY = ethers.parseEther("100");
+    const PROBE = ONE / 100n;
+
+    // Cost of a small buy, which moves with the marginal price only
+    const probePrices = async (market) => {
+        const prices = [];
+        for (const indexSet of Object.values(OUTCOME_INDICES)) {
+            prices.push(await market.price(indexSet, PROBE));
+        }
+        return prices;
+    };
+
+    const expectSamePrices = (before, after) => {
+        before.forEach((price, i) => expect(after[i]).to.be.closeTo(price, price / 1000n));
+    };
+
+    const poolPositions = async (market) => {
+        const balances = [];
+        for (const indexSet of Object.values(OUTCOME_INDICES)) {
+            balances.push(await ct.balanceOf(await market.getAddress(), await positionIdFor(ct, market, indexSet)));
+        }
+        return balances;
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 10 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+        bob = globalState.signers.otherUsers[1];
+
+        ({ ct, dai, factory } = await deployCore());
+        for (const user of [alice, bob]) {
+            await dai.mint(user.address, ethers.parseEther("1000"));
+        }
+    });
+
+    describe("10.1 Adding Liquidity", () => {
+        let market;
+
+        before(async () => {
+            ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver }));
+            for (const user of [alice, bob]) {
+                await dai.connect(user).approve(await market.getAddress(), ethers.MaxUint256);
+                await ct.connect(user).setApprovalForAll(await market.getAddress(), true);
+            }
+            await (await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 20n * ONE)).wait();
+        });
+
+        it("Should give the creator shares for the subsidy", async () => {
+            expect(await market.liquidityShares(userA.address)).to.equal(SUBSIDY);
+            expect(await market.totalLiquidityShares()).to.equal(SUBSIDY);
+        });
+
+        it("Should mint shares pro rata without moving prices", async () => {
+            const amount = ethers.parseEther("50");
+            const pricesBefore = await probePrices(market);
+            const positionsBefore = await poolPositions(market);
+            const value = (await market.getPoolBalance()) + positionsBefore.reduce((a, b) => a > b ? a : b);
+            const shares = SUBSIDY * amount / value;
+
+            const tx = await market.connect(bob).addLiquidity(amount);
+            await expect(tx).to.emit(market, "LiquidityAdded").withArgs(bob.address, amount, shares);
+            await expect(tx).to.changeTokenBalance(dai, bob, -amount);
+
+            expect(await market.liquidityShares(bob.address)).to.equal(shares);
+            expect(await market.totalLiquidityShares()).to.equal(SUBSIDY + shares);
+            expectSamePrices(pricesBefore, await probePrices(market));
+        });
+
+        it("Should hand surplus outcome tokens to the provider", async () => {
+            // The pool holds fewer Chiefs tokens than the others after alice's buy,
+            // so bob keeps the Chiefs tokens split off beyond the pool's proportions
+            const chiefs = await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS);
+            const ravens = await positionIdFor(ct, market, OUTCOME_INDICES.RAVENS);
+            expect(await ct.balanceOf(bob.address, chiefs)).to.be.gt(0n);
+            expect(await ct.balanceOf(bob.address, ravens)).to.equal(0n);
+        });
+
+        it("Should make the same trade cheaper", async () => {
+            const quoteBefore = await market.buyQuote(OUTCOME_INDICES.RAVENS, 20n * ONE);
+            await (await market.connect(alice).addLiquidity(ethers.parseEther("100"))).wait();
+            expect(await market.buyQuote(OUTCOME_INDICES.RAVENS, 20n * ONE)).to.be.lt(quoteBefore);
+        });
+
+        it("Should reject empty deposits", async () => {
+            await expect(market.connect(bob).addLiquidity(0)).to.be.revertedWith("Invalid amount");
+        });
+    });
+
+    describe("10.2 Removing Liquidity", () => {
+        let market;
+
+        before(async () => {
+            ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver }));
+            for (const user of [alice, bob]) {
+                await dai.connect(user).approve(await market.getAddress(), ethers.MaxUint256);
+            }
+            await (await market.connect(alice).buy(OUTCOME_INDICES.BUCS, 15n * ONE)).wait();
+            await (await market.connect(bob).addLiquidity(ethers.parseEther("100"))).wait();
+        });
+
+        it("Should pay out a pro rata share of the pool without moving prices", async () => {
+            const shares = (await market.liquidityShares(bob.address)) / 2n;
+            const total = await market.totalLiquidityShares();
+            const pricesBefore = await probePrices(market);
+            const positionsBefore = await poolPositions(market);
+            const amount = (await market.getPoolBalance()) * shares / total;
+
+            const tx = await market.connect(bob).removeLiquidity(shares);
+            await expect(tx).to.emit(market, "LiquidityRemoved").withArgs(bob.address, shares, amount);
+            await expect(tx).to.changeTokenBalance(dai, bob, amount);
+
+            const indexSets = Object.values(OUTCOME_INDICES);
+            for (let i = 0; i < indexSets.length; i++) {
+                const balance = await ct.balanceOf(bob.address, await positionIdFor(ct, market, indexSets[i]));
+                expect(balance).to.be.gte(positionsBefore[i] * shares / total);
+            }
+            expect(await market.totalLiquidityShares()).to.equal(total - shares);
+            expectSamePrices(pricesBefore, await probePrices(market));
+        });
+
+        it("Should not remove more than the provider holds", async () => {
+            const shares = await market.liquidityShares(bob.address);
+            await expect(
+                market.connect(bob).removeLiquidity(shares + 1n)
+            ).to.be.revertedWith("Insufficient liquidity");
+            await expect(
+                market.connect(alice).removeLiquidity(1)
+            ).to.be.revertedWith("Insufficient liquidity");
+        });
+
+        it("Should not remove all liquidity before resolution", async () => {
+            await (await market.connect(bob).removeLiquidity(await market.liquidityShares(bob.address))).wait();
+            await expect(
+                market.connect(userA).removeLiquidity(SUBSIDY)
+            ).to.be.revertedWith("Cannot remove all liquidity");
+        });
+    });
+
+    describe("10.3 After Resolution", () => {
+        let market;
+
+        before(async () => {
+            await (await factory.connect(admin).setFeePolicy(500, 0)).wait();
+            ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee: 100 }));
+            for (const user of [alice, bob]) {
+                await dai.connect(user).approve(await market.getAddress(), ethers.MaxUint256);
+            }
+            // bob provides a third of the liquidity
+            await (await market.connect(bob).addLiquidity(ethers.parseEther("50"))).wait();
+            await (await market.connect(alice).buy(OUTCOME_INDICES.RAVENS, 30n * ONE)).wait();
+            await (await market.connect(alice).buy(OUTCOME_INDICES.OTHER, 10n * ONE)).wait();
+        });
+
+        it("Should share the LP fees pro rata", async () => {
+            const lpFees = await market.lpFees();
+            const creatorFees = await market.claimableFees(userA.address);
+            const bobFees = await market.claimableFees(bob.address);
+
+            expect(creatorFees + bobFees).to.be.closeTo(lpFees, 1000n);
+            expect(creatorFees).to.be.closeTo(2n * bobFees, 1000n);
+        });
+
+        it("Should only let providers withdraw once the market is resolved", async () => {
+            await expect(market.connect(bob).withdraw()).to.be.revertedWith("Market needs to be resolved");
+            await (await market.connect(mrResolver).resolveMarket([0, 1, 0, 0])).wait();
+            await expect(market.connect(alice).withdraw()).to.be.revertedWith("Insufficient liquidity");
+        });
+
+        it("Should redeem the pool and pay each provider its share", async () => {
+            const total = await market.totalLiquidityShares();
+            const bobShares = await market.liquidityShares(bob.address);
+
+            const balanceBefore = await dai.balanceOf(bob.address);
+            await expect(market.connect(bob).withdraw())
+                .to.emit(market, "LiquidityRemoved");
+            const bobPayout = (await dai.balanceOf(bob.address)) - balanceBefore;
+
+            await (await market.connect(userA).withdraw()).wait();
+            expect(await market.totalLiquidityShares()).to.equal(0n);
+
+            // Only the unclaimed fees are left behind
+            const marketAddress = await market.getAddress();
+            expect(await dai.balanceOf(marketAddress)).to.equal(await market.lpFees());
+            for (const balance of await poolPositions(market)) {
+                expect(balance).to.equal(0n);
+            }
+            console.log(`bob held ${bobShares * 100n / total}% of the liquidity and withdrew ${ethers.formatEther(bobPayout)} DAI`);
+        });
+
+        it("Should still pay out fees earned before withdrawing", async () => {
+            const claimable = await market.claimableFees(bob.address);
+            expect(claimable).to.be.gt(0n);
+            await expect(market.connect(bob).claimFees()).to.changeTokenBalance(dai, bob, claimable);
+        });
+    });
+});
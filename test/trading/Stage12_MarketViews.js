@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const {
+    ONE,
+    OUTCOME_INDICES,
+    OUTCOMES,
+    deployCore,
+    createMarket
+} = require("../shared/fixtures");
+const { FactoryClient, lslmsr, reference } = require("../../sdk");
+
+describe("Stage 12: Market State Views", () => {
+    let dai, factory, lens, market, other;
+    let userA, mrResolver, alice;
+
+    // Marginal prices agree with the reference to about 1e-15
+    const TOLERANCE = reference.SCALE / 10n ** 15n;
+
+    const expectReferencePrices = async (market) => {
+        const [q] = await market.getMarketState();
+        const expected = reference.marginalPrices(q.map(reference.fromX64));
+        const prices = await market.getMarginalPrices();
+        prices.forEach((price, i) => expect(reference.fromX64(price)).to.be.closeTo(expected[i], TOLERANCE));
+        return prices;
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 12 Setup', [
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ userA, mrResolver, alice } = globalState.signers);
+
+        ({ dai, factory } = await deployCore());
+        ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver }));
+        ({ market: other } = await createMarket({
+            factory, dai, creator: userA, oracle: mrResolver,
+            question: "Will it rain tomorrow", outcomes: ["Yes", "No"]
+        }));
+
+        const MarketLens = await ethers.getContractFactory("MarketLens");
+        lens = await MarketLens.deploy();
+        await lens.waitForDeployment();
+
+        await dai.mint(alice.address, ethers.parseEther("1000"));
+        await dai.connect(alice).approve(await market.getAddress(), ethers.MaxUint256);
+    });
+
+    describe("12.1 Marginal Prices", () => {
+        it("Should start with equal prices summing to two", async () => {
+            const prices = await expectReferencePrices(market);
+            const sum = prices.reduce((a, b) => a + b, 0n);
+
+            // With alpha = 1/(n ln n) the initial spread doubles the price sum
+            expect(reference.fromX64(sum)).to.be.closeTo(reference.fromInteger(2), TOLERANCE);
+            prices.forEach(price => expect(price).to.equal(prices[0]));
+        });
+
+        it("Should raise the price of a bought outcome", async () => {
+            const before = await market.getMarginalPrices();
+            await (await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 40n * ONE)).wait();
+            const after = await expectReferencePrices(market);
+
+            expect(after[0]).to.be.gt(before[0]);
+            expect(after[1]).to.be.lt(before[1]);
+            expect(after.reduce((a, b) => a + b, 0n)).to.be.gte(ONE);
+        });
+
+        it("Should match the cost of a small trade", async () => {
+            await (await market.connect(alice).buy(OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.BUCS, 25n * ONE)).wait();
+            const prices = await expectReferencePrices(market);
+
+            const amount = ONE / 1000n;
+            const perShare = await market.price(OUTCOME_INDICES.OTHER, amount) * ONE / amount;
+            expect(reference.fromX64(perShare)).to.be.closeTo(reference.fromX64(prices[3]), reference.SCALE / 10n ** 4n);
+        });
+    });
+
+    describe("12.2 Market State", () => {
+        it("Should expose the state the market prices from", async () => {
+            let expected = lslmsr.setupMarket(4, 100n * ONE);
+            ({ state: expected } = lslmsr.applyTrade(expected, OUTCOME_INDICES.CHIEFS, 40n * ONE));
+            ({ state: expected } = lslmsr.applyTrade(expected, OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.BUCS, 25n * ONE));
+
+            const [q, b, alpha, totalShares, currentCost] = await market.getMarketState();
+            expect(q).to.deep.equal(expected.q);
+            expect(b).to.equal(expected.b);
+            expect(alpha).to.equal(expected.alpha);
+            expect(totalShares).to.equal(expected.totalShares);
+            expect(currentCost).to.equal(await market.cost());
+        });
+
+        it("Should let the SDK quote from the state without further calls", async () => {
+            const client = await new FactoryClient(await factory.getAddress(), alice).getMarket(await market.getAddress());
+            const state = await client.getState();
+
+            expect(lslmsr.price(state, OUTCOME_INDICES.BUCS, 3n * ONE))
+                .to.equal(await market.price(OUTCOME_INDICES.BUCS, 3n * ONE));
+            expect(lslmsr.sellPrice(state, OUTCOME_INDICES.CHIEFS, 5n * ONE))
+                .to.equal(await market.sell_price(OUTCOME_INDICES.CHIEFS, 5n * ONE));
+
+            const prices = await client.getMarginalPrices();
+            expect(Object.keys(prices)).to.deep.equal(OUTCOMES);
+        });
+    });
+
+    describe("12.3 Market Snapshots", () => {
+        it("Should combine state, prices and factory metadata", async () => {
+            const snapshot = await lens.getMarketSnapshot(await factory.getAddress(), await market.getAddress());
+            const [q, b] = await market.getMarketState();
+            const prices = await market.getMarginalPrices();
+            const wei = (value) => market.getTokenWei(dai.getAddress(), value);
+
+            expect(snapshot.market).to.equal(await market.getAddress());
+            expect(snapshot.question).to.equal("Who will win the Superbowl");
+            expect(snapshot.outcomes).to.deep.equal(OUTCOMES);
+            expect(snapshot.numOutcomes).to.equal(4n);
+            expect(snapshot.isResolved).to.equal(false);
+            expect(snapshot.collateralToken).to.equal(await dai.getAddress());
+            expect(snapshot.decimals).to.equal(18n);
+            expect(snapshot.collateralBalance).to.equal(await dai.balanceOf(await market.getAddress()));
+
+            expect(snapshot.q).to.deep.equal(q);
+            expect(snapshot.b).to.equal(b);
+            expect(snapshot.marginalPrices).to.deep.equal(prices);
+            expect(snapshot.bWei).to.equal(await wei(b));
+            expect(snapshot.currentCostWei).to.equal(await wei(await market.cost()));
+            for (let i = 0; i < 4; i++) {
+                expect(snapshot.qWei[i]).to.equal(await wei(q[i]));
+                expect(snapshot.marginalPricesWei[i]).to.equal(await wei(prices[i]));
+            }
+        });
+
+        it("Should batch snapshots of several markets", async () => {
+            const snapshots = await lens.getMarketSnapshots(
+                await factory.getAddress(),
+                [await market.getAddress(), await other.getAddress()]
+            );
+
+            expect(snapshots.length).to.equal(2);
+            expect(snapshots[1].question).to.equal("Will it rain tomorrow");
+            expect(snapshots[1].outcomes).to.deep.equal(["Yes", "No"]);
+            expect(snapshots[1].marginalPrices.length).to.equal(2);
+        });
+
+        it("Should reject markets the factory does not know", async () => {
+            await expect(
+                lens.getMarketSnapshot(await factory.getAddress(), alice.address)
+            ).to.be.revertedWith("Market not found");
+        });
+
+        it("Should return snapshots through the SDK", async () => {
+            const client = new FactoryClient(await factory.getAddress(), alice, { lens: await lens.getAddress() });
+            const snapshot = await client.getMarketSnapshot(await other.getAddress());
+
+            expect(snapshot.outcomes).to.deep.equal(["Yes", "No"]);
+            expect(snapshot.collateralBalance).to.equal(ethers.parseEther("100"));
+
+            const snapshots = await client.getMarketSnapshot([await market.getAddress(), await other.getAddress()]);
+            expect(snapshots.map(s => s.question)).to.deep.equal(["Who will win the Superbowl", "Will it rain tomorrow"]);
+        });
+    });
+});
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { FactoryClient, UnsupportedCollateralError, toTokenAmountUp } = require("../../sdk");
+
+describe("Stage 19: Collateral Tokens", () => {
+    let ct, dai, factory;
+    let usdc, wbtc, feeToken;
+    let admin, userA, mrResolver, alice;
+
+    const deployToken = async (name, symbol, decimals) => {
+        const FakeToken = await ethers.getContractFactory("FakeToken");
+        const token = await FakeToken.deploy(name, symbol, decimals);
+        await token.waitForDeployment();
+        return token;
+    };
+
+    // Creates a market in token with a subsidy of 100 whole tokens
+    const tokenMarket = async token => {
+        const decimals = await token.decimals();
+        const { market } = await createMarket({
+            factory, dai: token, creator: userA, oracle: mrResolver, subsidy: ethers.parseUnits("100", decimals)
+        });
+        await (await token.mint(alice.address, ethers.parseUnits("1000", decimals))).wait();
+        await (await token.connect(alice).approve(market.target, ethers.MaxUint256)).wait();
+        await (await ct.connect(alice).setApprovalForAll(market.target, true)).wait();
+        return market;
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 19 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+
+        ({ ct, dai, factory } = await deployCore());
+        usdc = await deployToken("Test USD Coin", "USDC", 6);
+        wbtc = await deployToken("Test Wrapped Bitcoin", "WBTC", 8);
+        const FakeFeeToken = await ethers.getContractFactory("FakeFeeToken");
+        feeToken = await FakeFeeToken.deploy(100);
+        await feeToken.waitForDeployment();
+    });
+
+    describe("19.1 Allowlist", () => {
+        it("Should reject tokens that are not allowed", async () => {
+            await expect(tokenMarket(usdc)).to.be.revertedWith("Collateral not allowed");
+        });
+
+        it("Should let only the admin allow a token", async () => {
+            await expect(
+                factory.connect(alice).setCollateral(usdc.target, true, 0)
+            ).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
+
+            await expect(factory.connect(admin).setCollateral(usdc.target, true, ethers.parseUnits("50", 6)))
+                .to.emit(factory, "CollateralUpdated")
+                .withArgs(usdc.target, true, ethers.parseUnits("50", 6));
+            await (await factory.connect(admin).setCollateral(wbtc.target, true, 0)).wait();
+
+            expect(await factory.getCollaterals()).to.deep.equal([dai.target, usdc.target, wbtc.target]);
+        });
+
+        it("Should enforce the minimum subsidy", async () => {
+            await expect(createMarket({
+                factory, dai: usdc, creator: userA, oracle: mrResolver, subsidy: ethers.parseUnits("49", 6)
+            })).to.be.revertedWith("Subsidy below minimum");
+        });
+
+        it("Should stop new markets in a disallowed token", async () => {
+            const market = await tokenMarket(wbtc);
+            await (await factory.connect(admin).setCollateral(wbtc.target, false, 0)).wait();
+
+            expect(await factory.getCollaterals()).to.deep.equal([dai.target, usdc.target]);
+            await expect(tokenMarket(wbtc)).to.be.revertedWith("Collateral not allowed");
+            await (await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, ONE)).wait();
+
+            await (await factory.connect(admin).setCollateral(wbtc.target, true, 0)).wait();
+            expect(await factory.getCollaterals()).to.deep.equal([dai.target, usdc.target, wbtc.target]);
+        });
+
+        it("Should reject tokens with more than 18 decimals", async () => {
+            const token = await deployToken("Test Token", "TT", 24);
+            await expect(
+                factory.connect(admin).setCollateral(token.target, true, 0)
+            ).to.be.revertedWith("Unsupported decimals");
+        });
+
+        it("Should reject fee-on-transfer tokens even when allowed", async () => {
+            await (await factory.connect(admin).setCollateral(feeToken.target, true, 0)).wait();
+            await expect(tokenMarket(feeToken)).to.be.revertedWith("Fee-on-transfer collateral");
+            await (await factory.connect(admin).setCollateral(feeToken.target, false, 0)).wait();
+        });
+    });
+
+    describe("19.2 6-Decimal Collateral", () => {
+        let market, daiMarket;
+
+        before(async () => {
+            market = await tokenMarket(usdc);
+            daiMarket = await tokenMarket(dai);
+        });
+
+        it("Should price like an 18-decimal market", async () => {
+            for (const m of [market, daiMarket]) {
+                await (await m.connect(alice).buy(OUTCOME_INDICES.CHIEFS, 10n * ONE)).wait();
+            }
+            expect(await market.getMarginalPrices()).to.deep.equal(await daiMarket.getMarginalPrices());
+            expect(await ct.balanceOf(alice.address, await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS)))
+                .to.equal(10_000_000n);
+        });
+
+        it("Should round the cost of a buy up", async () => {
+            const shares = 3n * ONE + 12345678n;
+            const price = await market.price(OUTCOME_INDICES.RAVENS, shares);
+            const cost = toTokenAmountUp(price, 6);
+            expect(cost).to.equal(await market.getTokenWei(usdc.target, price) + 1n);
+            expect(await market.buyQuote(OUTCOME_INDICES.RAVENS, shares)).to.equal(cost);
+
+            await expect(
+                market.connect(alice).buy(OUTCOME_INDICES.RAVENS, shares)
+            ).to.changeTokenBalance(usdc, alice, -cost);
+        });
+
+        it("Should not give away shares worth less than a token unit", async () => {
+            const shares = ONE / 10_000_000n;
+            await expect(
+                market.connect(alice).buy(OUTCOME_INDICES.BUCS, shares)
+            ).to.changeTokenBalance(usdc, alice, -1n);
+        });
+
+        it("Should not pay out more on a round trip than it charged", async () => {
+            const shares = 7n * ONE + 987654321n;
+            const before = await usdc.balanceOf(alice.address);
+            await (await market.connect(alice).buy(OUTCOME_INDICES.OTHER, shares)).wait();
+            await (await market.connect(alice).sell(OUTCOME_INDICES.OTHER, shares)).wait();
+            expect(await usdc.balanceOf(alice.address)).to.be.lte(before);
+        });
+
+        it("Should price a sell on the whole token units it pulls", async () => {
+            // Just short of two token units
+            const shares = 2n * (ONE / 1_000_000n) - 1n;
+            const pulled = await market.getTokenWei(usdc.target, shares);
+            expect(pulled).to.equal(1n);
+            const rounded = await market.getTokenEth(usdc.target, pulled);
+            const proceeds = await market.sellQuote(OUTCOME_INDICES.RAVENS, shares);
+            expect(proceeds).to.equal(await market.sellQuote(OUTCOME_INDICES.RAVENS, rounded));
+
+            // The cost function drops by the price of the rounded amount only
+            const cost = await market.cost();
+            const price = await market.sell_price(OUTCOME_INDICES.RAVENS, rounded);
+            expect(price).to.be.lessThan(await market.sell_price(OUTCOME_INDICES.RAVENS, shares));
+
+            const position = await positionIdFor(ct, market, OUTCOME_INDICES.RAVENS);
+            const held = await ct.balanceOf(alice.address, position);
+            await expect(
+                market.connect(alice).sell(OUTCOME_INDICES.RAVENS, shares)
+            ).to.changeTokenBalance(usdc, alice, proceeds);
+            expect(await ct.balanceOf(alice.address, position)).to.equal(held - pulled);
+            expect(cost - await market.cost()).to.equal(price);
+            expect(proceeds).to.be.lte(pulled);
+
+            await expect(
+                market.connect(alice).sell(OUTCOME_INDICES.RAVENS, ONE / 1_000_000n - 1n)
+            ).to.be.revertedWith("Invalid amount");
+        });
+
+        it("Should pay out every position and the pool after resolution", async () => {
+            await (await market.connect(mrResolver).resolveMarket([1, 0, 0, 0])).wait();
+            await expect(
+                ct.connect(alice).redeemPositions(usdc.target, ethers.ZeroHash, await market.condition(), [OUTCOME_INDICES.CHIEFS])
+            ).to.changeTokenBalance(usdc, alice, 10_000_000n);
+
+            await (await market.connect(userA).withdraw()).wait();
+            expect(await usdc.balanceOf(market.target)).to.equal(0n);
+        });
+    });
+
+    describe("19.3 8-Decimal Collateral", () => {
+        it("Should trade, resolve and pay out in token units", async () => {
+            const market = await tokenMarket(wbtc);
+            const shares = 2n * ONE + 1n;
+            const cost = await market.buyQuote(OUTCOME_INDICES.RAVENS, shares);
+            expect(cost).to.equal(toTokenAmountUp(await market.price(OUTCOME_INDICES.RAVENS, shares), 8));
+
+            await expect(
+                market.connect(alice).buy(OUTCOME_INDICES.RAVENS, shares)
+            ).to.changeTokenBalance(wbtc, alice, -cost);
+
+            await (await market.connect(mrResolver).resolveMarket([0, 1, 0, 0])).wait();
+            await expect(
+                ct.connect(alice).redeemPositions(wbtc.target, ethers.ZeroHash, await market.condition(), [OUTCOME_INDICES.RAVENS])
+            ).to.changeTokenBalance(wbtc, alice, 200_000_000n);
+        });
+    });
+
+    describe("19.4 SDK", () => {
+        it("Should create markets in the collateral's decimals", async () => {
+            const client = new FactoryClient(factory.target, userA);
+            await (await usdc.mint(userA.address, ethers.parseUnits("100", 6))).wait();
+
+            const market = await client.createMarket({
+                collateral: usdc.target,
+                oracle: mrResolver.address,
+                question: "Will it rain",
+                outcomes: ["Yes", "No"],
+                subsidy: "100"
+            });
+            expect(await market.contract.liquidityShares(userA.address)).to.equal(ethers.parseUnits("100", 6));
+        });
+
+        it("Should list collaterals and reject unsupported ones", async () => {
+            const client = new FactoryClient(factory.target, admin);
+            expect((await client.getCollaterals()).map(collateral => collateral.minSubsidy))
+                .to.deep.equal([0n, ethers.parseUnits("50", 6), 0n]);
+
+            await (await feeToken.mint(admin.address, ethers.parseEther("100"))).wait();
+            await expect(client.createMarket({
+                collateral: feeToken.target,
+                oracle: mrResolver.address,
+                question: "Will it rain",
+                outcomes: ["Yes", "No"],
+                subsidy: "100"
+            })).to.be.rejectedWith(UnsupportedCollateralError);
+        });
+    });
+});
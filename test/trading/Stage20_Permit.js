@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { FactoryClient, RouterClient, signPermit, SlippageError } = require("../../sdk");
+
+describe("Stage 20: Permits and Batched Trades", () => {
+    let ct, dai, factory, router;
+    let marketA, marketB;
+    let userA, mrResolver, alice, bob;
+
+    const HOUR = 60 * 60;
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 20 Setup', [
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ userA, mrResolver, alice } = globalState.signers);
+        bob = globalState.signers.otherUsers[2];
+
+        ({ ct, dai, factory, router } = await deployCore());
+        ({ market: marketA } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee: 0 }));
+        ({ market: marketB } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee: 0 }));
+
+        for (const user of [alice, bob]) {
+            await dai.mint(user.address, ethers.parseEther("1000"));
+        }
+    });
+
+    describe("20.1 Permits", () => {
+        it("Should set an allowance from a signed permit", async () => {
+            const deadline = (await time.latest()) + HOUR;
+            const permit = await signPermit(alice, dai.target, bob.address, ethers.parseEther("5"), deadline);
+
+            await (await dai.connect(bob).permit(
+                alice.address, bob.address, permit.value, permit.deadline, permit.v, permit.r, permit.s
+            )).wait();
+            expect(await dai.allowance(alice.address, bob.address)).to.equal(ethers.parseEther("5"));
+            expect(await dai.nonces(alice.address)).to.equal(1n);
+        });
+
+        it("Should buy in one transaction with a permit", async () => {
+            const shares = 10n * ONE;
+            const deadline = (await time.latest()) + HOUR;
+            const quote = await marketA.buyQuote(OUTCOME_INDICES.CHIEFS, shares);
+            const maxCost = quote + ethers.parseEther("1");
+            const { v, r, s } = await signPermit(alice, dai.target, marketA.target, maxCost, deadline);
+
+            expect(await dai.allowance(alice.address, marketA.target)).to.equal(0n);
+            await expect(
+                marketA.connect(alice).buyWithPermit(OUTCOME_INDICES.CHIEFS, shares, maxCost, deadline, v, r, s)
+            ).to.changeTokenBalance(dai, alice, -quote);
+
+            expect(await ct.balanceOf(alice.address, await positionIdFor(ct, marketA, OUTCOME_INDICES.CHIEFS)))
+                .to.equal(await marketA.getTokenWei(dai.target, shares));
+            expect(await dai.allowance(alice.address, marketA.target)).to.equal(maxCost - quote);
+        });
+
+        it("Should still trade when the permit was used first", async () => {
+            const deadline = (await time.latest()) + HOUR;
+            const maxCost = await marketA.buyQuote(OUTCOME_INDICES.RAVENS, ONE);
+            const { v, r, s } = await signPermit(bob, dai.target, marketA.target, maxCost, deadline);
+
+            // Someone copies the permit from the mempool and submits it first
+            await (await dai.connect(alice).permit(bob.address, marketA.target, maxCost, deadline, v, r, s)).wait();
+            await expect(
+                marketA.connect(bob).buyWithPermit(OUTCOME_INDICES.RAVENS, ONE, maxCost, deadline, v, r, s)
+            ).to.changeTokenBalance(dai, bob, -maxCost);
+        });
+
+        it("Should not trade on a permit signed by someone else", async () => {
+            const deadline = (await time.latest()) + HOUR;
+            const maxCost = ethers.parseEther("10");
+            const { v, r, s } = await signPermit(alice, dai.target, marketA.target, maxCost, deadline);
+
+            await expect(
+                marketA.connect(bob).buyWithPermit(OUTCOME_INDICES.RAVENS, ONE, maxCost, deadline, v, r, s)
+            ).to.be.revertedWithCustomError(dai, "ERC20InsufficientAllowance");
+        });
+
+        it("Should not spend more than the permit allows, nor trade after the deadline", async () => {
+            const deadline = (await time.latest()) + HOUR;
+            const quote = await marketA.buyQuote(OUTCOME_INDICES.BUCS, ONE);
+            let permit = await signPermit(bob, dai.target, marketA.target, quote - 1n, deadline);
+            await expect(
+                marketA.connect(bob).buyWithPermit(OUTCOME_INDICES.BUCS, ONE, quote - 1n, deadline, permit.v, permit.r, permit.s)
+            ).to.be.revertedWithCustomError(dai, "ERC20InsufficientAllowance");
+
+            const expired = (await time.latest()) - 1;
+            permit = await signPermit(bob, dai.target, marketA.target, quote, expired);
+            await expect(
+                marketA.connect(bob).buyWithPermit(OUTCOME_INDICES.BUCS, ONE, quote, expired, permit.v, permit.r, permit.s)
+            ).to.be.revertedWith("Trade expired");
+        });
+    });
+
+    describe("20.2 Router", () => {
+        const legs = (maxCostB = ethers.MaxUint256) => [
+            { market: marketA.target, outcome: OUTCOME_INDICES.CHIEFS, amount: 5n * ONE, maxCost: ethers.MaxUint256 },
+            { market: marketB.target, outcome: OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.OTHER, amount: 3n * ONE, maxCost: maxCostB }
+        ];
+
+        before(async () => {
+            await (await dai.connect(bob).approve(router.target, ethers.MaxUint256)).wait();
+        });
+
+        it("Should buy in several markets in one transaction", async () => {
+            const quoteA = await marketA.buyQuote(OUTCOME_INDICES.CHIEFS, 5n * ONE);
+            const quoteB = await marketB.buyQuote(OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.OTHER, 3n * ONE);
+            const positionA = await positionIdFor(ct, marketA, OUTCOME_INDICES.CHIEFS);
+            const positionB = await positionIdFor(ct, marketB, OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.OTHER);
+            const deadline = (await time.latest()) + HOUR;
+
+            const tx = await router.connect(bob).buyBatch(legs(), deadline);
+            await expect(tx).to.changeTokenBalance(dai, bob, -(quoteA + quoteB));
+            await expect(tx).to.emit(router, "BatchBought").withArgs(bob.address, 2);
+            await expect(tx).to.emit(marketA, "Trade");
+            await expect(tx).to.emit(marketB, "Trade");
+
+            expect(await ct.balanceOf(bob.address, positionA)).to.equal(await marketA.getTokenWei(dai.target, 5n * ONE));
+            expect(await ct.balanceOf(bob.address, positionB)).to.equal(await marketB.getTokenWei(dai.target, 3n * ONE));
+            expect(await dai.balanceOf(router.target)).to.equal(0n);
+            expect(await ct.balanceOf(router.target, positionA)).to.equal(0n);
+        });
+
+        it("Should revert every leg when one exceeds its maximum cost", async () => {
+            const costA = await marketA.cost();
+            const costB = await marketB.cost();
+            const quoteB = await marketB.buyQuote(OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.OTHER, 3n * ONE);
+            const deadline = (await time.latest()) + HOUR;
+
+            await expect(
+                router.connect(bob).buyBatch(legs(quoteB - 1n), deadline)
+            ).to.be.revertedWith("Cost exceeds maximum");
+            expect(await marketA.cost()).to.equal(costA);
+            expect(await marketB.cost()).to.equal(costB);
+        });
+
+        it("Should reject expired batches and markets of other factories", async () => {
+            await expect(
+                router.connect(bob).buyBatch(legs(), (await time.latest()) - 1)
+            ).to.be.revertedWith("Trade expired");
+
+            const batch = legs();
+            batch[1].market = alice.address;
+            await expect(
+                router.connect(bob).buyBatch(batch, ethers.MaxUint256)
+            ).to.be.revertedWith("Market not found");
+        });
+
+        it("Should buy with permits instead of an approval", async () => {
+            const deadline = (await time.latest()) + HOUR;
+            const permit = await signPermit(alice, dai.target, router.target, ethers.parseEther("50"), deadline);
+            const quoteA = await marketA.buyQuote(OUTCOME_INDICES.CHIEFS, 5n * ONE);
+            const quoteB = await marketB.buyQuote(OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.OTHER, 3n * ONE);
+
+            expect(await dai.allowance(alice.address, router.target)).to.equal(0n);
+            await expect(
+                router.connect(alice).buyBatchWithPermits(legs(), deadline, [permit])
+            ).to.changeTokenBalance(dai, alice, -(quoteA + quoteB));
+        });
+
+        it("Should refuse positions sent to it directly", async () => {
+            const position = await positionIdFor(ct, marketA, OUTCOME_INDICES.CHIEFS);
+            await expect(
+                ct.connect(alice).safeTransferFrom(alice.address, router.target, position, 1n, "0x")
+            ).to.be.revertedWith("Unexpected position transfer");
+        });
+    });
+
+    describe("20.3 SDK", () => {
+        it("Should buy with a permit through the market client", async () => {
+            const client = await new FactoryClient(factory.target, bob).getMarket(marketB.target);
+            const quote = await client.quoteBuy("Chiefs", "2");
+
+            const before = await dai.balanceOf(bob.address);
+            await client.buyWithPermit("Chiefs", "2");
+            expect(await dai.balanceOf(bob.address)).to.equal(before - quote);
+        });
+
+        it("Should batch legs through the router client", async () => {
+            const factoryClient = new FactoryClient(factory.target, alice);
+            const [a, b] = await Promise.all([factoryClient.getMarket(marketA.target), factoryClient.getMarket(marketB.target)]);
+            const client = new RouterClient(router.target, alice);
+
+            const quote = await a.quoteBuy("Ravens", "1") + await b.quoteBuy(["Chiefs", "Other"], "2");
+            const before = await dai.balanceOf(alice.address);
+            await client.buyBatch([
+                { market: a, outcome: "Ravens", shares: "1" },
+                { market: b, outcome: ["Chiefs", "Other"], shares: "2" }
+            ], { permit: true });
+            expect(await dai.balanceOf(alice.address)).to.equal(before - quote);
+
+            await expect(client.buyBatch([
+                { market: a, outcome: "Ravens", shares: "1", maxCost: 1n }
+            ], { permit: true })).to.be.rejectedWith(SlippageError);
+        });
+    });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { FactoryClient, SlippageError, fromFixed } = require("../../sdk");
+
+describe("Stage 21: Buying by Collateral Amount", () => {
+    let ct, dai, factory;
+    let market, feeMarket, usdcMarket, usdc;
+    let admin, userA, mrResolver, alice;
+
+    // The solver stops within 2^-32 of its initial upper bound, the shares
+    // the spend buys at the marginal price, which is under 16 times the
+    // solution in these markets
+    const tolerance = shares => shares >> 28n;
+
+    // A buy (~400k gas) plus at most 13 quotes of ~140k gas each
+    const GAS_LIMIT = 2_500_000n;
+
+    // Checks that shares is the most spend affords in market, to within the
+    // solver tolerance
+    const expectBestFor = async (market, outcome, spend, shares) => {
+        expect(shares).to.be.greaterThan(0n);
+        expect(await market.buyQuote(outcome, shares)).to.be.at.most(spend);
+        expect(await market.buyQuote(outcome, shares + tolerance(shares))).to.be.greaterThan(spend);
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 21 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+
+        ({ ct, dai, factory } = await deployCore());
+        ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee: 0 }));
+        await (await factory.connect(admin).setFeePolicy(500, 0)).wait();
+        ({ market: feeMarket } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee: 200 }));
+
+        const FakeToken = await ethers.getContractFactory("FakeToken");
+        usdc = await FakeToken.deploy("Test USD Coin", "USDC", 6);
+        await usdc.waitForDeployment();
+        await (await factory.connect(admin).setCollateral(usdc.target, true, 0)).wait();
+        ({ market: usdcMarket } = await createMarket({
+            factory, dai: usdc, creator: userA, oracle: mrResolver, subsidy: ethers.parseUnits("100", 6)
+        }));
+
+        await dai.mint(alice.address, ethers.parseEther("2000"));
+        await usdc.mint(alice.address, ethers.parseUnits("1000", 6));
+        for (const m of [market, feeMarket]) {
+            await (await dai.connect(alice).approve(m.target, ethers.MaxUint256)).wait();
+        }
+        await (await usdc.connect(alice).approve(usdcMarket.target, ethers.MaxUint256)).wait();
+    });
+
+    describe("21.1 Quotes", () => {
+        it("Should quote the most shares a spend affords", async () => {
+            for (const spend of ["0.01", "1", "25", "400"]) {
+                const amount = ethers.parseEther(spend);
+                const shares = await market.sharesForCollateral(OUTCOME_INDICES.CHIEFS, amount);
+                await expectBestFor(market, OUTCOME_INDICES.CHIEFS, amount, shares);
+            }
+        });
+
+        it("Should quote sets of outcomes and include the fee", async () => {
+            const spend = ethers.parseEther("10");
+            const set = OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.OTHER;
+            await expectBestFor(market, set, spend, await market.sharesForCollateral(set, spend));
+
+            const shares = await feeMarket.sharesForCollateral(OUTCOME_INDICES.CHIEFS, spend);
+            await expectBestFor(feeMarket, OUTCOME_INDICES.CHIEFS, spend, shares);
+            expect(shares).to.be.lessThan(await market.sharesForCollateral(OUTCOME_INDICES.CHIEFS, spend));
+        });
+
+        it("Should quote tokens with fewer decimals", async () => {
+            const spend = ethers.parseUnits("10", 6);
+            const shares = await usdcMarket.sharesForCollateral(OUTCOME_INDICES.CHIEFS, spend);
+            await expectBestFor(usdcMarket, OUTCOME_INDICES.CHIEFS, spend, shares);
+        });
+
+        it("Should quote nothing for a spend too small to buy a share unit", async () => {
+            expect(await market.sharesForCollateral(OUTCOME_INDICES.CHIEFS, 0)).to.equal(0n);
+        });
+    });
+
+    describe("21.2 Buying", () => {
+        it("Should spend no more than the collateral given, and nearly all of it", async () => {
+            const spend = ethers.parseEther("20");
+            const shares = await market.sharesForCollateral(OUTCOME_INDICES.CHIEFS, spend);
+            const quote = await market.buyQuote(OUTCOME_INDICES.CHIEFS, shares);
+            const position = await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS);
+            const held = await ct.balanceOf(alice.address, position);
+
+            const tx = market.connect(alice).buyWithCollateral(OUTCOME_INDICES.CHIEFS, spend, shares);
+            await expect(tx).to.changeTokenBalance(dai, alice, -quote);
+            await expect(tx).to.emit(market, "Trade");
+
+            expect(spend - quote).to.be.lessThan(ethers.parseUnits("1", "gwei"));
+            expect(await ct.balanceOf(alice.address, position) - held)
+                .to.equal(await market.getTokenWei(dai.target, shares));
+        });
+
+        it("Should charge the fee out of the collateral given", async () => {
+            const spend = ethers.parseEther("20");
+            const before = await dai.balanceOf(alice.address);
+            await (await feeMarket.connect(alice).buyWithCollateral(OUTCOME_INDICES.RAVENS, spend, 0)).wait();
+
+            const spent = before - await dai.balanceOf(alice.address);
+            expect(spent).to.be.at.most(spend);
+            expect(spend - spent).to.be.lessThan(ethers.parseUnits("1", "gwei"));
+        });
+
+        it("Should buy in tokens with fewer decimals", async () => {
+            const spend = ethers.parseUnits("5", 6);
+            await expect(
+                usdcMarket.connect(alice).buyWithCollateral(OUTCOME_INDICES.BUCS, spend, 0)
+            ).to.changeTokenBalance(usdc, alice, -spend);
+        });
+
+        it("Should revert below the minimum shares", async () => {
+            const spend = ethers.parseEther("5");
+            const shares = await market.sharesForCollateral(OUTCOME_INDICES.BUCS, spend);
+            await expect(
+                market.connect(alice).buyWithCollateral(OUTCOME_INDICES.BUCS, spend, shares + 1n)
+            ).to.be.revertedWith("Shares below minimum");
+            await expect(
+                market.connect(alice).buyWithCollateral(OUTCOME_INDICES.BUCS, 0, 0)
+            ).to.be.revertedWith("Shares below minimum");
+        });
+
+        it("Should stay within the gas budget", async () => {
+            for (const spend of ["0.01", "1", "50", "200"]) {
+                const gas = await market.connect(alice).buyWithCollateral.estimateGas(
+                    OUTCOME_INDICES.OTHER, ethers.parseEther(spend), 0
+                );
+                expect(gas).to.be.lessThan(GAS_LIMIT);
+            }
+        });
+    });
+
+    describe("21.3 SDK", () => {
+        it("Should quote and buy by collateral amount through the market client", async () => {
+            const client = await new FactoryClient(factory.target, alice).getMarket(market.target);
+            const spend = ethers.parseEther("3");
+            const shares = await client.quoteSpend("Ravens", spend);
+            expect(Number(fromFixed(shares))).to.be.greaterThan(3);
+
+            const quote = await market.buyQuote(OUTCOME_INDICES.RAVENS, shares);
+            const before = await dai.balanceOf(alice.address);
+            await client.buyWithCollateral("Ravens", spend);
+            expect(await dai.balanceOf(alice.address)).to.equal(before - quote);
+
+            await expect(
+                client.buyWithCollateral("Ravens", spend, { minShares: "1000" })
+            ).to.be.rejectedWith(SlippageError);
+        });
+    });
+});
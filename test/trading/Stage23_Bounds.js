@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket } = require("../shared/fixtures");
+const { FactoryClient, MarketBoundsError, NewMath, lslmsr, fromFixed } = require("../../sdk");
+
+describe("Stage 23: Market Domain Bounds", () => {
+    let dai, factory;
+    let market;
+    let userA, mrResolver, alice;
+
+    const { BOUNDS } = lslmsr;
+
+    const names = n => Array.from({ length: n }, (_, i) => `Outcome ${i}`);
+
+    // The market's state in the form the SDK's emulation takes
+    const stateOf = async market => {
+        const [q, b, alpha, totalShares, currentCost] = await market.getMarketState();
+        return { q: [...q], b, alpha, totalShares, currentCost };
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 23 Setup', [
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ userA, mrResolver, alice } = globalState.signers);
+
+        ({ dai, factory } = await deployCore());
+        ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver }));
+
+        await dai.mint(alice.address, ethers.parseEther("1000000"));
+        await (await dai.connect(alice).approve(market.target, ethers.MaxUint256)).wait();
+    });
+
+    describe("23.1 Market Bounds", () => {
+        it("Should create markets of 2 to 16 outcomes only", async () => {
+            for (const n of [2, BOUNDS.maxOutcomes]) {
+                const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, outcomes: names(n) });
+                expect(await market.numOutcomes()).to.equal(BigInt(n));
+            }
+
+            for (const n of [1, BOUNDS.maxOutcomes + 1]) {
+                await expect(
+                    createMarket({ factory, dai, creator: userA, oracle: mrResolver, outcomes: names(n) })
+                ).to.be.revertedWithCustomError(market, "OutcomeCountOutOfRange").withArgs(n, BOUNDS.maxOutcomes);
+            }
+        });
+
+        it("Should take subsidies from 1e-6 to 2^40 tokens only", async () => {
+            const min = ethers.parseUnits("1", 12);
+            const max = ethers.parseEther((2n ** 40n).toString());
+
+            for (const subsidy of [min, max]) {
+                const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, subsidy });
+                expect(await market.cost()).to.be.greaterThan(0n);
+            }
+
+            for (const subsidy of [min - 1000000n, max + ethers.parseEther("1")]) {
+                await expect(
+                    createMarket({ factory, dai, creator: userA, oracle: mrResolver, subsidy })
+                ).to.be.revertedWithCustomError(market, "SubsidyOutOfRange");
+            }
+        });
+    });
+
+    describe("23.2 Trade Bounds", () => {
+        it("Should trade up to 1000 times b and no more", async () => {
+            const { b } = await stateOf(market);
+            const max = b * BOUNDS.maxTradeFactor;
+
+            expect(await market.sellQuote(OUTCOME_INDICES.CHIEFS, ONE)).to.be.greaterThan(0n);
+            await expect(
+                market.buyQuote(OUTCOME_INDICES.CHIEFS, max + 1n)
+            ).to.be.revertedWithCustomError(market, "TradeTooLarge").withArgs(max + 1n, max);
+            // Sells are priced on the whole token units they pull
+            const oversold = await market.getTokenEth(dai.target, await market.getTokenWei(dai.target, max + ONE));
+            await expect(
+                market.sellQuote(OUTCOME_INDICES.CHIEFS, max + ONE)
+            ).to.be.revertedWithCustomError(market, "TradeTooLarge").withArgs(-oversold, max);
+            await expect(
+                market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, max + 1n)
+            ).to.be.revertedWithCustomError(market, "TradeTooLarge");
+
+            const quote = await market.buyQuote(OUTCOME_INDICES.CHIEFS, max);
+            await expect(
+                market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, max)
+            ).to.changeTokenBalance(dai, alice, -quote);
+        });
+
+        it("Should keep the total shares under 2^48", async () => {
+            const subsidy = ethers.parseEther((2n ** 40n).toString());
+            const { market: large } = await createMarket({
+                factory, dai, creator: userA, oracle: mrResolver, subsidy, outcomes: names(2)
+            });
+            const { totalShares, b } = await stateOf(large);
+
+            // Within the trade bound, but past the total
+            const amount = BOUNDS.maxTotalShares - totalShares + 1n;
+            expect(amount).to.be.lessThan(b * BOUNDS.maxTradeFactor);
+            await expect(
+                large.buyQuote(1, amount)
+            ).to.be.revertedWithCustomError(large, "MarketTooLarge").withArgs(BOUNDS.maxTotalShares);
+            expect(await large.buyQuote(1, amount - 2n)).to.be.greaterThan(0n);
+
+            // Liquidity that would scale the market past it
+            const deposit = subsidy * 2n ** 8n;
+            await dai.mint(alice.address, deposit);
+            await (await dai.connect(alice).approve(large.target, deposit)).wait();
+            await expect(
+                large.connect(alice).addLiquidity(deposit)
+            ).to.be.revertedWithCustomError(large, "MarketTooLarge");
+        });
+
+        it("Should still not sell an outcome down to zero", async () => {
+            const { q } = await stateOf(market);
+            await expect(
+                market.sellQuote(OUTCOME_INDICES.RAVENS, q[1])
+            ).to.be.revertedWith("Sell exceeds market depth");
+        });
+    });
+
+    describe("23.3 Extreme States", () => {
+        it("Should price a one-sided 16 outcome market", async () => {
+            const { market: wide } = await createMarket({
+                factory, dai, creator: userA, oracle: mrResolver, subsidy: ethers.parseEther("1"), outcomes: names(16)
+            });
+            await (await dai.connect(alice).approve(wide.target, ethers.MaxUint256)).wait();
+
+            await (await wide.connect(alice).buy(1, 360n * ONE)).wait();
+            await (await wide.connect(alice).buy(1, 8000n * ONE)).wait();
+
+            // q/b is past the 64.64 exponent's range, so the unshifted sum of
+            // exponentials overflows
+            const state = await stateOf(wide);
+            expect(() => NewMath.exp(NewMath.div(state.q[0], state.b))).to.throw("exp_2: integer overflow");
+
+            expect(await wide.cost()).to.equal(lslmsr.cost(state));
+            expect(await wide.cost()).to.equal(state.currentCost);
+
+            const prices = await wide.getMarginalPrices();
+            const sum = prices.reduce((total, p) => total + p, 0n);
+            expect(prices.every(p => p > 0n)).to.equal(true);
+            expect(sum).to.be.within(ONE, 2n * ONE);
+            expect(Number(fromFixed(prices[0]))).to.be.greaterThan(0.99);
+
+            expect(await wide.buyQuote(1, ONE)).to.be.within(ethers.parseEther("0.99"), ethers.parseEther("1"));
+            expect(await wide.sellQuote(1, 100n * ONE)).to.be.greaterThan(ethers.parseEther("99"));
+            await expect(wide.connect(alice).buy(1, 10n * ONE)).to.emit(wide, "Trade");
+        });
+    });
+
+    describe("23.4 SDK", () => {
+        it("Should throw MarketBoundsError outside the domain", async () => {
+            const client = new FactoryClient(factory.target, userA);
+            await dai.mint(userA.address, ethers.parseEther("100"));
+            await expect(client.createMarket({
+                collateral: dai.target,
+                oracle: mrResolver.address,
+                question: "Which of 17?",
+                outcomes: names(17),
+                subsidy: "100"
+            })).to.be.rejectedWith(MarketBoundsError);
+
+            const marketClient = await client.getMarket(market.target);
+            await expect(marketClient.quoteBuy("Chiefs", "1000000000")).to.be.rejectedWith(MarketBoundsError);
+        });
+    });
+});
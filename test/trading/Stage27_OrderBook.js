@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+const { ONE, OUTCOME_INDICES, deployCore, createMarket, positionIdFor } = require("../shared/fixtures");
+const { FactoryClient, OrderBookClient, Keeper, SlippageError, DeadlineError } = require("../../sdk");
+
+describe("Stage 27: Order Book", () => {
+    let ct, dai, factory, orderBook;
+    let admin, userA, mrResolver, alice, bob, keeper;
+
+    const HOUR = 60 * 60;
+    // 0.4 per share in 64.64 fixed point
+    const LIMIT = 2n * ONE / 5n;
+    const TIP = ethers.parseEther("0.5");
+
+    // A market with a 1% fee, whose marginal prices start at 0.5 per outcome
+    const newMarket = async () => {
+        const { market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee: 100 });
+        await (await dai.connect(bob).approve(market.target, ethers.MaxUint256)).wait();
+        return market;
+    };
+
+    // What an order escrows besides the tip
+    const escrowFor = async (market, amount, limitPrice) => {
+        const maxCost = await market.getTokenWeiUp(dai.target, limitPrice * amount / ONE);
+        return maxCost + await market.getFee(maxCost);
+    };
+
+    const placeOrder = async (market, { amount = 10n * ONE, limitPrice = LIMIT, tip = TIP, expiry } = {}) => {
+        expiry ??= (await time.latest()) + HOUR;
+        const tx = await orderBook.connect(alice).placeOrder(market.target, OUTCOME_INDICES.CHIEFS, amount, limitPrice, tip, expiry);
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => log.fragment && log.fragment.name === "OrderPlaced");
+        return event.args.orderId;
+    };
+
+    // Bob buys the other outcomes until Chiefs trades below the limit
+    const dropChiefs = async market => {
+        await (await market.connect(bob).buy(OUTCOME_INDICES.RAVENS | OUTCOME_INDICES.BUCS | OUTCOME_INDICES.OTHER, 100n * ONE)).wait();
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 27 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+        [, bob, keeper] = globalState.signers.otherUsers;
+
+        ({ ct, dai, factory, orderBook } = await deployCore());
+        await (await factory.connect(admin).setFeePolicy(100, 0)).wait();
+        for (const user of [alice, bob]) {
+            await dai.mint(user.address, ethers.parseEther("1000"));
+        }
+        await (await dai.connect(alice).approve(orderBook.target, ethers.MaxUint256)).wait();
+    });
+
+    describe("27.1 Placing Orders", () => {
+        it("Should escrow the most the order can cost and the tip", async () => {
+            const market = await newMarket();
+            const amount = 10n * ONE;
+            const expiry = (await time.latest()) + HOUR;
+            const escrow = await escrowFor(market, amount, LIMIT);
+            expect(escrow).to.equal(ethers.parseEther("4.04"));
+
+            const tx = orderBook.connect(alice).placeOrder(market.target, OUTCOME_INDICES.CHIEFS, amount, LIMIT, TIP, expiry);
+            await expect(tx).to.changeTokenBalances(dai, [alice, orderBook], [-(escrow + TIP), escrow + TIP]);
+            await expect(tx).to.emit(orderBook, "OrderPlaced")
+                .withArgs(0n, alice.address, market.target, OUTCOME_INDICES.CHIEFS, amount, LIMIT, escrow, TIP, expiry);
+
+            const order = await orderBook.getOrder(0n);
+            expect(order.trader).to.equal(alice.address);
+            expect(order.escrow).to.equal(escrow);
+            expect(order.status).to.equal(0n);
+            expect(await orderBook.getOrderCount()).to.equal(1n);
+            expect(await orderBook.getOrders(0, 10)).to.have.lengthOf(1);
+            expect(await orderBook.getOrders(5, 10)).to.have.lengthOf(0);
+        });
+
+        it("Should reject invalid orders", async () => {
+            const market = await newMarket();
+            const expiry = (await time.latest()) + HOUR;
+            const place = (target, outcome, amount, limitPrice, deadline = expiry) =>
+                orderBook.connect(alice).placeOrder(target, outcome, amount, limitPrice, 0, deadline);
+
+            await expect(place(alice.address, 1, ONE, LIMIT)).to.be.revertedWith("Market not found");
+            await expect(place(market.target, 0, ONE, LIMIT)).to.be.revertedWith("Invalid outcome");
+            await expect(place(market.target, 16, ONE, LIMIT)).to.be.revertedWith("Invalid outcome");
+            await expect(place(market.target, 1, 0, LIMIT)).to.be.revertedWith("Invalid amount");
+            await expect(place(market.target, 1, ONE, 0)).to.be.revertedWith("Invalid amount");
+            await expect(place(market.target, 1, ONE, LIMIT, await time.latest())).to.be.revertedWith("Invalid expiry");
+        });
+    });
+
+    describe("27.2 Filling Orders", () => {
+        it("Should not fill an order above its limit", async () => {
+            const market = await newMarket();
+            const orderId = await placeOrder(market);
+
+            expect(await orderBook.canExecute(orderId)).to.equal(false);
+            await expect(orderBook.connect(keeper).executeOrder(orderId)).to.be.revertedWith("Price above limit");
+        });
+
+        it("Should fill once the price drops, paying the tip and refunding the rest", async () => {
+            const market = await newMarket();
+            const amount = 10n * ONE;
+            const orderId = await placeOrder(market, { amount });
+            const { escrow } = await orderBook.getOrder(orderId);
+
+            await dropChiefs(market);
+            expect(await orderBook.canExecute(orderId)).to.equal(true);
+            const cost = await market.buyQuote(OUTCOME_INDICES.CHIEFS, amount);
+            expect(cost).to.be.lessThan(escrow);
+
+            const tx = orderBook.connect(keeper).executeOrder(orderId);
+            await expect(tx).to.emit(orderBook, "OrderFilled").withArgs(orderId, keeper.address, cost);
+            await expect(tx).to.changeTokenBalances(
+                dai, [alice, keeper, orderBook], [escrow - cost, TIP, -(escrow + TIP)]
+            );
+            expect(await ct.balanceOf(alice.address, await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS)))
+                .to.equal(ethers.parseEther("10"));
+            expect(await ct.balanceOf(orderBook.target, await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS)))
+                .to.equal(0n);
+
+            expect((await orderBook.getOrder(orderId)).status).to.equal(1n);
+            expect(await orderBook.canExecute(orderId)).to.equal(false);
+            await expect(orderBook.connect(keeper).executeOrder(orderId)).to.be.revertedWith("Order not open");
+        });
+
+        it("Should not fill expired orders or orders in paused markets", async () => {
+            const market = await newMarket();
+            const expiry = (await time.latest()) + HOUR;
+            const orderId = await placeOrder(market, { expiry });
+            await dropChiefs(market);
+
+            await (await factory.connect(admin).setMarketPaused(market.target, true)).wait();
+            expect(await orderBook.canExecute(orderId)).to.equal(false);
+            await expect(orderBook.connect(keeper).executeOrder(orderId)).to.be.revertedWith("Trading paused");
+            await (await factory.connect(admin).setMarketPaused(market.target, false)).wait();
+
+            await time.increaseTo(expiry + 1);
+            expect(await orderBook.canExecute(orderId)).to.equal(false);
+            await expect(orderBook.connect(keeper).executeOrder(orderId)).to.be.revertedWith("Order expired");
+        });
+
+        it("Should only accept positions from the market it fills an order in", async () => {
+            const market = await newMarket();
+            await (await market.connect(bob).buy(OUTCOME_INDICES.CHIEFS, ONE)).wait();
+            await expect(ct.connect(bob).safeTransferFrom(
+                bob.address, orderBook.target, await positionIdFor(ct, market, OUTCOME_INDICES.CHIEFS), 1n, "0x"
+            )).to.be.revertedWith("Unexpected position transfer");
+        });
+    });
+
+    describe("27.3 Cancelling Orders", () => {
+        it("Should refund the escrow and tip when the trader cancels", async () => {
+            const market = await newMarket();
+            const orderId = await placeOrder(market);
+            const { escrow } = await orderBook.getOrder(orderId);
+
+            await expect(orderBook.connect(bob).cancelOrder(orderId)).to.be.revertedWith("Not authorized");
+            const tx = orderBook.connect(alice).cancelOrder(orderId);
+            await expect(tx).to.emit(orderBook, "OrderCancelled").withArgs(orderId);
+            await expect(tx).to.changeTokenBalance(dai, alice, escrow + TIP);
+
+            expect((await orderBook.getOrder(orderId)).status).to.equal(2n);
+            await expect(orderBook.connect(alice).cancelOrder(orderId)).to.be.revertedWith("Order not open");
+            await dropChiefs(market);
+            await expect(orderBook.connect(keeper).executeOrder(orderId)).to.be.revertedWith("Order not open");
+        });
+
+        it("Should let anyone refund an expired order to the trader", async () => {
+            const market = await newMarket();
+            const expiry = (await time.latest()) + HOUR;
+            const orderId = await placeOrder(market, { expiry });
+            const { escrow } = await orderBook.getOrder(orderId);
+
+            await time.increaseTo(expiry + 1);
+            await expect(
+                orderBook.connect(keeper).cancelOrder(orderId)
+            ).to.changeTokenBalances(dai, [alice, keeper], [escrow + TIP, 0n]);
+        });
+    });
+
+    describe("27.4 SDK and Keeper", () => {
+        it("Should place and read orders through the client", async () => {
+            const market = await new FactoryClient(factory.target, alice).getMarket((await newMarket()).target);
+            const client = new OrderBookClient(orderBook.target, alice);
+
+            const orderId = await client.placeOrder(market, "Chiefs", "10", { limitPrice: "0.4", tip: TIP });
+            const order = await client.getOrder(orderId);
+            expect(order.id).to.equal(orderId);
+            expect(order.outcome).to.equal(BigInt(OUTCOME_INDICES.CHIEFS));
+            expect(order.amount).to.equal(10n * ONE);
+            expect(order.status).to.equal("open");
+            expect(order.escrow).to.equal(await client.quoteEscrow(market, "10", "0.4"));
+            expect(order.expiry).to.be.closeTo((await time.latest()) + 24 * HOUR, 5);
+
+            await expect(client.connect(keeper).executeOrder(orderId)).to.be.rejectedWith(SlippageError);
+            await client.cancelOrder(orderId);
+            expect((await client.getOrder(orderId)).status).to.equal("cancelled");
+        });
+
+        it("Should fill only the orders whose limit the market has reached", async () => {
+            const market = await new FactoryClient(factory.target, alice).getMarket((await newMarket()).target);
+            const other = await new FactoryClient(factory.target, alice).getMarket((await newMarket()).target);
+            const client = new OrderBookClient(orderBook.target, alice);
+            const expiry = (await time.latest()) + HOUR;
+
+            const fillable = await client.placeOrder(market, "Chiefs", "10", { limitPrice: "0.4", tip: TIP, expiry });
+            const unfillable = await client.placeOrder(other, "Chiefs", "10", { limitPrice: "0.4", tip: TIP, expiry });
+            const expiring = await client.placeOrder(market, "Chiefs", "1", { limitPrice: "0.4", expiry: expiry - HOUR / 2 });
+            await dropChiefs(await ethers.getContractAt("LsLMSR", market.address));
+            await time.increaseTo(expiry - HOUR / 2 + 1);
+
+            const bot = new Keeper(client.connect(keeper), { pageSize: 2 });
+            const open = (await bot.openOrders()).map(order => order.id);
+            expect(open).to.include.members([fillable, unfillable]);
+            expect(open).to.not.include(expiring);
+            expect((await bot.fillable()).map(order => order.id)).to.deep.equal([fillable]);
+
+            const before = await dai.balanceOf(keeper.address);
+            const { filled, failed } = await bot.run();
+            expect(filled.map(order => order.id)).to.deep.equal([fillable]);
+            expect(filled[0].cost).to.be.greaterThan(0n);
+            expect(failed).to.deep.equal([]);
+            expect(await dai.balanceOf(keeper.address) - before).to.equal(TIP);
+            expect((await client.getOrder(fillable)).status).to.equal("filled");
+
+            expect((await bot.run()).filled).to.deep.equal([]);
+            await expect(client.connect(keeper).executeOrder(expiring)).to.be.rejectedWith(DeadlineError);
+        });
+    });
+});
@@ -1,15 +1,17 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const globalState = require("../shared/testState");
+const { positionIdFor } = require("../shared/fixtures");
 
 describe("Stage 4: Trading", () => {
-    let market, dai;
+    let market, dai, ct;
     
     before(async () => {
         // Validate required state from previous stages
         globalState.validate('Stage 4 Setup', [
             'fakeDaiAddress',
             'marketAddress',
+            'conditionalTokensAddress',
             'signers.alice',
             'initialBalances.alice',
             'outcomeIndices'
@@ -32,6 +34,7 @@ describe("Stage 4: Trading", () => {
         const FakeDai = await ethers.getContractFactory("FakeDai");
         dai = FakeDai.attach(globalState.fakeDaiAddress);
         market = await ethers.getContractAt("LsLMSR", globalState.marketAddress);
+        ct = await ethers.getContractAt("ConditionalTokens", globalState.conditionalTokensAddress);
         
         console.log("\nTrading Test Setup:");
         console.log(`Market Address: ${globalState.marketAddress}`);
@@ -43,17 +46,24 @@ describe("Stage 4: Trading", () => {
             const tradeAmount = ethers.parseEther("1");
             const alice = globalState.signers.alice;
             
+            const quote = await market.buyQuote(globalState.outcomeIndices.CHIEFS, tradeAmount);
+            const position = await positionIdFor(ct, market, globalState.outcomeIndices.CHIEFS);
+            const heldBefore = await ct.balanceOf(alice.address, position);
+
             // Approve market to spend DAI
-            await dai.connect(alice).approve(market.getAddress(), tradeAmount);
+            await dai.connect(alice).approve(market.getAddress(), quote);
             
             // Buy Chiefs outcome
-            const tx = await market.connect(alice).buy(
+            const tx = market.connect(alice).buy(
                 globalState.outcomeIndices.CHIEFS,
                 tradeAmount
             );
-            await tx.wait();
+            await expect(tx).to.changeTokenBalance(dai, alice, -quote);
+            await expect(tx).to.emit(market, "Trade");
             
             // Verify trade
+            expect(await ct.balanceOf(alice.address, position) - heldBefore)
+                .to.equal(await market.getTokenWei(dai.target, tradeAmount));
             const aliceBalance = await dai.balanceOf(alice.address);
             console.log(`Alice's DAI balance after trade: ${ethers.formatEther(aliceBalance)}`);
         });
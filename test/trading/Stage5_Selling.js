@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const globalState = require("../shared/testState");
+
+describe("Stage 5: Selling", () => {
+    let market, dai, ct;
+    let alice;
+
+    // Share amounts are int128 64.64 fixed point numbers
+    const ONE = 1n << 64n;
+
+    const positionIdFor = async (indexSet) => {
+        const condition = await market.condition();
+        const collectionId = await ct.getCollectionId(ethers.ZeroHash, condition, indexSet);
+        return ct.getPositionId(globalState.fakeDaiAddress, collectionId);
+    };
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 5 Setup', [
+            'fakeDaiAddress',
+            'conditionalTokensAddress',
+            'marketAddress',
+            'signers.alice',
+            'outcomeIndices'
+        ]);
+
+        alice = globalState.signers.alice;
+
+        const FakeDai = await ethers.getContractFactory("FakeDai");
+        dai = FakeDai.attach(globalState.fakeDaiAddress);
+        ct = await ethers.getContractAt("ConditionalTokens", globalState.conditionalTokensAddress);
+        market = await ethers.getContractAt("LsLMSR", globalState.marketAddress);
+
+        console.log("\nSelling Test Setup:");
+        console.log(`Market Address: ${globalState.marketAddress}`);
+        console.log(`Trader: ${alice.address}`);
+    });
+
+    describe("5.1 Round Trip", () => {
+        it("Should buy and sell back the same position with a bounded loss", async () => {
+            const outcome = globalState.outcomeIndices.RAVENS;
+            const shares = 10n * ONE;
+            const pos = await positionIdFor(outcome);
+
+            const costBefore = await market.cost();
+            const daiBefore = await dai.balanceOf(alice.address);
+
+            // Buy 10 Ravens shares
+            const quote = await market.price(outcome, shares);
+            await dai.connect(alice).approve(await market.getAddress(), await market.getTokenWeiUp(globalState.fakeDaiAddress, quote));
+            await (await market.connect(alice).buy(outcome, shares)).wait();
+
+            const daiAfterBuy = await dai.balanceOf(alice.address);
+            const paid = daiBefore - daiAfterBuy;
+            const nShares = await market.getTokenWei(globalState.fakeDaiAddress, shares);
+            expect(await ct.balanceOf(alice.address, pos)).to.equal(nShares);
+            console.log(`Paid for 10 Ravens shares: ${ethers.formatEther(paid)} DAI`);
+
+            // Quote and sell them back
+            const sellQuote = await market.sell_price(outcome, shares);
+            expect(await market.cost_after_sell(outcome, shares)).to.equal(costBefore);
+
+            await ct.connect(alice).setApprovalForAll(await market.getAddress(), true);
+            await (await market.connect(alice).sell(outcome, shares)).wait();
+
+            const received = (await dai.balanceOf(alice.address)) - daiAfterBuy;
+            expect(received).to.equal(await market.getTokenWei(globalState.fakeDaiAddress, sellQuote));
+            expect(await ct.balanceOf(alice.address, pos)).to.equal(0n);
+            console.log(`Received for 10 Ravens shares: ${ethers.formatEther(received)} DAI`);
+
+            // The inventory is back where it started so the loss can only come from rounding
+            const loss = paid - received;
+            expect(loss).to.be.gte(0n);
+            expect(loss).to.be.lte(1n);
+            expect(await market.cost()).to.equal(costBefore);
+        });
+
+        it("Should merge the returned position back into collateral", async () => {
+            const outcome = globalState.outcomeIndices.BUCS;
+            const shares = 5n * ONE;
+            const marketAddress = await market.getAddress();
+            const pos = await positionIdFor(outcome);
+            const inventoryBefore = await ct.balanceOf(marketAddress, pos);
+
+            const quote = await market.price(outcome, shares);
+            await dai.connect(alice).approve(marketAddress, await market.getTokenWeiUp(globalState.fakeDaiAddress, quote));
+            await (await market.connect(alice).buy(outcome, shares)).wait();
+
+            const daiInMarket = await dai.balanceOf(marketAddress);
+            const proceeds = await market.getTokenWei(globalState.fakeDaiAddress, await market.sell_price(outcome, shares));
+            const nShares = await market.getTokenWei(globalState.fakeDaiAddress, shares);
+
+            // As much of the position is merged as the market holds every other outcome for
+            let merged = nShares;
+            for (const other of Object.values(globalState.outcomeIndices).filter(index => index !== outcome)) {
+                const held = await ct.balanceOf(marketAddress, await positionIdFor(other));
+                if (held < merged) merged = held;
+            }
+            expect(merged).to.be.greaterThan(0n);
+
+            await expect(market.connect(alice).sell(outcome, shares))
+                .to.emit(ct, "PositionsMerge");
+
+            // The merge returns collateral before the proceeds are paid out
+            expect(await dai.balanceOf(marketAddress)).to.equal(daiInMarket + merged - proceeds);
+            expect(await ct.balanceOf(marketAddress, pos)).to.equal(inventoryBefore);
+        });
+    });
+
+    describe("5.2 Sell Validation", () => {
+        it("Should not sell more tokens than the trader holds", async () => {
+            await expect(
+                market.connect(alice).sell(globalState.outcomeIndices.CHIEFS, 1000n * ONE)
+            ).to.be.reverted;
+        });
+
+        it("Should not sell without operator approval", async () => {
+            const [, , , , bob] = await ethers.getSigners();
+            await expect(
+                market.connect(bob).sell(globalState.outcomeIndices.CHIEFS, ONE)
+            ).to.be.reverted;
+        });
+
+        it("Should reject a zero amount", async () => {
+            await expect(
+                market.connect(alice).sell(globalState.outcomeIndices.CHIEFS, 0)
+            ).to.be.revertedWith("Invalid amount");
+        });
+
+        it("Should reject positions sent to the market directly", async () => {
+            const outcome = globalState.outcomeIndices.OTHER;
+            const quote = await market.price(outcome, ONE);
+            await dai.connect(alice).approve(await market.getAddress(), await market.getTokenWeiUp(globalState.fakeDaiAddress, quote));
+            await (await market.connect(alice).buy(outcome, ONE)).wait();
+
+            await expect(
+                ct.connect(alice).safeTransferFrom(
+                    alice.address,
+                    await market.getAddress(),
+                    await positionIdFor(outcome),
+                    1n,
+                    "0x"
+                )
+            ).to.be.revertedWith("Unexpected position transfer");
+        });
+    });
+});
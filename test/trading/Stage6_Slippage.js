@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+
+describe("Stage 6: Slippage Protection", () => {
+    let market, dai, ct;
+    let alice, bob;
+
+    // Share amounts are int128 64.64 fixed point numbers
+    const ONE = 1n << 64n;
+
+    const deadlineIn = async (seconds) => (await time.latest()) + seconds;
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 6 Setup', [
+            'fakeDaiAddress',
+            'conditionalTokensAddress',
+            'marketAddress',
+            'signers.alice',
+            'outcomeIndices'
+        ]);
+
+        alice = globalState.signers.alice;
+        bob = globalState.signers.otherUsers[0];
+
+        const FakeDai = await ethers.getContractFactory("FakeDai");
+        dai = FakeDai.attach(globalState.fakeDaiAddress);
+        ct = await ethers.getContractAt("ConditionalTokens", globalState.conditionalTokensAddress);
+        market = await ethers.getContractAt("LsLMSR", globalState.marketAddress);
+
+        // Bob front-runs Alice in these tests
+        await dai.mint(bob.address, ethers.parseEther("1000"));
+        await dai.connect(bob).approve(await market.getAddress(), ethers.MaxUint256);
+        await dai.connect(alice).approve(await market.getAddress(), ethers.MaxUint256);
+        await ct.connect(alice).setApprovalForAll(await market.getAddress(), true);
+    });
+
+    describe("6.1 Binding Quotes", () => {
+        it("Should charge exactly the buy quote", async () => {
+            const outcome = globalState.outcomeIndices.CHIEFS;
+            const shares = 3n * ONE;
+
+            const quote = await market.buyQuote(outcome, shares);
+            expect(quote).to.equal(
+                await market.getTokenWeiUp(globalState.fakeDaiAddress, await market.price(outcome, shares))
+            );
+
+            await expect(
+                market.connect(alice).buyWithMaxCost(outcome, shares, quote, await deadlineIn(60))
+            ).to.changeTokenBalance(dai, alice, -quote);
+        });
+
+        it("Should pay out exactly the sell quote", async () => {
+            const outcome = globalState.outcomeIndices.CHIEFS;
+            const shares = 3n * ONE;
+
+            const quote = await market.sellQuote(outcome, shares);
+            await expect(
+                market.connect(alice).sellWithMinProceeds(outcome, shares, quote, await deadlineIn(60))
+            ).to.changeTokenBalance(dai, alice, quote);
+        });
+    });
+
+    describe("6.2 Price Limits", () => {
+        it("Should revert a buy that costs more than the maximum", async () => {
+            const outcome = globalState.outcomeIndices.RAVENS;
+            const shares = 2n * ONE;
+            const quote = await market.buyQuote(outcome, shares);
+
+            await expect(
+                market.connect(alice).buyWithMaxCost(outcome, shares, quote - 1n, await deadlineIn(60))
+            ).to.be.revertedWith("Cost exceeds maximum");
+        });
+
+        it("Should protect a buy quote from being front-run", async () => {
+            const outcome = globalState.outcomeIndices.RAVENS;
+            const shares = 2n * ONE;
+            const quote = await market.buyQuote(outcome, shares);
+
+            // Bob moves the price before Alice's trade lands
+            await (await market.connect(bob).buy(outcome, 20n * ONE)).wait();
+
+            await expect(
+                market.connect(alice).buyWithMaxCost(outcome, shares, quote, await deadlineIn(60))
+            ).to.be.revertedWith("Cost exceeds maximum");
+        });
+
+        it("Should revert a sell that pays less than the minimum", async () => {
+            const outcome = globalState.outcomeIndices.RAVENS;
+            const shares = 2n * ONE;
+            await (await market.connect(alice).buy(outcome, shares)).wait();
+
+            const quote = await market.sellQuote(outcome, shares);
+            await expect(
+                market.connect(alice).sellWithMinProceeds(outcome, shares, quote + 1n, await deadlineIn(60))
+            ).to.be.revertedWith("Proceeds below minimum");
+        });
+    });
+
+    describe("6.3 Deadlines", () => {
+        it("Should revert a buy mined after its deadline", async () => {
+            const outcome = globalState.outcomeIndices.BUCS;
+            const deadline = await deadlineIn(60);
+            await time.increaseTo(deadline + 1);
+
+            await expect(
+                market.connect(alice).buyWithMaxCost(outcome, ONE, ethers.MaxUint256, deadline)
+            ).to.be.revertedWith("Trade expired");
+        });
+
+        it("Should revert a sell mined after its deadline", async () => {
+            const outcome = globalState.outcomeIndices.RAVENS;
+            const deadline = await deadlineIn(60);
+            await time.increaseTo(deadline + 1);
+
+            await expect(
+                market.connect(alice).sellWithMinProceeds(outcome, ONE, 0, deadline)
+            ).to.be.revertedWith("Trade expired");
+        });
+    });
+});
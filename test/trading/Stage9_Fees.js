@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const globalState = require("../shared/testState");
+const {
+    ONE,
+    OUTCOME_INDICES,
+    deployCore,
+    createMarket
+} = require("../shared/fixtures");
+
+describe("Stage 9: Trading Fees", () => {
+    let ct, dai, factory, market;
+    let admin, userA, mrResolver, alice, treasury;
+
+    // Fees are in basis points
+    const MAX_FEE = 500n;             // 5%
+    const PROTOCOL_FEE_SHARE = 2000n; // 20% of the fee
+    const MARKET_FEE = 200n;          // 2%
+
+    const feeOn = (amount) => (amount * MARKET_FEE + 9999n) / 10000n;
+
+    before(async () => {
+        // Validate required state from previous stages
+        globalState.validate('Stage 9 Setup', [
+            'signers.admin',
+            'signers.userA',
+            'signers.mrResolver',
+            'signers.alice'
+        ]);
+
+        ({ admin, userA, mrResolver, alice } = globalState.signers);
+        treasury = globalState.signers.otherUsers[2];
+
+        ({ ct, dai, factory } = await deployCore());
+        await dai.mint(alice.address, ethers.parseEther("1000"));
+    });
+
+    describe("9.1 Fee Policy", () => {
+        it("Only the factory owner should set the fee policy", async () => {
+            await expect(
+                factory.connect(alice).setFeePolicy(MAX_FEE, PROTOCOL_FEE_SHARE)
+            ).to.be.reverted;
+
+            await expect(
+                factory.connect(admin).setFeePolicy(10001, PROTOCOL_FEE_SHARE)
+            ).to.be.revertedWith("Invalid fee policy");
+
+            await expect(factory.connect(admin).setFeePolicy(MAX_FEE, PROTOCOL_FEE_SHARE))
+                .to.emit(factory, "FeePolicyUpdated")
+                .withArgs(MAX_FEE, PROTOCOL_FEE_SHARE);
+        });
+
+        it("Should reject markets with a fee above the maximum", async () => {
+            await expect(
+                createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee: MAX_FEE + 1n })
+            ).to.be.revertedWith("Fee above maximum");
+        });
+
+        it("Should create a market with a fee", async () => {
+            ({ market } = await createMarket({ factory, dai, creator: userA, oracle: mrResolver, fee: MARKET_FEE }));
+
+            expect(await market.fee()).to.equal(MARKET_FEE);
+            expect(await market.protocolFeeShare()).to.equal(PROTOCOL_FEE_SHARE);
+            expect(await market.liquidityShares(userA.address)).to.equal(ethers.parseEther("100"));
+
+            await dai.connect(alice).approve(await market.getAddress(), ethers.MaxUint256);
+            await ct.connect(alice).setApprovalForAll(await market.getAddress(), true);
+        });
+
+        it("Fees should be fixed once the market is set up", async () => {
+            await expect(
+                market.connect(admin).setFees(0, 0)
+            ).to.be.reverted;
+        });
+    });
+
+    describe("9.2 Fee Charging", () => {
+        it("Should charge the fee on top of the cost of a buy", async () => {
+            const shares = 10n * ONE;
+            const cost = await market.getTokenWeiUp(await dai.getAddress(), await market.price(OUTCOME_INDICES.CHIEFS, shares));
+            const fee = feeOn(cost);
+            const protocolFee = fee * PROTOCOL_FEE_SHARE / 10000n;
+
+            expect(await market.buyQuote(OUTCOME_INDICES.CHIEFS, shares)).to.equal(cost + fee);
+
+            const tx = await market.connect(alice).buy(OUTCOME_INDICES.CHIEFS, shares);
+            await expect(tx).to.changeTokenBalance(dai, alice, -(cost + fee));
+            await expect(tx).to.emit(market, "FeeCharged")
+                .withArgs(alice.address, fee - protocolFee, protocolFee);
+
+            expect(await market.lpFees()).to.equal(fee - protocolFee);
+            expect(await market.protocolFees()).to.equal(protocolFee);
+        });
+
+        it("Should deduct the fee from the proceeds of a sell", async () => {
+            const shares = 4n * ONE;
+            const proceeds = await market.getTokenWei(await dai.getAddress(), await market.sell_price(OUTCOME_INDICES.CHIEFS, shares));
+            const fee = feeOn(proceeds);
+            const lpFeesBefore = await market.lpFees();
+            const protocolFeesBefore = await market.protocolFees();
+
+            expect(await market.sellQuote(OUTCOME_INDICES.CHIEFS, shares)).to.equal(proceeds - fee);
+
+            await expect(
+                market.connect(alice).sell(OUTCOME_INDICES.CHIEFS, shares)
+            ).to.changeTokenBalance(dai, alice, proceeds - fee);
+
+            expect((await market.lpFees()) + (await market.protocolFees()))
+                .to.equal(lpFeesBefore + protocolFeesBefore + fee);
+        });
+
+        it("Slippage limits should apply to the fee-inclusive amounts", async () => {
+            const shares = 2n * ONE;
+            const deadline = (await time.latest()) + 60;
+
+            const buyQuote = await market.buyQuote(OUTCOME_INDICES.RAVENS, shares);
+            await expect(
+                market.connect(alice).buyWithMaxCost(OUTCOME_INDICES.RAVENS, shares, buyQuote - 1n, deadline)
+            ).to.be.revertedWith("Cost exceeds maximum");
+            await expect(
+                market.connect(alice).buyWithMaxCost(OUTCOME_INDICES.RAVENS, shares, buyQuote, deadline)
+            ).to.changeTokenBalance(dai, alice, -buyQuote);
+
+            const sellQuote = await market.sellQuote(OUTCOME_INDICES.RAVENS, shares);
+            await expect(
+                market.connect(alice).sellWithMinProceeds(OUTCOME_INDICES.RAVENS, shares, sellQuote + 1n, deadline)
+            ).to.be.revertedWith("Proceeds below minimum");
+            await expect(
+                market.connect(alice).sellWithMinProceeds(OUTCOME_INDICES.RAVENS, shares, sellQuote, deadline)
+            ).to.changeTokenBalance(dai, alice, sellQuote);
+        });
+    });
+
+    describe("9.3 Fee Claims", () => {
+        it("Should pay the LP fees to the market creator", async () => {
+            const lpFees = await market.lpFees();
+            const claimable = await market.claimableFees(userA.address);
+            expect(lpFees).to.be.gt(0n);
+            // Fees accrue per share, so rounding may leave a few wei behind
+            expect(claimable).to.be.closeTo(lpFees, 1000n);
+            expect(await market.claimableFees(alice.address)).to.equal(0n);
+
+            const tx = await market.connect(userA).claimFees();
+            await expect(tx).to.changeTokenBalance(dai, userA, claimable);
+            await expect(tx).to.emit(market, "FeesClaimed").withArgs(userA.address, claimable);
+            expect(await market.lpFees()).to.equal(lpFees - claimable);
+            expect(await market.claimableFees(userA.address)).to.equal(0n);
+        });
+
+        it("Should need a treasury to collect protocol fees", async () => {
+            await expect(
+                factory.collectProtocolFees(await market.getAddress())
+            ).to.be.revertedWith("Treasury not set");
+
+            await expect(
+                market.connect(admin).claimProtocolFees(admin.address)
+            ).to.be.reverted;
+        });
+
+        it("Should send the protocol fees to the treasury", async () => {
+            await expect(factory.connect(alice).setTreasury(treasury.address)).to.be.reverted;
+            await expect(factory.connect(admin).setTreasury(treasury.address))
+                .to.emit(factory, "TreasuryUpdated")
+                .withArgs(treasury.address);
+
+            const protocolFees = await market.protocolFees();
+            await expect(
+                factory.connect(alice).collectProtocolFees(await market.getAddress())
+            ).to.changeTokenBalance(dai, treasury, protocolFees);
+            expect(await market.protocolFees()).to.equal(0n);
+        });
+
+        it("Withdraw should leave unclaimed fees in the market", async () => {
+            // A market set up directly by admin, who provides its liquidity
+            const LsLMSR = await ethers.getContractFactory("LsLMSR");
+            const standalone = await LsLMSR.deploy(await ct.getAddress(), await dai.getAddress());
+            await standalone.waitForDeployment();
+            await standalone.setFees(MARKET_FEE, PROTOCOL_FEE_SHARE);
+            await dai.mint(await standalone.getAddress(), ethers.parseEther("100"));
+            await standalone.setup(mrResolver.address, ethers.hexlify(ethers.randomBytes(32)), 4, ethers.parseEther("100"), admin.address);
+
+            await dai.connect(alice).approve(await standalone.getAddress(), ethers.MaxUint256);
+            await (await standalone.connect(alice).buy(OUTCOME_INDICES.BUCS, 10n * ONE)).wait();
+            await (await standalone.connect(mrResolver).resolveMarket([0, 0, 1, 0])).wait();
+
+            const lpFees = await standalone.lpFees();
+            const protocolFees = await standalone.protocolFees();
+            await (await standalone.connect(admin).withdraw()).wait();
+
+            expect(await dai.balanceOf(await standalone.getAddress())).to.equal(lpFees + protocolFees);
+            await expect(
+                standalone.connect(admin).claimFees()
+            ).to.changeTokenBalance(dai, admin, await standalone.claimableFees(admin.address));
+            await expect(
+                standalone.connect(admin).claimProtocolFees(treasury.address)
+            ).to.changeTokenBalance(dai, treasury, protocolFees);
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { reference } = require("../../sdk");
 
 describe("Pure LMSR Math Validation", function() {
     let mathTester;
@@ -10,7 +11,7 @@ describe("Pure LMSR Math Validation", function() {
         console.log("\nPure Math Validation Setup:");
         const MathTester = await ethers.getContractFactory("MathTester");
         mathTester = await MathTester.deploy();
-        console.log("MathTester deployed to:", mathTester.address);
+        console.log("MathTester deployed to:", await mathTester.getAddress());
         console.log(`Testing with ${NUM_OUTCOMES} outcomes`);
         console.log(`Test liquidity: ${INITIAL_LIQUIDITY}.0 DAI`);
     });
@@ -29,25 +30,23 @@ describe("Pure LMSR Math Validation", function() {
             
             // Test increasing position sizes
             const testAmounts = [0.1, 0.3, 0.9, 2.7];
-            let lastPrice = 0;
-            
-            for(let i = 0; i < testAmounts.length; i++) {
-                const amount = testAmounts[i];
-                const shares = await mathTester.fromUInt(INITIAL_LIQUIDITY + amount);
-                const newB = await mathTester.mul(shares, alpha);
-                
-                // Calculate qi/b for the target outcome
-                const qi = await mathTester.fromUInt(INITIAL_LIQUIDITY + amount);
-                const qiOverB = await mathTester.div(qi, newB);
-                
-                // Calculate qj/b for other outcomes
+            let lastPrice = 0n;
+            let last = null;
+
+            for (const amount of testAmounts) {
+                // Position sizes are fractional, so convert them in tenths
+                const tenths = BigInt(Math.round(amount * 10));
+                const qi = await mathTester.divu(BigInt(INITIAL_LIQUIDITY) * 10n + tenths, 10);
                 const qj = await mathTester.fromUInt(INITIAL_LIQUIDITY);
-                const qjOverB = await mathTester.div(qj, newB);
-                
+
+                // b grows with the total shares outstanding
+                const shares = await mathTester.add(qi, await mathTester.mul(await mathTester.fromUInt(NUM_OUTCOMES - 1), qj));
+                const newB = await mathTester.mul(shares, alpha);
+
                 // Calculate e^(qi/b) and e^(qj/b)
-                const expQi = await mathTester.exp(qiOverB);
-                const expQj = await mathTester.exp(qjOverB);
-                
+                const expQi = await mathTester.exp(await mathTester.div(qi, newB));
+                const expQj = await mathTester.exp(await mathTester.div(qj, newB));
+
                 // Calculate price: e^(qi/b) / (e^(qi/b) + 3*e^(qj/b))
                 const denominator = await mathTester.add(
                     expQi,
@@ -56,30 +55,40 @@ describe("Pure LMSR Math Validation", function() {
                         expQj
                     )
                 );
-                
                 const price = await mathTester.div(expQi, denominator);
-                
-                // Convert to decimal for readability
-                const priceDecimal = Number(price) / Number(ONE);
-                
+
+                // Same computation in the high precision reference
+                const refQi = reference.fromX64(qi);
+                const refQj = reference.fromX64(qj);
+                const refB = reference.mul(refQi + 3n * refQj, reference.alpha(NUM_OUTCOMES));
+                const refExpQi = reference.exp(reference.div(refQi, refB));
+                const refPrice = reference.div(refExpQi, refExpQi + 3n * reference.exp(reference.div(refQj, refB)));
+
                 console.log(`\nPosition Size: ${amount} DAI`);
-                console.log(`Price: ${(priceDecimal * 100).toFixed(4)}%`);
-                
-                if(i > 0) {
-                    const priceChange = priceDecimal - lastPrice;
-                    const marginalImpact = priceChange / (amount - testAmounts[i-1]);
-                    console.log(`Marginal Impact: ${(marginalImpact * 100).toFixed(4)}%/DAI`);
-                    
-                    if(i > 1) {
-                        // The key test: Marginal impact should decrease
-                        const lastMarginalImpact = (lastPrice - prevPrice) / 
-                            (testAmounts[i-1] - testAmounts[i-2]);
-                        expect(marginalImpact).to.be.below(lastMarginalImpact);
+                console.log(`Price: ${(Number(price) / Number(ONE) * 100).toFixed(4)}%`);
+                console.log(`Reference: ${(Number(reference.toDecimal(refPrice, 12)) * 100).toFixed(4)}%`);
+
+                expect(reference.fromX64(price)).to.be.closeTo(refPrice, reference.SCALE / 10n ** 15n);
+                expect(price).to.be.gt(lastPrice);
+
+                let impact;
+                if (last) {
+                    // Price change per DAI since the previous position size
+                    impact = (reference.fromX64(price) - reference.fromX64(lastPrice)) * 10n / (tenths - last.tenths);
+                    const refImpact = (refPrice - last.refPrice) * 10n / (tenths - last.tenths);
+                    console.log(`Marginal Impact: ${(Number(reference.toDecimal(impact, 12)) * 100).toFixed(6)}%/DAI`);
+                    expect(impact).to.be.closeTo(refImpact, reference.SCALE / 10n ** 13n);
+
+                    // The price is a logistic curve in qi: concave above a
+                    // price of 1/2, where the marginal impact decreases, but
+                    // convex below it. These prices start at 1/4, so each DAI
+                    // moves the price a little more than the last.
+                    if (last.impact !== undefined) {
+                        expect(impact).to.be.gt(last.impact);
                     }
                 }
-                
-                const prevPrice = lastPrice;
-                lastPrice = priceDecimal;
+                last = { tenths, refPrice, impact };
+                lastPrice = price;
             }
         });
     });
@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NewMath, lslmsr, reference } = require("../../sdk");
+const { deployCore, createMarket } = require("../shared/fixtures");
+const { random } = require("../shared/fuzz");
+
+/**
+ * Tracks the largest absolute and relative error of 64.64 results against the
+ * reference.
+ */
+function errorReport(name) {
+    let maxAbs = 0n;
+    let maxRel = 0;
+    return {
+        add(actual, expected) {
+            const err = reference.fromX64(actual) - expected;
+            const abs = err < 0n ? -err : err;
+            if (abs > maxAbs) maxAbs = abs;
+            if (expected !== 0n) {
+                const rel = Number(abs * 10n ** 30n / (expected < 0n ? -expected : expected)) / 1e30;
+                if (rel > maxRel) maxRel = rel;
+            }
+        },
+        get maxRel() {
+            return maxRel;
+        },
+        log() {
+            console.log(`${name}: max abs error ${reference.toDecimal(maxAbs, 24)}, max rel error ${maxRel.toExponential(3)}`);
+        }
+    };
+}
+
+describe("Reference Math Validation", function() {
+    const ONE = NewMath.ONE;
+    let mathTester;
+
+    before(async function() {
+        const MathTester = await ethers.getContractFactory("MathTester");
+        mathTester = await MathTester.deploy();
+        await mathTester.waitForDeployment();
+    });
+
+    describe("NewMath Emulation", function() {
+        it("Should match exp bit for bit across random inputs", async function() {
+            const rng = random(1);
+            const report = errorReport("exp");
+            for (let i = 0; i < 1000; i++) {
+                const x = rng.bigint(-40n * ONE, 40n * ONE);
+                const onChain = await mathTester.exp(x);
+                expect(onChain).to.equal(NewMath.exp(x), `exp(${x})`);
+
+                // Small results are limited by the 64.64 resolution rather
+                // than relative precision
+                const expected = reference.exp(reference.fromX64(x));
+                const tolerance = expected / 10n ** 15n + 8n * reference.fromX64(1n);
+                expect(reference.fromX64(onChain)).to.be.closeTo(expected, tolerance);
+                report.add(onChain, expected);
+            }
+            report.log();
+        });
+
+        it("Should revert on exp past the 64.64 range rather than wrap", async function() {
+            const max = 43n * ONE;
+            expect(await mathTester.exp(max)).to.equal(NewMath.exp(max));
+            await expect(mathTester.exp(44n * ONE)).to.be.revertedWith("exp_2: integer overflow");
+            expect(() => NewMath.exp(44n * ONE)).to.throw("exp_2: integer overflow");
+        });
+
+        it("Should match ln bit for bit across random inputs", async function() {
+            const rng = random(2);
+            const report = errorReport("ln");
+            for (let i = 0; i < 1000; i++) {
+                // Spread the inputs over many orders of magnitude
+                const x = rng.bigint(1n, ONE << BigInt(Math.floor(rng() * 62)));
+                const onChain = await mathTester.ln(x);
+                expect(onChain).to.equal(NewMath.ln(x), `ln(${x})`);
+                report.add(onChain, reference.ln(reference.fromX64(x)));
+            }
+            report.log();
+            expect(report.maxRel).to.be.below(1e-15);
+        });
+
+        it("Should match mul and div bit for bit across random inputs", async function() {
+            const rng = random(3);
+            for (let i = 0; i < 500; i++) {
+                const x = rng.bigint(-(ONE << 40n), ONE << 40n);
+                const y = rng.bigint(-(ONE << 20n), ONE << 20n) || 1n;
+                expect(await mathTester.mul(x, y)).to.equal(NewMath.mul(x, y), `mul(${x}, ${y})`);
+                expect(await mathTester.div(x, y)).to.equal(NewMath.div(x, y), `div(${x}, ${y})`);
+            }
+        });
+
+        it("Should revert where the library reverts", async function() {
+            await expect(mathTester.ln(0)).to.be.revertedWith("ln: x must be positive");
+            expect(() => NewMath.ln(0n)).to.throw("ln: x must be positive");
+
+            await expect(mathTester.div(ONE, 0)).to.be.revertedWith("div by zero");
+            expect(() => NewMath.div(ONE, 0n)).to.throw("div by zero");
+        });
+    });
+
+    describe("LsLMSR Against the Reference", function() {
+        it("Should derive alpha and b like setup", async function() {
+            for (const n of [2, 3, 4, 8, 16]) {
+                const state = lslmsr.setupMarket(n, 100n * ONE);
+                expect(reference.fromX64(state.alpha)).to.be.closeTo(reference.alpha(n), reference.SCALE / 10n ** 17n);
+                // The initial cost is subsidy * n * alpha * ln(n e), i.e. twice the subsidy
+                expect(reference.fromX64(state.currentCost)).to.be.closeTo(reference.fromInteger(200), reference.SCALE / 10n ** 15n);
+            }
+        });
+
+        it("Should match the market's quotes across random trades", async function() {
+            this.timeout(600000);
+            const [, creator, trader] = await ethers.getSigners();
+            const { dai, factory } = await deployCore();
+            const { market } = await createMarket({ factory, dai, creator, oracle: creator });
+
+            await dai.mint(trader.address, ethers.parseEther("100000"));
+            await dai.connect(trader).approve(await market.getAddress(), ethers.MaxUint256);
+
+            const rng = random(4);
+            const costReport = errorReport("cost");
+            const priceReport = errorReport("price");
+            const marginalReport = errorReport("marginal price");
+            let state = lslmsr.setupMarket(4, 100n * ONE);
+
+            for (let i = 0; i < 150; i++) {
+                // Buy a random set of 1 to 3 outcomes
+                const indexSet = 1 + Math.floor(rng() * 14);
+                const amount = rng.bigint(ONE / 100n, 30n * ONE);
+                const q = state.q.map(reference.fromX64);
+
+                // Views agree with the emulation exactly
+                const quote = await market.price(indexSet, amount);
+                expect(quote).to.equal(lslmsr.price(state, indexSet, amount));
+                expect(await market.cost()).to.equal(lslmsr.cost(state));
+                priceReport.add(quote, reference.price(q, indexSet, reference.fromX64(amount)));
+
+                await (await market.connect(trader).buy(indexSet, amount)).wait();
+                ({ state } = lslmsr.applyTrade(state, indexSet, amount));
+                costReport.add(state.currentCost, reference.cost(state.q.map(reference.fromX64)));
+
+                // The price of a tiny buy approaches the marginal price
+                const epsilon = ONE >> 32n;
+                const marginal = reference.marginalPrices(q);
+                const tiny = reference.div(reference.price(q, 1, reference.fromX64(epsilon)), reference.fromX64(epsilon));
+                expect(tiny).to.be.closeTo(marginal[0], reference.SCALE / 10n ** 8n);
+                marginalReport.add(reference.toX64(tiny), marginal[0]);
+            }
+
+            costReport.log();
+            priceReport.log();
+            marginalReport.log();
+            expect(costReport.maxRel).to.be.below(1e-15);
+        });
+
+        it("Should keep marginal prices summing to at least one", function() {
+            const rng = random(5);
+            for (let i = 0; i < 200; i++) {
+                const q = Array.from({ length: 4 }, () => reference.fromX64(rng.bigint(ONE, 500n * ONE)));
+                const sum = reference.marginalPrices(q).reduce((a, b) => a + b, 0n);
+                expect(sum).to.be.gte(reference.SCALE);
+            }
+        });
+    });
+});